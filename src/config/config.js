@@ -48,6 +48,31 @@ const envSchema = joi.object({
   SESSION_TIMEOUT_MINUTES: joi.number().default(5),
   PIN_RETRY_LIMIT: joi.number().default(5),
   PIN_RETRY_WINDOW_MINUTES: joi.number().default(15),
+  SESSION_STORE: joi.string().valid('memory', 'mongodb').default('mongodb'),
+
+  // Phone Verification Configuration
+  PHONE_VERIFICATION_REQUIRED: joi.boolean().default(false),
+  OTP_LENGTH: joi.number().integer().min(4).max(8).default(6),
+  OTP_TTL_SECONDS: joi.number().integer().min(30).default(300),
+  OTP_RESEND_INTERVAL_SECONDS: joi.number().integer().min(0).default(60),
+  OTP_MAX_SENDS_PER_HOUR: joi.number().integer().min(1).default(5),
+  OTP_MAX_ATTEMPTS: joi.number().integer().min(1).default(5),
+  SMS_PROVIDER: joi.string().valid('console', 'file').default('console')
+    .when('NODE_ENV', { is: 'production', then: joi.invalid('file') }), // Stores codes in plain text
+  SMS_FILE_PATH: joi.string().default('logs/sms.log'),
+
+  // Messaging Configuration
+  MESSAGE_EDIT_WINDOW_MINUTES: joi.number().min(0).default(15),
+  MESSAGE_BLOCKED_POLICY: joi.string().valid('silent', 'reject').default('silent'),
+
+  // Upload Configuration
+  UPLOAD_STORAGE_DRIVER: joi.string().valid('local').default('local'),
+  UPLOAD_LOCAL_DIR: joi.string().default('uploads'),
+  UPLOAD_MAX_IMAGE_SIZE: joi.number().integer().min(1).default(10 * 1024 * 1024), // 10 MB
+  UPLOAD_MAX_FILE_SIZE: joi.number().integer().min(1).default(25 * 1024 * 1024), // 25 MB
+  UPLOAD_USER_QUOTA: joi.number().integer().min(1).default(500 * 1024 * 1024), // 500 MB
+  UPLOAD_MAX_AVATAR_SIZE: joi.number().integer().min(1).default(5 * 1024 * 1024), // 5 MB
+  UPLOAD_PENDING_TTL_HOURS: joi.number().min(1).default(24),
   
   // CORS Configuration
   CORS_ORIGIN: joi.string().default('https://chat-app-ravi.vercel.app'),
@@ -59,7 +84,11 @@ const envSchema = joi.object({
   // WebSocket Configuration
   WS_CORS_ORIGIN: joi.string().default('https://chat-app-ravi.vercel.app'),
   WS_HEARTBEAT_INTERVAL: joi.number().default(25000),
-  WS_HEARTBEAT_TIMEOUT: joi.number().default(60000)
+  WS_HEARTBEAT_TIMEOUT: joi.number().default(60000),
+  WS_DELIVERY_ACK_TIMEOUT: joi.number().integer().min(100).default(5000),
+  WS_DELIVERY_MAX_ATTEMPTS: joi.number().integer().min(1).default(6),
+  WS_PRESENCE_OFFLINE_DELAY: joi.number().integer().min(0).default(5000),
+  WS_ADAPTER: joi.string().valid('local', 'memory', 'mongodb').default('local')
 }).unknown();
 
 /**
@@ -131,14 +160,50 @@ const config = {
   session: {
     timeoutMinutes: envVars.SESSION_TIMEOUT_MINUTES,
     pinRetryLimit: envVars.PIN_RETRY_LIMIT,
-    pinRetryWindowMinutes: envVars.PIN_RETRY_WINDOW_MINUTES
+    pinRetryWindowMinutes: envVars.PIN_RETRY_WINDOW_MINUTES,
+    store: envVars.SESSION_STORE
+  },
+
+  // Phone Verification
+  otp: {
+    verificationRequired: envVars.PHONE_VERIFICATION_REQUIRED,
+    codeLength: envVars.OTP_LENGTH,
+    ttlSeconds: envVars.OTP_TTL_SECONDS,
+    resendIntervalSeconds: envVars.OTP_RESEND_INTERVAL_SECONDS,
+    maxSendsPerHour: envVars.OTP_MAX_SENDS_PER_HOUR,
+    maxAttempts: envVars.OTP_MAX_ATTEMPTS
+  },
+
+  // SMS
+  sms: {
+    provider: envVars.SMS_PROVIDER,
+    filePath: envVars.SMS_FILE_PATH,
+    revealCodes: envVars.NODE_ENV !== 'production' // Console provider logs codes outside production
+  },
+  
+  // Messaging
+  messaging: {
+    editWindowMinutes: envVars.MESSAGE_EDIT_WINDOW_MINUTES,
+    blockedPolicy: envVars.MESSAGE_BLOCKED_POLICY
+  },
+
+  // Uploads
+  uploads: {
+    driver: envVars.UPLOAD_STORAGE_DRIVER,
+    localDir: envVars.UPLOAD_LOCAL_DIR,
+    maxImageSize: envVars.UPLOAD_MAX_IMAGE_SIZE,
+    maxFileSize: envVars.UPLOAD_MAX_FILE_SIZE,
+    userQuota: envVars.UPLOAD_USER_QUOTA,
+    maxAvatarSize: envVars.UPLOAD_MAX_AVATAR_SIZE,
+    pendingTtlHours: envVars.UPLOAD_PENDING_TTL_HOURS,
+    maxAttachmentsPerMessage: 10
   },
   
   // CORS
   cors: {
     origin: envVars.CORS_ORIGIN.split(','),
     credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
   },
   
@@ -154,6 +219,10 @@ const config = {
     corsOrigin: envVars.WS_CORS_ORIGIN.split(','),
     heartbeatInterval: envVars.WS_HEARTBEAT_INTERVAL,
     heartbeatTimeout: envVars.WS_HEARTBEAT_TIMEOUT,
+    deliveryAckTimeout: envVars.WS_DELIVERY_ACK_TIMEOUT,
+    deliveryMaxAttempts: envVars.WS_DELIVERY_MAX_ATTEMPTS,
+    presenceOfflineDelay: envVars.WS_PRESENCE_OFFLINE_DELAY,
+    adapter: envVars.WS_ADAPTER,
     pingTimeout: 60000,
     pingInterval: 25000
   },
@@ -0,0 +1,123 @@
+/**
+ * Attachment Controller
+ * HTTP request handlers for attachment upload, download and deletion
+ *
+ * @description Presentation layer streaming attachments to and from storage
+ * @author Chat App Team
+ * @version 1.0.0
+ */
+
+const { pipeline } = require('stream');
+const attachmentService = require('../services/attachmentService');
+const chatService = require('../services/chatService');
+const sessionService = require('../services/sessionService');
+const logger = require('../utils/logger');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Extract device and request metadata
+ * @param {Object} req - Express request object
+ * @returns {Object} Metadata object
+ */
+const extractMetadata = (req) => ({
+  deviceId: req.deviceId,
+  platform: req.get('Platform') || 'web',
+  userAgent: req.get('User-Agent') || '',
+  ipAddress: req.ip || req.connection.remoteAddress || ''
+});
+
+/**
+ * Upload an attachment (multipart/form-data, field "file")
+ * POST /api/chat/attachments
+ */
+const uploadAttachment = asyncHandler(async (req, res) => {
+  const userId = req.user._id.toString();
+
+  try {
+    await sessionService.trackActivity(userId, extractMetadata(req));
+
+    const result = await attachmentService.uploadAttachment(userId, req);
+
+    res.status(201).json({
+      success: true,
+      message: result.message,
+      data: result.data,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error uploading attachment:', error, { userId });
+    throw error;
+  }
+});
+
+/**
+ * Download an attachment
+ * GET /api/chat/attachments/:attachmentId
+ */
+const downloadAttachment = asyncHandler(async (req, res) => {
+  const userId = req.user._id.toString();
+  const { attachmentId } = req.params;
+
+  try {
+    await sessionService.trackActivity(userId, extractMetadata(req));
+
+    const { attachment, stream } = await chatService.getAttachmentDownload(attachmentId, userId);
+
+    // Images render inline; everything else is forced to download
+    const disposition = attachment.category === 'image' ? 'inline' : 'attachment';
+
+    res.status(200).set({
+      'Content-Type': attachment.mimeType,
+      'Content-Length': attachment.size,
+      'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.fileName)}`,
+      'Cache-Control': 'private, max-age=86400',
+      ETag: `"${attachment.checksum}"`
+    });
+
+    pipeline(stream, res, (error) => {
+      if (error) {
+        logger.warn('Attachment download interrupted', {
+          attachmentId,
+          userId,
+          error: error.message
+        });
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error downloading attachment:', error, { userId, attachmentId });
+    throw error;
+  }
+});
+
+/**
+ * Delete an upload that has not been sent
+ * DELETE /api/chat/attachments/:attachmentId
+ */
+const deleteAttachment = asyncHandler(async (req, res) => {
+  const userId = req.user._id.toString();
+  const { attachmentId } = req.params;
+
+  try {
+    await sessionService.trackActivity(userId, extractMetadata(req));
+
+    const result = await attachmentService.deletePendingAttachment(attachmentId, userId);
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error deleting attachment:', error, { userId, attachmentId });
+    throw error;
+  }
+});
+
+module.exports = {
+  uploadAttachment,
+  downloadAttachment,
+  deleteAttachment
+};
@@ -9,16 +9,20 @@
 
 const authService = require('../services/authService');
 const sessionService = require('../services/sessionService');
+const webSocketController = require('../websocket/websocketController');
 const logger = require('../utils/logger');
 const { asyncHandler, createError } = require('../middleware/errorHandler');
 const config = require('../config/config');
 
 /**
  * Extract device information from request
+ * Authenticated requests use the device from the token; login and
+ * registration may pass a device ID kept from an earlier sign-in.
  * @param {Object} req - Express request object
  * @returns {Object} Device information
  */
 const extractDeviceInfo = (req) => ({
+  deviceId: req.deviceId || req.body.deviceId,
   userAgent: req.get('User-Agent') || '',
   ipAddress: req.ip || req.connection.remoteAddress || '',
   platform: req.get('Platform') || req.body.platform || 'web'
@@ -69,12 +73,35 @@ const clearTokenCookies = (res) => {
   });
 };
 
+/**
+ * Send an SMS verification code
+ * POST /api/auth/otp
+ */
+const requestOtp = asyncHandler(async (req, res) => {
+  const { phoneNumber, purpose } = req.body;
+
+  const result = await authService.requestOtp(phoneNumber, purpose);
+
+  logger.info('Verification code requested', {
+    phoneNumber,
+    purpose,
+    ip: req.ip
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Verification code sent',
+    data: result,
+    timestamp: new Date().toISOString()
+  });
+});
+
 /**
  * Register a new user
  * POST /api/auth/register
  */
 const register = asyncHandler(async (req, res) => {
-  const { phoneNumber, pin } = req.body;
+  const { phoneNumber, pin, otp } = req.body;
   const deviceInfo = extractDeviceInfo(req);
 
   // Validate required fields
@@ -83,7 +110,7 @@ const register = asyncHandler(async (req, res) => {
   }
 
   try {
-    const result = await authService.register(phoneNumber, pin, deviceInfo);
+    const result = await authService.register(phoneNumber, pin, deviceInfo, otp);
 
     // Set secure cookies
     setTokenCookies(res, result.tokens);
@@ -122,7 +149,7 @@ const register = asyncHandler(async (req, res) => {
  * POST /api/auth/login
  */
 const login = asyncHandler(async (req, res) => {
-  const { phoneNumber, pin } = req.body;
+  const { phoneNumber, pin, otp } = req.body;
   const deviceInfo = extractDeviceInfo(req);
 
   // Validate required fields
@@ -131,7 +158,7 @@ const login = asyncHandler(async (req, res) => {
   }
 
   try {
-    const result = await authService.login(phoneNumber, pin, deviceInfo);
+    const result = await authService.login(phoneNumber, pin, deviceInfo, otp);
 
     // Set secure cookies
     setTokenCookies(res, result.tokens);
@@ -259,13 +286,118 @@ const refreshToken = asyncHandler(async (req, res) => {
     logger.error('Token refresh failed:', error, {
       ip: req.ip
     });
-    
+
+    // A replayed refresh token revoked its family: disconnect the device and warn the user
+    if (error.revokedDevice) {
+      const { userId, deviceId } = error.revokedDevice;
+      await sessionService.endSession(userId, 'refresh_token_reused', deviceId);
+      webSocketController.forceLogoutDevice(userId, deviceId, 'refresh_token_reused');
+      webSocketController.notifySecurityAlert(userId, {
+        type: 'refresh_token_reused',
+        deviceId,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent') || ''
+      });
+    }
+
     // Clear invalid cookies
     clearTokenCookies(res);
     throw error;
   }
 });
 
+/**
+ * Change PIN
+ * POST /api/auth/change-pin
+ */
+const changePin = asyncHandler(async (req, res) => {
+  const { currentPin, newPin } = req.body;
+  const userId = req.user._id.toString();
+  const deviceInfo = extractDeviceInfo(req);
+
+  try {
+    const result = await authService.changePin(userId, currentPin, newPin, deviceInfo);
+
+    // The token used for the change is replaced by the new tokens
+    await sessionService.revokeAccessToken(req.decodedToken);
+
+    // End the sessions of the signed-out devices
+    for (const deviceId of result.signedOutDeviceIds) {
+      await sessionService.endSession(userId, 'pin_changed', deviceId);
+    }
+
+    // Old tokens no longer work; connected sockets must reconnect
+    webSocketController.forceLogoutUser(userId, 'pin_changed');
+
+    // Set new secure cookies
+    setTokenCookies(res, result.tokens);
+
+    logger.info('PIN changed', {
+      userId,
+      signedOutDevices: result.signedOutDeviceIds.length,
+      ip: deviceInfo.ipAddress
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'PIN changed successfully',
+      data: {
+        deviceId: result.deviceId,
+        signedOutDevices: result.signedOutDeviceIds.length,
+        tokens: result.tokens
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('PIN change failed:', error, {
+      userId,
+      ip: deviceInfo.ipAddress
+    });
+    throw error;
+  }
+});
+
+/**
+ * Reset a forgotten PIN with an SMS code
+ * POST /api/auth/reset-pin
+ */
+const resetPin = asyncHandler(async (req, res) => {
+  const { phoneNumber, otp, newPin } = req.body;
+
+  try {
+    const result = await authService.resetPin(phoneNumber, otp, newPin);
+
+    // Every device is signed out
+    await sessionService.endSession(result.userId, 'pin_reset');
+    webSocketController.forceLogoutUser(result.userId, 'pin_reset');
+
+    clearTokenCookies(res);
+
+    logger.info('PIN reset', {
+      userId: result.userId,
+      signedOutDevices: result.signedOutDeviceIds.length,
+      ip: req.ip
+    });
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      data: {
+        signedOutDevices: result.signedOutDeviceIds.length
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('PIN reset failed:', error, {
+      phoneNumber,
+      ip: req.ip
+    });
+    throw error;
+  }
+});
+
 /**
  * Logout user
  * POST /api/auth/logout
@@ -276,7 +408,9 @@ const logout = asyncHandler(async (req, res) => {
 
   try {
     await authService.logout(userId, deviceInfo);
-    await sessionService.endSession(userId, 'logout');
+    await sessionService.revokeAccessToken(req.decodedToken);
+    await sessionService.endSession(userId, 'logout', deviceInfo.deviceId);
+    webSocketController.forceLogoutDevice(userId, deviceInfo.deviceId, 'logout');
 
     // Clear authentication cookies
     clearTokenCookies(res);
@@ -316,7 +450,7 @@ const getCurrentUser = asyncHandler(async (req, res) => {
 
   try {
     // Get session information
-    const sessionStatus = await sessionService.checkSessionStatus(userId);
+    const sessionStatus = await sessionService.checkSessionStatus(userId, req.deviceId);
 
     logger.debug('User profile retrieved', {
       userId,
@@ -353,7 +487,7 @@ const getSessionStatus = asyncHandler(async (req, res) => {
   const userId = req.user._id.toString();
 
   try {
-    const sessionStatus = await sessionService.checkSessionStatus(userId);
+    const sessionStatus = await sessionService.checkSessionStatus(userId, req.deviceId);
 
     res.status(200).json({
       success: true,
@@ -368,6 +502,56 @@ const getSessionStatus = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * List devices signed in to the account
+ * GET /api/auth/devices
+ */
+const getDevices = asyncHandler(async (req, res) => {
+  const userId = req.user._id.toString();
+
+  try {
+    const result = await sessionService.listDevices(userId, req.deviceId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Devices retrieved successfully',
+      data: result.data,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error listing devices:', error, { userId });
+    throw error;
+  }
+});
+
+/**
+ * Sign out another device
+ * DELETE /api/auth/devices/:deviceId
+ */
+const revokeDevice = asyncHandler(async (req, res) => {
+  const userId = req.user._id.toString();
+  const { deviceId } = req.params;
+
+  try {
+    const result = await sessionService.revokeDevice(userId, deviceId, req.deviceId);
+
+    // Disconnect the device's sockets
+    webSocketController.forceLogoutDevice(userId, deviceId, 'device_revoked');
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      data: result.data,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error revoking device:', error, { userId, deviceId });
+    throw error;
+  }
+});
+
 /**
  * Validate current token
  * GET /api/auth/validate
@@ -411,7 +595,7 @@ const getAuthStats = asyncHandler(async (req, res) => {
       throw createError.forbidden('Access denied');
     }
 
-    const sessionStats = sessionService.getSessionStatistics();
+    const sessionStats = await sessionService.getSessionStatistics();
 
     res.status(200).json({
       success: true,
@@ -427,13 +611,18 @@ const getAuthStats = asyncHandler(async (req, res) => {
 });
 
 module.exports = {
+  requestOtp,
   register,
   login,
   verifyPin,
+  changePin,
+  resetPin,
   refreshToken,
   logout,
   getCurrentUser,
   getSessionStatus,
+  getDevices,
+  revokeDevice,
   validateToken,
   getAuthStats
 };
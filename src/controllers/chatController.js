@@ -8,7 +8,10 @@
  */
 
 const chatService = require('../services/chatService');
+const syncService = require('../services/syncService');
+const searchService = require('../services/searchService');
 const sessionService = require('../services/sessionService');
+const webSocketController = require('../websocket/websocketController');
 const logger = require('../utils/logger');
 const { asyncHandler, createError } = require('../middleware/errorHandler');
 
@@ -18,6 +21,7 @@ const { asyncHandler, createError } = require('../middleware/errorHandler');
  * @returns {Object} Metadata object
  */
 const extractMetadata = (req) => ({
+  deviceId: req.deviceId,
   platform: req.get('Platform') || req.body.platform || 'web',
   userAgent: req.get('User-Agent') || '',
   ipAddress: req.ip || req.connection.remoteAddress || ''
@@ -28,7 +32,15 @@ const extractMetadata = (req) => ({
  * POST /api/chat/send
  */
 const sendMessage = asyncHandler(async (req, res) => {
-  const { receiverId, groupId, content, messageType = 'text' } = req.body;
+  const {
+    receiverId,
+    groupId,
+    content,
+    messageType = 'text',
+    replyToMessageId,
+    attachmentIds,
+    clientMessageId
+  } = req.body;
   const senderId = req.user._id.toString();
   const metadata = extractMetadata(req);
 
@@ -42,7 +54,8 @@ const sendMessage = asyncHandler(async (req, res) => {
       groupId,
       content,
       messageType,
-      metadata
+      metadata,
+      { replyToMessageId, attachmentIds, clientMessageId }
     );
 
     logger.info('Message sent successfully', {
@@ -51,12 +64,20 @@ const sendMessage = asyncHandler(async (req, res) => {
       receiverId,
       groupId,
       contentLength: content.length,
-      messageType
+      messageType,
+      duplicate: result.duplicate
     });
 
-    res.status(201).json({
+    // Deliver to online recipients; retried sends were already dispatched and
+    // messages to a user who blocked the sender are never delivered
+    if (!result.duplicate && !result.suppressed) {
+      await webSocketController.dispatchMessage(result.data);
+    }
+
+    // A retried send returns the original message with 200 instead of 201
+    res.status(result.duplicate ? 200 : 201).json({
       success: true,
-      message: 'Message sent successfully',
+      message: result.message,
       data: result.data,
       timestamp: new Date().toISOString()
     });
@@ -79,7 +100,14 @@ const sendMessage = asyncHandler(async (req, res) => {
 const getChatHistory = asyncHandler(async (req, res) => {
   const currentUserId = req.user._id.toString();
   const { userId: otherUserId, groupId } = req.params;
-  const { page = 1, limit = 20, before } = req.query;
+  const {
+    page = 1,
+    limit = 20,
+    before,
+    cursor,
+    direction = 'older',
+    includeTotal = true
+  } = req.query;
 
   try {
     // Track user activity
@@ -96,7 +124,10 @@ const getChatHistory = asyncHandler(async (req, res) => {
     const options = {
       page: pageNum,
       limit: limitNum,
-      before: before ? new Date(before) : null
+      before: before ? new Date(before) : null,
+      cursor: cursor || null,
+      direction,
+      includeTotal: includeTotal !== false && includeTotal !== 'false'
     };
 
     const result = await chatService.getChatHistory(
@@ -110,7 +141,8 @@ const getChatHistory = asyncHandler(async (req, res) => {
       currentUserId,
       otherUserId,
       groupId,
-      page: pageNum,
+      page: cursor ? null : pageNum,
+      direction: cursor ? direction : null,
       limit: limitNum,
       messagesCount: result.data.messages.length
     });
@@ -135,23 +167,32 @@ const getChatHistory = asyncHandler(async (req, res) => {
 /**
  * Mark messages as read
  * POST /api/chat/mark-read
+ * Pass senderId for a one-to-one conversation or groupId (and optionally
+ * upToMessageId) for a group.
  */
 const markMessagesAsRead = asyncHandler(async (req, res) => {
-  const { senderId } = req.body;
+  const { senderId, groupId, upToMessageId } = req.body;
   const receiverId = req.user._id.toString();
 
-  if (!senderId) {
-    throw createError.badRequest('Sender ID is required');
+  if (!senderId && !groupId) {
+    throw createError.badRequest('Sender ID or group ID is required');
   }
 
   try {
     // Track user activity
     await sessionService.trackActivity(receiverId, extractMetadata(req));
 
-    const result = await chatService.markMessagesAsRead(senderId, receiverId);
+    const result = groupId
+      ? await chatService.markGroupMessagesAsRead(groupId, receiverId, upToMessageId)
+      : await chatService.markMessagesAsRead(senderId, receiverId);
+
+    if (groupId) {
+      webSocketController.emitGroupRead(result.data);
+    }
 
     logger.info('Messages marked as read', {
       senderId,
+      groupId,
       receiverId,
       markedCount: result.markedCount
     });
@@ -168,6 +209,7 @@ const markMessagesAsRead = asyncHandler(async (req, res) => {
   } catch (error) {
     logger.error('Error marking messages as read:', error, {
       senderId,
+      groupId,
       receiverId
     });
     throw error;
@@ -239,6 +281,33 @@ const getRecentConversations = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * Get changes since a sync token
+ * GET /api/chat/sync?since=<token>
+ */
+const syncChanges = asyncHandler(async (req, res) => {
+  const userId = req.user._id.toString();
+  const { since, limit } = req.query;
+
+  try {
+    // Track user activity
+    await sessionService.trackActivity(userId, extractMetadata(req));
+
+    const result = await syncService.getChangesSince(userId, since, { limit });
+
+    res.status(200).json({
+      success: true,
+      message: 'Changes retrieved successfully',
+      data: result.data,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error syncing changes:', error, { userId });
+    throw error;
+  }
+});
+
 /**
  * Update user status
  * POST /api/chat/status
@@ -317,29 +386,17 @@ const getOnlineUsers = asyncHandler(async (req, res) => {
  * GET /api/chat/search-users
  */
 const searchUsers = asyncHandler(async (req, res) => {
-  let { q: searchTerm, limit = 10 } = req.query;
+  const { q: searchTerm, limit = 10 } = req.query;
   const currentUserId = req.user._id.toString();
 
-  // If searchTerm is 'all', treat as request for all users
-  if (searchTerm === 'all') {
-    searchTerm = '';
-  }
-
   try {
     // Track user activity
     await sessionService.trackActivity(currentUserId, extractMetadata(req));
 
-    // Validate limit
-    const limitNum = parseInt(limit, 10);
-    if (limitNum < 1 || limitNum > 50) {
-      throw createError.badRequest('Limit must be between 1 and 50');
-    }
-
-    const result = await chatService.searchUsers(searchTerm, currentUserId, limitNum);
+    const result = await chatService.searchUsers(searchTerm, currentUserId, limit);
 
     logger.info('User search performed', {
       currentUserId,
-      searchTerm,
       resultsCount: result.data.users.length
     });
 
@@ -351,10 +408,34 @@ const searchUsers = asyncHandler(async (req, res) => {
     });
 
   } catch (error) {
-    logger.error('Error searching users:', error, {
-      currentUserId,
-      searchTerm
+    logger.error('Error searching users:', error, { currentUserId });
+    throw error;
+  }
+});
+
+/**
+ * Search messages
+ * GET /api/chat/search
+ */
+const searchMessages = asyncHandler(async (req, res) => {
+  const { q: searchTerm, ...filters } = req.query;
+  const userId = req.user._id.toString();
+
+  try {
+    // Track user activity
+    await sessionService.trackActivity(userId, extractMetadata(req));
+
+    const result = await searchService.searchMessages(userId, searchTerm, filters);
+
+    res.status(200).json({
+      success: true,
+      message: 'Message search completed successfully',
+      data: result.data,
+      timestamp: new Date().toISOString()
     });
+
+  } catch (error) {
+    logger.error('Error searching messages:', error, { userId });
     throw error;
   }
 });
@@ -398,6 +479,211 @@ const deleteMessage = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * Edit a message
+ * PATCH /api/chat/message/:messageId
+ */
+const editMessage = asyncHandler(async (req, res) => {
+  const { messageId } = req.params;
+  const { content, editReason } = req.body;
+  const userId = req.user._id.toString();
+
+  try {
+    // Track user activity
+    await sessionService.trackActivity(userId, extractMetadata(req));
+
+    const result = await chatService.editMessage(messageId, userId, content, editReason);
+
+    // Update open clients in place
+    webSocketController.emitToMessageParticipants(
+      result.data,
+      webSocketController.EVENTS.MESSAGE_EDITED,
+      { message: result.data },
+      { senderOnly: result.suppressed }
+    );
+
+    logger.info('Message edited', {
+      messageId,
+      userId,
+      editCount: result.data.editHistory.length
+    });
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      data: result.data,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error editing message:', error, {
+      messageId,
+      userId
+    });
+    throw error;
+  }
+});
+
+/**
+ * Get edit history of a message
+ * GET /api/chat/message/:messageId/edits
+ */
+const getMessageEditHistory = asyncHandler(async (req, res) => {
+  const { messageId } = req.params;
+  const userId = req.user._id.toString();
+
+  try {
+    // Track user activity
+    await sessionService.trackActivity(userId, extractMetadata(req));
+
+    const result = await chatService.getMessageEditHistory(messageId, userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Edit history retrieved successfully',
+      data: result.data,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error getting message edit history:', error, {
+      messageId,
+      userId
+    });
+    throw error;
+  }
+});
+
+/**
+ * Get a message thread
+ * GET /api/chat/message/:messageId/thread
+ */
+const getThread = asyncHandler(async (req, res) => {
+  const { messageId } = req.params;
+  const { page = 1, limit = 20 } = req.query;
+  const userId = req.user._id.toString();
+
+  try {
+    // Track user activity
+    await sessionService.trackActivity(userId, extractMetadata(req));
+
+    const result = await chatService.getThread(messageId, userId, {
+      page: parseInt(page, 10),
+      limit: parseInt(limit, 10)
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Thread retrieved successfully',
+      data: result.data,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error getting thread:', error, {
+      messageId,
+      userId
+    });
+    throw error;
+  }
+});
+
+/**
+ * Get delivery and read receipts of a message (sender only)
+ * GET /api/chat/message/:messageId/receipts
+ */
+const getMessageReceipts = asyncHandler(async (req, res) => {
+  const { messageId } = req.params;
+  const userId = req.user._id.toString();
+
+  try {
+    // Track user activity
+    await sessionService.trackActivity(userId, extractMetadata(req));
+
+    const result = await chatService.getMessageReceipts(messageId, userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Message receipts retrieved successfully',
+      data: result.data,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error getting message receipts:', error, { messageId, userId });
+    throw error;
+  }
+});
+
+/**
+ * Add a reaction to a message
+ * POST /api/chat/message/:messageId/reactions
+ */
+const addReaction = asyncHandler(async (req, res) => {
+  const { messageId } = req.params;
+  const { emoji } = req.body;
+  const userId = req.user._id.toString();
+
+  try {
+    // Track user activity
+    await sessionService.trackActivity(userId, extractMetadata(req));
+
+    const result = await chatService.addReaction(messageId, userId, emoji);
+
+    if (result.data.changed) {
+      webSocketController.emitReactionUpdate(result.data, { senderOnly: result.suppressed });
+    }
+
+    res.status(result.data.changed ? 201 : 200).json({
+      success: true,
+      message: result.message,
+      data: result.data,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error adding reaction:', error, {
+      messageId,
+      userId
+    });
+    throw error;
+  }
+});
+
+/**
+ * Remove a reaction from a message
+ * DELETE /api/chat/message/:messageId/reactions/:emoji
+ */
+const removeReaction = asyncHandler(async (req, res) => {
+  const { messageId, emoji } = req.params;
+  const userId = req.user._id.toString();
+
+  try {
+    // Track user activity
+    await sessionService.trackActivity(userId, extractMetadata(req));
+
+    const result = await chatService.removeReaction(messageId, userId, emoji);
+
+    if (result.data.changed) {
+      webSocketController.emitReactionUpdate(result.data, { senderOnly: result.suppressed });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      data: result.data,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error removing reaction:', error, {
+      messageId,
+      userId
+    });
+    throw error;
+  }
+});
+
 /**
  * Get chat statistics for current user
  * GET /api/chat/statistics
@@ -437,7 +723,7 @@ const getChatStatistics = asyncHandler(async (req, res) => {
  */
 const healthCheck = asyncHandler(async (req, res) => {
   try {
-    const sessionStats = sessionService.getSessionStatistics();
+    const sessionStats = await sessionService.getSessionStatistics();
     
     res.status(200).json({
       success: true,
@@ -463,10 +749,18 @@ module.exports = {
   markMessagesAsRead,
   getUnreadCount,
   getRecentConversations,
+  syncChanges,
   updateUserStatus,
   getOnlineUsers,
   searchUsers,
+  searchMessages,
   deleteMessage,
+  editMessage,
+  getMessageEditHistory,
+  getThread,
+  getMessageReceipts,
+  addReaction,
+  removeReaction,
   getChatStatistics,
   healthCheck
 };
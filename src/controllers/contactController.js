@@ -0,0 +1,168 @@
+/**
+ * Contact Controller
+ * HTTP request handlers for contact endpoints
+ *
+ * @description Presentation layer for phone-book sync and contact list management
+ * @author Chat App Team
+ * @version 1.0.0
+ */
+
+const contactService = require('../services/contactService');
+const sessionService = require('../services/sessionService');
+const webSocketController = require('../websocket/websocketController');
+const logger = require('../utils/logger');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Extract device and request metadata
+ * @param {Object} req - Express request object
+ * @returns {Object} Metadata object
+ */
+const extractMetadata = (req) => ({
+  deviceId: req.deviceId,
+  platform: req.get('Platform') || 'web',
+  userAgent: req.get('User-Agent') || '',
+  ipAddress: req.ip || req.connection.remoteAddress || ''
+});
+
+/**
+ * Match hashed address-book numbers against registered users
+ * POST /api/contacts/sync
+ */
+const syncContacts = asyncHandler(async (req, res) => {
+  const userId = req.user._id.toString();
+  const { hashes, save } = req.body;
+
+  try {
+    await sessionService.trackActivity(userId, extractMetadata(req));
+
+    const result = await contactService.syncContacts(userId, hashes, { save });
+
+    if (save) {
+      await webSocketController.watchContacts(userId, result.data.matches.map(match => match.user._id.toString()));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Contacts synced successfully',
+      data: result.data,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error syncing contacts:', error, { userId });
+    throw error;
+  }
+});
+
+/**
+ * Get the contact list
+ * GET /api/contacts
+ */
+const getContacts = asyncHandler(async (req, res) => {
+  const userId = req.user._id.toString();
+
+  try {
+    await sessionService.trackActivity(userId, extractMetadata(req));
+
+    const result = await contactService.getContacts(userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Contacts retrieved successfully',
+      data: result.data,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error getting contacts:', error, { userId });
+    throw error;
+  }
+});
+
+/**
+ * Save a contact by user ID or phone number
+ * POST /api/contacts
+ */
+const addContact = asyncHandler(async (req, res) => {
+  const userId = req.user._id.toString();
+
+  try {
+    await sessionService.trackActivity(userId, extractMetadata(req));
+
+    const result = await contactService.addContact(userId, req.body);
+    await webSocketController.watchContacts(userId, [result.data.user._id.toString()]);
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      data: result.data,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error adding contact:', error, { userId });
+    throw error;
+  }
+});
+
+/**
+ * Change a contact's nickname
+ * PATCH /api/contacts/:userId
+ */
+const updateContact = asyncHandler(async (req, res) => {
+  const userId = req.user._id.toString();
+  const { userId: contactUserId } = req.params;
+
+  try {
+    await sessionService.trackActivity(userId, extractMetadata(req));
+
+    const result = await contactService.updateContact(userId, contactUserId, req.body.nickname);
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      data: result.data,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error updating contact:', error, { userId, contactUserId });
+    throw error;
+  }
+});
+
+/**
+ * Remove a contact
+ * DELETE /api/contacts/:userId
+ */
+const removeContact = asyncHandler(async (req, res) => {
+  const userId = req.user._id.toString();
+  const { userId: contactUserId } = req.params;
+
+  try {
+    await sessionService.trackActivity(userId, extractMetadata(req));
+
+    const result = await contactService.removeContact(userId, contactUserId);
+    webSocketController.unwatchContact(userId, contactUserId);
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      data: result.data,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error removing contact:', error, { userId, contactUserId });
+    throw error;
+  }
+});
+
+module.exports = {
+  syncContacts,
+  getContacts,
+  addContact,
+  updateContact,
+  removeContact
+};
@@ -0,0 +1,322 @@
+/**
+ * Group Controller
+ * HTTP request handlers for group lifecycle endpoints
+ *
+ * @description Presentation layer handling group creation and membership management
+ * @author Chat App Team
+ * @version 1.0.0
+ */
+
+const groupService = require('../services/groupService');
+const sessionService = require('../services/sessionService');
+const webSocketController = require('../websocket/websocketController');
+const logger = require('../utils/logger');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Extract device and request metadata
+ * @param {Object} req - Express request object
+ * @returns {Object} Metadata object
+ */
+const extractMetadata = (req) => ({
+  deviceId: req.deviceId,
+  platform: req.get('Platform') || req.body.platform || 'web',
+  userAgent: req.get('User-Agent') || '',
+  ipAddress: req.ip || req.connection.remoteAddress || ''
+});
+
+/**
+ * Create a group
+ * POST /api/chat/groups
+ */
+const createGroup = asyncHandler(async (req, res) => {
+  const userId = req.user._id.toString();
+
+  try {
+    await sessionService.trackActivity(userId, extractMetadata(req));
+
+    const result = await groupService.createGroup(userId, req.body);
+    const group = result.data;
+
+    webSocketController.notifyGroupUpdate(
+      group._id.toString(),
+      group.members.map(member => member.userId.toString()),
+      { action: 'created', group }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: result.message,
+      data: group,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error creating group:', error, { userId });
+    throw error;
+  }
+});
+
+/**
+ * Get groups of current user
+ * GET /api/chat/groups
+ */
+const getUserGroups = asyncHandler(async (req, res) => {
+  const userId = req.user._id.toString();
+
+  try {
+    await sessionService.trackActivity(userId, extractMetadata(req));
+
+    const result = await groupService.getUserGroups(userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Groups retrieved successfully',
+      data: result.data,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error getting user groups:', error, { userId });
+    throw error;
+  }
+});
+
+/**
+ * Get group details
+ * GET /api/chat/groups/:groupId
+ */
+const getGroup = asyncHandler(async (req, res) => {
+  const userId = req.user._id.toString();
+  const { groupId } = req.params;
+
+  try {
+    await sessionService.trackActivity(userId, extractMetadata(req));
+
+    const result = await groupService.getGroup(groupId, userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Group retrieved successfully',
+      data: result.data,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error getting group:', error, { userId, groupId });
+    throw error;
+  }
+});
+
+/**
+ * Update group name, description or avatar
+ * PATCH /api/chat/groups/:groupId
+ */
+const updateGroup = asyncHandler(async (req, res) => {
+  const userId = req.user._id.toString();
+  const { groupId } = req.params;
+
+  try {
+    await sessionService.trackActivity(userId, extractMetadata(req));
+
+    const result = await groupService.updateGroup(groupId, userId, req.body);
+    const group = result.data;
+
+    webSocketController.notifyGroupUpdate(
+      groupId,
+      group.members.map(member => member.userId.toString()),
+      { action: 'updated', group }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      data: group,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error updating group:', error, { userId, groupId });
+    throw error;
+  }
+});
+
+/**
+ * Add members to a group
+ * POST /api/chat/groups/:groupId/members
+ */
+const addMembers = asyncHandler(async (req, res) => {
+  const userId = req.user._id.toString();
+  const { groupId } = req.params;
+  const { memberIds } = req.body;
+
+  try {
+    await sessionService.trackActivity(userId, extractMetadata(req));
+
+    const result = await groupService.addMembers(groupId, userId, memberIds);
+    const { group, addedMemberIds } = result.data;
+
+    webSocketController.notifyGroupUpdate(
+      groupId,
+      group.members.map(member => member.userId.toString()),
+      { action: 'members-added', memberIds: addedMemberIds, group }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      data: result.data,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error adding group members:', error, { userId, groupId });
+    throw error;
+  }
+});
+
+/**
+ * Remove a member from a group
+ * DELETE /api/chat/groups/:groupId/members/:memberId
+ */
+const removeMember = asyncHandler(async (req, res) => {
+  const userId = req.user._id.toString();
+  const { groupId, memberId } = req.params;
+
+  try {
+    await sessionService.trackActivity(userId, extractMetadata(req));
+
+    const result = await groupService.removeMember(groupId, userId, memberId);
+    const group = result.data;
+
+    webSocketController.notifyGroupUpdate(
+      groupId,
+      group.members.map(member => member.userId.toString()),
+      { action: 'member-removed', memberId, group },
+      [memberId]
+    );
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      data: group,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error removing group member:', error, { userId, groupId, memberId });
+    throw error;
+  }
+});
+
+/**
+ * Change a member's role
+ * PATCH /api/chat/groups/:groupId/members/:memberId
+ */
+const updateMemberRole = asyncHandler(async (req, res) => {
+  const userId = req.user._id.toString();
+  const { groupId, memberId } = req.params;
+  const { role } = req.body;
+
+  try {
+    await sessionService.trackActivity(userId, extractMetadata(req));
+
+    const result = await groupService.updateMemberRole(groupId, userId, memberId, role);
+    const group = result.data;
+
+    webSocketController.notifyGroupUpdate(
+      groupId,
+      group.members.map(member => member.userId.toString()),
+      { action: 'role-updated', memberId, role, group }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      data: group,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error updating member role:', error, { userId, groupId, memberId });
+    throw error;
+  }
+});
+
+/**
+ * Leave a group
+ * POST /api/chat/groups/:groupId/leave
+ */
+const leaveGroup = asyncHandler(async (req, res) => {
+  const userId = req.user._id.toString();
+  const { groupId } = req.params;
+
+  try {
+    await sessionService.trackActivity(userId, extractMetadata(req));
+
+    const result = await groupService.leaveGroup(groupId, userId);
+
+    webSocketController.notifyGroupUpdate(
+      groupId,
+      result.data.remainingMemberIds,
+      { action: 'member-left', memberId: userId, newOwnerId: result.data.newOwnerId },
+      [userId]
+    );
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      data: result.data,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error leaving group:', error, { userId, groupId });
+    throw error;
+  }
+});
+
+/**
+ * Dissolve a group
+ * DELETE /api/chat/groups/:groupId
+ */
+const dissolveGroup = asyncHandler(async (req, res) => {
+  const userId = req.user._id.toString();
+  const { groupId } = req.params;
+
+  try {
+    await sessionService.trackActivity(userId, extractMetadata(req));
+
+    const result = await groupService.dissolveGroup(groupId, userId);
+
+    webSocketController.notifyGroupUpdate(
+      groupId,
+      [],
+      { action: 'dissolved' },
+      result.data.formerMemberIds
+    );
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      data: { groupId },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error dissolving group:', error, { userId, groupId });
+    throw error;
+  }
+});
+
+module.exports = {
+  createGroup,
+  getUserGroups,
+  getGroup,
+  updateGroup,
+  addMembers,
+  removeMember,
+  updateMemberRole,
+  leaveGroup,
+  dissolveGroup
+};
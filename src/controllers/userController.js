@@ -0,0 +1,355 @@
+/**
+ * User Controller
+ * HTTP request handlers for profile endpoints
+ *
+ * @description Presentation layer for profile updates, avatars and profile lookups
+ * @author Chat App Team
+ * @version 1.0.0
+ */
+
+const { pipeline } = require('stream');
+const userService = require('../services/userService');
+const sessionService = require('../services/sessionService');
+const webSocketController = require('../websocket/websocketController');
+const logger = require('../utils/logger');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Extract device and request metadata
+ * @param {Object} req - Express request object
+ * @returns {Object} Metadata object
+ */
+const extractMetadata = (req) => ({
+  deviceId: req.deviceId,
+  platform: req.get('Platform') || 'web',
+  userAgent: req.get('User-Agent') || '',
+  ipAddress: req.ip || req.connection.remoteAddress || ''
+});
+
+/**
+ * Notify everyone the user has a relationship with about a profile change
+ * @param {string} userId - User ID
+ * @param {Object} profile - Updated profile from userService
+ */
+const broadcastProfileUpdate = async (userId, profile) => {
+  try {
+    const [relationships, hiddenIds] = await Promise.all([
+      userService.getRelationships(userId),
+      userService.getHiddenUserIds(userId)
+    ]);
+    const recipientIds = [...relationships.keys()].filter(id => !hiddenIds.includes(id));
+    webSocketController.emitProfileUpdate(userId, profile.profile, recipientIds);
+  } catch (error) {
+    // The update itself succeeded; clients pick up the change on next load
+    logger.warn('Failed to broadcast profile update', { userId, error: error.message });
+  }
+};
+
+/**
+ * Update display name and bio
+ * PATCH /api/users/me/profile
+ */
+const updateProfile = asyncHandler(async (req, res) => {
+  const userId = req.user._id.toString();
+
+  try {
+    await sessionService.trackActivity(userId, extractMetadata(req));
+
+    const result = await userService.updateProfile(userId, req.body);
+    await broadcastProfileUpdate(userId, result.data);
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      data: result.data,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error updating profile:', error, { userId });
+    throw error;
+  }
+});
+
+/**
+ * Update privacy settings
+ * PATCH /api/users/me/privacy
+ */
+const updatePrivacy = asyncHandler(async (req, res) => {
+  const userId = req.user._id.toString();
+
+  try {
+    await sessionService.trackActivity(userId, extractMetadata(req));
+
+    const result = await userService.updatePrivacy(userId, req.body);
+
+    // Watchers who lost or gained access see the change right away
+    await webSocketController.refreshPresence(userId);
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      data: result.data,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error updating privacy settings:', error, { userId });
+    throw error;
+  }
+});
+
+/**
+ * Upload a new avatar (multipart/form-data, field "avatar")
+ * PUT /api/users/me/avatar
+ */
+const uploadAvatar = asyncHandler(async (req, res) => {
+  const userId = req.user._id.toString();
+
+  try {
+    await sessionService.trackActivity(userId, extractMetadata(req));
+
+    const result = await userService.updateAvatar(userId, req);
+    await broadcastProfileUpdate(userId, result.data);
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      data: result.data,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error uploading avatar:', error, { userId });
+    throw error;
+  }
+});
+
+/**
+ * Remove the avatar
+ * DELETE /api/users/me/avatar
+ */
+const removeAvatar = asyncHandler(async (req, res) => {
+  const userId = req.user._id.toString();
+
+  try {
+    await sessionService.trackActivity(userId, extractMetadata(req));
+
+    const result = await userService.removeAvatar(userId);
+    await broadcastProfileUpdate(userId, result.data);
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      data: result.data,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error removing avatar:', error, { userId });
+    throw error;
+  }
+});
+
+/**
+ * Get a user's profile
+ * GET /api/users/:userId
+ */
+const getUserProfile = asyncHandler(async (req, res) => {
+  const viewerId = req.user._id.toString();
+  const { userId } = req.params;
+
+  try {
+    await sessionService.trackActivity(viewerId, extractMetadata(req));
+
+    const result = await userService.getUserProfile(userId, viewerId);
+
+    res.status(200).json({
+      success: true,
+      message: 'User profile retrieved successfully',
+      data: result.data,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error getting user profile:', error, { userId, viewerId });
+    throw error;
+  }
+});
+
+/**
+ * Download an avatar rendition
+ * GET /api/users/:userId/avatar/:size
+ */
+const getAvatar = asyncHandler(async (req, res) => {
+  const { userId, size } = req.params;
+
+  const { stream, version } = await userService.getAvatarStream(userId, size);
+
+  // Avatar URLs carry the version, so a rendition never changes once served
+  res.status(200).set({
+    'Content-Type': 'image/webp',
+    'Cache-Control': 'private, max-age=31536000, immutable',
+    ETag: `"${version}-${size}"`
+  });
+
+  pipeline(stream, res, (error) => {
+    if (error) {
+      logger.warn('Avatar download interrupted', { userId, size, error: error.message });
+    }
+  });
+});
+
+/**
+ * List blocked and muted users
+ * GET /api/users/me/blocked
+ */
+const getBlockedUsers = asyncHandler(async (req, res) => {
+  const userId = req.user._id.toString();
+
+  try {
+    await sessionService.trackActivity(userId, extractMetadata(req));
+
+    const result = await userService.getBlockedAndMuted(userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Blocked and muted users retrieved successfully',
+      data: result.data,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error getting blocked users:', error, { userId });
+    throw error;
+  }
+});
+
+/**
+ * Block a user
+ * POST /api/users/:userId/block
+ */
+const blockUser = asyncHandler(async (req, res) => {
+  const userId = req.user._id.toString();
+  const { userId: targetId } = req.params;
+
+  try {
+    await sessionService.trackActivity(userId, extractMetadata(req));
+
+    const { changed, ...data } = (await userService.blockUser(userId, targetId)).data;
+
+    // Both users disappear from each other's presence
+    if (changed) {
+      webSocketController.emitPresenceHidden(userId, targetId);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'User blocked successfully',
+      data,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error blocking user:', error, { userId, targetId });
+    throw error;
+  }
+});
+
+/**
+ * Unblock a user
+ * DELETE /api/users/:userId/block
+ */
+const unblockUser = asyncHandler(async (req, res) => {
+  const userId = req.user._id.toString();
+  const { userId: targetId } = req.params;
+
+  try {
+    await sessionService.trackActivity(userId, extractMetadata(req));
+
+    const { changed, ...data } = (await userService.unblockUser(userId, targetId)).data;
+
+    if (changed) {
+      await webSocketController.emitPresenceRestored(userId, targetId);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'User unblocked successfully',
+      data,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error unblocking user:', error, { userId, targetId });
+    throw error;
+  }
+});
+
+/**
+ * Mute a user, optionally for a number of minutes
+ * POST /api/users/:userId/mute
+ */
+const muteUser = asyncHandler(async (req, res) => {
+  const userId = req.user._id.toString();
+  const { userId: targetId } = req.params;
+  const { durationMinutes } = req.body;
+
+  try {
+    await sessionService.trackActivity(userId, extractMetadata(req));
+
+    const mutedUntil = durationMinutes ? new Date(Date.now() + durationMinutes * 60 * 1000) : null;
+    const result = await userService.muteUser(userId, targetId, mutedUntil);
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      data: result.data,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error muting user:', error, { userId, targetId });
+    throw error;
+  }
+});
+
+/**
+ * Unmute a user
+ * DELETE /api/users/:userId/mute
+ */
+const unmuteUser = asyncHandler(async (req, res) => {
+  const userId = req.user._id.toString();
+  const { userId: targetId } = req.params;
+
+  try {
+    await sessionService.trackActivity(userId, extractMetadata(req));
+
+    const result = await userService.unmuteUser(userId, targetId);
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      data: result.data,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error unmuting user:', error, { userId, targetId });
+    throw error;
+  }
+});
+
+module.exports = {
+  updateProfile,
+  updatePrivacy,
+  uploadAvatar,
+  removeAvatar,
+  getUserProfile,
+  getAvatar,
+  getBlockedUsers,
+  blockUser,
+  unblockUser,
+  muteUser,
+  unmuteUser
+};
@@ -59,6 +59,16 @@ const authenticate = async (req, res, next) => {
     // Verify access token
     const { user, decoded } = await authService.verifyAccessToken(token);
 
+    // Check if the token was revoked (e.g. by logout)
+    if (await sessionService.isTokenRevoked(decoded.jti)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access token has been revoked',
+        error: 'TOKEN_REVOKED',
+        timestamp: new Date().toISOString()
+      });
+    }
+
     // Check if user account is active
     if (!user.isActive) {
       return res.status(401).json({
@@ -81,6 +91,7 @@ const authenticate = async (req, res, next) => {
 
     // Track user activity for session management
     await sessionService.trackActivity(user._id.toString(), {
+      deviceId: decoded.did,
       userAgent: req.get('User-Agent'),
       ipAddress: req.ip || req.connection.remoteAddress,
       platform: req.get('Platform') || 'web'
@@ -90,6 +101,7 @@ const authenticate = async (req, res, next) => {
     req.user = user;
     req.token = token;
     req.decodedToken = decoded;
+    req.deviceId = decoded.did;
 
     // Log successful authentication
     logger.debug('User authenticated successfully', {
@@ -149,14 +161,17 @@ const optionalAuth = async (req, res, next) => {
     if (token) {
       try {
         const { user, decoded } = await authService.verifyAccessToken(token);
-        
-        if (user.isActive && !user.isAccountLocked) {
+        const revoked = await sessionService.isTokenRevoked(decoded.jti);
+
+        if (!revoked && user.isActive && !user.isAccountLocked) {
           req.user = user;
           req.token = token;
           req.decodedToken = decoded;
+          req.deviceId = decoded.did;
 
           // Track activity
           await sessionService.trackActivity(user._id.toString(), {
+            deviceId: decoded.did,
             userAgent: req.get('User-Agent'),
             ipAddress: req.ip || req.connection.remoteAddress,
             platform: req.get('Platform') || 'web'
@@ -191,11 +206,11 @@ const validateSession = async (req, res, next) => {
       });
     }
 
-    const sessionStatus = await sessionService.checkSessionStatus(req.user._id.toString());
+    const sessionStatus = await sessionService.checkSessionStatus(req.user._id.toString(), req.deviceId);
 
     if (!sessionStatus.isActive) {
       // Session has timed out
-      await sessionService.handleSessionTimeout(req.user._id.toString());
+      await sessionService.handleSessionTimeout(req.user._id.toString(), req.deviceId);
 
       return res.status(401).json({
         success: false,
@@ -343,33 +358,31 @@ const authorize = (roles = []) => {
 
 /**
  * Rate limiting by user
+ * Counters are kept in the session store, so limits hold across restarts and
+ * server instances. Each route using the limiter gets its own counter.
  * @param {number} maxRequests - Maximum requests per window
  * @param {number} windowMs - Time window in milliseconds
  * @returns {Function} Express middleware
  */
 const rateLimitByUser = (maxRequests = 100, windowMs = 15 * 60 * 1000) => {
-  const userRequestCounts = new Map();
-
-  return (req, res, next) => {
+  return async (req, res, next) => {
     const userId = req.user?._id?.toString() || req.ip;
+    const route = `${req.method} ${req.baseUrl}${req.route?.path || req.path}`;
     const now = Date.now();
-    
-    if (!userRequestCounts.has(userId)) {
-      userRequestCounts.set(userId, { count: 0, resetTime: now + windowMs });
-    }
 
-    const userLimits = userRequestCounts.get(userId);
-
-    // Reset count if window has expired
-    if (now > userLimits.resetTime) {
-      userLimits.count = 0;
-      userLimits.resetTime = now + windowMs;
+    let userLimits;
+    try {
+      userLimits = await sessionService.countRequest(`user:${route}:${userId}`, windowMs);
+    } catch (error) {
+      // Do not turn a store outage into an outage of every limited route
+      logger.error('Rate limit store error:', error, { userId, path: req.path });
+      return next();
     }
 
     // Check if limit exceeded
-    if (userLimits.count >= maxRequests) {
+    if (userLimits.count > maxRequests) {
       const resetIn = Math.ceil((userLimits.resetTime - now) / 1000);
-      
+
       logger.warn('Rate limit exceeded', {
         userId,
         ip: req.ip,
@@ -387,9 +400,6 @@ const rateLimitByUser = (maxRequests = 100, windowMs = 15 * 60 * 1000) => {
       });
     }
 
-    // Increment count
-    userLimits.count++;
-
     // Set headers
     res.setHeader('X-RateLimit-Limit', maxRequests);
     res.setHeader('X-RateLimit-Remaining', Math.max(0, maxRequests - userLimits.count));
@@ -361,6 +361,12 @@ const createError = {
   conflict: (message = 'Resource conflict', details = null) => 
     new AppError(message, 409, ERROR_TYPES.VALIDATION_ERROR, details),
   
+  payloadTooLarge: (message = 'Payload too large', details = null) => 
+    new AppError(message, 413, ERROR_TYPES.VALIDATION_ERROR, details),
+  
+  unsupportedMediaType: (message = 'Unsupported media type', details = null) => 
+    new AppError(message, 415, ERROR_TYPES.VALIDATION_ERROR, details),
+  
   tooManyRequests: (message = 'Too many requests', details = null) => 
     new AppError(message, 429, ERROR_TYPES.RATE_LIMIT, details),
   
@@ -0,0 +1,181 @@
+/**
+ * Attachment Data Model
+ * MongoDB schema for uploaded files referenced by messages
+ *
+ * @description Attachment entity tracking stored file location, detected
+ * type, ownership and the message it was sent with
+ * @author Chat App Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const { ATTACHMENT_CATEGORIES } = require('../utils/mimeSniffer');
+
+const ATTACHMENT_STATUS = {
+  PENDING: 'pending',
+  ATTACHED: 'attached'
+};
+
+/**
+ * Attachment Schema Definition
+ * An attachment is uploaded first (pending) and then claimed by exactly one message.
+ */
+const attachmentSchema = new mongoose.Schema({
+  // Uploader
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner ID is required'],
+    index: true
+  },
+
+  // Storage location
+  storage: {
+    driver: {
+      type: String,
+      required: true
+    },
+    key: {
+      type: String,
+      required: true,
+      unique: true
+    }
+  },
+
+  // File details
+  fileName: {
+    type: String,
+    required: [true, 'File name is required'],
+    trim: true,
+    maxlength: [255, 'File name cannot exceed 255 characters']
+  },
+
+  mimeType: {
+    type: String,
+    required: true
+  },
+
+  category: {
+    type: String,
+    enum: Object.values(ATTACHMENT_CATEGORIES),
+    required: true
+  },
+
+  size: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  checksum: {
+    type: String,
+    required: true
+  },
+
+  // Message linkage
+  status: {
+    type: String,
+    enum: Object.values(ATTACHMENT_STATUS),
+    default: ATTACHMENT_STATUS.PENDING,
+    index: true
+  },
+
+  messageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null,
+    index: true
+  },
+
+  // Metadata
+  metadata: {
+    createdAt: {
+      type: Date,
+      default: Date.now,
+      immutable: true
+    },
+    attachedAt: {
+      type: Date,
+      default: null
+    }
+  }
+}, {
+  timestamps: false, // We handle this manually
+  versionKey: false,
+  collection: 'attachments'
+});
+
+/**
+ * Virtual properties
+ */
+attachmentSchema.virtual('url').get(function() {
+  return `/api/chat/attachments/${this._id}`;
+});
+
+/**
+ * Post-save middleware
+ */
+attachmentSchema.post('save', function(doc) {
+  logger.logDatabase('ATTACHMENT_SAVED', 'attachments', {
+    attachmentId: doc._id,
+    ownerId: doc.ownerId,
+    mimeType: doc.mimeType,
+    size: doc.size,
+    status: doc.status
+  });
+});
+
+/**
+ * Instance Methods
+ */
+
+/**
+ * Convert to the shape embedded in messages
+ * @returns {Object} Message attachment entry
+ */
+attachmentSchema.methods.toMessageAttachment = function() {
+  return {
+    attachmentId: this._id,
+    fileName: this.fileName,
+    fileUrl: this.url,
+    fileSize: this.size,
+    mimeType: this.mimeType,
+    uploadedAt: this.metadata.createdAt
+  };
+};
+
+/**
+ * Static Methods
+ */
+
+/**
+ * Get total bytes stored by a user
+ * Pending uploads count too, so unsent files cannot be used to bypass the
+ * quota; they are deleted after UPLOAD_PENDING_TTL_HOURS.
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Total bytes
+ */
+attachmentSchema.statics.getUserUsage = async function(userId) {
+  const [usage] = await this.aggregate([
+    { $match: { ownerId: new mongoose.Types.ObjectId(userId.toString()) } },
+    { $group: { _id: null, totalBytes: { $sum: '$size' } } }
+  ]);
+
+  return usage ? usage.totalBytes : 0;
+};
+
+/**
+ * Instance method to return safe JSON (without storage internals)
+ */
+attachmentSchema.methods.toJSON = function() {
+  const attachment = this.toObject({ virtuals: true });
+  delete attachment.storage;
+  delete attachment.id;
+  return attachment;
+};
+
+const Attachment = mongoose.model('Attachment', attachmentSchema);
+
+module.exports = Attachment;
+module.exports.ATTACHMENT_STATUS = ATTACHMENT_STATUS;
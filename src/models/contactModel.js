@@ -0,0 +1,128 @@
+/**
+ * Contact Data Model
+ * MongoDB schema for users saved to someone's contact list
+ *
+ * @description Contact entity linking an owner to a registered user, with
+ * an optional local nickname and how the contact was added
+ * @author Chat App Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+const CONTACT_SOURCES = {
+  SYNC: 'sync',
+  MANUAL: 'manual'
+};
+
+/**
+ * Contact Schema Definition
+ * One document per (owner, contact) pair; the contact list is private to its owner.
+ */
+const contactSchema = new mongoose.Schema({
+  // User whose contact list this entry belongs to
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner ID is required']
+  },
+
+  // Registered user saved as a contact
+  contactUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Contact user ID is required']
+  },
+
+  // Name the owner gave the contact, shown instead of the display name
+  nickname: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Nickname cannot exceed 50 characters'],
+    default: null
+  },
+
+  source: {
+    type: String,
+    enum: Object.values(CONTACT_SOURCES),
+    default: CONTACT_SOURCES.MANUAL
+  },
+
+  // Whether the owner knew the phone number (added by number or matched from
+  // the address book); contacts added by user ID do not reveal it
+  knowsPhoneNumber: {
+    type: Boolean,
+    default: false
+  },
+
+  metadata: {
+    createdAt: {
+      type: Date,
+      default: Date.now,
+      immutable: true
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }
+}, {
+  timestamps: false, // We handle this manually in metadata
+  versionKey: false,
+  collection: 'contacts'
+});
+
+/**
+ * Indexes for performance optimization
+ */
+contactSchema.index({ ownerId: 1, contactUserId: 1 }, { unique: true });
+contactSchema.index({ contactUserId: 1 });
+
+/**
+ * Pre-save middleware
+ */
+contactSchema.pre('save', function(next) {
+  this.metadata.updatedAt = new Date();
+  next();
+});
+
+/**
+ * Static Methods
+ */
+
+/**
+ * Get IDs of the users in someone's contact list
+ * @param {string} ownerId - Owner user ID
+ * @returns {Promise<Array<string>>} Contact user IDs
+ */
+contactSchema.statics.getContactIds = async function(ownerId) {
+  const contacts = await this.find({ ownerId }).select('contactUserId').lean();
+  return contacts.map(contact => contact.contactUserId.toString());
+};
+
+/**
+ * Get IDs of users who have a user in their contact list
+ * These are the users subscribed to the user's presence.
+ * @param {string} userId - Contact user ID
+ * @returns {Promise<Array<string>>} Owner user IDs
+ */
+contactSchema.statics.getWatcherIds = async function(userId) {
+  const contacts = await this.find({ contactUserId: userId }).select('ownerId').lean();
+  return contacts.map(contact => contact.ownerId.toString());
+};
+
+/**
+ * Check whether a user is in someone's contact list
+ * @param {string} ownerId - Owner user ID
+ * @param {string} userId - Candidate contact user ID
+ * @returns {Promise<boolean>}
+ */
+contactSchema.statics.isContact = async function(ownerId, userId) {
+  return !!(await this.exists({ ownerId, contactUserId: userId }));
+};
+
+// Create and export the model
+const Contact = mongoose.model('Contact', contactSchema);
+
+module.exports = Contact;
+module.exports.CONTACT_SOURCES = CONTACT_SOURCES;
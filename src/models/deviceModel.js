@@ -0,0 +1,275 @@
+/**
+ * Device Data Model
+ * MongoDB schema for devices signed in to an account
+ *
+ * @description Device entity created on login or registration. Tokens carry
+ * the device ID, so removing a device signs it out without affecting the
+ * user's other devices. Each device holds one refresh token family: only the
+ * hash of the latest refresh token is valid.
+ * @author Chat App Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Device Schema Definition
+ * One document per (user, device) pair
+ */
+const deviceSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+
+  // Client-provided or server-generated identifier, stable across logins
+  deviceId: {
+    type: String,
+    required: [true, 'Device ID is required'],
+    trim: true,
+    maxlength: [64, 'Device ID cannot exceed 64 characters']
+  },
+
+  platform: {
+    type: String,
+    default: 'unknown'
+  },
+
+  userAgent: {
+    type: String,
+    default: ''
+  },
+
+  ipAddress: {
+    type: String,
+    default: ''
+  },
+
+  lastActiveAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Set when the device's session times out; cleared once the PIN is verified
+  pinRequired: {
+    type: Boolean,
+    default: false
+  },
+
+  // Current refresh token family; older tokens of the family are spent
+  refreshToken: {
+    familyId: {
+      type: String,
+      default: null
+    },
+    tokenHash: {
+      type: String,
+      default: null
+    },
+    issuedAt: {
+      type: Date,
+      default: null
+    },
+    rotatedAt: {
+      type: Date,
+      default: null
+    }
+  },
+
+  metadata: {
+    createdAt: {
+      type: Date,
+      default: Date.now,
+      immutable: true
+    },
+    lastLoginAt: {
+      type: Date,
+      default: Date.now
+    }
+  }
+}, {
+  timestamps: false, // We handle this manually in metadata
+  versionKey: false,
+  collection: 'devices'
+});
+
+/**
+ * Indexes for performance optimization
+ */
+deviceSchema.index({ userId: 1, deviceId: 1 }, { unique: true });
+deviceSchema.index({ userId: 1, lastActiveAt: -1 });
+
+/**
+ * Static Methods
+ */
+
+/**
+ * Create or refresh a device on login
+ * @param {string} userId - User ID
+ * @param {string} deviceId - Device ID
+ * @param {Object} deviceInfo - { platform, userAgent, ipAddress }
+ * @returns {Promise<Object>} Device document
+ */
+deviceSchema.statics.register = async function(userId, deviceId, deviceInfo = {}) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    { userId, deviceId },
+    {
+      $set: {
+        platform: deviceInfo.platform || 'unknown',
+        userAgent: deviceInfo.userAgent || '',
+        ipAddress: deviceInfo.ipAddress || '',
+        lastActiveAt: now,
+        'metadata.lastLoginAt': now
+      }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Record activity on a device
+ * @param {string} userId - User ID
+ * @param {string} deviceId - Device ID
+ * @param {Object} activityData - { userAgent, ipAddress }
+ * @returns {Promise<void>}
+ */
+deviceSchema.statics.touch = async function(userId, deviceId, activityData = {}) {
+  const update = { lastActiveAt: new Date() };
+
+  if (activityData.userAgent) {
+    update.userAgent = activityData.userAgent;
+  }
+  if (activityData.ipAddress) {
+    update.ipAddress = activityData.ipAddress;
+  }
+
+  await this.updateOne({ userId, deviceId }, { $set: update });
+};
+
+/**
+ * Check whether a device is still signed in
+ * With issuedAt, a token issued before the device's current sign-in (e.g.
+ * before it was revoked and signed in again) does not count.
+ * @param {string} userId - User ID
+ * @param {string} deviceId - Device ID
+ * @param {number} issuedAt - Token iat claim in seconds (optional)
+ * @returns {Promise<boolean>}
+ */
+deviceSchema.statics.isSignedIn = async function(userId, deviceId, issuedAt = null) {
+  if (!deviceId) {
+    return false;
+  }
+
+  const filter = { userId, deviceId };
+  if (issuedAt) {
+    filter['metadata.createdAt'] = { $lt: new Date((issuedAt + 1) * 1000) };
+  }
+
+  return !!(await this.exists(filter));
+};
+
+/**
+ * Lock or unlock a device pending PIN re-entry
+ * The lock outlives the device's session, so it cannot be lost when the
+ * session is removed from the session store.
+ * @param {string} userId - User ID
+ * @param {string} deviceId - Device ID
+ * @param {boolean} pinRequired - Whether the PIN must be entered again
+ * @returns {Promise<void>}
+ */
+deviceSchema.statics.setPinRequired = async function(userId, deviceId, pinRequired) {
+  await this.updateOne({ userId, deviceId }, { $set: { pinRequired } });
+};
+
+/**
+ * Start a new refresh token family on a device
+ * Any token of the previous family stops working.
+ * @param {string} userId - User ID
+ * @param {string} deviceId - Device ID
+ * @param {string} familyId - New family ID
+ * @param {string} tokenHash - Hash of the family's first refresh token
+ * @returns {Promise<void>}
+ */
+deviceSchema.statics.startTokenFamily = async function(userId, deviceId, familyId, tokenHash) {
+  await this.updateOne(
+    { userId, deviceId },
+    {
+      $set: {
+        refreshToken: {
+          familyId,
+          tokenHash,
+          issuedAt: new Date(),
+          rotatedAt: null
+        }
+      }
+    }
+  );
+};
+
+/**
+ * Replace the current refresh token of a family
+ * Succeeds only for the current token, so each token can be used once.
+ * @param {string} userId - User ID
+ * @param {string} deviceId - Device ID
+ * @param {string} familyId - Family ID from the token
+ * @param {string} tokenHash - Hash of the presented token
+ * @param {string} nextTokenHash - Hash of the replacement token
+ * @returns {Promise<boolean>} False if the token is not the current one
+ */
+deviceSchema.statics.rotateRefreshToken = async function(userId, deviceId, familyId, tokenHash, nextTokenHash) {
+  const now = new Date();
+
+  const { modifiedCount } = await this.updateOne(
+    {
+      userId,
+      deviceId,
+      'refreshToken.familyId': familyId,
+      'refreshToken.tokenHash': tokenHash
+    },
+    {
+      $set: {
+        'refreshToken.tokenHash': nextTokenHash,
+        'refreshToken.rotatedAt': now,
+        lastActiveAt: now
+      }
+    }
+  );
+
+  return modifiedCount === 1;
+};
+
+/**
+ * Revoke a refresh token family by signing its device out
+ * @param {string} userId - User ID
+ * @param {string} deviceId - Device ID
+ * @param {string} familyId - Family ID
+ * @returns {Promise<boolean>} True if the family was still active
+ */
+deviceSchema.statics.revokeTokenFamily = async function(userId, deviceId, familyId) {
+  const { deletedCount } = await this.deleteOne({
+    userId,
+    deviceId,
+    'refreshToken.familyId': familyId
+  });
+
+  return deletedCount === 1;
+};
+
+/**
+ * Transform output
+ */
+deviceSchema.methods.toJSON = function() {
+  const device = this.toObject();
+  delete device._id;
+  delete device.userId;
+  delete device.refreshToken;
+  return device;
+};
+
+// Create and export the model
+const Device = mongoose.model('Device', deviceSchema);
+
+module.exports = Device;
@@ -0,0 +1,317 @@
+/**
+ * Group Data Model
+ * MongoDB schema for group conversations with role-based membership
+ *
+ * @description Group entity with owner, admins, members and lifecycle state
+ * @author Chat App Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+
+/**
+ * Member roles ordered by privilege
+ */
+const GROUP_ROLES = {
+  OWNER: 'owner',
+  ADMIN: 'admin',
+  MEMBER: 'member'
+};
+
+const MAX_GROUP_MEMBERS = 256;
+
+/**
+ * Group member sub-schema
+ */
+const memberSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Member user ID is required']
+  },
+  role: {
+    type: String,
+    enum: Object.values(GROUP_ROLES),
+    default: GROUP_ROLES.MEMBER
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+/**
+ * Group Schema Definition
+ */
+const groupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Group name is required'],
+    trim: true,
+    minlength: [1, 'Group name cannot be empty'],
+    maxlength: [100, 'Group name cannot exceed 100 characters']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: ''
+  },
+
+  avatar: {
+    type: String,
+    default: null
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Group owner is required'],
+    index: true
+  },
+
+  members: {
+    type: [memberSchema],
+    validate: {
+      validator: function(v) {
+        return v.length <= MAX_GROUP_MEMBERS;
+      },
+      message: `Group cannot have more than ${MAX_GROUP_MEMBERS} members`
+    }
+  },
+
+  // Lifecycle flags
+  flags: {
+    isDissolved: {
+      type: Boolean,
+      default: false,
+      index: true
+    }
+  },
+
+  // Metadata
+  metadata: {
+    createdAt: {
+      type: Date,
+      default: Date.now,
+      immutable: true
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now
+    },
+    dissolvedAt: {
+      type: Date,
+      default: null
+    },
+    dissolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  }
+}, {
+  timestamps: false, // We handle this manually
+  versionKey: false,
+  collection: 'groups'
+});
+
+/**
+ * Indexes for performance optimization
+ */
+groupSchema.index({ 'members.userId': 1, 'flags.isDissolved': 1 });
+groupSchema.index({ 'metadata.createdAt': -1 });
+
+/**
+ * Virtual properties
+ */
+groupSchema.virtual('memberCount').get(function() {
+  return this.members ? this.members.length : 0;
+});
+
+/**
+ * Pre-save middleware
+ */
+groupSchema.pre('save', function(next) {
+  this.metadata.updatedAt = new Date();
+  next();
+});
+
+/**
+ * Post-save middleware
+ */
+groupSchema.post('save', function(doc) {
+  logger.logDatabase('GROUP_SAVED', 'groups', {
+    groupId: doc._id,
+    owner: doc.owner,
+    memberCount: doc.members.length,
+    isDissolved: doc.flags.isDissolved
+  });
+});
+
+/**
+ * Instance Methods
+ */
+
+/**
+ * Find a member entry by user ID
+ * @param {string} userId - User ID
+ * @returns {Object|undefined} Member entry
+ */
+groupSchema.methods.getMember = function(userId) {
+  return this.members.find(member => member.userId.toString() === userId.toString());
+};
+
+/**
+ * Check whether a user belongs to the group
+ * @param {string} userId - User ID
+ * @returns {boolean}
+ */
+groupSchema.methods.isMember = function(userId) {
+  return !!this.getMember(userId);
+};
+
+/**
+ * Get role of a user in the group
+ * @param {string} userId - User ID
+ * @returns {string|null} Role or null if not a member
+ */
+groupSchema.methods.getRole = function(userId) {
+  const member = this.getMember(userId);
+  return member ? member.role : null;
+};
+
+/**
+ * Check whether a user can manage the group (owner or admin)
+ * @param {string} userId - User ID
+ * @returns {boolean}
+ */
+groupSchema.methods.isAdmin = function(userId) {
+  return [GROUP_ROLES.OWNER, GROUP_ROLES.ADMIN].includes(this.getRole(userId));
+};
+
+/**
+ * Get member user IDs as strings
+ * @returns {Array<string>}
+ */
+groupSchema.methods.getMemberIds = function() {
+  return this.members.map(member => member.userId.toString());
+};
+
+/**
+ * Static Methods
+ */
+
+/**
+ * Find an active (not dissolved) group
+ * @param {string} groupId - Group ID
+ * @returns {Promise<Object|null>}
+ */
+groupSchema.statics.findActiveById = function(groupId) {
+  return this.findOne({
+    _id: groupId,
+    'flags.isDissolved': false
+  }).exec();
+};
+
+/**
+ * Get active groups a user belongs to
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>}
+ */
+groupSchema.statics.getUserGroups = function(userId) {
+  return this.find({
+    'members.userId': userId,
+    'flags.isDissolved': false
+  })
+  .sort({ 'metadata.updatedAt': -1 })
+  .exec();
+};
+
+/**
+ * Get IDs of active groups a user belongs to
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Group ObjectIds
+ */
+groupSchema.statics.getUserGroupIds = async function(userId) {
+  const groups = await this.find({
+    'members.userId': userId,
+    'flags.isDissolved': false
+  }).select('_id').lean();
+
+  return groups.map(group => group._id);
+};
+
+/**
+ * Get a user's active group memberships
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} [{ groupId, joinedAt }]
+ */
+groupSchema.statics.getUserMemberships = async function(userId) {
+  const groups = await this.find({
+    'members.userId': userId,
+    'flags.isDissolved': false
+  }).select('_id members.userId members.joinedAt').lean();
+
+  return groups.map((group) => {
+    const member = group.members.find(entry => entry.userId.toString() === userId.toString());
+    return {
+      groupId: group._id,
+      joinedAt: member ? member.joinedAt : null
+    };
+  });
+};
+
+/**
+ * Get IDs of users who share at least one active group with a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<string>>} Distinct member IDs, excluding the user
+ */
+groupSchema.statics.getCoMemberIds = async function(userId) {
+  const groups = await this.find({
+    'members.userId': userId,
+    'flags.isDissolved': false
+  }).select('members.userId').lean();
+
+  const memberIds = new Set();
+  groups.forEach(group => group.members.forEach(member => memberIds.add(member.userId.toString())));
+  memberIds.delete(userId.toString());
+
+  return [...memberIds];
+};
+
+/**
+ * Check membership without loading the full document
+ * @param {string} groupId - Group ID
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>}
+ */
+groupSchema.statics.isActiveMember = async function(groupId, userId) {
+  const count = await this.countDocuments({
+    _id: groupId,
+    'members.userId': userId,
+    'flags.isDissolved': false
+  });
+
+  return count > 0;
+};
+
+/**
+ * Transform output
+ */
+groupSchema.methods.toJSON = function() {
+  return this.toObject({ virtuals: true });
+};
+
+// Create and export the model
+const Group = mongoose.model('Group', groupSchema);
+
+module.exports = Group;
+module.exports.GROUP_ROLES = GROUP_ROLES;
+module.exports.MAX_GROUP_MEMBERS = MAX_GROUP_MEMBERS;
@@ -7,9 +7,11 @@
  * @version 1.0.0
  */
 
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const moment = require('moment');
 const logger = require('../utils/logger');
+const { CURSOR_DIRECTIONS, buildCursorCondition, getCursorSort } = require('../utils/cursor');
 
 /**
  * Message Schema Definition
@@ -23,6 +25,14 @@ const messageSchema = new mongoose.Schema({
     required: false, // Not required from frontend, will be autogenerated
   },
 
+  // Client-generated ID used to make retried sends idempotent (unique per sender)
+  clientMessageId: {
+    type: String,
+    trim: true,
+    maxlength: [64, 'Client message ID cannot exceed 64 characters'],
+    default: undefined
+  },
+
   // Sender information
   senderId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -62,7 +72,14 @@ const messageSchema = new mongoose.Schema({
   // Message content
   content: {
     type: String,
-    required: [true, 'Message content is required'],
+    required: [
+      function() {
+        // Messages carrying attachments may omit a caption
+        return !this.attachments || this.attachments.length === 0;
+      },
+      'Message content is required'
+    ],
+    default: '',
     trim: true,
     maxlength: [1000, 'Message cannot exceed 1000 characters']
   },
@@ -75,8 +92,12 @@ const messageSchema = new mongoose.Schema({
     index: true
   },
 
-  // File attachments (for future enhancement)
+  // File attachments (uploaded first, see Attachment model)
   attachments: [{
+    attachmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Attachment'
+    },
     fileName: String,
     fileUrl: String,
     fileSize: Number,
@@ -110,12 +131,38 @@ const messageSchema = new mongoose.Schema({
       type: Date,
       index: true
     },
+    // Read, but the receiver's privacy settings withhold the receipt from the sender
+    receiptHidden: {
+      type: Boolean,
+      default: false
+    },
     failedAt: {
       type: Date
     },
     failureReason: String
   },
 
+  // Per-member delivery and read receipts (group messages only; status and
+  // delivery above describe the single receiver of one-to-one messages)
+  receipts: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    deliveredAt: {
+      type: Date,
+      default: null
+    },
+    readAt: {
+      type: Date,
+      default: null
+    },
+    receiptHidden: {
+      type: Boolean,
+      default: false
+    }
+  }],
+
   // Reply and thread information
   replyTo: {
     messageId: {
@@ -126,10 +173,27 @@ const messageSchema = new mongoose.Schema({
     senderId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
+    },
+    threadRootId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message'
     }
   },
 
-  // Message reactions (for future enhancement)
+  // Thread summary (maintained on the root message)
+  thread: {
+    replyCount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    lastReplyAt: {
+      type: Date,
+      default: null
+    }
+  },
+
+  // Message reactions (one per user per emoji)
   reactions: [{
     userId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -174,6 +238,12 @@ const messageSchema = new mongoose.Schema({
     isForwarded: {
       type: Boolean,
       default: false
+    },
+    // Sent to a receiver who blocked the sender (silent policy): shown to the
+    // sender like any message but never delivered to the receiver
+    isSuppressed: {
+      type: Boolean,
+      default: false
     }
   },
 
@@ -210,12 +280,23 @@ const messageSchema = new mongoose.Schema({
 /**
  * Indexes for performance optimization
  */
-messageSchema.index({ senderId: 1, receiverId: 1, 'metadata.createdAt': -1 });
-messageSchema.index({ groupId: 1, 'metadata.createdAt': -1 });
+messageSchema.index({ senderId: 1, receiverId: 1, 'metadata.createdAt': -1, _id: -1 });
+messageSchema.index({ groupId: 1, 'metadata.createdAt': -1, _id: -1 });
 messageSchema.index({ messageId: 1 }, { unique: true });
 messageSchema.index({ 'delivery.sentAt': -1 });
 messageSchema.index({ status: 1, 'delivery.sentAt': -1 });
 messageSchema.index({ 'flags.isDeleted': 1, 'metadata.createdAt': -1 });
+messageSchema.index({ 'replyTo.threadRootId': 1, 'metadata.createdAt': 1 });
+messageSchema.index({ senderId: 1, 'metadata.updatedAt': 1, _id: 1 });
+messageSchema.index({ receiverId: 1, 'metadata.updatedAt': 1, _id: 1 });
+messageSchema.index({ groupId: 1, 'metadata.updatedAt': 1, _id: 1 });
+messageSchema.index(
+  { senderId: 1, clientMessageId: 1 },
+  { unique: true, partialFilterExpression: { clientMessageId: { $type: 'string' } } }
+);
+
+// Full-text search over message content
+messageSchema.index({ content: 'text' }, { name: 'content_text' });
 
 // Compound index for chat history queries
 messageSchema.index({ 
@@ -242,6 +323,10 @@ messageSchema.virtual('isGroupMessage').get(function() {
   return !!(this.groupId && !this.receiverId);
 });
 
+messageSchema.virtual('isReply').get(function() {
+  return !!(this.replyTo && this.replyTo.messageId);
+});
+
 messageSchema.virtual('deliveryTime').get(function() {
   if (this.delivery.deliveredAt) {
     return moment(this.delivery.deliveredAt).diff(moment(this.delivery.sentAt), 'milliseconds');
@@ -274,7 +359,7 @@ messageSchema.pre('save', function(next) {
 
     // Generate unique message ID if not exists
     if (this.isNew && !this.messageId) {
-      this.messageId = `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      this.messageId = `msg_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`;
     }
 
     // Set system message flag
@@ -294,6 +379,21 @@ messageSchema.pre('save', function(next) {
   }
 });
 
+/**
+ * Pre-update middleware
+ * Bulk and atomic updates bypass the save hook; keep metadata.updatedAt
+ * current so delta sync sees status changes, reactions and thread updates.
+ */
+messageSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], function(next) {
+  const update = this.getUpdate() || {};
+  const explicit = update['metadata.updatedAt'] || (update.$set && update.$set['metadata.updatedAt']);
+
+  if (!explicit) {
+    this.set('metadata.updatedAt', new Date());
+  }
+  next();
+});
+
 /**
  * Post-save middleware
  */
@@ -410,6 +510,7 @@ messageSchema.methods.softDelete = async function(deletedBy) {
  * @param {string} newContent - New message content
  * @param {string} editReason - Reason for edit
  * @returns {Promise<void>}
+ * @throws {Error} If the edited message cannot be saved
  */
 messageSchema.methods.editContent = async function(newContent, editReason = '') {
   try {
@@ -433,68 +534,298 @@ messageSchema.methods.editContent = async function(newContent, editReason = '')
     });
   } catch (error) {
     logger.error('Error editing message:', error);
+    throw error;
   }
 };
 
+/**
+ * Add a reaction atomically (no-op if the user already reacted with this emoji)
+ * @param {string} userId - Reacting user ID
+ * @param {string} emoji - Emoji
+ * @returns {Promise<boolean>} True if a reaction was added
+ */
+messageSchema.methods.addReaction = async function(userId, emoji) {
+  const result = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      reactions: { $not: { $elemMatch: { userId, emoji } } }
+    },
+    {
+      $push: { reactions: { userId, emoji, reactedAt: new Date() } },
+      $set: { 'metadata.updatedAt': new Date() }
+    }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Remove a reaction atomically
+ * @param {string} userId - Reacting user ID
+ * @param {string} emoji - Emoji
+ * @returns {Promise<boolean>} True if a reaction was removed
+ */
+messageSchema.methods.removeReaction = async function(userId, emoji) {
+  const result = await this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $pull: { reactions: { userId, emoji } },
+      $set: { 'metadata.updatedAt': new Date() }
+    }
+  );
+
+  return result.modifiedCount > 0;
+};
+
 /**
  * Static Methods
  */
 
+/**
+ * Condition hiding suppressed messages from their receiver
+ * Add it to every query that returns or counts messages for a user.
+ * @param {string|ObjectId} userId - Viewing user ID (an ObjectId in aggregations)
+ * @returns {Object} Query condition
+ */
+messageSchema.statics.visibleTo = function(userId) {
+  return { $nor: [{ receiverId: userId, 'flags.isSuppressed': true }] };
+};
+
+/**
+ * Aggregate reactions into per-emoji counts
+ * @param {Array} reactions - Raw reactions array
+ * @param {string} currentUserId - Optional viewer ID to flag own reactions
+ * @returns {Array} [{ emoji, count, userIds, reactedByMe? }] ordered by count
+ */
+messageSchema.statics.summarizeReactions = function(reactions = [], currentUserId = null) {
+  const byEmoji = new Map();
+
+  for (const reaction of reactions) {
+    if (!byEmoji.has(reaction.emoji)) {
+      byEmoji.set(reaction.emoji, { emoji: reaction.emoji, count: 0, userIds: [] });
+    }
+    const entry = byEmoji.get(reaction.emoji);
+    entry.count += 1;
+    entry.userIds.push(reaction.userId.toString());
+  }
+
+  return Array.from(byEmoji.values())
+    .map(entry => (currentUserId
+      ? { ...entry, reactedByMe: entry.userIds.includes(currentUserId.toString()) }
+      : entry))
+    .sort((a, b) => b.count - a.count);
+};
+
+/**
+ * Aggregate group receipts into counts for a viewer
+ * @param {Object} message - Message document or JSON
+ * @param {string} currentUserId - Viewing user ID
+ * @returns {Object|null} { deliveredCount, readCount, readByMe } or null for one-to-one messages
+ */
+messageSchema.statics.summarizeReceipts = function(message, currentUserId) {
+  if (!message.groupId) {
+    return null;
+  }
+
+  const receipts = message.receipts || [];
+  const viewerId = currentUserId ? currentUserId.toString() : null;
+
+  return {
+    deliveredCount: receipts.filter(receipt => receipt.deliveredAt).length,
+    readCount: receipts.filter(receipt => receipt.readAt && !receipt.receiptHidden).length,
+    readByMe: !!viewerId && (
+      (message.senderId._id || message.senderId).toString() === viewerId ||
+      receipts.some(receipt => receipt.userId.toString() === viewerId && receipt.readAt)
+    )
+  };
+};
+
+/**
+ * Record delivery of a group message to one member
+ * @param {string} messageId - Message _id
+ * @param {string} userId - Member user ID
+ * @returns {Promise<boolean>} True if a new receipt was recorded
+ */
+messageSchema.statics.markGroupMessageDelivered = async function(messageId, userId) {
+  const result = await this.updateOne(
+    {
+      _id: messageId,
+      groupId: { $ne: null },
+      senderId: { $ne: userId },
+      'receipts.userId': { $ne: userId }
+    },
+    {
+      $push: { receipts: { userId, deliveredAt: new Date() } }
+    }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Mark group messages as read by one member
+ * @param {string} groupId - Group ID
+ * @param {string} userId - Member user ID
+ * @param {Object} options
+ * @param {Date} options.upTo - Only messages created at or before this time
+ * @param {Date} options.since - Only messages created at or after this time (membership start)
+ * @param {Function} options.isReceiptHidden - (senderId) => true to withhold the receipt from that sender
+ * @returns {Promise<Array>} Newly read messages as { _id, messageId, senderId, receiptHidden }
+ */
+messageSchema.statics.markGroupAsRead = async function(groupId, userId, options = {}) {
+  try {
+    const memberId = new mongoose.Types.ObjectId(userId.toString());
+    const createdAt = {};
+
+    if (options.upTo) {
+      createdAt.$lte = options.upTo;
+    }
+    if (options.since) {
+      createdAt.$gte = options.since;
+    }
+
+    const messages = await this.find({
+      groupId,
+      senderId: { $ne: memberId },
+      'flags.isDeleted': false,
+      receipts: { $not: { $elemMatch: { userId: memberId, readAt: { $ne: null } } } },
+      ...(Object.keys(createdAt).length > 0 ? { 'metadata.createdAt': createdAt } : {})
+    }).select('_id messageId senderId').lean();
+
+    if (messages.length === 0) {
+      return [];
+    }
+
+    const isReceiptHidden = options.isReceiptHidden || (() => false);
+    messages.forEach((message) => {
+      message.receiptHidden = !!isReceiptHidden(message.senderId.toString());
+    });
+
+    const now = new Date();
+    const batches = [true, false]
+      .map(receiptHidden => ({
+        receiptHidden,
+        ids: messages.filter(message => message.receiptHidden === receiptHidden).map(message => message._id)
+      }))
+      .filter(batch => batch.ids.length > 0);
+
+    for (const { receiptHidden, ids } of batches) {
+      // Complete receipts that so far only recorded delivery
+      await this.updateMany(
+        { _id: { $in: ids }, 'receipts.userId': memberId },
+        { $set: { 'receipts.$[receipt].readAt': now, 'receipts.$[receipt].receiptHidden': receiptHidden } },
+        { arrayFilters: [{ 'receipt.userId': memberId, 'receipt.readAt': null }] }
+      );
+
+      // Reading implies delivery for members without a receipt yet
+      await this.updateMany(
+        { _id: { $in: ids }, 'receipts.userId': { $ne: memberId } },
+        { $push: { receipts: { userId: memberId, deliveredAt: now, readAt: now, receiptHidden } } }
+      );
+    }
+
+    logger.debug('Group messages marked as read', {
+      groupId,
+      userId,
+      messagesUpdated: messages.length
+    });
+
+    return messages;
+  } catch (error) {
+    logger.error('Error marking group messages as read:', error);
+    throw error;
+  }
+};
+
 /**
  * Get chat history between two users
- * @param {string} userId1 - First user ID
- * @param {string} userId2 - Second user ID
- * @param {Object} options - Pagination options
+ * @param {string} userId1 - Viewing user ID
+ * @param {string} userId2 - Other user ID
+ * @param {Object} options - Pagination options (see findHistoryPage)
  * @returns {Promise<Array>}
  */
 messageSchema.statics.getChatHistory = function(userId1, userId2, options = {}) {
-  const { page = 1, limit = 20, before = null } = options;
-  const skip = (page - 1) * limit;
-  
   const query = {
     $or: [
       { senderId: userId1, receiverId: userId2 },
       { senderId: userId2, receiverId: userId1 }
     ],
-    'flags.isDeleted': false
+    'flags.isDeleted': false,
+    ...this.visibleTo(userId1)
   };
-  
-  // Add time filter if before timestamp is provided
-  if (before) {
-    query['metadata.createdAt'] = { $lt: new Date(before) };
-  }
-  
-  return this.find(query)
+
+  return this.findHistoryPage(query, options)
     .populate('senderId', 'phoneNumber profile.displayName profile.avatar')
     .populate('receiverId', 'phoneNumber profile.displayName profile.avatar')
-    .sort({ 'metadata.createdAt': -1 })
-    .skip(skip)
-    .limit(limit)
     .exec();
 };
 
 /**
  * Get group chat history
  * @param {string} groupId - Group ID
- * @param {Object} options - Pagination options
+ * @param {Object} options - Pagination options (see findHistoryPage)
  * @returns {Promise<Array>}
  */
 messageSchema.statics.getGroupChatHistory = function(groupId, options = {}) {
-  const { page = 1, limit = 20, before = null } = options;
-  const skip = (page - 1) * limit;
-  
   const query = {
     groupId,
     'flags.isDeleted': false
   };
-  
+
+  return this.findHistoryPage(query, options)
+    .populate('senderId', 'phoneNumber profile.displayName profile.avatar')
+    .exec();
+};
+
+/**
+ * Build a paginated history query
+ * With a cursor, rows are selected by keyset on (metadata.createdAt, _id) in
+ * the requested direction; otherwise page/limit offsets are used.
+ * @param {Object} query - Base conversation query
+ * @param {Object} options - { page, limit, skip, before, cursor, direction }
+ * @returns {mongoose.Query} Query sorted newest first, or oldest first for direction "newer"
+ */
+messageSchema.statics.findHistoryPage = function(query, options = {}) {
+  const { page = 1, limit = 20, before = null, cursor = null, direction = CURSOR_DIRECTIONS.OLDER } = options;
+  const skip = options.skip !== undefined ? options.skip : (page - 1) * limit;
+  const conditions = [query];
+
+  // Add time filter if before timestamp is provided
   if (before) {
-    query['metadata.createdAt'] = { $lt: new Date(before) };
+    conditions.push({ 'metadata.createdAt': { $lt: new Date(before) } });
   }
-  
-  return this.find(query)
+
+  if (cursor) {
+    conditions.push(buildCursorCondition(cursor, direction));
+  }
+
+  const historyQuery = this.find(conditions.length > 1 ? { $and: conditions } : query)
+    .sort(getCursorSort(cursor ? direction : CURSOR_DIRECTIONS.OLDER));
+
+  if (!cursor) {
+    historyQuery.skip(skip);
+  }
+
+  return historyQuery.limit(limit);
+};
+
+/**
+ * Get replies in a thread
+ * @param {string} threadRootId - Root message ID
+ * @param {Object} options - Pagination options and viewerId (viewing user ID)
+ * @returns {Promise<Array>} Replies, oldest first
+ */
+messageSchema.statics.getThreadReplies = function(threadRootId, options = {}) {
+  const { page = 1, limit = 20, viewerId } = options;
+  const skip = (page - 1) * limit;
+
+  return this.find({
+    'replyTo.threadRootId': threadRootId,
+    'flags.isDeleted': false,
+    ...this.visibleTo(viewerId)
+  })
     .populate('senderId', 'phoneNumber profile.displayName profile.avatar')
-    .sort({ 'metadata.createdAt': -1 })
+    .sort({ 'metadata.createdAt': 1 })
     .skip(skip)
     .limit(limit)
     .exec();
@@ -509,7 +840,8 @@ messageSchema.statics.getUnreadCount = function(userId) {
   return this.countDocuments({
     receiverId: userId,
     status: { $in: ['sent', 'delivered'] },
-    'flags.isDeleted': false
+    'flags.isDeleted': false,
+    ...this.visibleTo(userId)
   });
 };
 
@@ -517,21 +849,25 @@ messageSchema.statics.getUnreadCount = function(userId) {
  * Mark all messages as read in a conversation
  * @param {string} senderId - Sender ID
  * @param {string} receiverId - Receiver ID
+ * @param {Object} options
+ * @param {boolean} options.hideReceipt - Withhold the read receipt from the sender
  * @returns {Promise<number>} Number of messages marked as read
  */
-messageSchema.statics.markConversationAsRead = async function(senderId, receiverId) {
+messageSchema.statics.markConversationAsRead = async function(senderId, receiverId, options = {}) {
   try {
     const result = await this.updateMany(
       {
         senderId,
         receiverId,
         status: { $in: ['sent', 'delivered'] },
-        'flags.isDeleted': false
+        'flags.isDeleted': false,
+        ...this.visibleTo(receiverId)
       },
       {
         $set: {
           status: 'read',
-          'delivery.readAt': new Date()
+          'delivery.readAt': new Date(),
+          'delivery.receiptHidden': !!options.hideReceipt
         }
       }
     );
@@ -549,21 +885,102 @@ messageSchema.statics.markConversationAsRead = async function(senderId, receiver
   }
 };
 
+/**
+ * Get IDs of users a user has one-to-one conversations with
+ * @param {string} userId - User ID
+ * @param {number} limit - Maximum number of partners
+ * @returns {Promise<Array<string>>} Partner IDs, most recent conversation first
+ */
+messageSchema.statics.getConversationPartnerIds = async function(userId, limit = 100) {
+  const userObjectId = new mongoose.Types.ObjectId(userId.toString());
+
+  const partners = await this.aggregate([
+    {
+      $match: {
+        $or: [
+          { senderId: userObjectId, receiverId: { $ne: null } },
+          { receiverId: userObjectId }
+        ],
+        'flags.isDeleted': false,
+        ...this.visibleTo(userObjectId)
+      }
+    },
+    {
+      $group: {
+        _id: {
+          $cond: [
+            { $eq: ['$senderId', userObjectId] },
+            '$receiverId',
+            '$senderId'
+          ]
+        },
+        lastMessageAt: { $max: '$metadata.createdAt' }
+      }
+    },
+    {
+      $sort: { lastMessageAt: -1 }
+    },
+    {
+      $limit: limit
+    }
+  ]);
+
+  return partners.map(partner => partner._id.toString());
+};
+
 /**
  * Get recent conversations for a user
+ * One-to-one conversations are keyed by the other user and group
+ * conversations by group. Group unread counts use the member's own read
+ * receipts and only cover messages sent since the member joined.
  * @param {string} userId - User ID
  * @param {number} limit - Number of conversations to return
- * @returns {Promise<Array>}
+ * @param {Object} options - Additional filters
+ * @param {Array<string>} options.withUserIds - Only one-to-one conversations with these users
+ * @param {Array<Object>} options.groups - Group conversations to include as { groupId, joinedAt }
+ * @returns {Promise<Array>} Entries with type "direct" (otherUser) or "group" (group)
  */
-messageSchema.statics.getRecentConversations = function(userId, limit = 10) {
+messageSchema.statics.getRecentConversations = function(userId, limit = 10, options = {}) {
+  const userObjectId = new mongoose.Types.ObjectId(userId);
+  let conversationFilters = [
+    { senderId: userObjectId, groupId: null },
+    { receiverId: userObjectId }
+  ];
+
+  if (options.withUserIds) {
+    const otherIds = options.withUserIds.map(id => new mongoose.Types.ObjectId(id.toString()));
+    conversationFilters = [
+      { senderId: userObjectId, receiverId: { $in: otherIds } },
+      { senderId: { $in: otherIds }, receiverId: userObjectId }
+    ];
+  }
+
+  (options.groups || []).forEach(({ groupId, joinedAt }) => {
+    conversationFilters.push({
+      groupId: new mongoose.Types.ObjectId(groupId.toString()),
+      ...(joinedAt ? { 'metadata.createdAt': { $gte: joinedAt } } : {})
+    });
+  });
+
+  // IDs of members who have read a group message
+  const readerIds = {
+    $map: {
+      input: {
+        $filter: {
+          input: { $ifNull: ['$receipts', []] },
+          cond: { $gt: ['$$this.readAt', null] }
+        }
+      },
+      in: '$$this.userId'
+    }
+  };
+
   return this.aggregate([
     {
       $match: {
-        $or: [
-          { senderId: new mongoose.Types.ObjectId(userId) },
-          { receiverId: new mongoose.Types.ObjectId(userId) }
-        ],
-        'flags.isDeleted': false
+        $or: conversationFilters,
+        'flags.isDeleted': false,
+        ...this.visibleTo(userObjectId)
       }
     },
     {
@@ -572,20 +989,37 @@ messageSchema.statics.getRecentConversations = function(userId, limit = 10) {
     {
       $group: {
         _id: {
-          $cond: [
-            { $eq: ['$senderId', new mongoose.Types.ObjectId(userId)] },
-            '$receiverId',
-            '$senderId'
+          $ifNull: [
+            '$groupId',
+            {
+              $cond: [
+                { $eq: ['$senderId', userObjectId] },
+                '$receiverId',
+                '$senderId'
+              ]
+            }
           ]
         },
+        isGroup: { $first: { $gt: ['$groupId', null] } },
         lastMessage: { $first: '$$ROOT' },
         unreadCount: {
           $sum: {
             $cond: [
               {
-                $and: [
-                  { $eq: ['$receiverId', new mongoose.Types.ObjectId(userId)] },
-                  { $in: ['$status', ['sent', 'delivered']] }
+                $cond: [
+                  { $gt: ['$groupId', null] },
+                  {
+                    $and: [
+                      { $ne: ['$senderId', userObjectId] },
+                      { $not: [{ $in: [userObjectId, readerIds] }] }
+                    ]
+                  },
+                  {
+                    $and: [
+                      { $eq: ['$receiverId', userObjectId] },
+                      { $in: ['$status', ['sent', 'delivered']] }
+                    ]
+                  }
                 ]
               },
               1,
@@ -600,11 +1034,54 @@ messageSchema.statics.getRecentConversations = function(userId, limit = 10) {
         from: 'users',
         localField: '_id',
         foreignField: '_id',
+        pipeline: [
+          { $project: { phoneNumber: 1, profile: 1, status: 1, lastSeen: 1, isActive: 1 } }
+        ],
         as: 'otherUser'
       }
     },
     {
-      $unwind: '$otherUser'
+      $lookup: {
+        from: 'groups',
+        localField: '_id',
+        foreignField: '_id',
+        as: 'group'
+      }
+    },
+    {
+      $unwind: { path: '$otherUser', preserveNullAndEmptyArrays: true }
+    },
+    {
+      $unwind: { path: '$group', preserveNullAndEmptyArrays: true }
+    },
+    {
+      $match: {
+        $or: [
+          { isGroup: false, otherUser: { $exists: true } },
+          { isGroup: true, group: { $exists: true } }
+        ]
+      }
+    },
+    {
+      $addFields: {
+        type: { $cond: ['$isGroup', 'group', 'direct'] },
+        // Same read receipt masking as toJSON
+        'lastMessage.status': {
+          $cond: ['$lastMessage.delivery.receiptHidden', 'delivered', '$lastMessage.status']
+        },
+        'lastMessage.delivery.readAt': {
+          $cond: ['$lastMessage.delivery.receiptHidden', null, '$lastMessage.delivery.readAt']
+        }
+      }
+    },
+    {
+      $project: {
+        isGroup: 0,
+        'group.members': 0,
+        'lastMessage.receipts': 0,
+        'lastMessage.delivery.receiptHidden': 0,
+        'lastMessage.flags.isSuppressed': 0
+      }
     },
     {
       $sort: { 'lastMessage.metadata.createdAt': -1 }
@@ -626,6 +1103,25 @@ messageSchema.methods.toJSON = function() {
     delete message.metadata.ipAddress;
     delete message.metadata.userAgent;
   }
+
+  // Per-member receipts are only exposed through the receipts endpoint
+  delete message.receipts;
+
+  // Suppression is never revealed, not even to the sender
+  if (message.flags) {
+    delete message.flags.isSuppressed;
+  }
+
+  // A withheld read receipt looks like a delivered message
+  if (message.delivery && message.delivery.receiptHidden) {
+    if (message.status === 'read') {
+      message.status = 'delivered';
+    }
+    delete message.delivery.readAt;
+  }
+  if (message.delivery) {
+    delete message.delivery.receiptHidden;
+  }
   
   return message;
 };
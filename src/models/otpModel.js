@@ -0,0 +1,87 @@
+/**
+ * One-Time Password Data Model
+ * MongoDB schema for phone verification codes
+ *
+ * @description One document per phone number and purpose. Only a keyed hash
+ * of the current code is stored. The document also carries the resend
+ * throttle, so it outlives the code until the send window ends; a TTL index
+ * removes it afterwards.
+ * @author Chat App Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+const OTP_PURPOSES = ['registration', 'verification', 'pin_reset'];
+
+/**
+ * OTP Schema Definition
+ * One document per (phone number, purpose) pair
+ */
+const otpSchema = new mongoose.Schema({
+  phoneNumber: {
+    type: String,
+    required: [true, 'Phone number is required']
+  },
+
+  purpose: {
+    type: String,
+    enum: OTP_PURPOSES,
+    required: [true, 'Purpose is required']
+  },
+
+  // HMAC of the current code; null once used or exhausted
+  codeHash: {
+    type: String,
+    default: null
+  },
+
+  codeExpiresAt: {
+    type: Date,
+    default: null
+  },
+
+  // Incorrect guesses against the current code
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  // Codes sent in the current send window
+  sendCount: {
+    type: Number,
+    default: 0
+  },
+
+  sendWindowStartedAt: {
+    type: Date,
+    default: null
+  },
+
+  lastSentAt: {
+    type: Date,
+    default: null
+  },
+
+  // Document removal time (end of code validity or send window)
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: false,
+  versionKey: false,
+  collection: 'otp_codes'
+});
+
+/**
+ * Indexes for performance optimization
+ */
+otpSchema.index({ phoneNumber: 1, purpose: 1 }, { unique: true });
+otpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Create and export the model
+const Otp = mongoose.model('Otp', otpSchema);
+
+module.exports = Otp;
+module.exports.OTP_PURPOSES = OTP_PURPOSES;
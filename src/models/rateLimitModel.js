@@ -0,0 +1,49 @@
+/**
+ * Rate Limit Data Model
+ * MongoDB schema for per-user request counters
+ *
+ * @description Fixed-window counters used by the MongoDB session store so
+ * every server instance enforces the same limits. Documents are removed by a
+ * TTL index once their window ends.
+ * @author Chat App Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Rate Limit Schema Definition
+ * One document per limiter key and window
+ */
+const rateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Counter key is required']
+  },
+
+  count: {
+    type: Number,
+    default: 0
+  },
+
+  // End of the current window
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: false,
+  versionKey: false,
+  collection: 'rate_limits'
+});
+
+/**
+ * Indexes for performance optimization
+ */
+rateLimitSchema.index({ key: 1 }, { unique: true });
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Create and export the model
+const RateLimit = mongoose.model('RateLimit', rateLimitSchema);
+
+module.exports = RateLimit;
@@ -0,0 +1,44 @@
+/**
+ * Revoked Token Data Model
+ * MongoDB schema for the access token denylist
+ *
+ * @description Access tokens revoked before they expire, keyed by their jti
+ * claim. A token past its expiry is rejected anyway, so a TTL index removes
+ * the entry at that time.
+ * @author Chat App Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Revoked Token Schema Definition
+ * One document per revoked token
+ */
+const revokedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: [true, 'Token ID is required']
+  },
+
+  // Expiry of the revoked token
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: false,
+  versionKey: false,
+  collection: 'revoked_tokens'
+});
+
+/**
+ * Indexes for performance optimization
+ */
+revokedTokenSchema.index({ jti: 1 }, { unique: true });
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Create and export the model
+const RevokedToken = mongoose.model('RevokedToken', revokedTokenSchema);
+
+module.exports = RevokedToken;
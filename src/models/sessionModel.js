@@ -0,0 +1,80 @@
+/**
+ * Session Data Model
+ * MongoDB schema for device sessions shared between server instances
+ *
+ * @description Session entity used by the MongoDB session store. Documents
+ * are removed by a TTL index once expiresAt passes.
+ * @author Chat App Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Session Schema Definition
+ * One document per (user, device) pair
+ */
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: [true, 'User ID is required']
+  },
+
+  deviceId: {
+    type: String,
+    required: [true, 'Device ID is required']
+  },
+
+  lastActivity: {
+    type: Date,
+    default: Date.now
+  },
+
+  platform: {
+    type: String,
+    default: 'unknown'
+  },
+
+  userAgent: {
+    type: String,
+    default: ''
+  },
+
+  ipAddress: {
+    type: String,
+    default: ''
+  },
+
+  // Sockets currently connected from the device, on any instance
+  socketIds: {
+    type: [String],
+    default: []
+  },
+
+  // Set when the session timed out; cleared by PIN verification
+  pinRequired: {
+    type: Boolean,
+    default: false
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: false,
+  versionKey: false,
+  collection: 'sessions'
+});
+
+/**
+ * Indexes for performance optimization
+ */
+sessionSchema.index({ userId: 1, deviceId: 1 }, { unique: true });
+sessionSchema.index({ lastActivity: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Create and export the model
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
@@ -0,0 +1,67 @@
+/**
+ * Socket Connection Data Model
+ * MongoDB schema for the shared presence registry
+ *
+ * @description One document per connected socket on any server instance.
+ * Instances refresh heartbeatAt for their own sockets; a TTL index removes
+ * the sockets of an instance that stopped without cleaning up.
+ * @author Chat App Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Socket Connection Schema Definition
+ * One document per socket
+ */
+const socketConnectionSchema = new mongoose.Schema({
+  socketId: {
+    type: String,
+    required: [true, 'Socket ID is required']
+  },
+
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+
+  deviceId: {
+    type: String,
+    default: null
+  },
+
+  // Instance holding the socket
+  serverId: {
+    type: String,
+    required: true
+  },
+
+  connectedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  heartbeatAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false,
+  versionKey: false,
+  collection: 'socket_connections'
+});
+
+/**
+ * Indexes for performance optimization
+ */
+socketConnectionSchema.index({ socketId: 1 }, { unique: true });
+socketConnectionSchema.index({ userId: 1, heartbeatAt: -1 });
+socketConnectionSchema.index({ serverId: 1 });
+socketConnectionSchema.index({ heartbeatAt: 1 }, { expireAfterSeconds: 120 });
+
+// Create and export the model
+const SocketConnection = mongoose.model('SocketConnection', socketConnectionSchema);
+
+module.exports = SocketConnection;
@@ -0,0 +1,63 @@
+/**
+ * Socket Event Data Model
+ * MongoDB schema for messages exchanged between server instances
+ *
+ * @description Written by the MongoDB cluster bus and read back through a
+ * change stream by every instance. Events are only needed while in flight,
+ * so a TTL index removes them after a minute.
+ * @author Chat App Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Socket Event Schema Definition
+ * One document per published adapter message or response
+ */
+const socketEventSchema = new mongoose.Schema({
+  // 'message' goes to every instance, 'response' only to its target
+  kind: {
+    type: String,
+    enum: ['message', 'response'],
+    required: true
+  },
+
+  // Socket.IO namespace
+  nsp: {
+    type: String,
+    required: true
+  },
+
+  // Adapter UID of the instance a response is addressed to
+  target: {
+    type: String,
+    default: null
+  },
+
+  // Adapter message as produced by socket.io-adapter
+  message: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false,
+  versionKey: false,
+  minimize: false,
+  collection: 'socket_events'
+});
+
+/**
+ * Indexes for performance optimization
+ */
+socketEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 60 });
+
+// Create and export the model
+const SocketEvent = mongoose.model('SocketEvent', socketEventSchema);
+
+module.exports = SocketEvent;
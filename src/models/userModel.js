@@ -7,11 +7,20 @@
  * @version 1.0.0
  */
 
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const moment = require('moment');
 const logger = require('../utils/logger');
 
+// Who a privacy setting shares information with; "contacts" means users in
+// the owner's contact list
+const PRIVACY_AUDIENCES = {
+  EVERYONE: 'everyone',
+  CONTACTS: 'contacts',
+  NOBODY: 'nobody'
+};
+
 /**
  * User Schema Definition
  * Implements secure phone + PIN authentication with session management
@@ -32,6 +41,23 @@ const userSchema = new mongoose.Schema({
     }
   },
 
+  // SHA-256 of the phone number, matched against hashed address books
+  phoneHash: {
+    type: String,
+    index: true
+  },
+
+  // Set once the user proves ownership of the number with an SMS code
+  phoneVerified: {
+    type: Boolean,
+    default: false
+  },
+
+  phoneVerifiedAt: {
+    type: Date,
+    default: null
+  },
+
   pinHash: {
     type: String,
     required: [true, 'PIN hash is required'],
@@ -115,6 +141,10 @@ const userSchema = new mongoose.Schema({
       type: String,
       default: null
     },
+    avatarVersion: {
+      type: String,
+      default: null
+    },
     bio: {
       type: String,
       trim: true,
@@ -122,6 +152,64 @@ const userSchema = new mongoose.Schema({
     }
   },
 
+  // Users this user blocked (they cannot message or see this user's presence)
+  blockedUsers: [{
+    _id: false,
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    blockedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Users whose messages are delivered without notifications
+  mutedUsers: [{
+    _id: false,
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    mutedAt: {
+      type: Date,
+      default: Date.now
+    },
+    mutedUntil: {
+      type: Date,
+      default: null // null = until unmuted
+    }
+  }],
+
+  // Privacy settings
+  privacy: {
+    hideFromSearch: {
+      type: Boolean,
+      default: false
+    },
+    // Who sees the last seen time
+    lastSeen: {
+      type: String,
+      enum: Object.values(PRIVACY_AUDIENCES),
+      default: PRIVACY_AUDIENCES.EVERYONE
+    },
+    // Who sees online, away and offline status changes
+    online: {
+      type: String,
+      enum: Object.values(PRIVACY_AUDIENCES),
+      default: PRIVACY_AUDIENCES.EVERYONE
+    },
+    // Who is told when this user reads their messages
+    readReceipts: {
+      type: String,
+      enum: Object.values(PRIVACY_AUDIENCES),
+      default: PRIVACY_AUDIENCES.EVERYONE
+    }
+  },
+
   // Metadata
   metadata: {
     totalMessages: {
@@ -156,6 +244,9 @@ userSchema.index({ status: 1, lastSeen: -1 });
 userSchema.index({ 'sessionData.lastActivityAt': -1 });
 userSchema.index({ 'security.isLocked': 1, 'security.lockedUntil': 1 });
 userSchema.index({ isActive: 1, 'metadata.createdAt': -1 });
+userSchema.index({ isActive: 1, 'profile.displayName': 1 });
+userSchema.index({ 'blockedUsers.userId': 1 });
+userSchema.index({ 'mutedUsers.userId': 1 });
 
 /**
  * Virtual properties
@@ -186,6 +277,11 @@ userSchema.pre('save', async function(next) {
     // Update the updatedAt timestamp
     this.metadata.updatedAt = new Date();
 
+    // Keep the contact-discovery hash in step with the phone number
+    if (this.isModified('phoneNumber') || !this.phoneHash) {
+      this.phoneHash = this.constructor.hashPhoneNumber(this.phoneNumber);
+    }
+
     // Hash PIN if it's modified
     if (this.isModified('pinHash') && !this.pinHash.startsWith('$2a$')) {
       const saltRounds = 12;
@@ -387,10 +483,92 @@ userSchema.methods.invalidateTokens = async function() {
   }
 };
 
+/**
+ * Check whether this user blocked another user
+ * @param {string} userId - Other user ID
+ * @returns {boolean}
+ */
+userSchema.methods.hasBlocked = function(userId) {
+  return (this.blockedUsers || []).some(entry => entry.userId.toString() === userId.toString());
+};
+
+/**
+ * Check whether this user currently mutes another user
+ * @param {string} userId - Other user ID
+ * @returns {boolean}
+ */
+userSchema.methods.isMuting = function(userId) {
+  const now = new Date();
+  return (this.mutedUsers || []).some(entry => (
+    entry.userId.toString() === userId.toString() &&
+    (!entry.mutedUntil || entry.mutedUntil > now)
+  ));
+};
+
 /**
  * Static Methods
  */
 
+/**
+ * Hash a phone number for contact discovery
+ * Clients hash numbers the same way: SHA-256 hex of the digits only.
+ * @param {string} phoneNumber - Phone number
+ * @returns {string} Hex digest
+ */
+userSchema.statics.hashPhoneNumber = function(phoneNumber) {
+  return crypto.createHash('sha256').update(String(phoneNumber).replace(/\D/g, '')).digest('hex');
+};
+
+/**
+ * Set phoneHash on users registered before contact discovery existed
+ * @returns {Promise<number>} Number of users updated
+ */
+userSchema.statics.backfillPhoneHashes = async function() {
+  const users = await this.find({ phoneHash: { $exists: false } }).select('phoneNumber').lean();
+  if (users.length === 0) {
+    return 0;
+  }
+
+  await this.bulkWrite(users.map(user => ({
+    updateOne: {
+      filter: { _id: user._id },
+      update: { $set: { phoneHash: this.hashPhoneNumber(user.phoneNumber) } }
+    }
+  })));
+
+  return users.length;
+};
+
+/**
+ * Get IDs of users who blocked a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<string>>}
+ */
+userSchema.statics.getBlockerIds = async function(userId) {
+  const blockers = await this.find({ 'blockedUsers.userId': userId }).select('_id').lean();
+  return blockers.map(blocker => blocker._id.toString());
+};
+
+/**
+ * Get which of the given users currently mute a sender
+ * @param {Array<string>} userIds - Candidate recipient IDs
+ * @param {string} senderId - Sender user ID
+ * @returns {Promise<Array<string>>} IDs of recipients muting the sender
+ */
+userSchema.statics.getUsersMuting = async function(userIds, senderId) {
+  const users = await this.find({
+    _id: { $in: userIds },
+    mutedUsers: {
+      $elemMatch: {
+        userId: senderId,
+        $or: [{ mutedUntil: null }, { mutedUntil: { $gt: new Date() } }]
+      }
+    }
+  }).select('_id').lean();
+
+  return users.map(user => user._id.toString());
+};
+
 /**
  * Find user by phone number with security data
  * @param {string} phoneNumber 
@@ -459,6 +637,7 @@ userSchema.methods.toJSON = function() {
     delete user.pinHash;
     delete user.security;
     delete user.sessionData?.refreshTokenVersion;
+    delete user.phoneHash;
   }
   return user;
 };
@@ -467,3 +646,4 @@ userSchema.methods.toJSON = function() {
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
+module.exports.PRIVACY_AUDIENCES = PRIVACY_AUDIENCES;
@@ -0,0 +1,36 @@
+/**
+ * Attachment Routes
+ * Route definitions for attachment upload, download and deletion endpoints
+ *
+ * @description Route layer for message attachments, mounted under /api/chat/attachments
+ * @author Chat App Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const { rateLimitByUser } = require('../middleware/authMiddleware');
+const { ValidationMiddleware } = require('../utils/validator');
+const attachmentController = require('../controllers/attachmentController');
+
+// Authentication and session validation are applied by the parent chat router
+const router = express.Router();
+
+// Upload an attachment
+router.post('/',
+  rateLimitByUser(20, 60 * 1000), // 20 uploads per minute per user
+  attachmentController.uploadAttachment
+);
+
+// Download an attachment
+router.get('/:attachmentId',
+  ValidationMiddleware.validateObjectId('attachmentId'),
+  attachmentController.downloadAttachment
+);
+
+// Delete an upload that has not been sent
+router.delete('/:attachmentId',
+  ValidationMiddleware.validateObjectId('attachmentId'),
+  attachmentController.deleteAttachment
+);
+
+module.exports = router;
@@ -8,6 +8,7 @@
  */
 
 const express = require('express');
+const joi = require('joi');
 const rateLimit = require('express-rate-limit');
 const { 
   authenticate, 
@@ -51,6 +52,13 @@ const strictAuthRateLimit = rateLimit({
  * Public authentication routes (no authentication required)
  */
 
+// Send an SMS verification code
+router.post('/otp',
+  authRateLimit,
+  ValidationMiddleware.validate(schemas.otpRequest, 'body'),
+  authController.requestOtp
+);
+
 // User registration
 router.post('/register',
   authRateLimit,
@@ -64,6 +72,13 @@ router.post('/login',
   authController.login
 );
 
+// Reset a forgotten PIN with an SMS code
+router.post('/reset-pin',
+  strictAuthRateLimit,
+  ValidationMiddleware.validate(schemas.pinReset, 'body'),
+  authController.resetPin
+);
+
 // Refresh access token
 router.post('/refresh',
   authRateLimit,
@@ -89,6 +104,15 @@ router.post('/verify-pin',
   authController.verifyPin
 );
 
+// Change PIN (signs out other devices)
+router.post('/change-pin',
+  strictAuthRateLimit,
+  authenticate,
+  validateSession,
+  ValidationMiddleware.validate(schemas.pinChange, 'body'),
+  authController.changePin
+);
+
 // Logout user
 router.post('/logout',
   authenticate,
@@ -108,6 +132,22 @@ router.get('/session-status',
   authController.getSessionStatus
 );
 
+// List signed-in devices
+router.get('/devices',
+  authenticate,
+  validateSession,
+  authController.getDevices
+);
+
+// Sign out another device
+router.delete('/devices/:deviceId',
+  authenticate,
+  validateSession,
+  rateLimitByUser(20, 60 * 1000), // 20 revocations per minute per user
+  ValidationMiddleware.validate(joi.object({ deviceId: schemas.deviceId.required() }), 'params'),
+  authController.revokeDevice
+);
+
 // Get authentication statistics (development only)
 router.get('/stats',
   authenticate,
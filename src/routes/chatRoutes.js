@@ -17,6 +17,8 @@ const {
 } = require('../middleware/authMiddleware');
 const { ValidationMiddleware, schemas } = require('../utils/validator');
 const chatController = require('../controllers/chatController');
+const groupRoutes = require('./groupRoutes');
+const attachmentRoutes = require('./attachmentRoutes');
 
 const router = express.Router();
 
@@ -39,14 +41,14 @@ router.post('/send',
 // Get chat history with another user
 router.get('/history/:userId',
   ValidationMiddleware.validateObjectId('userId'),
-  ValidationMiddleware.validate(schemas.pagination, 'query'),
+  ValidationMiddleware.validate(schemas.chatHistoryQuery, 'query'),
   chatController.getChatHistory
 );
 
 // Get group chat history
 router.get('/history/group/:groupId',
   ValidationMiddleware.validateObjectId('groupId'),
-  ValidationMiddleware.validate(schemas.pagination, 'query'),
+  ValidationMiddleware.validate(schemas.chatHistoryQuery, 'query'),
   chatController.getChatHistory
 );
 
@@ -54,8 +56,10 @@ router.get('/history/group/:groupId',
 router.post('/mark-read',
   rateLimitByUser(60, 60 * 1000), // 60 requests per minute per user
   ValidationMiddleware.validate(joi.object({
-    senderId: schemas.objectId.required()
-  }), 'body'),
+    senderId: schemas.objectId,
+    groupId: schemas.objectId,
+    upToMessageId: schemas.objectId
+  }).xor('senderId', 'groupId').with('upToMessageId', 'groupId'), 'body'),
   chatController.markMessagesAsRead
 );
 
@@ -65,6 +69,61 @@ router.delete('/message/:messageId',
   chatController.deleteMessage
 );
 
+// Edit a message
+router.patch('/message/:messageId',
+  rateLimitByUser(30, 60 * 1000), // 30 edits per minute per user
+  ValidationMiddleware.validateObjectId('messageId'),
+  ValidationMiddleware.validate(schemas.editMessage, 'body'),
+  chatController.editMessage
+);
+
+// Get edit history of a message
+router.get('/message/:messageId/edits',
+  ValidationMiddleware.validateObjectId('messageId'),
+  chatController.getMessageEditHistory
+);
+
+// Get a message thread (root message and paginated replies)
+router.get('/message/:messageId/thread',
+  ValidationMiddleware.validateObjectId('messageId'),
+  ValidationMiddleware.validate(schemas.pagination, 'query'),
+  chatController.getThread
+);
+
+// Get delivery and read receipts of a message (sender only)
+router.get('/message/:messageId/receipts',
+  ValidationMiddleware.validateObjectId('messageId'),
+  chatController.getMessageReceipts
+);
+
+// Add a reaction to a message
+router.post('/message/:messageId/reactions',
+  rateLimitByUser(60, 60 * 1000), // 60 reactions per minute per user
+  ValidationMiddleware.validateObjectId('messageId'),
+  ValidationMiddleware.validate(schemas.reaction, 'body'),
+  chatController.addReaction
+);
+
+// Remove a reaction from a message (emoji is URL-encoded)
+router.delete('/message/:messageId/reactions/:emoji',
+  rateLimitByUser(60, 60 * 1000), // 60 reactions per minute per user
+  ValidationMiddleware.validateObjectId('messageId'),
+  ValidationMiddleware.validate(schemas.reaction.append({
+    messageId: schemas.objectId
+  }), 'params'),
+  chatController.removeReaction
+);
+
+/**
+ * Attachment endpoints
+ */
+router.use('/attachments', attachmentRoutes);
+
+/**
+ * Group management endpoints
+ */
+router.use('/groups', groupRoutes);
+
 /**
  * User status and presence endpoints
  */
@@ -86,8 +145,8 @@ router.get('/online-users',
 router.get('/search-users',
   rateLimitByUser(20, 60 * 1000), // 20 searches per minute per user
   ValidationMiddleware.validate(joi.object({
-    q: joi.string().min(3).max(50).required().messages({
-      'string.min': 'Search term must be at least 3 characters',
+    q: joi.string().trim().min(2).max(50).required().messages({
+      'string.min': 'Search term must be at least 2 characters',
       'string.max': 'Search term cannot exceed 50 characters',
       'any.required': 'Search term (q) is required'
     }),
@@ -96,6 +155,13 @@ router.get('/search-users',
   chatController.searchUsers
 );
 
+// Search message content
+router.get('/search',
+  rateLimitByUser(30, 60 * 1000), // 30 searches per minute per user
+  ValidationMiddleware.validate(schemas.messageSearchQuery, 'query'),
+  chatController.searchMessages
+);
+
 /**
  * Conversation management endpoints
  */
@@ -115,6 +181,13 @@ router.get('/unread-count',
   chatController.getUnreadCount
 );
 
+// Get changes since the last sync (reconnecting clients)
+router.get('/sync',
+  rateLimitByUser(30, 60 * 1000), // 30 requests per minute per user
+  ValidationMiddleware.validate(schemas.syncQuery, 'query'),
+  chatController.syncChanges
+);
+
 /**
  * Statistics and analytics endpoints
  */
@@ -148,16 +221,39 @@ router.use('*', (req, res) => {
         'GET /api/chat/history/:userId',
         'GET /api/chat/history/group/:groupId',
         'POST /api/chat/mark-read',
-        'DELETE /api/chat/message/:messageId'
+        'DELETE /api/chat/message/:messageId',
+        'PATCH /api/chat/message/:messageId',
+        'GET /api/chat/message/:messageId/edits',
+        'GET /api/chat/message/:messageId/thread',
+        'GET /api/chat/message/:messageId/receipts',
+        'POST /api/chat/message/:messageId/reactions',
+        'DELETE /api/chat/message/:messageId/reactions/:emoji'
+      ],
+      attachments: [
+        'POST /api/chat/attachments',
+        'GET /api/chat/attachments/:attachmentId'
+      ],
+      groups: [
+        'POST /api/chat/groups',
+        'GET /api/chat/groups',
+        'GET /api/chat/groups/:groupId',
+        'PATCH /api/chat/groups/:groupId',
+        'DELETE /api/chat/groups/:groupId',
+        'POST /api/chat/groups/:groupId/members',
+        'PATCH /api/chat/groups/:groupId/members/:memberId',
+        'DELETE /api/chat/groups/:groupId/members/:memberId',
+        'POST /api/chat/groups/:groupId/leave'
       ],
       status: [
         'POST /api/chat/status',
         'GET /api/chat/online-users',
-        'GET /api/chat/search-users'
+        'GET /api/chat/search-users',
+        'GET /api/chat/search'
       ],
       conversations: [
         'GET /api/chat/conversations',
-        'GET /api/chat/unread-count'
+        'GET /api/chat/unread-count',
+        'GET /api/chat/sync'
       ],
       analytics: [
         'GET /api/chat/statistics'
@@ -0,0 +1,80 @@
+/**
+ * Contact Routes
+ * Route definitions for contact endpoints
+ *
+ * @description Route layer for phone-book sync and contact lists, mounted under /api/contacts
+ * @author Chat App Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const {
+  authenticate,
+  validateSession,
+  rateLimitByUser
+} = require('../middleware/authMiddleware');
+const { ValidationMiddleware, schemas } = require('../utils/validator');
+const contactController = require('../controllers/contactController');
+
+const router = express.Router();
+
+/**
+ * Apply authentication to all contact routes
+ */
+router.use(authenticate);
+router.use(validateSession);
+
+// Match hashed address-book numbers against registered users
+router.post('/sync',
+  rateLimitByUser(10, 60 * 1000), // 10 syncs per minute per user
+  ValidationMiddleware.validate(schemas.contactSync, 'body'),
+  contactController.syncContacts
+);
+
+// Get the contact list
+router.get('/',
+  contactController.getContacts
+);
+
+// Save a contact
+router.post('/',
+  rateLimitByUser(60, 60 * 1000), // 60 contacts per minute per user
+  ValidationMiddleware.validate(schemas.addContact, 'body'),
+  contactController.addContact
+);
+
+// Change a contact's nickname
+router.patch('/:userId',
+  ValidationMiddleware.validateObjectId('userId'),
+  ValidationMiddleware.validate(schemas.updateContact, 'body'),
+  contactController.updateContact
+);
+
+// Remove a contact
+router.delete('/:userId',
+  ValidationMiddleware.validateObjectId('userId'),
+  contactController.removeContact
+);
+
+/**
+ * Error handling for invalid routes
+ */
+router.use('*', (req, res) => {
+  res.status(404).json({
+    success: false,
+    message: `Contact route ${req.originalUrl} not found`,
+    error: 'ROUTE_NOT_FOUND',
+    availableEndpoints: {
+      contacts: [
+        'POST /api/contacts/sync',
+        'GET /api/contacts',
+        'POST /api/contacts',
+        'PATCH /api/contacts/:userId',
+        'DELETE /api/contacts/:userId'
+      ]
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,78 @@
+/**
+ * Group Routes
+ * Route definitions for group lifecycle endpoints
+ *
+ * @description Route layer for group chat management, mounted under /api/chat/groups
+ * @author Chat App Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const { rateLimitByUser } = require('../middleware/authMiddleware');
+const { ValidationMiddleware, schemas } = require('../utils/validator');
+const groupController = require('../controllers/groupController');
+
+// Authentication and session validation are applied by the parent chat router
+const router = express.Router();
+
+// Create a group
+router.post('/',
+  rateLimitByUser(10, 60 * 1000), // 10 groups per minute per user
+  ValidationMiddleware.validate(schemas.createGroup, 'body'),
+  groupController.createGroup
+);
+
+// List groups of current user
+router.get('/',
+  groupController.getUserGroups
+);
+
+// Get group details
+router.get('/:groupId',
+  ValidationMiddleware.validateObjectId('groupId'),
+  groupController.getGroup
+);
+
+// Rename or update group details
+router.patch('/:groupId',
+  ValidationMiddleware.validateObjectId('groupId'),
+  ValidationMiddleware.validate(schemas.updateGroup, 'body'),
+  groupController.updateGroup
+);
+
+// Dissolve a group
+router.delete('/:groupId',
+  ValidationMiddleware.validateObjectId('groupId'),
+  groupController.dissolveGroup
+);
+
+// Add members
+router.post('/:groupId/members',
+  rateLimitByUser(30, 60 * 1000), // 30 requests per minute per user
+  ValidationMiddleware.validateObjectId('groupId'),
+  ValidationMiddleware.validate(schemas.addGroupMembers, 'body'),
+  groupController.addMembers
+);
+
+// Change a member's role
+router.patch('/:groupId/members/:memberId',
+  ValidationMiddleware.validateObjectId('groupId'),
+  ValidationMiddleware.validateObjectId('memberId'),
+  ValidationMiddleware.validate(schemas.updateGroupMemberRole, 'body'),
+  groupController.updateMemberRole
+);
+
+// Remove a member
+router.delete('/:groupId/members/:memberId',
+  ValidationMiddleware.validateObjectId('groupId'),
+  ValidationMiddleware.validateObjectId('memberId'),
+  groupController.removeMember
+);
+
+// Leave a group
+router.post('/:groupId/leave',
+  ValidationMiddleware.validateObjectId('groupId'),
+  groupController.leaveGroup
+);
+
+module.exports = router;
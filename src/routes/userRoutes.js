@@ -0,0 +1,146 @@
+/**
+ * User Routes
+ * Route definitions for profile endpoints
+ *
+ * @description Route layer for profile management and profile lookups, mounted under /api/users
+ * @author Chat App Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const joi = require('joi');
+const {
+  authenticate,
+  validateSession,
+  rateLimitByUser
+} = require('../middleware/authMiddleware');
+const { ValidationMiddleware, schemas } = require('../utils/validator');
+const userController = require('../controllers/userController');
+
+const router = express.Router();
+
+/**
+ * Apply authentication to all user routes
+ */
+router.use(authenticate);
+router.use(validateSession);
+
+/**
+ * Own profile endpoints
+ */
+
+// Update display name and bio
+router.patch('/me/profile',
+  rateLimitByUser(20, 60 * 1000), // 20 updates per minute per user
+  ValidationMiddleware.validate(schemas.updateProfile, 'body'),
+  userController.updateProfile
+);
+
+// Update privacy settings
+router.patch('/me/privacy',
+  rateLimitByUser(20, 60 * 1000), // 20 updates per minute per user
+  ValidationMiddleware.validate(schemas.updatePrivacy, 'body'),
+  userController.updatePrivacy
+);
+
+// Upload a new avatar
+router.put('/me/avatar',
+  rateLimitByUser(10, 60 * 1000), // 10 uploads per minute per user
+  userController.uploadAvatar
+);
+
+// Remove the avatar
+router.delete('/me/avatar',
+  userController.removeAvatar
+);
+
+// List blocked and muted users
+router.get('/me/blocked',
+  userController.getBlockedUsers
+);
+
+/**
+ * Other users
+ */
+
+// Get a user's profile
+router.get('/:userId',
+  ValidationMiddleware.validateObjectId('userId'),
+  userController.getUserProfile
+);
+
+// Download an avatar rendition
+router.get('/:userId/avatar/:size',
+  ValidationMiddleware.validateObjectId('userId'),
+  ValidationMiddleware.validate(joi.object({
+    userId: schemas.objectId.required(),
+    size: joi.string().valid('small', 'medium', 'large').required()
+  }), 'params'),
+  userController.getAvatar
+);
+
+/**
+ * Blocking and muting
+ */
+
+// Block a user
+router.post('/:userId/block',
+  ValidationMiddleware.validateObjectId('userId'),
+  rateLimitByUser(30, 60 * 1000), // 30 changes per minute per user
+  userController.blockUser
+);
+
+// Unblock a user
+router.delete('/:userId/block',
+  ValidationMiddleware.validateObjectId('userId'),
+  rateLimitByUser(30, 60 * 1000),
+  userController.unblockUser
+);
+
+// Mute a user
+router.post('/:userId/mute',
+  ValidationMiddleware.validateObjectId('userId'),
+  rateLimitByUser(30, 60 * 1000),
+  ValidationMiddleware.validate(schemas.muteUser, 'body'),
+  userController.muteUser
+);
+
+// Unmute a user
+router.delete('/:userId/mute',
+  ValidationMiddleware.validateObjectId('userId'),
+  rateLimitByUser(30, 60 * 1000),
+  userController.unmuteUser
+);
+
+/**
+ * Error handling for invalid routes
+ */
+router.use('*', (req, res) => {
+  res.status(404).json({
+    success: false,
+    message: `User route ${req.originalUrl} not found`,
+    error: 'ROUTE_NOT_FOUND',
+    availableEndpoints: {
+      profile: [
+        'PATCH /api/users/me/profile',
+        'PATCH /api/users/me/privacy',
+        'PUT /api/users/me/avatar',
+        'DELETE /api/users/me/avatar',
+        'GET /api/users/me/blocked'
+      ],
+      users: [
+        'GET /api/users/:userId',
+        'GET /api/users/:userId/avatar/:size'
+      ],
+      blocking: [
+        'POST /api/users/:userId/block',
+        'DELETE /api/users/:userId/block',
+        'POST /api/users/:userId/mute',
+        'DELETE /api/users/:userId/mute'
+      ]
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+module.exports = router;
@@ -21,6 +21,7 @@ const config = require('./config/config');
 const databaseManager = require('./config/database');
 const logger = require('./utils/logger');
 const webSocketController = require('./websocket/websocketController');
+const User = require('./models/userModel');
 
 // Middleware imports
 const { 
@@ -32,6 +33,8 @@ const {
 // Route imports
 const authRoutes = require('./routes/authRoutes');
 const chatRoutes = require('./routes/chatRoutes');
+const userRoutes = require('./routes/userRoutes');
+const contactRoutes = require('./routes/contactRoutes');
 
 /**
  * Server Application Class
@@ -53,6 +56,9 @@ class ChatServer {
       // Connect to database
       await databaseManager.connect();
 
+      // Make users registered before contact sync discoverable
+      await this.backfillPhoneHashes();
+
       // Setup middleware
       this.setupSecurity();
       this.setupParsing();
@@ -84,6 +90,22 @@ class ChatServer {
     }
   }
 
+  /**
+   * Set phone hashes missing on existing users
+   * @private
+   */
+  async backfillPhoneHashes() {
+    try {
+      const updated = await User.backfillPhoneHashes();
+      if (updated > 0) {
+        logger.info('📇 Phone hashes backfilled', { updated });
+      }
+    } catch (error) {
+      // Contact sync only misses the affected users; do not block startup
+      logger.error('Failed to backfill phone hashes:', error);
+    }
+  }
+
   /**
    * Setup security middleware
    * @private
@@ -229,15 +251,20 @@ class ChatServer {
           documentation: {
             authentication: '/api/auth',
             chat: '/api/chat',
+            users: '/api/users',
+            contacts: '/api/contacts',
             websocket: 'Connect to /socket.io for real-time features'
           },
           endpoints: {
             auth: {
+              requestOtp: 'POST /api/auth/otp',
               register: 'POST /api/auth/register',
               login: 'POST /api/auth/login',
               logout: 'POST /api/auth/logout',
               refresh: 'POST /api/auth/refresh',
               verifyPin: 'POST /api/auth/verify-pin',
+              changePin: 'POST /api/auth/change-pin',
+              resetPin: 'POST /api/auth/reset-pin',
               profile: 'GET /api/auth/me'
             },
             chat: {
@@ -246,6 +273,16 @@ class ChatServer {
               conversations: 'GET /api/chat/conversations',
               status: 'POST /api/chat/status',
               onlineUsers: 'GET /api/chat/online-users'
+            },
+            users: {
+              updateProfile: 'PATCH /api/users/me/profile',
+              uploadAvatar: 'PUT /api/users/me/avatar',
+              profile: 'GET /api/users/:userId'
+            },
+            contacts: {
+              sync: 'POST /api/contacts/sync',
+              list: 'GET /api/contacts',
+              add: 'POST /api/contacts'
             }
           },
           timestamp: new Date().toISOString()
@@ -256,6 +293,8 @@ class ChatServer {
     // Mount route modules
     this.app.use('/api/auth', authRoutes);
     this.app.use('/api/chat', chatRoutes);
+    this.app.use('/api/users', userRoutes);
+    this.app.use('/api/contacts', contactRoutes);
 
     // 404 handler for API routes
     this.app.use('/api/*', notFoundHandler);
@@ -348,6 +387,9 @@ class ChatServer {
           });
         }
 
+        // Leave the socket cluster before the database goes away
+        await webSocketController.close();
+
         // Close database connection
         await databaseManager.disconnect();
 
@@ -0,0 +1,538 @@
+/**
+ * Attachment Service
+ * Upload handling, storage and message linkage for attachments
+ *
+ * @description Service layer streaming multipart uploads to the configured
+ * storage driver with content sniffing, size limits and per-user quotas.
+ * Uploads never sent with a message are swept after UPLOAD_PENDING_TTL_HOURS.
+ * @author Chat App Team
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const busboy = require('busboy');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const Attachment = require('../models/attachmentModel');
+const { ATTACHMENT_STATUS } = require('../models/attachmentModel');
+const { SNIFF_BYTES, ATTACHMENT_CATEGORIES, resolveMimeType } = require('../utils/mimeSniffer');
+const { schemas } = require('../utils/validator');
+const { createError } = require('../middleware/errorHandler');
+const { createStorageDriver } = require('./storage');
+
+/**
+ * Stream transform that sniffs the file type from the leading bytes and
+ * enforces the size limit while the upload is written to storage
+ */
+class UploadInspector extends Transform {
+  /**
+   * @param {Object} options
+   * @param {string} options.declaredType - Client-declared MIME type
+   * @param {Function} options.getSizeLimit - Maps a category to its byte limit
+   */
+  constructor({ declaredType, getSizeLimit }) {
+    super();
+    this.declaredType = declaredType;
+    this.getSizeLimit = getSizeLimit;
+    this.head = [];
+    this.headLength = 0;
+    this.detected = null;
+    this.sizeLimit = null;
+    this.size = 0;
+    this.hash = crypto.createHash('sha256');
+  }
+
+  _transform(chunk, encoding, callback) {
+    if (this.detected) {
+      return callback(this.forward(chunk));
+    }
+
+    this.head.push(chunk);
+    this.headLength += chunk.length;
+
+    if (this.headLength < SNIFF_BYTES) {
+      return callback();
+    }
+
+    return callback(this.detect() || this.forward(Buffer.concat(this.head)));
+  }
+
+  _flush(callback) {
+    if (this.detected) {
+      return callback();
+    }
+
+    if (this.headLength === 0) {
+      return callback(createError.badRequest('Uploaded file is empty'));
+    }
+
+    return callback(this.detect() || this.forward(Buffer.concat(this.head)));
+  }
+
+  /**
+   * Identify the file type from the buffered head
+   * @returns {Error|null} Error if the type is not supported
+   * @private
+   */
+  detect() {
+    this.detected = resolveMimeType(Buffer.concat(this.head), this.declaredType);
+    if (!this.detected) {
+      return createError.unsupportedMediaType('File type is not supported');
+    }
+
+    this.sizeLimit = this.getSizeLimit(this.detected.category);
+    return null;
+  }
+
+  /**
+   * Pass data through while counting bytes
+   * @param {Buffer} chunk - Data chunk
+   * @returns {Error|null} Error if the size limit is exceeded
+   * @private
+   */
+  forward(chunk) {
+    this.size += chunk.length;
+    if (this.size > this.sizeLimit.bytes) {
+      return createError.payloadTooLarge(this.sizeLimit.message);
+    }
+
+    this.hash.update(chunk);
+    this.push(chunk);
+    return null;
+  }
+}
+
+class AttachmentService {
+  constructor() {
+    this.storage = createStorageDriver(config.uploads.driver, config.uploads);
+    this.maxImageSize = config.uploads.maxImageSize;
+    this.maxFileSize = config.uploads.maxFileSize;
+    this.userQuota = config.uploads.userQuota;
+    this.maxAttachmentsPerMessage = config.uploads.maxAttachmentsPerMessage;
+    this.maxFileNameLength = 255;
+    this.pendingTtlMs = config.uploads.pendingTtlHours * 60 * 60 * 1000;
+    this.cleanupIntervalMs = 60 * 60 * 1000; // Sweep stale uploads hourly
+    this.cleanupBatchSize = 500;
+
+    // Start cleanup timer
+    this.startCleanupTimer();
+  }
+
+  /**
+   * Receive a multipart upload and store it as a pending attachment
+   * The file is expected in a form field named "file".
+   * @param {string} userId - Uploader user ID
+   * @param {Object} req - Express request (unparsed multipart body)
+   * @returns {Promise<Object>} Upload result
+   */
+  async uploadAttachment(userId, req) {
+    try {
+      if (!userId) {
+        throw createError.badRequest('User ID is required');
+      }
+
+      const usage = await Attachment.getUserUsage(userId);
+      const remainingQuota = this.userQuota - usage;
+      if (remainingQuota <= 0) {
+        req.resume();
+        throw createError.payloadTooLarge('Storage quota exceeded');
+      }
+
+      const upload = await this.receiveUpload(req, userId, remainingQuota);
+
+      const attachment = new Attachment({
+        ownerId: userId,
+        storage: {
+          driver: this.storage.name,
+          key: upload.key
+        },
+        fileName: upload.fileName,
+        mimeType: upload.mimeType,
+        category: upload.category,
+        size: upload.size,
+        checksum: upload.checksum
+      });
+
+      try {
+        await attachment.save();
+      } catch (error) {
+        await this.storage.delete(upload.key).catch(() => {});
+        throw error;
+      }
+
+      logger.info('Attachment uploaded', {
+        attachmentId: attachment._id,
+        userId,
+        mimeType: attachment.mimeType,
+        size: attachment.size
+      });
+
+      return {
+        success: true,
+        message: 'File uploaded successfully',
+        data: attachment.toJSON()
+      };
+
+    } catch (error) {
+      logger.error('Error uploading attachment:', error, { userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Get an attachment by ID
+   * @param {string} attachmentId - Attachment ID
+   * @returns {Promise<Object>} Attachment document
+   */
+  async getAttachment(attachmentId) {
+    if (!attachmentId || schemas.objectId.validate(attachmentId.toString()).error) {
+      throw createError.badRequest('Invalid attachment ID format');
+    }
+
+    const attachment = await Attachment.findById(attachmentId);
+    if (!attachment) {
+      throw createError.notFound('Attachment not found');
+    }
+
+    return attachment;
+  }
+
+  /**
+   * Open the stored contents of an attachment
+   * @param {Object} attachment - Attachment document
+   * @returns {Promise<stream.Readable>} File stream
+   */
+  async openAttachmentStream(attachment) {
+    try {
+      return await this.storage.createReadStream(attachment.storage.key);
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      logger.error('Stored attachment is unavailable:', error, { attachmentId: attachment._id });
+      throw createError.notFound('Attachment file not found');
+    }
+  }
+
+  /**
+   * Atomically link pending attachments to a message
+   * Either every attachment is claimed or none is.
+   * @param {Array<string>} attachmentIds - Attachment IDs
+   * @param {string} userId - Sender user ID (must own the attachments)
+   * @param {ObjectId} messageId - Message the attachments belong to
+   * @returns {Promise<Array>} Claimed attachment documents in request order
+   */
+  async claimAttachments(attachmentIds, userId, messageId) {
+    const ids = [...new Set(attachmentIds.map(id => id.toString()))];
+
+    if (ids.length > this.maxAttachmentsPerMessage) {
+      throw createError.badRequest(`A message can have at most ${this.maxAttachmentsPerMessage} attachments`);
+    }
+
+    if (ids.some(id => schemas.objectId.validate(id).error)) {
+      throw createError.badRequest('Invalid attachment ID format');
+    }
+
+    const result = await Attachment.updateMany(
+      { _id: { $in: ids }, ownerId: userId, status: ATTACHMENT_STATUS.PENDING },
+      {
+        $set: {
+          status: ATTACHMENT_STATUS.ATTACHED,
+          messageId,
+          'metadata.attachedAt': new Date()
+        }
+      }
+    );
+
+    if (result.modifiedCount !== ids.length) {
+      await this.releaseAttachments(messageId);
+      throw createError.badRequest('Attachments not found or already sent');
+    }
+
+    const attachments = await Attachment.find({ _id: { $in: ids } });
+    return ids.map(id => attachments.find(attachment => attachment._id.toString() === id));
+  }
+
+  /**
+   * Return attachments claimed by a message to the pending state
+   * Used when the message could not be saved.
+   * @param {ObjectId} messageId - Message ID
+   * @returns {Promise<void>}
+   */
+  async releaseAttachments(messageId) {
+    await Attachment.updateMany(
+      { messageId, status: ATTACHMENT_STATUS.ATTACHED },
+      {
+        $set: {
+          status: ATTACHMENT_STATUS.PENDING,
+          messageId: null,
+          'metadata.attachedAt': null
+        }
+      }
+    );
+  }
+
+  /**
+   * Delete an upload that was not sent with a message
+   * @param {string} attachmentId - Attachment ID
+   * @param {string} userId - User ID (must be the uploader)
+   * @returns {Promise<Object>} Result
+   */
+  async deletePendingAttachment(attachmentId, userId) {
+    try {
+      const attachment = await this.getAttachment(attachmentId);
+
+      if (attachment.ownerId.toString() !== userId.toString()) {
+        throw createError.notFound('Attachment not found');
+      }
+
+      if (attachment.status !== ATTACHMENT_STATUS.PENDING
+        || !(await this.removeAttachment(attachment, ATTACHMENT_STATUS.PENDING))) {
+        throw createError.conflict('Attachment has already been sent');
+      }
+
+      logger.info('Attachment deleted', { attachmentId, userId });
+
+      return {
+        success: true,
+        message: 'Attachment deleted successfully'
+      };
+
+    } catch (error) {
+      logger.error('Error deleting attachment:', error, { attachmentId, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the attachments of a deleted message, with their stored files
+   * @param {ObjectId} messageId - Message ID
+   * @returns {Promise<number>} Number of attachments deleted
+   */
+  async deleteMessageAttachments(messageId) {
+    try {
+      const attachments = await Attachment.find({ messageId, status: ATTACHMENT_STATUS.ATTACHED });
+
+      let deletedCount = 0;
+      for (const attachment of attachments) {
+        if (await this.removeAttachment(attachment, ATTACHMENT_STATUS.ATTACHED)) {
+          deletedCount++;
+        }
+      }
+
+      return deletedCount;
+
+    } catch (error) {
+      logger.error('Error deleting message attachments:', error, { messageId });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete uploads that were never sent with a message
+   * @returns {Promise<number>} Number of attachments deleted
+   */
+  async cleanupPendingAttachments() {
+    try {
+      const cutoff = new Date(Date.now() - this.pendingTtlMs);
+      const stale = await Attachment.find({
+        status: ATTACHMENT_STATUS.PENDING,
+        'metadata.createdAt': { $lt: cutoff }
+      }).limit(this.cleanupBatchSize);
+
+      let deletedCount = 0;
+      for (const attachment of stale) {
+        if (await this.removeAttachment(attachment, ATTACHMENT_STATUS.PENDING)) {
+          deletedCount++;
+        }
+      }
+
+      if (deletedCount > 0) {
+        logger.info('Stale uploads cleaned up', { deletedCount, cutoff });
+      }
+
+      return deletedCount;
+
+    } catch (error) {
+      logger.error('Error cleaning up stale uploads:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Delete an attachment record and then its stored file
+   * The record is only deleted while it still has the expected status, so
+   * an upload claimed by a message in the meantime is kept.
+   * @param {Object} attachment - Attachment document
+   * @param {string} status - Expected status
+   * @returns {Promise<boolean>} True if the attachment was deleted
+   * @private
+   */
+  async removeAttachment(attachment, status) {
+    const { deletedCount } = await Attachment.deleteOne({ _id: attachment._id, status });
+    if (deletedCount === 0) {
+      return false;
+    }
+
+    await this.storage.delete(attachment.storage.key).catch((error) => {
+      logger.warn('Error deleting stored attachment:', {
+        attachmentId: attachment._id,
+        error: error.message
+      });
+    });
+
+    return true;
+  }
+
+  /**
+   * Start cleanup timer for stale uploads
+   * @private
+   */
+  startCleanupTimer() {
+    const timer = setInterval(() => {
+      this.cleanupPendingAttachments();
+    }, this.cleanupIntervalMs);
+    timer.unref();
+  }
+
+  /**
+   * Get the size limit for an attachment category
+   * @param {string} category - Attachment category
+   * @param {number} remainingQuota - Bytes left in the user's quota
+   * @returns {Object} { bytes, message }
+   * @private
+   */
+  getSizeLimit(category, remainingQuota) {
+    const typeLimit = category === ATTACHMENT_CATEGORIES.IMAGE ? this.maxImageSize : this.maxFileSize;
+
+    if (remainingQuota < typeLimit) {
+      return { bytes: remainingQuota, message: 'Storage quota exceeded' };
+    }
+
+    return {
+      bytes: typeLimit,
+      message: `${category === ATTACHMENT_CATEGORIES.IMAGE ? 'Image' : 'File'} exceeds maximum size of ${typeLimit} bytes`
+    };
+  }
+
+  /**
+   * Stream the "file" field of a multipart request to storage
+   * @param {Object} req - Express request
+   * @param {string} userId - Uploader user ID
+   * @param {number} remainingQuota - Bytes left in the user's quota
+   * @returns {Promise<Object>} { key, fileName, mimeType, category, size, checksum }
+   * @private
+   */
+  receiveUpload(req, userId, remainingQuota) {
+    return new Promise((resolve, reject) => {
+      let parser;
+      try {
+        parser = busboy({
+          headers: req.headers,
+          limits: { files: 1, fields: 0 }
+        });
+      } catch (error) {
+        req.resume();
+        reject(createError.badRequest('Request must be multipart/form-data'));
+        return;
+      }
+
+      let pendingSave = null;
+      let settled = false;
+
+      const fail = (error) => {
+        if (settled) return;
+        settled = true;
+        req.unpipe(parser);
+        req.resume();
+        reject(error);
+      };
+
+      parser.on('file', (fieldName, file, info) => {
+        if (fieldName !== 'file' || pendingSave) {
+          file.resume();
+          return;
+        }
+
+        const key = this.generateStorageKey(userId);
+        const inspector = new UploadInspector({
+          declaredType: info.mimeType,
+          getSizeLimit: category => this.getSizeLimit(category, remainingQuota)
+        });
+
+        // Data may flow before the driver attaches to the stream, so keep the
+        // first stream error to report instead of a generic premature close
+        let streamError = null;
+        inspector.on('error', (error) => {
+          streamError = streamError || error;
+        });
+        file.on('error', error => inspector.destroy(error));
+
+        pendingSave = this.storage.save(key, file.pipe(inspector))
+          .catch((error) => {
+            throw streamError || error;
+          })
+          .then(() => ({
+            key,
+            fileName: this.sanitizeFileName(info.filename),
+            mimeType: inspector.detected.mimeType,
+            category: inspector.detected.category,
+            size: inspector.size,
+            checksum: inspector.hash.digest('hex')
+          }));
+
+        pendingSave.catch(fail);
+      });
+
+      parser.on('error', () => fail(createError.badRequest('Malformed multipart body')));
+
+      parser.on('close', () => {
+        if (!pendingSave) {
+          fail(createError.badRequest('File is required in the "file" field'));
+          return;
+        }
+
+        pendingSave.then((upload) => {
+          if (!settled) {
+            settled = true;
+            resolve(upload);
+          }
+        }, () => {});
+      });
+
+      req.pipe(parser);
+    });
+  }
+
+  /**
+   * Build a unique storage key for a new upload
+   * @param {string} userId - Uploader user ID
+   * @returns {string} Storage key
+   * @private
+   */
+  generateStorageKey(userId) {
+    const now = new Date();
+    const month = String(now.getUTCMonth() + 1).padStart(2, '0');
+    return `${userId}/${now.getUTCFullYear()}/${month}/${crypto.randomUUID()}`;
+  }
+
+  /**
+   * Strip path components and control characters from a client file name
+   * @param {string} fileName - Client file name
+   * @returns {string} Safe display name
+   * @private
+   */
+  sanitizeFileName(fileName) {
+    const baseName = (fileName || '').split(/[\\/]/).pop()
+      .replace(/[\u0000-\u001f\u007f"]/g, '')
+      .trim();
+
+    return (baseName || 'file').slice(0, this.maxFileNameLength);
+  }
+}
+
+// Create singleton instance
+const attachmentService = new AttachmentService();
+
+module.exports = attachmentService;
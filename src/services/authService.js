@@ -7,13 +7,17 @@
  * @version 1.0.0
  */
 
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const moment = require('moment');
 const config = require('../config/config');
 const logger = require('../utils/logger');
 const User = require('../models/userModel');
+const Device = require('../models/deviceModel');
+const otpService = require('./otpService');
 const { ValidationMiddleware } = require('../utils/validator');
+const { createError } = require('../middleware/errorHandler');
 
 class AuthService {
   constructor() {
@@ -24,14 +28,50 @@ class AuthService {
     };
   }
 
+  /**
+   * Send an SMS verification code
+   * Registration codes are only sent for unregistered numbers, verification
+   * codes only for registered accounts that have not been verified yet and
+   * PIN reset codes only for registered accounts.
+   * @param {string} phoneNumber - Phone number
+   * @param {string} purpose - 'registration', 'verification' or 'pin_reset'
+   * @returns {Promise<Object>} { expiresIn, resendAfter } in seconds
+   */
+  async requestOtp(phoneNumber, purpose = 'registration') {
+    const phoneValidation = ValidationMiddleware.validatePhoneNumber(phoneNumber);
+    if (!phoneValidation.isValid) {
+      throw createError.badRequest(phoneValidation.error);
+    }
+
+    const user = await User.findOne({ phoneNumber: phoneValidation.value, isActive: true })
+      .select('phoneVerified');
+
+    if (purpose === 'registration' && user) {
+      throw createError.conflict('User with this phone number already exists');
+    }
+
+    if (purpose === 'verification' && (!user || user.phoneVerified)) {
+      throw createError.badRequest('No unverified account uses this phone number');
+    }
+
+    if (purpose === 'pin_reset' && !user) {
+      throw createError.notFound('No account uses this phone number');
+    }
+
+    return otpService.sendCode(phoneValidation.value, purpose);
+  }
+
   /**
    * Register a new user
+   * When PHONE_VERIFICATION_REQUIRED is set a registration code is required;
+   * otherwise a code is optional and marks the number as verified.
    * @param {string} phoneNumber - User's phone number
    * @param {string} pin - 4-digit PIN
    * @param {Object} deviceInfo - Device information
+   * @param {string} otp - SMS code from requestOtp (purpose 'registration')
    * @returns {Promise<Object>} Registration result
    */
-  async register(phoneNumber, pin, deviceInfo = {}) {
+  async register(phoneNumber, pin, deviceInfo = {}, otp = null) {
     try {
       // Validate inputs
       const phoneValidation = ValidationMiddleware.validatePhoneNumber(phoneNumber);
@@ -58,10 +98,19 @@ class AuthService {
         throw new Error('User with this phone number already exists');
       }
 
+      // Prove ownership of the number
+      if (otp) {
+        await otpService.verifyCode(phoneValidation.value, 'registration', otp);
+      } else if (config.otp.verificationRequired) {
+        throw createError.badRequest('Verification code is required');
+      }
+
       // Create new user
       const newUser = new User({
         phoneNumber: phoneValidation.value,
         pinHash: pin, // Will be hashed by the pre-save middleware
+        phoneVerified: !!otp,
+        phoneVerifiedAt: otp ? new Date() : null,
         sessionData: {
           lastLoginAt: new Date(),
           lastActivityAt: new Date(),
@@ -78,8 +127,12 @@ class AuthService {
 
       await newUser.save();
 
+      // Sign in the device
+      const deviceId = this.resolveDeviceId(deviceInfo);
+      await Device.register(newUser._id, deviceId, deviceInfo);
+
       // Generate tokens
-      const { accessToken, refreshToken } = this.generateTokens(newUser);
+      const { accessToken, refreshToken } = await this.issueTokens(newUser, deviceId);
 
       // Set user online
       await newUser.setOnline(deviceInfo);
@@ -93,6 +146,7 @@ class AuthService {
         success: true,
         message: 'User registered successfully',
         user: newUser.toJSON(),
+        deviceId,
         tokens: {
           accessToken,
           refreshToken
@@ -110,12 +164,15 @@ class AuthService {
 
   /**
    * Authenticate user login
+   * Unverified accounts may pass a verification code to verify their number;
+   * when PHONE_VERIFICATION_REQUIRED is set they must.
    * @param {string} phoneNumber - User's phone number
    * @param {string} pin - 4-digit PIN
    * @param {Object} deviceInfo - Device information
+   * @param {string} otp - SMS code from requestOtp (purpose 'verification')
    * @returns {Promise<Object>} Login result
    */
-  async login(phoneNumber, pin, deviceInfo = {}) {
+  async login(phoneNumber, pin, deviceInfo = {}, otp = null) {
     try {
       // Validate inputs
       const phoneValidation = ValidationMiddleware.validatePhoneNumber(phoneNumber);
@@ -171,6 +228,24 @@ class AuthService {
         throw new Error(`Invalid phone number or PIN. ${remainingAttempts} attempts remaining.`);
       }
 
+      // Verify the phone number of accounts created without a code
+      if (!user.phoneVerified) {
+        if (otp) {
+          await otpService.verifyCode(user.phoneNumber, 'verification', otp);
+          user.phoneVerified = true;
+          user.phoneVerifiedAt = new Date();
+        } else if (config.otp.verificationRequired) {
+          logger.logAuth('LOGIN_FAILED', phoneNumber, false, {
+            reason: 'Phone number not verified',
+            deviceInfo
+          });
+          throw createError.forbidden(
+            'Phone number is not verified. Request a verification code and include it as otp.',
+            { reason: 'PHONE_NOT_VERIFIED' }
+          );
+        }
+      }
+
       // Reset PIN retry attempts on successful login
       await user.resetPinRetries();
 
@@ -185,8 +260,12 @@ class AuthService {
 
       await user.save();
 
+      // Sign in the device
+      const deviceId = this.resolveDeviceId(deviceInfo);
+      await Device.register(user._id, deviceId, deviceInfo);
+
       // Generate tokens
-      const { accessToken, refreshToken } = this.generateTokens(user);
+      const { accessToken, refreshToken } = await this.issueTokens(user, deviceId);
 
       // Set user online
       await user.setOnline(deviceInfo);
@@ -201,6 +280,7 @@ class AuthService {
         success: true,
         message: 'Login successful',
         user: user.toJSON(),
+        deviceId,
         tokens: {
           accessToken,
           refreshToken
@@ -282,9 +362,10 @@ class AuthService {
 
       // Update activity
       await user.updateActivity();
+      await Device.touch(user._id, deviceInfo.deviceId, deviceInfo);
 
-      // Generate new tokens
-      const { accessToken, refreshToken } = this.generateTokens(user);
+      // Generate new tokens for the same device
+      const { accessToken, refreshToken } = await this.issueTokens(user, deviceInfo.deviceId);
 
       logger.logAuth('PIN_VERIFICATION_SUCCESS', user.phoneNumber, true, {
         userId,
@@ -312,9 +393,144 @@ class AuthService {
   }
 
   /**
-   * Logout user
+   * Change the PIN of a signed-in user
+   * All existing tokens are invalidated and other devices are signed out;
+   * the current device receives new tokens.
    * @param {string} userId - User ID
-   * @param {Object} deviceInfo - Device information
+   * @param {string} currentPin - Current 4-digit PIN
+   * @param {string} newPin - New 4-digit PIN
+   * @param {Object} deviceInfo - Device information (deviceId from the token)
+   * @returns {Promise<Object>} Result with new tokens and signedOutDeviceIds
+   */
+  async changePin(userId, currentPin, newPin, deviceInfo = {}) {
+    try {
+      const user = await User.findById(userId).select('+pinHash');
+      if (!user || !user.isActive) {
+        throw createError.notFound('User not found');
+      }
+
+      // Check if account is locked
+      if (user.isAccountLocked) {
+        const unlockTime = moment(user.security.lockedUntil).format('HH:mm:ss');
+        throw createError.forbidden(`Account is locked. Try again after ${unlockTime}`);
+      }
+
+      // Verify the current PIN
+      const isPinValid = await user.comparePin(currentPin);
+      if (!isPinValid) {
+        const isLocked = await user.handleFailedPinAttempt();
+        const remainingAttempts = Math.max(0, 5 - user.security.pinRetryCount);
+
+        logger.logAuth('PIN_CHANGE_FAILED', user.phoneNumber, false, {
+          reason: 'Invalid PIN',
+          userId,
+          remainingAttempts,
+          isLocked,
+          deviceInfo
+        });
+
+        if (isLocked) {
+          throw createError.forbidden('Account has been locked due to multiple failed attempts. Try again in 30 minutes.');
+        }
+
+        throw createError.unauthorized(`Current PIN is incorrect. ${remainingAttempts} attempts remaining.`);
+      }
+
+      if (currentPin === newPin) {
+        throw createError.badRequest('New PIN must be different from the current PIN');
+      }
+
+      const signedOutDeviceIds = await this.replacePin(user, newPin, deviceInfo.deviceId);
+
+      // New tokens carry the new token version
+      const { accessToken, refreshToken } = await this.issueTokens(user, deviceInfo.deviceId);
+
+      logger.logAuth('PIN_CHANGED', user.phoneNumber, true, {
+        userId,
+        signedOutDevices: signedOutDeviceIds.length,
+        deviceInfo
+      });
+
+      return {
+        success: true,
+        message: 'PIN changed successfully',
+        deviceId: deviceInfo.deviceId,
+        signedOutDeviceIds,
+        tokens: {
+          accessToken,
+          refreshToken
+        }
+      };
+
+    } catch (error) {
+      logger.logAuth('PIN_CHANGE_ERROR', 'unknown', false, {
+        error: error.message,
+        userId,
+        deviceInfo
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Reset a forgotten PIN with an SMS code
+   * Every device is signed out; the user signs in again with the new PIN.
+   * @param {string} phoneNumber - Phone number
+   * @param {string} otp - SMS code from requestOtp (purpose 'pin_reset')
+   * @param {string} newPin - New 4-digit PIN
+   * @returns {Promise<Object>} Result with userId and signedOutDeviceIds
+   */
+  async resetPin(phoneNumber, otp, newPin) {
+    try {
+      const phoneValidation = ValidationMiddleware.validatePhoneNumber(phoneNumber);
+      if (!phoneValidation.isValid) {
+        throw createError.badRequest(phoneValidation.error);
+      }
+
+      // Codes are only sent for registered numbers
+      await otpService.verifyCode(phoneValidation.value, 'pin_reset', otp);
+
+      const user = await User.findOne({ phoneNumber: phoneValidation.value, isActive: true })
+        .select('+pinHash');
+      if (!user) {
+        throw createError.notFound('User not found');
+      }
+
+      // The code proves ownership of the number
+      if (!user.phoneVerified) {
+        user.phoneVerified = true;
+        user.phoneVerifiedAt = new Date();
+      }
+
+      const signedOutDeviceIds = await this.replacePin(user, newPin);
+
+      logger.logAuth('PIN_RESET', user.phoneNumber, true, {
+        userId: user._id,
+        signedOutDevices: signedOutDeviceIds.length
+      });
+
+      return {
+        success: true,
+        message: 'PIN reset successfully. Sign in with your new PIN.',
+        userId: user._id.toString(),
+        signedOutDeviceIds
+      };
+
+    } catch (error) {
+      logger.logAuth('PIN_RESET_ERROR', phoneNumber, false, {
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Logout user from one device
+   * The device's tokens stop working; other devices stay signed in. The
+   * caller also denylists the access token so it cannot be reused if the
+   * device signs in again.
+   * @param {string} userId - User ID
+   * @param {Object} deviceInfo - Device information (deviceId from the token)
    * @returns {Promise<Object>} Logout result
    */
   async logout(userId, deviceInfo = {}) {
@@ -324,11 +540,8 @@ class AuthService {
         throw new Error('User not found');
       }
 
-      // Invalidate all tokens by incrementing version
-      await user.invalidateTokens();
-
-      // Set user offline
-      await user.setOffline();
+      // Sign out the device, invalidating its tokens
+      await Device.deleteOne({ userId: user._id, deviceId: deviceInfo.deviceId });
 
       logger.logAuth('LOGOUT_SUCCESS', user.phoneNumber, true, {
         userId,
@@ -352,6 +565,10 @@ class AuthService {
 
   /**
    * Refresh access token using refresh token
+   * Refresh tokens are single-use: each refresh replaces the token in its
+   * family. Presenting a token that was already replaced means it was copied,
+   * so the whole family is revoked by signing the device out; the error then
+   * carries revokedDevice ({ userId, deviceId }) for notification.
    * @param {string} refreshToken - Refresh token
    * @returns {Promise<Object>} New tokens
    */
@@ -384,12 +601,54 @@ class AuthService {
         throw new Error('Invalid refresh token');
       }
 
+      // Tokens issued before rotation have no family
+      if (!decoded.fam) {
+        logger.logAuth('REFRESH_TOKEN_INVALID', user.phoneNumber, false, {
+          reason: 'Token has no family',
+          userId: user._id,
+          deviceId: decoded.did
+        });
+        throw new Error('Invalid refresh token');
+      }
+
+      // Generate new tokens in the same family and spend the presented one
+      const { accessToken, refreshToken: newRefreshToken } = this.generateTokens(user, decoded.did, decoded.fam);
+      const rotated = await Device.rotateRefreshToken(
+        user._id,
+        decoded.did,
+        decoded.fam,
+        this.hashToken(refreshToken),
+        this.hashToken(newRefreshToken)
+      );
+
+      if (!rotated) {
+        // A spent token of the live family: revoke the family
+        if (await Device.revokeTokenFamily(user._id, decoded.did, decoded.fam)) {
+          logger.logAuth('REFRESH_TOKEN_REUSED', user.phoneNumber, false, {
+            userId: user._id,
+            deviceId: decoded.did,
+            familyId: decoded.fam
+          });
+
+          const error = createError.unauthorized(
+            'Refresh token has already been used. The device has been signed out.',
+            { reason: 'REFRESH_TOKEN_REUSED' }
+          );
+          error.revokedDevice = { userId: user._id.toString(), deviceId: decoded.did };
+          throw error;
+        }
+
+        logger.logAuth('REFRESH_TOKEN_INVALID', user.phoneNumber, false, {
+          reason: 'Device signed out or family replaced',
+          userId: user._id,
+          deviceId: decoded.did
+        });
+        throw new Error('Invalid refresh token');
+      }
+
       // Update activity
       await user.updateActivity();
 
-      // Generate new tokens
-      const { accessToken, refreshToken: newRefreshToken } = this.generateTokens(user);
-
       logger.logAuth('REFRESH_TOKEN_SUCCESS', user.phoneNumber, true, {
         userId: user._id
       });
@@ -438,6 +697,11 @@ class AuthService {
         throw new Error('Token has been invalidated');
       }
 
+      // Check the device is still signed in, and was when the token was issued
+      if (!(await Device.isSignedIn(user._id, decoded.did, decoded.iat))) {
+        throw new Error('Device has been signed out');
+      }
+
       return {
         user,
         decoded
@@ -451,28 +715,48 @@ class AuthService {
     }
   }
 
+  /**
+   * Generate tokens that start a new refresh token family on a device
+   * Used whenever the user proves their identity (registration, login, PIN).
+   * @param {Object} user - User object
+   * @param {string} deviceId - Device the tokens are issued to
+   * @returns {Promise<Object>} Generated tokens
+   * @private
+   */
+  async issueTokens(user, deviceId) {
+    const familyId = crypto.randomUUID();
+    const tokens = this.generateTokens(user, deviceId, familyId);
+
+    await Device.startTokenFamily(user._id, deviceId, familyId, this.hashToken(tokens.refreshToken));
+
+    return tokens;
+  }
+
   /**
    * Generate JWT tokens
    * @param {Object} user - User object
+   * @param {string} deviceId - Device the tokens are issued to
+   * @param {string} familyId - Refresh token family
    * @returns {Object} Generated tokens
    * @private
    */
-  generateTokens(user) {
+  generateTokens(user, deviceId, familyId) {
     const payload = {
       sub: user._id,
       phone: user.phoneNumber,
+      did: deviceId,
       tokenVersion: user.sessionData.refreshTokenVersion,
       iat: Math.floor(Date.now() / 1000)
     };
 
-    // Generate access token
-    const accessToken = jwt.sign(payload, config.jwt.secret, {
+    // Generate access token (jti lets it be revoked before it expires)
+    const accessToken = jwt.sign({ ...payload, jti: crypto.randomUUID() }, config.jwt.secret, {
       ...this.jwtOptions,
       expiresIn: config.jwt.expire
     });
 
-    // Generate refresh token
-    const refreshToken = jwt.sign(payload, config.jwt.refreshSecret, {
+    // Generate refresh token (unique, so every rotation has a new hash)
+    const refreshToken = jwt.sign({ ...payload, fam: familyId, jti: crypto.randomUUID() }, config.jwt.refreshSecret, {
       ...this.jwtOptions,
       expiresIn: config.jwt.refreshExpire
     });
@@ -483,6 +767,54 @@ class AuthService {
     };
   }
 
+  /**
+   * Hash a refresh token for storage
+   * @param {string} token - Refresh token
+   * @returns {string} SHA-256 hex digest
+   * @private
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Get the device ID to sign in
+   * Clients that keep a device ID across logins send it so the device is not
+   * listed twice; otherwise a new one is generated.
+   * @param {Object} deviceInfo - Device information
+   * @returns {string} Device ID
+   * @private
+   */
+  resolveDeviceId(deviceInfo = {}) {
+    return deviceInfo.deviceId || crypto.randomUUID();
+  }
+
+  /**
+   * Store a new PIN and sign out devices
+   * The pre-save hook hashes the PIN and clears the lockout; bumping the
+   * token version invalidates every token issued so far.
+   * @param {Object} user - User document selected with +pinHash
+   * @param {string} newPin - New 4-digit PIN
+   * @param {string} keepDeviceId - Device that stays signed in, if any
+   * @returns {Promise<Array<string>>} IDs of the signed-out devices
+   * @private
+   */
+  async replacePin(user, newPin, keepDeviceId = null) {
+    user.pinHash = newPin;
+    user.sessionData.refreshTokenVersion += 1;
+    await user.save();
+
+    const filter = { userId: user._id };
+    if (keepDeviceId) {
+      filter.deviceId = { $ne: keepDeviceId };
+    }
+
+    const devices = await Device.find(filter).select('deviceId').lean();
+    await Device.deleteMany(filter);
+
+    return devices.map(device => device.deviceId);
+  }
+
   /**
    * Check if user session is active based on last activity
    * @param {string} userId - User ID
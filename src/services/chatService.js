@@ -7,17 +7,28 @@
  * @version 1.0.0
  */
 
+const mongoose = require('mongoose');
 const moment = require('moment');
 const config = require('../config/config');
 const logger = require('../utils/logger');
 const User = require('../models/userModel');
 const Message = require('../models/messageModel');
-const { ValidationMiddleware } = require('../utils/validator');
+const Group = require('../models/groupModel');
+const Contact = require('../models/contactModel');
+const groupService = require('./groupService');
+const attachmentService = require('./attachmentService');
+const userService = require('./userService');
+const { ValidationMiddleware, schemas } = require('../utils/validator');
+const { createError } = require('../middleware/errorHandler');
+const { CURSOR_DIRECTIONS, encodeCursor, decodeCursor } = require('../utils/cursor');
 
 class ChatService {
   constructor() {
     this.messageRetentionDays = 365; // Keep messages for 1 year
     this.maxMessageLength = 1000;
+    this.replyPreviewLength = 100;
+    this.minUserSearchLength = 2;
+    this.minPhoneSuffixLength = 4;
   }
 
   /**
@@ -28,9 +39,15 @@ class ChatService {
    * @param {string} content - Message content
    * @param {string} messageType - Message type (text, image, file)
    * @param {Object} metadata - Additional metadata
-   * @returns {Promise<Object>} Created message
+   * @param {Object} options - Optional message features
+   * @param {string} options.replyToMessageId - Message being replied to
+   * @param {Array<string>} options.attachmentIds - Uploaded attachments to send
+   * @param {string} options.clientMessageId - Client-generated ID, unique per sender
+   * @returns {Promise<Object>} Created message, or the existing one for a repeated clientMessageId;
+   * suppressed is set when the receiver blocked the sender (silent policy) and
+   * the message must not be delivered
    */
-  async sendMessage(senderId, receiverId, groupId, content, messageType = 'text', metadata = {}) {
+  async sendMessage(senderId, receiverId, groupId, content, messageType = 'text', metadata = {}, options = {}) {
     try {
       // Validate inputs
       if (!senderId) {
@@ -45,7 +62,10 @@ class ChatService {
         throw new Error('Cannot specify both receiver ID and group ID');
       }
 
-      if (!content || content.trim().length === 0) {
+      const attachmentIds = options.attachmentIds || [];
+      content = content || '';
+
+      if (content.trim().length === 0 && attachmentIds.length === 0) {
         throw new Error('Message content is required');
       }
 
@@ -53,14 +73,28 @@ class ChatService {
         throw new Error(`Message exceeds maximum length of ${this.maxMessageLength} characters`);
       }
 
+      if (options.clientMessageId !== undefined && options.clientMessageId !== null
+        && schemas.clientMessageId.validate(options.clientMessageId).error) {
+        throw createError.badRequest('Invalid client message ID');
+      }
+
       // Validate sender exists
       const sender = await User.findById(senderId);
       if (!sender || !sender.isActive) {
         throw new Error('Sender not found');
       }
 
+      // A retried send returns the message stored by the first attempt
+      if (options.clientMessageId) {
+        const existing = await this.findByClientMessageId(senderId, options.clientMessageId, receiverId, groupId);
+        if (existing) {
+          return existing;
+        }
+      }
+
       // Validate receiver exists (for one-to-one messages)
       let receiver = null;
+      let suppressed = false;
       if (receiverId) {
         receiver = await User.findById(receiverId);
         if (!receiver || !receiver.isActive) {
@@ -71,19 +105,54 @@ class ChatService {
         if (senderId === receiverId) {
           throw new Error('Cannot send message to yourself');
         }
+
+        if (sender.hasBlocked(receiverId)) {
+          throw createError.badRequest('Unblock this user to send messages');
+        }
+
+        if (receiver.hasBlocked(senderId)) {
+          if (config.messaging.blockedPolicy === 'reject') {
+            throw createError.forbidden('You cannot message this user');
+          }
+          suppressed = true;
+        }
+      }
+
+      // Validate sender membership (for group messages)
+      if (groupId) {
+        await groupService.ensureMembership(groupId, senderId);
       }
 
+      // Resolve the message being replied to
+      const replyTo = options.replyToMessageId
+        ? await this.buildReplyReference(options.replyToMessageId, senderId, receiverId, groupId)
+        : undefined;
+
+      // Link uploaded attachments before the message exists so two sends
+      // cannot claim the same upload
+      const messageObjectId = new mongoose.Types.ObjectId();
+      const attachments = attachmentIds.length > 0
+        ? await this.resolveMessageAttachments(attachmentIds, senderId, messageObjectId, messageType)
+        : null;
+
       // Create message
       const message = new Message({
+        _id: messageObjectId,
+        clientMessageId: options.clientMessageId || undefined,
         senderId,
         receiverId: receiverId || null,
         groupId: groupId || null,
         content: content.trim(),
-        messageType,
+        messageType: attachments ? attachments.messageType : messageType,
+        attachments: attachments ? attachments.entries : [],
+        replyTo,
         status: 'sent',
         delivery: {
           sentAt: new Date()
         },
+        flags: {
+          isSuppressed: suppressed
+        },
         metadata: {
           platform: metadata.platform || 'web',
           userAgent: metadata.userAgent || '',
@@ -92,13 +161,33 @@ class ChatService {
         }
       });
 
-      await message.save();
+      try {
+        await message.save();
+      } catch (error) {
+        if (attachments) {
+          await attachmentService.releaseAttachments(messageObjectId);
+        }
+
+        // A concurrent retry with the same client ID won the insert
+        if (error.code === 11000 && error.keyPattern?.clientMessageId) {
+          const existing = await this.findByClientMessageId(senderId, options.clientMessageId, receiverId, groupId);
+          if (existing) {
+            return existing;
+          }
+        }
+        throw error;
+      }
+
+      // Keep the reply count on the thread root
+      if (replyTo) {
+        await this.updateThreadSummary(replyTo.threadRootId, 1);
+      }
 
       // Update sender activity
       await sender.updateActivity();
 
       // Update message count for receiver if one-to-one message
-      if (receiver) {
+      if (receiver && !suppressed) {
         await this.updateUserMessageCount(receiverId);
       }
 
@@ -107,19 +196,23 @@ class ChatService {
         senderId,
         receiverId,
         groupId,
-        messageType,
-        contentLength: content.length
+        messageType: message.messageType,
+        contentLength: content.length,
+        attachmentCount: message.attachments.length,
+        suppressed
       });
 
       // Populate sender information for response
-      await message.populate('senderId', 'phoneNumber profile.displayName profile.avatar status');
+      await message.populate('senderId', 'phoneNumber profile.displayName profile.avatar');
       if (receiverId) {
-        await message.populate('receiverId', 'phoneNumber profile.displayName profile.avatar status');
+        await message.populate('receiverId', 'phoneNumber profile.displayName profile.avatar');
       }
 
       return {
         success: true,
         message: 'Message sent successfully',
+        duplicate: false,
+        suppressed,
         data: message.toJSON()
       };
 
@@ -136,15 +229,30 @@ class ChatService {
 
   /**
    * Get chat history between two users or in a group
+   * Pages are addressed either by page number or by an opaque cursor taken
+   * from a previous response; cursors stay stable while new messages arrive.
    * @param {string} userId - Current user ID
    * @param {string} otherUserId - Other user ID (for one-to-one chat)
    * @param {string} groupId - Group ID (for group chat)
-   * @param {Object} options - Pagination and filtering options
-   * @returns {Promise<Object>} Chat history
+   * @param {Object} options - Pagination options
+   * @param {number} options.page - Page number (ignored when a cursor is given)
+   * @param {number} options.limit - Messages per page
+   * @param {Date} options.before - Only messages created before this time
+   * @param {string} options.cursor - Cursor from pagination.cursors
+   * @param {string} options.direction - older or newer than the cursor
+   * @param {boolean} options.includeTotal - Whether to count all messages
+   * @returns {Promise<Object>} Chat history with pagination
    */
   async getChatHistory(userId, otherUserId, groupId, options = {}) {
     try {
-      const { page = 1, limit = 20, before = null } = options;
+      const {
+        page = 1,
+        limit = 20,
+        before = null,
+        cursor = null,
+        direction = CURSOR_DIRECTIONS.OLDER,
+        includeTotal = true
+      } = options;
 
       // Validate inputs
       if (!userId) {
@@ -165,8 +273,17 @@ class ChatService {
         throw new Error('User not found');
       }
 
+      // Fetch one extra row to know whether another page exists
+      const queryOptions = {
+        skip: (page - 1) * limit,
+        limit: limit + 1,
+        before,
+        cursor: cursor ? decodeCursor(cursor) : null,
+        direction
+      };
+
       let messages = [];
-      let totalCount = 0;
+      let countQuery = null;
 
       if (otherUserId) {
         // One-to-one chat history
@@ -176,26 +293,35 @@ class ChatService {
           throw new Error('Other user not found');
         }
 
-        messages = await Message.getChatHistory(userId, otherUserId, { page, limit, before });
-        
-        // Get total count for pagination
-        totalCount = await Message.countDocuments({
+        messages = await Message.getChatHistory(userId, otherUserId, queryOptions);
+
+        countQuery = {
           $or: [
             { senderId: userId, receiverId: otherUserId },
             { senderId: otherUserId, receiverId: userId }
           ],
-          'flags.isDeleted': false
-        });
+          'flags.isDeleted': false,
+          ...Message.visibleTo(userId)
+        };
 
       } else if (groupId) {
         // Group chat history
-        // TODO: Add group validation when group model is implemented
-        messages = await Message.getGroupChatHistory(groupId, { page, limit, before });
-        
-        totalCount = await Message.countDocuments({
+        await groupService.ensureMembership(groupId, userId);
+
+        messages = await Message.getGroupChatHistory(groupId, queryOptions);
+
+        countQuery = {
           groupId,
           'flags.isDeleted': false
-        });
+        };
+      }
+
+      const hasMore = messages.length > limit;
+      messages = messages.slice(0, limit);
+
+      // Show oldest first; "newer" pages are already fetched in ascending order
+      if (!cursor || direction === CURSOR_DIRECTIONS.OLDER) {
+        messages.reverse();
       }
 
       // Mark messages as delivered for the current user
@@ -203,30 +329,42 @@ class ChatService {
         await this.markMessagesAsDelivered(otherUserId, userId);
       }
 
-      const totalPages = Math.ceil(totalCount / limit);
-      const hasMore = page < totalPages;
+      const pagination = {
+        limit,
+        hasMore,
+        cursors: {
+          older: encodeCursor(messages[0]),
+          newer: encodeCursor(messages[messages.length - 1])
+        }
+      };
+
+      if (cursor) {
+        pagination.direction = direction;
+      } else {
+        pagination.page = page;
+      }
+
+      if (includeTotal) {
+        pagination.totalCount = await Message.countDocuments(countQuery);
+        pagination.totalPages = Math.ceil(pagination.totalCount / limit);
+      }
 
       logger.info('Chat history retrieved', {
         userId,
         otherUserId,
         groupId,
-        page,
+        page: cursor ? null : page,
+        direction: cursor ? direction : null,
         limit,
         messagesCount: messages.length,
-        totalCount
+        totalCount: pagination.totalCount
       });
 
       return {
         success: true,
         data: {
-          messages: messages.reverse(), // Reverse to show oldest first
-          pagination: {
-            page,
-            limit,
-            totalCount,
-            totalPages,
-            hasMore
-          }
+          messages: messages.map(message => this.formatMessage(message, userId)),
+          pagination
         }
       };
 
@@ -243,6 +381,8 @@ class ChatService {
 
   /**
    * Mark messages as read
+   * The sender is only told (receiptSent) when the receiver's read receipt
+   * setting includes them; otherwise the messages look delivered to the sender.
    * @param {string} senderId - Sender user ID
    * @param {string} receiverId - Receiver user ID
    * @returns {Promise<Object>} Result
@@ -253,18 +393,24 @@ class ChatService {
         throw new Error('Sender ID and Receiver ID are required');
       }
 
-      const markedCount = await Message.markConversationAsRead(senderId, receiverId);
+      const sharesReceipts = await userService.getAudienceCheck(receiverId, 'readReceipts');
+      const receiptSent = sharesReceipts(senderId);
+      const markedCount = await Message.markConversationAsRead(senderId, receiverId, {
+        hideReceipt: !receiptSent
+      });
 
       logger.debug('Messages marked as read', {
         senderId,
         receiverId,
-        markedCount
+        markedCount,
+        receiptSent
       });
 
       return {
         success: true,
         message: `${markedCount} messages marked as read`,
-        markedCount
+        markedCount,
+        receiptSent
       };
 
     } catch (error) {
@@ -276,6 +422,246 @@ class ChatService {
     }
   }
 
+  /**
+   * Mark group messages as read by a member
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Reading member ID
+   * @param {string} upToMessageId - Last message read (optional, defaults to all)
+   * @returns {Promise<Object>} Result with the newly read messages
+   */
+  async markGroupMessagesAsRead(groupId, userId, upToMessageId = null) {
+    try {
+      if (!groupId || !userId) {
+        throw createError.badRequest('Group ID and User ID are required');
+      }
+
+      const group = await groupService.ensureMembership(groupId, userId);
+      const member = group.getMember(userId);
+
+      let upTo = null;
+      if (upToMessageId) {
+        if (schemas.objectId.validate(upToMessageId.toString()).error) {
+          throw createError.badRequest('Invalid message ID format');
+        }
+
+        const lastRead = await Message.findOne({ _id: upToMessageId, groupId }).select('metadata.createdAt');
+        if (!lastRead) {
+          throw createError.notFound('Message not found');
+        }
+        upTo = lastRead.metadata.createdAt;
+      }
+
+      const sharesReceipts = await userService.getAudienceCheck(userId, 'readReceipts');
+      const messages = await Message.markGroupAsRead(groupId, userId, {
+        upTo,
+        since: member.joinedAt,
+        isReceiptHidden: senderId => !sharesReceipts(senderId)
+      });
+
+      logger.debug('Group messages marked as read', {
+        groupId,
+        readBy: userId,
+        markedCount: messages.length
+      });
+
+      return {
+        success: true,
+        message: `${messages.length} messages marked as read`,
+        markedCount: messages.length,
+        data: {
+          groupId: group._id,
+          readBy: userId,
+          readAt: new Date(),
+          messages: messages.map(message => ({
+            _id: message._id,
+            messageId: message.messageId,
+            senderId: message.senderId,
+            receiptHidden: message.receiptHidden
+          }))
+        }
+      };
+
+    } catch (error) {
+      logger.error('Error marking group messages as read:', error, { groupId, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Record delivery of a group message to one member
+   * @param {string} messageId - Message _id
+   * @param {string} userId - Receiving member ID
+   * @returns {Promise<Object>} Result with changed flag
+   */
+  async markGroupMessageDelivered(messageId, userId) {
+    try {
+      if (!messageId || !userId) {
+        throw createError.badRequest('Message ID and User ID are required');
+      }
+
+      const changed = await Message.markGroupMessageDelivered(messageId, userId);
+
+      return {
+        success: true,
+        data: {
+          changed
+        }
+      };
+
+    } catch (error) {
+      logger.error('Error marking group message as delivered:', error, { messageId, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Get who a message was delivered to and read by
+   * Only the sender can see receipts. Group receipts are per member; a
+   * one-to-one message has a single entry for its receiver.
+   * @param {string} messageId - Message ID
+   * @param {string} userId - Requesting user ID
+   * @returns {Promise<Object>} { readBy, deliveredTo, pendingCount }
+   */
+  async getMessageReceipts(messageId, userId) {
+    try {
+      const message = await this.getAccessibleMessage(messageId, userId);
+
+      if (message.senderId.toString() !== userId.toString()) {
+        throw createError.forbidden('Only the sender can view message receipts');
+      }
+
+      let receipts;
+      let pendingCount;
+
+      if (message.groupId) {
+        receipts = message.receipts.map(receipt => ({
+          userId: receipt.userId,
+          deliveredAt: receipt.deliveredAt,
+          readAt: receipt.receiptHidden ? null : receipt.readAt
+        }));
+
+        // Current members who were in the group when the message was sent
+        const group = await Group.findById(message.groupId).select('members');
+        const recorded = new Set(receipts.map(receipt => receipt.userId.toString()));
+        pendingCount = group
+          ? group.members.filter(member => (
+            member.userId.toString() !== userId.toString() &&
+            !recorded.has(member.userId.toString()) &&
+            member.joinedAt <= message.metadata.createdAt
+          )).length
+          : 0;
+      } else {
+        const isDelivered = ['delivered', 'read'].includes(message.status);
+        receipts = isDelivered ? [{
+          userId: message.receiverId,
+          deliveredAt: message.delivery.deliveredAt || message.delivery.readAt,
+          readAt: message.status === 'read' && !message.delivery.receiptHidden ? message.delivery.readAt : null
+        }] : [];
+        pendingCount = isDelivered ? 0 : 1;
+      }
+
+      const users = await User.find({ _id: { $in: receipts.map(receipt => receipt.userId) } })
+        .select('phoneNumber profile.displayName profile.avatar');
+      const withUser = receipt => ({
+        user: users.find(user => user._id.toString() === receipt.userId.toString()) || { _id: receipt.userId },
+        deliveredAt: receipt.deliveredAt,
+        readAt: receipt.readAt
+      });
+
+      return {
+        success: true,
+        data: {
+          messageId: message.messageId,
+          groupId: message.groupId || null,
+          readBy: receipts.filter(receipt => receipt.readAt).map(withUser),
+          deliveredTo: receipts.filter(receipt => !receipt.readAt).map(withUser),
+          pendingCount
+        }
+      };
+
+    } catch (error) {
+      logger.error('Error getting message receipts:', error, { messageId, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a single one-to-one message as delivered to its receiver
+   * @param {string} messageId - Message _id or messageId
+   * @param {string} userId - Receiving user ID
+   * @returns {Promise<Object>} Result with changed flag and the updated message
+   */
+  async markMessageDelivered(messageId, userId) {
+    try {
+      if (!messageId || !userId) {
+        throw createError.badRequest('Message ID and User ID are required');
+      }
+
+      const idQuery = schemas.objectId.validate(messageId.toString()).error
+        ? { messageId: messageId.toString() }
+        : { _id: messageId };
+
+      const message = await Message.findOneAndUpdate(
+        {
+          ...idQuery,
+          receiverId: userId,
+          status: 'sent',
+          'flags.isDeleted': false,
+          ...Message.visibleTo(userId)
+        },
+        {
+          $set: {
+            status: 'delivered',
+            'delivery.deliveredAt': new Date()
+          }
+        },
+        { new: true }
+      );
+
+      return {
+        success: true,
+        data: {
+          changed: !!message,
+          message
+        }
+      };
+
+    } catch (error) {
+      logger.error('Error marking message as delivered:', error, { messageId, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Get one-to-one messages still waiting to be delivered to a user
+   * @param {string} userId - Receiving user ID
+   * @param {number} limit - Maximum number of messages
+   * @returns {Promise<Object>} Undelivered messages, oldest first
+   */
+  async getUndeliveredMessages(userId, limit = 200) {
+    try {
+      const messages = await Message.find({
+        receiverId: userId,
+        status: 'sent',
+        'flags.isDeleted': false,
+        ...Message.visibleTo(userId)
+      })
+        .populate('senderId', 'phoneNumber profile.displayName profile.avatar')
+        .populate('receiverId', 'phoneNumber profile.displayName profile.avatar')
+        .sort({ 'metadata.createdAt': 1 })
+        .limit(limit);
+
+      return {
+        success: true,
+        data: messages.map(message => message.toJSON())
+      };
+
+    } catch (error) {
+      logger.error('Error getting undelivered messages:', error, { userId });
+      throw error;
+    }
+  }
+
   /**
    * Mark messages as delivered
    * @param {string} senderId - Sender user ID
@@ -290,7 +676,8 @@ class ChatService {
           senderId,
           receiverId,
           status: 'sent',
-          'flags.isDeleted': false
+          'flags.isDeleted': false,
+          ...Message.visibleTo(receiverId)
         },
         {
           $set: {
@@ -352,7 +739,12 @@ class ChatService {
         throw new Error('User ID is required');
       }
 
-      const conversations = await Message.getRecentConversations(userId, limit);
+      const groups = await Group.getUserMemberships(userId);
+      const conversations = await Message.getRecentConversations(userId, limit, { groups });
+      await userService.applyPresencePrivacy(
+        userId,
+        conversations.map(conversation => conversation.otherUser).filter(Boolean)
+      );
 
       logger.info('Recent conversations retrieved', {
         userId,
@@ -432,19 +824,29 @@ class ChatService {
   }
 
   /**
-   * Get online users list
-   * @param {string} currentUserId - Current user ID (to exclude from list)
+   * Get online users
+   * @param {string} currentUserId - Current user ID
    * @returns {Promise<Object>} Online users
    */
   async getOnlineUsers(currentUserId) {
     try {
-      const excludeIds = currentUserId ? [currentUserId] : [];
-      const onlineUsers = await User.getOnlineUsers(excludeIds);
+      if (!currentUserId) {
+        throw createError.badRequest('User ID is required');
+      }
+
+      const hiddenIds = await userService.getHiddenUserIds(currentUserId);
+      const onlineUsers = await User.getOnlineUsers([currentUserId, ...hiddenIds]);
+
+      // Users who do not share their online status with this user are left out
+      const users = await userService.applyPresencePrivacy(
+        currentUserId,
+        onlineUsers.map(user => user.toJSON())
+      );
 
       return {
         success: true,
         data: {
-          users: onlineUsers
+          users: users.filter(user => user.status)
         }
       };
 
@@ -455,49 +857,130 @@ class ChatService {
   }
 
   /**
-   * Search users by phone number
-   * @param {string} searchTerm - Search term (phone number)
+   * Search the user directory
+   * Matches the start of any word of the display name and, for numeric
+   * terms, the end of the phone number. Contacts rank first, then
+   * conversation partners, then members of shared groups, then everyone
+   * else. Users hidden from search are only found by people they already
+   * talk to or have saved as a contact. Phone numbers follow the profile
+   * rules (see userService.getUserProfile).
+   * @param {string} searchTerm - Name prefix or phone number suffix
    * @param {string} currentUserId - Current user ID (to exclude from results)
    * @param {number} limit - Maximum number of results
    * @returns {Promise<Object>} Search results
    */
   async searchUsers(searchTerm, currentUserId, limit = 10) {
     try {
-      const excludeIds = currentUserId ? [currentUserId] : [];
-      let users;
-      if (!searchTerm || searchTerm.trim().length < 3) {
-        // Return all users except current user
-        users = await User.find({
-          isActive: true,
-          _id: { $nin: excludeIds }
-        })
-        .select('phoneNumber profile.displayName profile.avatar status lastSeen')
-        .limit(limit)
-        .exec();
-      } else {
-        const searchRegex = new RegExp(searchTerm.trim(), 'i');
-        users = await User.find({
-          phoneNumber: searchRegex,
+      const term = (searchTerm || '').trim();
+
+      if (!currentUserId) {
+        throw createError.badRequest('User ID is required');
+      }
+
+      if (term.length < this.minUserSearchLength) {
+        throw createError.badRequest(`Search term must be at least ${this.minUserSearchLength} characters`);
+      }
+
+      const matchConditions = [
+        { 'profile.displayName': new RegExp(`(^|\\s)${ValidationMiddleware.escapeRegex(term)}`, 'i') }
+      ];
+
+      const digits = term.replace(/[\s()+-]/g, '');
+      if (/^\d+$/.test(digits) && digits.length >= this.minPhoneSuffixLength) {
+        matchConditions.push({ phoneNumber: new RegExp(`${digits}$`) });
+      }
+
+      // Rank: contacts, then conversation partners by recency, then group co-members
+      // Blocks hide users from each other in both directions
+      const [relationships, contactIds, hiddenIds] = await Promise.all([
+        userService.getRelationships(currentUserId),
+        Contact.getContactIds(currentUserId),
+        userService.getHiddenUserIds(currentUserId)
+      ]);
+      const hidden = new Set(hiddenIds);
+      const contactSet = new Set(contactIds);
+      const relatedIds = [...relationships.keys()];
+      const rankedIds = [
+        ...relatedIds.filter(id => contactSet.has(id)),
+        ...contactIds.filter(id => !relationships.has(id)),
+        ...relatedIds.filter(id => !contactSet.has(id))
+      ].filter(id => !hidden.has(id));
+      const fields = 'phoneNumber profile.displayName profile.avatar status lastSeen';
+
+      const related = await User.find({
+        _id: { $in: rankedIds },
+        isActive: true,
+        $or: matchConditions
+      }).select(fields);
+
+      related.sort((a, b) => rankedIds.indexOf(a._id.toString()) - rankedIds.indexOf(b._id.toString()));
+
+      let others = [];
+      if (related.length < limit) {
+        others = await User.find({
+          _id: { $nin: [...rankedIds, ...hiddenIds, currentUserId] },
           isActive: true,
-          _id: { $nin: excludeIds }
+          'privacy.hideFromSearch': { $ne: true },
+          $or: matchConditions
         })
-        .select('phoneNumber profile.displayName profile.avatar status lastSeen')
-        .limit(limit)
-        .exec();
+          .select(fields)
+          .sort({ 'profile.displayName': 1 })
+          .limit(limit - related.length);
       }
+
+      // Within the remaining users, names starting with the term come first
+      const namePrefix = term.toLowerCase();
+      const startsWithTerm = user => (user.profile?.displayName || '').toLowerCase().startsWith(namePrefix);
+      others.sort((a, b) => Number(startsWithTerm(b)) - Number(startsWithTerm(a)));
+
+      const found = [...related, ...others].slice(0, limit);
+
+      // Show the searcher's own nicknames next to matching contacts
+      const contacts = await Contact.find({
+        ownerId: currentUserId,
+        contactUserId: { $in: found.map(user => user._id) }
+      }).select('contactUserId nickname knowsPhoneNumber').lean();
+      const contactsById = new Map(contacts.map(contact => [contact.contactUserId.toString(), contact]));
+
+      const users = await userService.applyPresencePrivacy(currentUserId, found.map((user) => {
+        const id = user._id.toString();
+        const contact = contactsById.get(id);
+        const result = {
+          ...user.toJSON(),
+          relationship: relationships.get(id) || null,
+          isContact: !!contact,
+          nickname: contact?.nickname || null
+        };
+
+        // As on profiles, the number is only shown to people who already have it
+        if (!result.relationship && !contact?.knowsPhoneNumber) {
+          delete result.phoneNumber;
+        }
+
+        return result;
+      }));
+
+      logger.debug('User directory search', {
+        currentUserId,
+        termLength: term.length,
+        relatedCount: related.length,
+        resultsCount: users.length
+      });
+
       return {
         success: true,
         data: {
           users,
-          searchTerm
+          searchTerm: term
         }
       };
     } catch (error) {
-      logger.error('Error searching users:', error, { searchTerm, currentUserId });
+      logger.error('Error searching users:', error, { currentUserId });
       throw error;
     }
   }
 
+
   /**
    * Delete a message
    * @param {string} messageId - Message ID
@@ -528,6 +1011,15 @@ class ChatService {
       // Soft delete the message
       await message.softDelete(userId);
 
+      // Free the storage and quota used by its files
+      if (message.attachments?.length > 0) {
+        await attachmentService.deleteMessageAttachments(message._id);
+      }
+
+      if (message.replyTo?.threadRootId) {
+        await this.updateThreadSummary(message.replyTo.threadRootId, -1);
+      }
+
       logger.info('Message deleted', {
         messageId,
         userId,
@@ -545,6 +1037,458 @@ class ChatService {
     }
   }
 
+  /**
+   * Edit a message (sender only, within the edit window)
+   * @param {string} messageId - Message ID
+   * @param {string} userId - User ID (must be sender)
+   * @param {string} content - New message content
+   * @param {string} editReason - Optional reason for the edit
+   * @returns {Promise<Object>} Edited message
+   */
+  async editMessage(messageId, userId, content, editReason = '') {
+    try {
+      if (!messageId || !userId) {
+        throw createError.badRequest('Message ID and User ID are required');
+      }
+
+      if (!content || content.trim().length === 0) {
+        throw createError.badRequest('Message content is required');
+      }
+
+      if (content.length > this.maxMessageLength) {
+        throw createError.badRequest(`Message exceeds maximum length of ${this.maxMessageLength} characters`);
+      }
+
+      const message = await Message.findById(messageId);
+      if (!message || message.flags.isDeleted) {
+        throw createError.notFound('Message not found');
+      }
+
+      if (message.senderId.toString() !== userId) {
+        throw createError.forbidden('Only the sender can edit this message');
+      }
+
+      if (message.flags.isSystem) {
+        throw createError.badRequest('System messages cannot be edited');
+      }
+
+      const editWindowMinutes = config.messaging.editWindowMinutes;
+      const minutesSinceSent = moment().diff(moment(message.metadata.createdAt), 'minutes', true);
+      if (minutesSinceSent > editWindowMinutes) {
+        throw createError.forbidden(`Messages can only be edited within ${editWindowMinutes} minutes of sending`);
+      }
+
+      // Former group members lose the right to edit
+      if (message.groupId) {
+        await groupService.ensureMembership(message.groupId, userId);
+      }
+
+      const newContent = content.trim();
+      if (newContent === message.content) {
+        throw createError.badRequest('New content is identical to the current content');
+      }
+
+      await message.editContent(newContent, editReason);
+
+      logger.info('Message edited', {
+        messageId,
+        userId,
+        editCount: message.editHistory.length
+      });
+
+      return {
+        success: true,
+        message: 'Message edited successfully',
+        suppressed: message.flags.isSuppressed,
+        data: message.toJSON()
+      };
+
+    } catch (error) {
+      logger.error('Error editing message:', error, { messageId, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Get edit history of a message
+   * @param {string} messageId - Message ID
+   * @param {string} userId - Requesting user ID (must be able to read the message)
+   * @returns {Promise<Object>} Edit history
+   */
+  async getMessageEditHistory(messageId, userId) {
+    try {
+      const message = await this.getAccessibleMessage(messageId, userId);
+
+      return {
+        success: true,
+        data: {
+          messageId: message._id,
+          senderId: message.senderId,
+          content: message.content,
+          isEdited: message.flags.isEdited,
+          editHistory: message.editHistory
+        }
+      };
+
+    } catch (error) {
+      logger.error('Error getting message edit history:', error, { messageId, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a thread: the root message and its replies
+   * @param {string} messageId - Root message ID, or any reply in the thread
+   * @param {string} userId - Requesting user ID (must be able to read the thread)
+   * @param {Object} options - Pagination options
+   * @returns {Promise<Object>} Thread
+   */
+  async getThread(messageId, userId, options = {}) {
+    try {
+      const { page = 1, limit = 20 } = options;
+
+      let root = await this.getAccessibleMessage(messageId, userId);
+      if (root.replyTo?.threadRootId) {
+        root = await this.getAccessibleMessage(root.replyTo.threadRootId.toString(), userId);
+      }
+
+      await root.populate('senderId', 'phoneNumber profile.displayName profile.avatar');
+
+      const replies = await Message.getThreadReplies(root._id, { page, limit, viewerId: userId });
+      const totalCount = await Message.countDocuments({
+        'replyTo.threadRootId': root._id,
+        'flags.isDeleted': false,
+        ...Message.visibleTo(userId)
+      });
+
+      const totalPages = Math.ceil(totalCount / limit);
+
+      logger.info('Thread retrieved', {
+        userId,
+        rootId: root._id,
+        page,
+        limit,
+        repliesCount: replies.length
+      });
+
+      return {
+        success: true,
+        data: {
+          root: this.formatMessage(root, userId),
+          replies: replies.map(reply => this.formatMessage(reply, userId)),
+          pagination: {
+            page,
+            limit,
+            totalCount,
+            totalPages,
+            hasMore: page < totalPages
+          }
+        }
+      };
+
+    } catch (error) {
+      logger.error('Error getting thread:', error, { messageId, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Get an attachment and its contents for download
+   * The uploader can always download; anyone else must be able to read the
+   * message the attachment was sent with.
+   * @param {string} attachmentId - Attachment ID
+   * @param {string} userId - Requesting user ID
+   * @returns {Promise<Object>} { attachment, stream }
+   */
+  async getAttachmentDownload(attachmentId, userId) {
+    try {
+      const attachment = await attachmentService.getAttachment(attachmentId);
+
+      if (attachment.ownerId.toString() !== userId.toString()) {
+        if (!attachment.messageId) {
+          throw createError.notFound('Attachment not found');
+        }
+        await this.getAccessibleMessage(attachment.messageId, userId);
+      }
+
+      const stream = await attachmentService.openAttachmentStream(attachment);
+
+      return { attachment, stream };
+
+    } catch (error) {
+      logger.error('Error getting attachment download:', error, { attachmentId, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Find a message previously sent with a client message ID
+   * @param {string} senderId - Sender user ID
+   * @param {string} clientMessageId - Client-generated message ID
+   * @param {string} receiverId - Receiver of the current send attempt
+   * @param {string} groupId - Group of the current send attempt
+   * @returns {Promise<Object|null>} Send result flagged as duplicate, or null
+   * @throws {AppError} 409 if the ID was already used for another conversation
+   * @private
+   */
+  async findByClientMessageId(senderId, clientMessageId, receiverId, groupId) {
+    const message = await Message.findOne({ senderId, clientMessageId });
+    if (!message) {
+      return null;
+    }
+
+    const sameTarget = groupId
+      ? message.groupId?.toString() === groupId.toString()
+      : message.receiverId?.toString() === receiverId?.toString();
+
+    if (!sameTarget) {
+      throw createError.conflict('Client message ID was already used for another conversation');
+    }
+
+    await message.populate('senderId', 'phoneNumber profile.displayName profile.avatar');
+    if (message.receiverId) {
+      await message.populate('receiverId', 'phoneNumber profile.displayName profile.avatar');
+    }
+
+    logger.info('Duplicate send ignored', {
+      messageId: message.messageId,
+      senderId,
+      clientMessageId
+    });
+
+    return {
+      success: true,
+      message: 'Message already sent',
+      duplicate: true,
+      data: message.toJSON()
+    };
+  }
+
+  /**
+   * Claim uploaded attachments for a new message
+   * A text message with attachments becomes an image message when every
+   * attachment is an image, otherwise a file message.
+   * @param {Array<string>} attachmentIds - Attachment IDs
+   * @param {string} senderId - Sender user ID
+   * @param {ObjectId} messageId - ID of the message being created
+   * @param {string} messageType - Requested message type
+   * @returns {Promise<Object>} { entries, messageType }
+   * @private
+   */
+  async resolveMessageAttachments(attachmentIds, senderId, messageId, messageType) {
+    const attachments = await attachmentService.claimAttachments(attachmentIds, senderId, messageId);
+    const allImages = attachments.every(attachment => attachment.category === 'image');
+
+    if (messageType === 'image' && !allImages) {
+      await attachmentService.releaseAttachments(messageId);
+      throw createError.badRequest('Image messages can only contain image attachments');
+    }
+
+    return {
+      entries: attachments.map(attachment => attachment.toMessageAttachment()),
+      messageType: messageType === 'text' ? (allImages ? 'image' : 'file') : messageType
+    };
+  }
+
+  /**
+   * Build the replyTo reference for a new message
+   * The parent must be readable by the sender and belong to the same conversation.
+   * @param {string} replyToMessageId - Parent message ID
+   * @param {string} senderId - Sender user ID
+   * @param {string} receiverId - Receiver user ID (one-to-one)
+   * @param {string} groupId - Group ID (group chat)
+   * @returns {Promise<Object>} replyTo sub-document
+   * @private
+   */
+  async buildReplyReference(replyToMessageId, senderId, receiverId, groupId) {
+    const parent = await this.getAccessibleMessage(replyToMessageId, senderId);
+
+    const sameConversation = groupId
+      ? parent.groupId?.toString() === groupId
+      : !parent.groupId && [parent.senderId.toString(), parent.receiverId.toString()].includes(receiverId);
+
+    if (!sameConversation) {
+      throw createError.badRequest('Replies must be sent to the same conversation as the original message');
+    }
+
+    // Attachment-only messages have no caption; preview the file name instead
+    const previewSource = parent.content || parent.attachments[0]?.fileName || '';
+
+    return {
+      messageId: parent._id,
+      content: previewSource.length > this.replyPreviewLength
+        ? `${previewSource.substring(0, this.replyPreviewLength)}…`
+        : previewSource,
+      senderId: parent.senderId,
+      threadRootId: parent.replyTo?.threadRootId || parent._id
+    };
+  }
+
+  /**
+   * Adjust the reply count of a thread root
+   * @param {string} threadRootId - Root message ID
+   * @param {number} delta - +1 for a new reply, -1 for a deleted reply
+   * @returns {Promise<void>}
+   * @private
+   */
+  async updateThreadSummary(threadRootId, delta) {
+    try {
+      const update = { $inc: { 'thread.replyCount': delta } };
+      if (delta > 0) {
+        update.$set = { 'thread.lastReplyAt': new Date() };
+      }
+
+      await Message.updateOne(
+        { _id: threadRootId, ...(delta < 0 && { 'thread.replyCount': { $gt: 0 } }) },
+        update
+      );
+    } catch (error) {
+      // Non-critical error, just log it
+      logger.warn('Failed to update thread summary:', { threadRootId, error: error.message });
+    }
+  }
+
+  /**
+   * Add a reaction to a message
+   * @param {string} messageId - Message ID
+   * @param {string} userId - Reacting user ID (must be able to read the message)
+   * @param {string} emoji - Emoji
+   * @returns {Promise<Object>} Updated reaction summary
+   */
+  async addReaction(messageId, userId, emoji) {
+    try {
+      const message = await this.getAccessibleMessage(messageId, userId);
+
+      const added = await message.addReaction(userId, emoji);
+
+      logger.debug('Reaction added', { messageId, userId, emoji, added });
+
+      return {
+        success: true,
+        message: added ? 'Reaction added successfully' : 'Reaction already exists',
+        suppressed: message.flags.isSuppressed,
+        data: await this.getReactionUpdate(message, userId, emoji, 'added', added)
+      };
+
+    } catch (error) {
+      logger.error('Error adding reaction:', error, { messageId, userId, emoji });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a reaction from a message
+   * @param {string} messageId - Message ID
+   * @param {string} userId - Reacting user ID (must be able to read the message)
+   * @param {string} emoji - Emoji
+   * @returns {Promise<Object>} Updated reaction summary
+   */
+  async removeReaction(messageId, userId, emoji) {
+    try {
+      const message = await this.getAccessibleMessage(messageId, userId);
+
+      const removed = await message.removeReaction(userId, emoji);
+
+      logger.debug('Reaction removed', { messageId, userId, emoji, removed });
+
+      return {
+        success: true,
+        message: removed ? 'Reaction removed successfully' : 'Reaction not found',
+        suppressed: message.flags.isSuppressed,
+        data: await this.getReactionUpdate(message, userId, emoji, 'removed', removed)
+      };
+
+    } catch (error) {
+      logger.error('Error removing reaction:', error, { messageId, userId, emoji });
+      throw error;
+    }
+  }
+
+  /**
+   * Build a reaction update payload from the stored reactions
+   * @param {Object} message - Message document (before the update)
+   * @param {string} userId - Reacting user ID
+   * @param {string} emoji - Emoji
+   * @param {string} action - added or removed
+   * @param {boolean} changed - Whether the update modified the message
+   * @returns {Promise<Object>} Reaction update
+   * @private
+   */
+  async getReactionUpdate(message, userId, emoji, action, changed) {
+    const updated = await Message.findById(message._id).select('reactions').lean();
+
+    return {
+      messageId: message._id,
+      senderId: message.senderId,
+      receiverId: message.receiverId,
+      groupId: message.groupId,
+      userId,
+      emoji,
+      action,
+      changed,
+      reactions: Message.summarizeReactions(updated ? updated.reactions : [])
+    };
+  }
+
+  /**
+   * Format a message for a viewer, adding aggregated reactions and receipts
+   * @param {Object} message - Message document
+   * @param {string} userId - Viewing user ID
+   * @returns {Object} Message JSON with reactionSummary (and receiptSummary for group messages)
+   * @private
+   */
+  formatMessage(message, userId) {
+    const formatted = {
+      ...message.toJSON(),
+      reactionSummary: Message.summarizeReactions(message.reactions, userId)
+    };
+
+    if (message.groupId) {
+      formatted.receiptSummary = Message.summarizeReceipts(message, userId);
+    }
+
+    return formatted;
+  }
+
+  /**
+   * Load a message the user is allowed to read
+   * One-to-one messages are readable by sender and receiver; group messages by current members.
+   * @param {string} messageId - Message ID
+   * @param {string} userId - Requesting user ID
+   * @returns {Promise<Object>} Message document
+   */
+  async getAccessibleMessage(messageId, userId) {
+    if (!messageId || !userId) {
+      throw createError.badRequest('Message ID and User ID are required');
+    }
+
+    if (schemas.objectId.validate(messageId.toString()).error) {
+      throw createError.badRequest('Invalid message ID format');
+    }
+
+    const message = await Message.findById(messageId);
+    if (!message || message.flags.isDeleted) {
+      throw createError.notFound('Message not found');
+    }
+
+    // A suppressed message does not exist for its receiver
+    if (message.flags.isSuppressed && message.receiverId?.toString() === userId.toString()) {
+      throw createError.notFound('Message not found');
+    }
+
+    if (message.groupId) {
+      await groupService.ensureMembership(message.groupId, userId);
+    } else {
+      const participants = [message.senderId.toString(), message.receiverId?.toString()];
+      if (!participants.includes(userId)) {
+        logger.warn('Unauthorized message access attempt', { messageId, userId });
+        throw createError.forbidden('You do not have access to this message');
+      }
+    }
+
+    return message;
+  }
+
   /**
    * Update user message count
    * @param {string} userId - User ID
@@ -588,13 +1532,15 @@ class ChatService {
 
       const receivedMessages = await Message.countDocuments({
         receiverId: userId,
-        'flags.isDeleted': false
+        'flags.isDeleted': false,
+        ...Message.visibleTo(userId)
       });
 
       const unreadMessages = await Message.countDocuments({
         receiverId: userId,
         status: { $in: ['sent', 'delivered'] },
-        'flags.isDeleted': false
+        'flags.isDeleted': false,
+        ...Message.visibleTo(userId)
       });
 
       // Get recent activity
@@ -604,6 +1550,7 @@ class ChatService {
           { receiverId: userId }
         ],
         'flags.isDeleted': false,
+        ...Message.visibleTo(userId),
         'metadata.createdAt': {
           $gte: moment().subtract(7, 'days').toDate()
         }
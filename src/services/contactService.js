@@ -0,0 +1,352 @@
+/**
+ * Contact Service
+ * Business logic for contact lists and phone-book discovery
+ *
+ * @description Service layer matching hashed address books against registered
+ * users, managing saved contacts and nicknames, and answering the contact
+ * questions used by presence and privacy
+ * @author Chat App Team
+ * @version 1.0.0
+ */
+
+const logger = require('../utils/logger');
+const User = require('../models/userModel');
+const Contact = require('../models/contactModel');
+const userService = require('./userService');
+const { createError } = require('../middleware/errorHandler');
+
+const { CONTACT_SOURCES } = Contact;
+
+class ContactService {
+  constructor() {
+    this.userFields = 'phoneNumber profile.displayName profile.avatar status lastSeen';
+  }
+
+  /**
+   * Match hashed phone numbers against registered users
+   * Clients send SHA-256 hex digests of digits-only phone numbers (see
+   * User.hashPhoneNumber) so the address book itself never leaves the device.
+   * Users who blocked the caller or were blocked by them are never matched.
+   * @param {string} userId - Syncing user ID
+   * @param {Array<string>} hashes - Phone hashes from the address book
+   * @param {Object} options
+   * @param {boolean} options.save - Save every match as a contact
+   * @returns {Promise<Object>} Matches and number of contacts added
+   */
+  async syncContacts(userId, hashes, { save = false } = {}) {
+    try {
+      const [users, hiddenIds, contactIds] = await Promise.all([
+        User.find({
+          phoneHash: { $in: hashes },
+          isActive: true,
+          _id: { $ne: userId }
+        }).select(`${this.userFields} phoneHash`),
+        userService.getHiddenUserIds(userId),
+        Contact.getContactIds(userId)
+      ]);
+
+      const hidden = new Set(hiddenIds);
+      const existing = new Set(contactIds);
+      const matched = users.filter(user => !hidden.has(user._id.toString()));
+
+      let addedCount = 0;
+      if (save && matched.length > 0) {
+        const result = await Contact.bulkWrite(matched.map(user => ({
+          updateOne: {
+            filter: { ownerId: userId, contactUserId: user._id },
+            update: {
+              $setOnInsert: {
+                source: CONTACT_SOURCES.SYNC,
+                nickname: null
+              },
+              $set: { knowsPhoneNumber: true }
+            },
+            upsert: true
+          }
+        })), { ordered: false });
+
+        addedCount = result.upsertedCount;
+      } else {
+        // A match proves the caller knows the number of contacts they added by ID
+        const knownContactIds = matched.map(user => user._id).filter(id => existing.has(id.toString()));
+        if (knownContactIds.length > 0) {
+          await Contact.updateMany(
+            { ownerId: userId, contactUserId: { $in: knownContactIds } },
+            { $set: { knowsPhoneNumber: true } }
+          );
+        }
+      }
+
+      logger.info('Contacts synced', {
+        userId,
+        hashCount: hashes.length,
+        matchCount: matched.length,
+        addedCount
+      });
+
+      const matches = matched.map(user => ({
+        hash: user.phoneHash,
+        user: user.toJSON(),
+        isContact: save || existing.has(user._id.toString())
+      }));
+      await userService.applyPresencePrivacy(userId, matches.map(match => match.user));
+
+      return {
+        success: true,
+        data: {
+          matches,
+          addedCount
+        }
+      };
+
+    } catch (error) {
+      logger.error('Error syncing contacts:', error, { userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a user's contact list
+   * Online status and last seen follow each contact's privacy settings.
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<Object>} Contacts sorted by nickname or display name
+   */
+  async getContacts(userId) {
+    try {
+      const contacts = await Contact.find({ ownerId: userId })
+        .populate('contactUserId', `${this.userFields} isActive`);
+
+      const entries = await this.formatContacts(
+        userId,
+        contacts.filter(contact => contact.contactUserId && contact.contactUserId.isActive)
+      );
+
+      const sortName = entry => (entry.nickname || entry.user.profile?.displayName || entry.user.phoneNumber || '').toLowerCase();
+      entries.sort((a, b) => sortName(a).localeCompare(sortName(b)));
+
+      return {
+        success: true,
+        data: {
+          contacts: entries,
+          total: entries.length
+        }
+      };
+
+    } catch (error) {
+      logger.error('Error getting contacts:', error, { userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Save a registered user as a contact
+   * Adding an existing contact again updates its nickname when one is given.
+   * The phone number is only returned when it was given, or when the users
+   * already share a conversation or group.
+   * @param {string} userId - Owner user ID
+   * @param {Object} data
+   * @param {string} data.userId - Contact user ID
+   * @param {string} data.phoneNumber - Contact phone number (digits only)
+   * @param {string} data.nickname - Optional nickname
+   * @returns {Promise<Object>} Saved contact
+   */
+  async addContact(userId, { userId: contactUserId, phoneNumber, nickname }) {
+    try {
+      const target = contactUserId
+        ? await User.findOne({ _id: contactUserId, isActive: true })
+        : await User.findOne({ phoneNumber, isActive: true });
+
+      if (!target) {
+        throw createError.notFound('User not found');
+      }
+
+      if (target._id.toString() === userId.toString()) {
+        throw createError.badRequest('You cannot add yourself as a contact');
+      }
+
+      const update = {
+        $setOnInsert: {
+          source: CONTACT_SOURCES.MANUAL
+        },
+        $set: { 'metadata.updatedAt': new Date() }
+      };
+
+      if (!contactUserId) {
+        update.$set.knowsPhoneNumber = true;
+      }
+
+      if (nickname !== undefined) {
+        update.$set.nickname = nickname || null;
+      } else {
+        update.$setOnInsert.nickname = null;
+      }
+
+      const contact = await Contact.findOneAndUpdate(
+        { ownerId: userId, contactUserId: target._id },
+        update,
+        { upsert: true, new: true, runValidators: true }
+      ).populate('contactUserId', this.userFields);
+
+      const [entry] = await this.formatContacts(userId, [contact]);
+
+      logger.info('Contact saved', { userId, contactUserId: target._id.toString() });
+
+      return {
+        success: true,
+        message: 'Contact saved successfully',
+        data: entry
+      };
+
+    } catch (error) {
+      logger.error('Error adding contact:', error, { userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Change or clear a contact's nickname
+   * @param {string} userId - Owner user ID
+   * @param {string} contactUserId - Contact user ID
+   * @param {string} nickname - New nickname (empty or null clears it)
+   * @returns {Promise<Object>} Updated contact
+   */
+  async updateContact(userId, contactUserId, nickname) {
+    try {
+      const contact = await Contact.findOneAndUpdate(
+        { ownerId: userId, contactUserId },
+        { $set: { nickname: nickname || null, 'metadata.updatedAt': new Date() } },
+        { new: true, runValidators: true }
+      ).populate('contactUserId', this.userFields);
+
+      if (!contact || !contact.contactUserId) {
+        throw createError.notFound('Contact not found');
+      }
+
+      const [entry] = await this.formatContacts(userId, [contact]);
+
+      return {
+        success: true,
+        message: 'Contact updated successfully',
+        data: entry
+      };
+
+    } catch (error) {
+      logger.error('Error updating contact:', error, { userId, contactUserId });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a contact
+   * @param {string} userId - Owner user ID
+   * @param {string} contactUserId - Contact user ID
+   * @returns {Promise<Object>} Result
+   */
+  async removeContact(userId, contactUserId) {
+    try {
+      const result = await Contact.deleteOne({ ownerId: userId, contactUserId });
+
+      if (result.deletedCount === 0) {
+        throw createError.notFound('Contact not found');
+      }
+
+      logger.info('Contact removed', { userId, contactUserId });
+
+      return {
+        success: true,
+        message: 'Contact removed successfully',
+        data: {
+          userId: contactUserId
+        }
+      };
+
+    } catch (error) {
+      logger.error('Error removing contact:', error, { userId, contactUserId });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the users subscribed to a user's presence
+   * A user's presence goes to everyone who saved them as a contact and is
+   * allowed to see their online status.
+   * @param {string} userId - User whose presence changed
+   * @returns {Promise<Array<string>>} Watcher user IDs
+   */
+  async getPresenceWatcherIds(userId) {
+    const [watcherIds, sharesOnline] = await Promise.all([
+      Contact.getWatcherIds(userId),
+      userService.getAudienceCheck(userId, 'online')
+    ]);
+
+    return watcherIds.filter(sharesOnline);
+  }
+
+  /**
+   * Get IDs of a user's contacts
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<Array<string>>} Contact user IDs
+   */
+  async getContactIds(userId) {
+    return Contact.getContactIds(userId);
+  }
+
+  /**
+   * Check whether a user is in someone's contact list
+   * @param {string} ownerId - Owner user ID
+   * @param {string} userId - Candidate contact user ID
+   * @returns {Promise<boolean>}
+   */
+  async isContact(ownerId, userId) {
+    return Contact.isContact(ownerId, userId);
+  }
+
+  /**
+   * Format contact documents for responses
+   * The phone number is shown when the owner knew it or shares a conversation
+   * or group with the contact; presence follows the contact's privacy settings.
+   * @param {string} userId - Owner user ID
+   * @param {Array<Object>} contacts - Contact documents with contactUserId populated
+   * @returns {Promise<Array<Object>>} Contact entries
+   * @private
+   */
+  async formatContacts(userId, contacts) {
+    const relationships = contacts.some(contact => !contact.knowsPhoneNumber)
+      ? await userService.getRelationships(userId)
+      : new Map();
+
+    const entries = contacts.map(contact => this.formatContact(
+      contact,
+      contact.knowsPhoneNumber || relationships.has(contact.contactUserId._id.toString())
+    ));
+    await userService.applyPresencePrivacy(userId, entries.map(entry => entry.user));
+
+    return entries;
+  }
+
+  /**
+   * Format a contact document for responses
+   * @param {Object} contact - Contact document with contactUserId populated
+   * @param {boolean} showPhoneNumber - Whether the owner may see the phone number
+   * @returns {Object} Contact entry
+   * @private
+   */
+  formatContact(contact, showPhoneNumber) {
+    const user = contact.contactUserId.toJSON();
+    if (!showPhoneNumber) {
+      delete user.phoneNumber;
+    }
+
+    return {
+      user,
+      nickname: contact.nickname,
+      source: contact.source,
+      addedAt: contact.metadata.createdAt
+    };
+  }
+}
+
+// Create singleton instance
+const contactService = new ContactService();
+
+module.exports = contactService;
@@ -0,0 +1,533 @@
+/**
+ * Group Service
+ * Business logic for group creation, membership management and lifecycle
+ *
+ * @description Service layer handling group operations and membership rules
+ * @author Chat App Team
+ * @version 1.0.0
+ */
+
+const logger = require('../utils/logger');
+const User = require('../models/userModel');
+const Message = require('../models/messageModel');
+const Group = require('../models/groupModel');
+const userService = require('./userService');
+const { createError } = require('../middleware/errorHandler');
+
+const { GROUP_ROLES, MAX_GROUP_MEMBERS } = Group;
+
+class GroupService {
+  constructor() {
+    this.maxGroupMembers = MAX_GROUP_MEMBERS;
+  }
+
+  /**
+   * Create a new group
+   * @param {string} ownerId - Creator user ID (becomes owner)
+   * @param {Object} groupData - Group data (name, description, avatar, memberIds)
+   * @returns {Promise<Object>} Created group
+   */
+  async createGroup(ownerId, groupData = {}) {
+    try {
+      const { name, description = '', avatar = null, memberIds = [] } = groupData;
+
+      const owner = await User.findById(ownerId);
+      if (!owner || !owner.isActive) {
+        throw createError.notFound('User not found');
+      }
+
+      const uniqueMemberIds = [...new Set(memberIds.map(String))]
+        .filter(memberId => memberId !== ownerId);
+
+      if (uniqueMemberIds.length + 1 > this.maxGroupMembers) {
+        throw createError.badRequest(`Group cannot have more than ${this.maxGroupMembers} members`);
+      }
+
+      await this.ensureUsersExist(uniqueMemberIds);
+
+      const now = new Date();
+      const group = new Group({
+        name,
+        description,
+        avatar,
+        owner: ownerId,
+        members: [
+          { userId: ownerId, role: GROUP_ROLES.OWNER, addedBy: ownerId, joinedAt: now },
+          ...uniqueMemberIds.map(userId => ({
+            userId,
+            role: GROUP_ROLES.MEMBER,
+            addedBy: ownerId,
+            joinedAt: now
+          }))
+        ]
+      });
+
+      await group.save();
+
+      await this.postSystemMessage(group._id, ownerId, `Group "${group.name}" was created`);
+
+      logger.info('Group created', {
+        groupId: group._id,
+        ownerId,
+        memberCount: group.members.length
+      });
+
+      return {
+        success: true,
+        message: 'Group created successfully',
+        data: group.toJSON()
+      };
+
+    } catch (error) {
+      logger.error('Error creating group:', error, { ownerId });
+      throw error;
+    }
+  }
+
+  /**
+   * Get groups the user belongs to
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} User groups
+   */
+  async getUserGroups(userId) {
+    try {
+      const groups = await Group.getUserGroups(userId);
+
+      return {
+        success: true,
+        data: {
+          groups: groups.map(group => group.toJSON())
+        }
+      };
+
+    } catch (error) {
+      logger.error('Error getting user groups:', error, { userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Get group details (members only)
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Requesting user ID
+   * @returns {Promise<Object>} Group details
+   */
+  async getGroup(groupId, userId) {
+    try {
+      const group = await this.ensureMembership(groupId, userId);
+
+      await group.populate('members.userId', 'phoneNumber profile.displayName profile.avatar status lastSeen');
+
+      const data = group.toJSON();
+      await userService.applyPresencePrivacy(
+        userId,
+        data.members.map(member => member.userId).filter(user => user && user._id)
+      );
+
+      return {
+        success: true,
+        data
+      };
+
+    } catch (error) {
+      logger.error('Error getting group:', error, { groupId, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Update group name, description or avatar (owner/admin only)
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Acting user ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object>} Updated group
+   */
+  async updateGroup(groupId, userId, updates = {}) {
+    try {
+      const group = await this.ensureAdmin(groupId, userId);
+      const previousName = group.name;
+
+      ['name', 'description', 'avatar'].forEach((field) => {
+        if (updates[field] !== undefined) {
+          group[field] = updates[field];
+        }
+      });
+
+      await group.save();
+
+      if (updates.name && updates.name !== previousName) {
+        await this.postSystemMessage(group._id, userId, `Group renamed from "${previousName}" to "${group.name}"`);
+      }
+
+      logger.info('Group updated', {
+        groupId,
+        userId,
+        fields: Object.keys(updates)
+      });
+
+      return {
+        success: true,
+        message: 'Group updated successfully',
+        data: group.toJSON()
+      };
+
+    } catch (error) {
+      logger.error('Error updating group:', error, { groupId, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Add members to a group (owner/admin only)
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Acting user ID
+   * @param {Array<string>} memberIds - User IDs to add
+   * @returns {Promise<Object>} Updated group and added member IDs
+   */
+  async addMembers(groupId, userId, memberIds = []) {
+    try {
+      const group = await this.ensureAdmin(groupId, userId);
+
+      const newMemberIds = [...new Set(memberIds.map(String))]
+        .filter(memberId => !group.isMember(memberId));
+
+      if (newMemberIds.length === 0) {
+        throw createError.badRequest('All specified users are already members');
+      }
+
+      if (group.members.length + newMemberIds.length > this.maxGroupMembers) {
+        throw createError.badRequest(`Group cannot have more than ${this.maxGroupMembers} members`);
+      }
+
+      await this.ensureUsersExist(newMemberIds);
+
+      const now = new Date();
+      newMemberIds.forEach((memberId) => {
+        group.members.push({
+          userId: memberId,
+          role: GROUP_ROLES.MEMBER,
+          addedBy: userId,
+          joinedAt: now
+        });
+      });
+
+      await group.save();
+
+      await this.postSystemMessage(group._id, userId, `${newMemberIds.length} member(s) added to the group`);
+
+      logger.info('Group members added', {
+        groupId,
+        userId,
+        addedCount: newMemberIds.length
+      });
+
+      return {
+        success: true,
+        message: 'Members added successfully',
+        data: {
+          group: group.toJSON(),
+          addedMemberIds: newMemberIds
+        }
+      };
+
+    } catch (error) {
+      logger.error('Error adding group members:', error, { groupId, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a member from a group
+   * Owners can remove anyone but themselves; admins can only remove plain members.
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Acting user ID
+   * @param {string} memberId - User ID to remove
+   * @returns {Promise<Object>} Updated group
+   */
+  async removeMember(groupId, userId, memberId) {
+    try {
+      const group = await this.ensureAdmin(groupId, userId);
+
+      if (memberId === userId) {
+        throw createError.badRequest('Use the leave endpoint to leave a group');
+      }
+
+      const targetRole = group.getRole(memberId);
+      if (!targetRole) {
+        throw createError.notFound('User is not a member of this group');
+      }
+
+      if (targetRole === GROUP_ROLES.OWNER) {
+        throw createError.forbidden('The group owner cannot be removed');
+      }
+
+      if (targetRole === GROUP_ROLES.ADMIN && group.getRole(userId) !== GROUP_ROLES.OWNER) {
+        throw createError.forbidden('Only the group owner can remove admins');
+      }
+
+      group.members = group.members.filter(member => member.userId.toString() !== memberId);
+      await group.save();
+
+      await this.postSystemMessage(group._id, userId, 'A member was removed from the group');
+
+      logger.info('Group member removed', { groupId, userId, memberId });
+
+      return {
+        success: true,
+        message: 'Member removed successfully',
+        data: group.toJSON()
+      };
+
+    } catch (error) {
+      logger.error('Error removing group member:', error, { groupId, userId, memberId });
+      throw error;
+    }
+  }
+
+  /**
+   * Change a member's role (owner only)
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Acting user ID
+   * @param {string} memberId - Target member user ID
+   * @param {string} role - New role (admin or member)
+   * @returns {Promise<Object>} Updated group
+   */
+  async updateMemberRole(groupId, userId, memberId, role) {
+    try {
+      const group = await this.ensureMembership(groupId, userId);
+
+      if (group.getRole(userId) !== GROUP_ROLES.OWNER) {
+        throw createError.forbidden('Only the group owner can change member roles');
+      }
+
+      const member = group.getMember(memberId);
+      if (!member) {
+        throw createError.notFound('User is not a member of this group');
+      }
+
+      if (member.role === GROUP_ROLES.OWNER) {
+        throw createError.badRequest('The owner role cannot be changed');
+      }
+
+      member.role = role;
+      await group.save();
+
+      logger.info('Group member role updated', { groupId, userId, memberId, role });
+
+      return {
+        success: true,
+        message: 'Member role updated successfully',
+        data: group.toJSON()
+      };
+
+    } catch (error) {
+      logger.error('Error updating member role:', error, { groupId, userId, memberId, role });
+      throw error;
+    }
+  }
+
+  /**
+   * Leave a group
+   * If the owner leaves, ownership passes to the longest-standing admin, or
+   * member if there is no admin. The group is dissolved when the last member leaves.
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Leaving user ID
+   * @returns {Promise<Object>} Result
+   */
+  async leaveGroup(groupId, userId) {
+    try {
+      const group = await this.ensureMembership(groupId, userId);
+      const wasOwner = group.getRole(userId) === GROUP_ROLES.OWNER;
+
+      group.members = group.members.filter(member => member.userId.toString() !== userId);
+
+      if (group.members.length === 0) {
+        this.markDissolved(group, userId);
+        await group.save();
+
+        logger.info('Group dissolved after last member left', { groupId, userId });
+
+        return {
+          success: true,
+          message: 'Left group successfully',
+          data: { groupId, dissolved: true, newOwnerId: null, remainingMemberIds: [] }
+        };
+      }
+
+      let newOwnerId = null;
+      if (wasOwner) {
+        const byJoinDate = (a, b) => a.joinedAt - b.joinedAt;
+        const admins = group.members.filter(member => member.role === GROUP_ROLES.ADMIN).sort(byJoinDate);
+        const successor = admins[0] || [...group.members].sort(byJoinDate)[0];
+
+        successor.role = GROUP_ROLES.OWNER;
+        group.owner = successor.userId;
+        newOwnerId = successor.userId.toString();
+      }
+
+      await group.save();
+
+      await this.postSystemMessage(group._id, userId, 'A member left the group');
+
+      logger.info('User left group', { groupId, userId, newOwnerId });
+
+      return {
+        success: true,
+        message: 'Left group successfully',
+        data: {
+          groupId,
+          dissolved: false,
+          newOwnerId,
+          remainingMemberIds: group.getMemberIds()
+        }
+      };
+
+    } catch (error) {
+      logger.error('Error leaving group:', error, { groupId, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Dissolve a group (owner only)
+   * Messages are kept; the group becomes read-only and inaccessible.
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Acting user ID
+   * @returns {Promise<Object>} Result with former member IDs
+   */
+  async dissolveGroup(groupId, userId) {
+    try {
+      const group = await this.ensureMembership(groupId, userId);
+
+      if (group.getRole(userId) !== GROUP_ROLES.OWNER) {
+        throw createError.forbidden('Only the group owner can dissolve the group');
+      }
+
+      const formerMemberIds = group.getMemberIds();
+
+      await this.postSystemMessage(group._id, userId, `Group "${group.name}" was dissolved`);
+
+      this.markDissolved(group, userId);
+      await group.save();
+
+      logger.info('Group dissolved', { groupId, userId, memberCount: formerMemberIds.length });
+
+      return {
+        success: true,
+        message: 'Group dissolved successfully',
+        data: { groupId, formerMemberIds }
+      };
+
+    } catch (error) {
+      logger.error('Error dissolving group:', error, { groupId, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Load an active group and ensure the user is a member
+   * @param {string} groupId - Group ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Group document
+   */
+  async ensureMembership(groupId, userId) {
+    if (!groupId) {
+      throw createError.badRequest('Group ID is required');
+    }
+
+    const group = await Group.findActiveById(groupId);
+    if (!group) {
+      throw createError.notFound('Group not found');
+    }
+
+    if (!group.isMember(userId)) {
+      logger.warn('Non-member group access attempt', { groupId, userId });
+      throw createError.forbidden('You are not a member of this group');
+    }
+
+    return group;
+  }
+
+  /**
+   * Load an active group and ensure the user is an owner or admin
+   * @param {string} groupId - Group ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Group document
+   * @private
+   */
+  async ensureAdmin(groupId, userId) {
+    const group = await this.ensureMembership(groupId, userId);
+
+    if (!group.isAdmin(userId)) {
+      throw createError.forbidden('Only group admins can perform this action');
+    }
+
+    return group;
+  }
+
+  /**
+   * Ensure all user IDs belong to active users
+   * @param {Array<string>} userIds - User IDs
+   * @returns {Promise<void>}
+   * @private
+   */
+  async ensureUsersExist(userIds) {
+    if (userIds.length === 0) {
+      return;
+    }
+
+    const count = await User.countDocuments({
+      _id: { $in: userIds },
+      isActive: true
+    });
+
+    if (count !== userIds.length) {
+      throw createError.badRequest('One or more users were not found');
+    }
+  }
+
+  /**
+   * Mark a group document as dissolved (caller saves)
+   * @param {Object} group - Group document
+   * @param {string} userId - Acting user ID
+   * @private
+   */
+  markDissolved(group, userId) {
+    group.flags.isDissolved = true;
+    group.metadata.dissolvedAt = new Date();
+    group.metadata.dissolvedBy = userId;
+  }
+
+  /**
+   * Post a system message into the group timeline
+   * @param {string} groupId - Group ID
+   * @param {string} actorId - User who triggered the event
+   * @param {string} content - System message content
+   * @returns {Promise<void>}
+   * @private
+   */
+  async postSystemMessage(groupId, actorId, content) {
+    try {
+      const message = new Message({
+        senderId: actorId,
+        groupId,
+        content,
+        messageType: 'system',
+        metadata: {
+          platform: 'system',
+          createdAt: new Date()
+        }
+      });
+
+      await message.save();
+    } catch (error) {
+      // Non-critical error, just log it
+      logger.warn('Failed to post group system message:', { groupId, error: error.message });
+    }
+  }
+}
+
+// Create singleton instance
+const groupService = new GroupService();
+
+module.exports = groupService;
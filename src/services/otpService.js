@@ -0,0 +1,223 @@
+/**
+ * OTP Service
+ * Business logic for one-time phone verification codes
+ *
+ * @description Service layer generating, sending and checking SMS codes with
+ * resend throttling, expiry and a limit on incorrect guesses. Codes are sent
+ * through the configured SMS provider and stored only as keyed hashes.
+ * @author Chat App Team
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const Otp = require('../models/otpModel');
+const { createSmsProvider } = require('./sms');
+const { createError } = require('../middleware/errorHandler');
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+class OtpService {
+  constructor() {
+    this.sms = createSmsProvider(config.sms.provider, config.sms);
+
+    this.codeLength = config.otp.codeLength;
+    this.codeTtlMs = config.otp.ttlSeconds * 1000;
+    this.resendIntervalMs = config.otp.resendIntervalSeconds * 1000;
+    this.maxSendsPerWindow = config.otp.maxSendsPerHour;
+    this.sendWindowMs = 60 * 60 * 1000;
+    this.maxAttempts = config.otp.maxAttempts;
+  }
+
+  /**
+   * Generate a code and send it by SMS
+   * Replaces any earlier code for the same phone number and purpose.
+   * @param {string} phoneNumber - Normalized phone number
+   * @param {string} purpose - Code purpose (see Otp.OTP_PURPOSES)
+   * @returns {Promise<Object>} { expiresIn, resendAfter } in seconds
+   */
+  async sendCode(phoneNumber, purpose) {
+    const now = new Date();
+    const existing = await Otp.findOne({ phoneNumber, purpose }).lean();
+
+    if (existing?.lastSentAt) {
+      const waitMs = existing.lastSentAt.getTime() + this.resendIntervalMs - now.getTime();
+      if (waitMs > 0) {
+        const retryAfter = Math.ceil(waitMs / 1000);
+        throw createError.tooManyRequests(
+          `Please wait ${retryAfter} seconds before requesting another code`,
+          { retryAfter }
+        );
+      }
+    }
+
+    const windowOpen = !!existing?.sendWindowStartedAt
+      && existing.sendWindowStartedAt.getTime() + this.sendWindowMs > now.getTime();
+    const sendWindowStartedAt = windowOpen ? existing.sendWindowStartedAt : now;
+    const sendCount = windowOpen ? existing.sendCount : 0;
+
+    if (sendCount >= this.maxSendsPerWindow) {
+      const retryAfter = Math.ceil((sendWindowStartedAt.getTime() + this.sendWindowMs - now.getTime()) / 1000);
+      throw createError.tooManyRequests(
+        'Too many codes requested for this phone number. Try again later.',
+        { retryAfter }
+      );
+    }
+
+    const code = this.generateCode();
+    const codeExpiresAt = new Date(now.getTime() + this.codeTtlMs);
+    const fields = {
+      codeHash: this.hashCode(phoneNumber, purpose, code),
+      codeExpiresAt,
+      attempts: 0,
+      sendCount: sendCount + 1,
+      sendWindowStartedAt,
+      lastSentAt: now,
+      expiresAt: new Date(Math.max(
+        codeExpiresAt.getTime(),
+        sendWindowStartedAt.getTime() + this.sendWindowMs
+      ))
+    };
+
+    // Claim the send so concurrent requests cannot bypass the throttle
+    const claimed = await this.claimSend(phoneNumber, purpose, existing, fields);
+    if (!claimed) {
+      throw createError.tooManyRequests('A code was just sent. Please wait before requesting another code.');
+    }
+
+    const minutes = Math.ceil(this.codeTtlMs / 60000);
+    try {
+      const { messageId } = await this.sms.send(
+        phoneNumber,
+        `Your Chat App verification code is ${code}. It expires in ${minutes} minutes.`
+      );
+
+      logger.info('Verification code sent', {
+        phoneNumber,
+        purpose,
+        provider: this.sms.name,
+        messageId
+      });
+    } catch (error) {
+      logger.error('Error sending verification code:', error, { phoneNumber, purpose, provider: this.sms.name });
+      throw createError.serviceUnavailable('Could not send the verification code. Please try again later.');
+    }
+
+    return {
+      expiresIn: Math.round(this.codeTtlMs / 1000),
+      resendAfter: Math.round(this.resendIntervalMs / 1000)
+    };
+  }
+
+  /**
+   * Check a code and consume it
+   * Each code can be used once; too many incorrect guesses discard it.
+   * @param {string} phoneNumber - Normalized phone number
+   * @param {string} purpose - Code purpose (see Otp.OTP_PURPOSES)
+   * @param {string} code - Code entered by the user
+   * @returns {Promise<void>} Resolves when the code is correct
+   */
+  async verifyCode(phoneNumber, purpose, code) {
+    const expired = () => createError.badRequest('Verification code has expired. Request a new code.');
+
+    const otp = await Otp.findOne({ phoneNumber, purpose }).lean();
+    if (!otp?.codeHash || otp.codeExpiresAt <= new Date()) {
+      throw expired();
+    }
+
+    const current = { _id: otp._id, codeHash: otp.codeHash };
+    const consume = { $set: { codeHash: null, codeExpiresAt: null } };
+
+    if (this.matches(otp.codeHash, this.hashCode(phoneNumber, purpose, code))) {
+      const { modifiedCount } = await Otp.updateOne(current, consume);
+      if (modifiedCount === 0) {
+        throw expired();
+      }
+
+      logger.info('Verification code accepted', { phoneNumber, purpose });
+      return;
+    }
+
+    const updated = await Otp.findOneAndUpdate(current, { $inc: { attempts: 1 } }, { new: true }).lean();
+    if (!updated) {
+      throw expired();
+    }
+
+    const remainingAttempts = this.maxAttempts - updated.attempts;
+    logger.warn('Incorrect verification code', { phoneNumber, purpose, remainingAttempts });
+
+    if (remainingAttempts <= 0) {
+      await Otp.updateOne(current, consume);
+      throw createError.tooManyRequests('Too many incorrect codes. Request a new code.');
+    }
+
+    throw createError.badRequest(`Invalid verification code. ${remainingAttempts} attempts remaining.`);
+  }
+
+  /**
+   * Store a new code if no other request sent one since it was read
+   * @param {string} phoneNumber - Normalized phone number
+   * @param {string} purpose - Code purpose
+   * @param {Object|null} existing - Document read before sending
+   * @param {Object} fields - Fields of the new code
+   * @returns {Promise<boolean>} False if another request won
+   * @private
+   */
+  async claimSend(phoneNumber, purpose, existing, fields) {
+    if (existing) {
+      const { matchedCount } = await Otp.updateOne(
+        { _id: existing._id, lastSentAt: existing.lastSentAt },
+        { $set: fields }
+      );
+      return matchedCount === 1;
+    }
+
+    try {
+      await Otp.create({ phoneNumber, purpose, ...fields });
+      return true;
+    } catch (error) {
+      if (error.code === DUPLICATE_KEY_ERROR) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @returns {string} Random numeric code
+   * @private
+   */
+  generateCode() {
+    return crypto.randomInt(0, 10 ** this.codeLength).toString().padStart(this.codeLength, '0');
+  }
+
+  /**
+   * @param {string} phoneNumber - Phone number
+   * @param {string} purpose - Code purpose
+   * @param {string} code - Code
+   * @returns {string} HMAC bound to the phone number and purpose
+   * @private
+   */
+  hashCode(phoneNumber, purpose, code) {
+    return crypto
+      .createHmac('sha256', config.jwt.secret)
+      .update(`${phoneNumber}:${purpose}:${code}`)
+      .digest('hex');
+  }
+
+  /**
+   * @param {string} expected - Stored hash
+   * @param {string} actual - Hash of the entered code
+   * @returns {boolean}
+   * @private
+   */
+  matches(expected, actual) {
+    return crypto.timingSafeEqual(Buffer.from(expected, 'hex'), Buffer.from(actual, 'hex'));
+  }
+}
+
+// Create singleton instance
+const otpService = new OtpService();
+
+module.exports = otpService;
@@ -0,0 +1,238 @@
+/**
+ * Search Service
+ * Full-text search over messages visible to a user
+ *
+ * @description Service layer running text-index searches across the caller's
+ * one-to-one and group conversations with filters, highlighted snippets and
+ * cursor pagination
+ * @author Chat App Team
+ * @version 1.0.0
+ */
+
+const logger = require('../utils/logger');
+const Message = require('../models/messageModel');
+const Group = require('../models/groupModel');
+const groupService = require('./groupService');
+const { ValidationMiddleware } = require('../utils/validator');
+const { createError } = require('../middleware/errorHandler');
+const {
+  CURSOR_DIRECTIONS,
+  encodeCursor,
+  decodeCursor,
+  buildCursorCondition,
+  getCursorSort
+} = require('../utils/cursor');
+
+class SearchService {
+  constructor() {
+    this.defaultLimit = 20;
+    this.maxLimit = 50;
+    this.snippetContext = 40; // Characters kept on each side of the first match
+    this.maxHighlightTerms = 10;
+  }
+
+  /**
+   * Search message content
+   * Only messages the user can read are searched: one-to-one messages they
+   * sent or received and messages of groups they currently belong to.
+   * Results are ordered newest first.
+   * @param {string} userId - Searching user ID
+   * @param {string} searchTerm - Text query (MongoDB $text syntax)
+   * @param {Object} filters
+   * @param {string} filters.withUserId - Only the one-to-one conversation with this user
+   * @param {string} filters.groupId - Only this group
+   * @param {string} filters.senderId - Only messages from this sender
+   * @param {Date} filters.from - Created at or after
+   * @param {Date} filters.to - Created at or before
+   * @param {string} filters.messageType - text, image, file or system
+   * @param {boolean} filters.hasAttachments - With or without attachments
+   * @param {number} filters.limit - Results per page
+   * @param {string} filters.cursor - Cursor from pagination.nextCursor
+   * @returns {Promise<Object>} Matching messages with highlights and pagination
+   */
+  async searchMessages(userId, searchTerm, filters = {}) {
+    try {
+      const query = (searchTerm || '').trim();
+      if (!userId || !query) {
+        throw createError.badRequest('User ID and search query are required');
+      }
+
+      const limit = Math.min(filters.limit || this.defaultLimit, this.maxLimit);
+      const conditions = [
+        { $text: { $search: query } },
+        { 'flags.isDeleted': false },
+        Message.visibleTo(userId),
+        await this.buildVisibilityCondition(userId, filters)
+      ];
+
+      if (filters.senderId) {
+        conditions.push({ senderId: filters.senderId });
+      }
+
+      if (filters.from || filters.to) {
+        conditions.push({
+          'metadata.createdAt': {
+            ...(filters.from ? { $gte: new Date(filters.from) } : {}),
+            ...(filters.to ? { $lte: new Date(filters.to) } : {})
+          }
+        });
+      }
+
+      if (filters.messageType) {
+        conditions.push({ messageType: filters.messageType });
+      }
+
+      if (filters.hasAttachments !== undefined) {
+        conditions.push(filters.hasAttachments
+          ? { 'attachments.0': { $exists: true } }
+          : { 'attachments.0': { $exists: false } });
+      }
+
+      if (filters.cursor) {
+        conditions.push(buildCursorCondition(decodeCursor(filters.cursor), CURSOR_DIRECTIONS.OLDER));
+      }
+
+      const results = await Message.find({ $and: conditions })
+        .populate('senderId', 'phoneNumber profile.displayName profile.avatar')
+        .populate('receiverId', 'phoneNumber profile.displayName profile.avatar')
+        .sort(getCursorSort(CURSOR_DIRECTIONS.OLDER))
+        .limit(limit + 1);
+
+      const hasMore = results.length > limit;
+      const messages = results.slice(0, limit);
+      const terms = this.extractTerms(query);
+
+      logger.info('Message search performed', {
+        userId,
+        queryLength: query.length,
+        filters: Object.keys(filters).filter(key => filters[key] !== undefined),
+        resultsCount: messages.length,
+        hasMore
+      });
+
+      return {
+        success: true,
+        data: {
+          results: messages.map(message => ({
+            message: {
+              ...message.toJSON(),
+              reactionSummary: Message.summarizeReactions(message.reactions, userId)
+            },
+            highlight: this.buildHighlight(message.content, terms)
+          })),
+          pagination: {
+            limit,
+            hasMore,
+            nextCursor: hasMore ? encodeCursor(messages[messages.length - 1]) : null
+          }
+        }
+      };
+
+    } catch (error) {
+      logger.error('Error searching messages:', error, { userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Build the condition restricting results to conversations the user can read
+   * @param {string} userId - Searching user ID
+   * @param {Object} filters - { withUserId, groupId }
+   * @returns {Promise<Object>} MongoDB query condition
+   * @private
+   */
+  async buildVisibilityCondition(userId, filters) {
+    if (filters.groupId) {
+      await groupService.ensureMembership(filters.groupId, userId);
+      return { groupId: filters.groupId };
+    }
+
+    if (filters.withUserId) {
+      return {
+        $or: [
+          { senderId: userId, receiverId: filters.withUserId },
+          { senderId: filters.withUserId, receiverId: userId }
+        ]
+      };
+    }
+
+    const groupIds = await Group.getUserGroupIds(userId);
+
+    return {
+      $or: [
+        { senderId: userId, groupId: null },
+        { receiverId: userId },
+        { groupId: { $in: groupIds } }
+      ]
+    };
+  }
+
+  /**
+   * Extract plain words from a $text query for highlighting
+   * Negated terms (-word) are dropped; quoted phrases are kept whole.
+   * @param {string} query - Search query
+   * @returns {Array<string>} Lower-case terms, longest first
+   * @private
+   */
+  extractTerms(query) {
+    const terms = new Set();
+    const tokenPattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+    let match;
+
+    while ((match = tokenPattern.exec(query)) !== null) {
+      const negated = match[1] || match[3];
+      const term = (match[2] || match[4] || '').replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+
+      if (!negated && term) {
+        terms.add(term.toLowerCase());
+      }
+    }
+
+    return [...terms]
+      .sort((a, b) => b.length - a.length)
+      .slice(0, this.maxHighlightTerms);
+  }
+
+  /**
+   * Cut a snippet around the first match and locate every match in it
+   * Ranges are returned instead of markup so clients can render them safely.
+   * @param {string} content - Message content
+   * @param {Array<string>} terms - Terms from extractTerms
+   * @returns {Object} { snippet, ranges: [{ start, end }] }
+   * @private
+   */
+  buildHighlight(content = '', terms = []) {
+    if (!content || terms.length === 0) {
+      return { snippet: content.slice(0, this.snippetContext * 2), ranges: [] };
+    }
+
+    // Match terms at word starts so stemmed matches ("run" in "running") are found
+    const escaped = terms.map(term => ValidationMiddleware.escapeRegex(term));
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${escaped.join('|')})`, 'giu');
+
+    const first = pattern.exec(content);
+    const start = first ? Math.max(0, first.index - this.snippetContext) : 0;
+    const end = first
+      ? Math.min(content.length, first.index + first[0].length + this.snippetContext)
+      : Math.min(content.length, this.snippetContext * 2);
+
+    const snippet = content.slice(start, end);
+    const ranges = [];
+
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(snippet)) !== null) {
+      ranges.push({ start: match.index, end: match.index + match[0].length });
+    }
+
+    return {
+      snippet: `${start > 0 ? '…' : ''}${snippet}${end < content.length ? '…' : ''}`,
+      ranges: start > 0 ? ranges.map(range => ({ start: range.start + 1, end: range.end + 1 })) : ranges
+    };
+  }
+}
+
+// Create singleton instance
+const searchService = new SearchService();
+
+module.exports = searchService;
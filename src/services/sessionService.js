@@ -2,7 +2,9 @@
  * Session Service
  * Session management, inactivity tracking, and timeout handling
  * 
- * @description Service layer for managing user sessions and activity monitoring
+ * @description Service layer for managing user sessions and activity monitoring.
+ * Sessions are tracked per device in the configured session store; a user
+ * stays online while any of their devices is active.
  * @author Chat App Team
  * @version 1.0.0
  */
@@ -11,14 +13,19 @@ const moment = require('moment');
 const config = require('../config/config');
 const logger = require('../utils/logger');
 const User = require('../models/userModel');
+const Device = require('../models/deviceModel');
 const authService = require('./authService');
+const { createSessionStore } = require('./sessionStore');
+const { createError } = require('../middleware/errorHandler');
 
 class SessionService {
   constructor() {
-    this.activeSessions = new Map(); // In-memory session tracking
+    this.store = createSessionStore(config.session.store);
     this.inactivityTimeoutMs = config.session.timeoutMinutes * 60 * 1000; // 5 minutes in ms
     this.cleanupIntervalMs = 2 * 60 * 1000; // 2 minutes cleanup interval
     this.sessionTimeoutWarningMs = (config.session.timeoutMinutes - 1) * 60 * 1000; // 4 minutes warning
+    this.sessionTtlMs = (config.session.timeoutMinutes + 5) * 60 * 1000; // Kept 5 minutes past the timeout
+    this.pinRequiredTtlMs = 7 * 24 * 60 * 60 * 1000; // Locked sessions outlive the refresh token cookie
     
     // Start cleanup timer
     this.startCleanupTimer();
@@ -26,8 +33,11 @@ class SessionService {
 
   /**
    * Track user session activity
+   * A device whose session timed out stays locked until its PIN is verified
+   * again (activityData.pinVerified). Without a stored session the lock is
+   * taken from the device record.
    * @param {string} userId - User ID
-   * @param {Object} activityData - Activity information
+   * @param {Object} activityData - Activity information (deviceId is required)
    * @returns {Promise<void>}
    */
   async trackActivity(userId, activityData = {}) {
@@ -36,27 +46,42 @@ class SessionService {
         throw new Error('User ID is required');
       }
 
+      const { deviceId } = activityData;
+      if (!deviceId) {
+        throw new Error('Device ID is required');
+      }
+
       const now = new Date();
+      const existing = await this.store.get(userId, deviceId);
+      const locked = existing ? existing.pinRequired : await this.isDeviceLocked(userId, deviceId);
       const sessionData = {
         userId,
+        deviceId,
         lastActivity: now,
-        userAgent: activityData.userAgent || '',
-        ipAddress: activityData.ipAddress || '',
-        platform: activityData.platform || 'unknown',
-        socketId: activityData.socketId || null,
-        isActive: true
+        userAgent: activityData.userAgent || existing?.userAgent || '',
+        ipAddress: activityData.ipAddress || existing?.ipAddress || '',
+        platform: activityData.platform || existing?.platform || 'unknown',
+        pinRequired: activityData.pinVerified ? false : !!locked
       };
 
-      // Update in-memory session
-      this.activeSessions.set(userId, sessionData);
+      // Update session store
+      await this.store.save(sessionData, this.getSessionTtl(sessionData));
+      if (activityData.pinVerified) {
+        await Device.setPinRequired(userId, deviceId, false);
+      }
+      if (activityData.socketId) {
+        await this.store.addSocket(userId, deviceId, activityData.socketId);
+      }
 
       // Update database
       const user = await User.findById(userId);
       if (user && user.isActive) {
         await user.updateActivity();
-        
+        await Device.touch(userId, deviceId, activityData);
+
         logger.debug('User activity tracked', {
           userId,
+          deviceId,
           lastActivity: now,
           platform: sessionData.platform
         });
@@ -68,22 +93,26 @@ class SessionService {
   }
 
   /**
-   * Check if user session is active
+   * Check if a device's session is active
    * @param {string} userId - User ID
+   * @param {string} deviceId - Device ID
    * @returns {Promise<Object>} Session status
    */
-  async checkSessionStatus(userId) {
+  async checkSessionStatus(userId, deviceId) {
     try {
       if (!userId) {
         throw new Error('User ID is required');
       }
 
-      const sessionData = this.activeSessions.get(userId);
-      const now = new Date();
+      const sessionData = await this.store.get(userId, deviceId);
 
-      // If no in-memory session, check database
+      // If no stored session, check database
       if (!sessionData) {
-        const user = await User.findById(userId);
+        const [user, device] = await Promise.all([
+          User.findById(userId),
+          Device.findOne({ userId, deviceId })
+        ]);
+
         if (!user || !user.isActive) {
           return {
             isActive: false,
@@ -92,7 +121,24 @@ class SessionService {
           };
         }
 
-        const lastActivity = moment(user.sessionData.lastActivityAt);
+        if (!device) {
+          return {
+            isActive: false,
+            requiresPinEntry: true,
+            reason: 'Device signed out'
+          };
+        }
+
+        if (device.pinRequired) {
+          return {
+            isActive: false,
+            requiresPinEntry: true,
+            lastActivity: device.lastActiveAt,
+            reason: 'PIN required'
+          };
+        }
+
+        const lastActivity = moment(device.lastActiveAt);
         const minutesInactive = moment().diff(lastActivity, 'minutes');
         const isActive = minutesInactive < config.session.timeoutMinutes;
 
@@ -100,12 +146,22 @@ class SessionService {
           isActive,
           requiresPinEntry: !isActive,
           minutesInactive,
-          lastActivity: user.sessionData.lastActivityAt,
+          lastActivity: device.lastActiveAt,
           reason: isActive ? 'Active' : 'Session timeout'
         };
       }
 
-      // Check in-memory session
+      // A timed-out device must verify its PIN before anything else
+      if (sessionData.pinRequired) {
+        return {
+          isActive: false,
+          requiresPinEntry: true,
+          lastActivity: sessionData.lastActivity,
+          reason: 'PIN required'
+        };
+      }
+
+      // Check stored session
       const lastActivity = moment(sessionData.lastActivity);
       const minutesInactive = moment().diff(lastActivity, 'minutes');
       const isActive = minutesInactive < config.session.timeoutMinutes;
@@ -125,7 +181,7 @@ class SessionService {
       };
 
     } catch (error) {
-      logger.error('Error checking session status:', error, { userId });
+      logger.error('Error checking session status:', error, { userId, deviceId });
       return {
         isActive: false,
         requiresPinEntry: true,
@@ -135,18 +191,35 @@ class SessionService {
   }
 
   /**
-   * Handle session timeout for user
+   * Handle session timeout for a device
+   * The device is locked until its PIN is verified again. The user is only
+   * marked away once none of their devices is active.
    * @param {string} userId - User ID
+   * @param {string} deviceId - Device ID
    * @returns {Promise<Object>} Timeout result
    */
-  async handleSessionTimeout(userId) {
+  async handleSessionTimeout(userId, deviceId) {
     try {
       if (!userId) {
         throw new Error('User ID is required');
       }
 
-      // Remove from active sessions
-      this.activeSessions.delete(userId);
+      // Lock the device session, and the device in case the session is removed
+      const session = await this.store.get(userId, deviceId);
+      await this.store.save({
+        ...(session || { userId, deviceId, lastActivity: new Date() }),
+        pinRequired: true
+      }, this.pinRequiredTtlMs);
+      await Device.setPinRequired(userId, deviceId, true);
+
+      if (await this.hasActiveDevice(userId)) {
+        logger.info('Device session timed out', { userId, deviceId });
+        return {
+          success: true,
+          message: 'Session timed out',
+          requiresPinEntry: true
+        };
+      }
 
       // Update user status in database
       const user = await User.findById(userId);
@@ -169,7 +242,7 @@ class SessionService {
       };
 
     } catch (error) {
-      logger.error('Error handling session timeout:', error, { userId });
+      logger.error('Error handling session timeout:', error, { userId, deviceId });
       throw error;
     }
   }
@@ -191,8 +264,8 @@ class SessionService {
         throw new Error('User not found');
       }
 
-      // Update session data
-      await this.trackActivity(userId, deviceInfo);
+      // Update session data and unlock the device
+      await this.trackActivity(userId, { ...deviceInfo, pinVerified: true });
 
       // Set user back online
       await user.setOnline(deviceInfo);
@@ -216,28 +289,43 @@ class SessionService {
   }
 
   /**
-   * End user session (logout)
+   * End a device's session, or all of a user's sessions
+   * The user goes offline once none of their devices is active.
    * @param {string} userId - User ID
    * @param {string} reason - Reason for ending session
+   * @param {string} deviceId - Device ID (all devices when omitted)
    * @returns {Promise<Object>} Session end result
    */
-  async endSession(userId, reason = 'logout') {
+  async endSession(userId, reason = 'logout', deviceId = null) {
     try {
       if (!userId) {
         throw new Error('User ID is required');
       }
 
-      // Remove from active sessions
-      this.activeSessions.delete(userId);
+      // Remove from session store
+      if (deviceId) {
+        await this.store.delete(userId, deviceId);
+      } else {
+        await this.store.deleteUser(userId);
+      }
+
+      if (await this.hasActiveDevice(userId)) {
+        logger.info('Device session ended', { userId, deviceId, reason });
+        return {
+          success: true,
+          message: 'Session ended successfully'
+        };
+      }
 
       // Update user status
       const user = await User.findById(userId);
       if (user && user.isActive) {
         await user.setOffline();
-        
+
         logger.info('User session ended', {
           userId,
           phoneNumber: user.phoneNumber,
+          deviceId,
           reason
         });
       }
@@ -248,44 +336,138 @@ class SessionService {
       };
 
     } catch (error) {
-      logger.error('Error ending session:', error, { userId, reason });
+      logger.error('Error ending session:', error, { userId, deviceId, reason });
       throw error;
     }
   }
 
   /**
-   * Get all active sessions
-   * @returns {Array} List of active sessions
+   * Remove a device's session once its last socket has disconnected
+   * A session waiting for PIN re-entry is kept so the device stays locked.
+   * The user's status is left to the caller.
+   * @param {string} userId - User ID
+   * @param {string} deviceId - Device ID
+   * @returns {Promise<boolean>} True if the session was removed
    */
-  getActiveSessions() {
-    const sessions = [];
-    const now = new Date();
+  async releaseDeviceSession(userId, deviceId) {
+    try {
+      const session = await this.store.get(userId, deviceId);
+      if (!session || session.pinRequired || session.socketIds.length > 0) {
+        return false;
+      }
 
-    for (const [userId, sessionData] of this.activeSessions.entries()) {
-      const minutesInactive = moment().diff(moment(sessionData.lastActivity), 'minutes');
-      const isActive = minutesInactive < config.session.timeoutMinutes;
+      await this.store.delete(userId, deviceId);
 
-      if (isActive) {
-        sessions.push({
-          userId,
-          lastActivity: sessionData.lastActivity,
-          minutesInactive,
-          platform: sessionData.platform,
-          socketId: sessionData.socketId
-        });
+      logger.info('Device session ended', { userId, deviceId, reason: 'disconnect' });
+      return true;
+
+    } catch (error) {
+      logger.error('Error releasing device session:', error, { userId, deviceId });
+      throw error;
+    }
+  }
+
+  /**
+   * List the devices signed in to an account
+   * @param {string} userId - User ID
+   * @param {string} currentDeviceId - Device making the request
+   * @returns {Promise<Object>} Devices, most recently active first
+   */
+  async listDevices(userId, currentDeviceId) {
+    try {
+      const [devices, sessions] = await Promise.all([
+        Device.find({ userId }).sort({ lastActiveAt: -1 }),
+        this.store.listByUser(userId)
+      ]);
+      const sessionsByDevice = new Map(sessions.map(session => [session.deviceId, session]));
+
+      return {
+        success: true,
+        data: {
+          devices: devices.map(device => {
+            const session = sessionsByDevice.get(device.deviceId);
+            return {
+              ...device.toJSON(),
+              isCurrent: device.deviceId === currentDeviceId,
+              isActive: !!session && this.isSessionActive(session),
+              isConnected: !!session && session.socketIds.length > 0
+            };
+          }),
+          total: devices.length
+        }
+      };
+
+    } catch (error) {
+      logger.error('Error listing devices:', error, { userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Sign out another device
+   * Its tokens stop working immediately; the caller disconnects its sockets.
+   * @param {string} userId - User ID
+   * @param {string} deviceId - Device to sign out
+   * @param {string} currentDeviceId - Device making the request
+   * @returns {Promise<Object>} Result
+   */
+  async revokeDevice(userId, deviceId, currentDeviceId) {
+    try {
+      if (deviceId === currentDeviceId) {
+        throw createError.badRequest('Use logout to sign out the current device');
       }
+
+      const result = await Device.deleteOne({ userId, deviceId });
+      if (result.deletedCount === 0) {
+        throw createError.notFound('Device not found');
+      }
+
+      await this.endSession(userId, 'revoked', deviceId);
+
+      logger.info('Device revoked', { userId, deviceId, revokedBy: currentDeviceId });
+
+      return {
+        success: true,
+        message: 'Device signed out successfully',
+        data: {
+          deviceId
+        }
+      };
+
+    } catch (error) {
+      logger.error('Error revoking device:', error, { userId, deviceId });
+      throw error;
     }
+  }
 
-    return sessions;
+  /**
+   * Get all active sessions
+   * @returns {Promise<Array>} List of active device sessions
+   */
+  async getActiveSessions() {
+    const sessions = await this.store.list();
+
+    return sessions
+      .filter(sessionData => this.isSessionActive(sessionData))
+      .map(sessionData => ({
+        userId: sessionData.userId,
+        deviceId: sessionData.deviceId,
+        lastActivity: sessionData.lastActivity,
+        minutesInactive: moment().diff(moment(sessionData.lastActivity), 'minutes'),
+        platform: sessionData.platform,
+        socketIds: sessionData.socketIds
+      }));
   }
 
   /**
    * Get session statistics
-   * @returns {Object} Session statistics
+   * @returns {Promise<Object>} Session statistics
    */
-  getSessionStatistics() {
-    const activeSessions = this.getActiveSessions();
-    const totalSessions = this.activeSessions.size;
+  async getSessionStatistics() {
+    const [activeSessions, allSessions] = await Promise.all([
+      this.getActiveSessions(),
+      this.store.list()
+    ]);
     const now = moment();
 
     // Calculate session distribution by platform
@@ -312,7 +494,9 @@ class SessionService {
 
     return {
       totalActiveSessions: activeSessions.length,
-      totalTrackedSessions: totalSessions,
+      totalTrackedSessions: allSessions.length,
+      activeUsers: new Set(activeSessions.map(session => session.userId)).size,
+      sessionStore: this.store.name,
       sessionTimeout: config.session.timeoutMinutes,
       platformDistribution: platformStats,
       activityDistribution: activityStats,
@@ -321,77 +505,163 @@ class SessionService {
   }
 
   /**
-   * Update socket ID for user session
+   * Attach a socket to a device session
    * @param {string} userId - User ID
+   * @param {string} deviceId - Device ID
    * @param {string} socketId - Socket ID
-   * @returns {void}
+   * @returns {Promise<void>}
    */
-  updateSocketId(userId, socketId) {
-    const sessionData = this.activeSessions.get(userId);
-    if (sessionData) {
-      sessionData.socketId = socketId;
-      this.activeSessions.set(userId, sessionData);
-    }
+  async updateSocketId(userId, deviceId, socketId) {
+    await this.store.addSocket(userId, deviceId, socketId);
   }
 
   /**
-   * Remove socket ID for user session
+   * Detach a socket from a device session
    * @param {string} userId - User ID
-   * @returns {void}
+   * @param {string} deviceId - Device ID
+   * @param {string} socketId - Socket ID
+   * @returns {Promise<void>}
    */
-  removeSocketId(userId) {
-    const sessionData = this.activeSessions.get(userId);
-    if (sessionData) {
-      sessionData.socketId = null;
-      this.activeSessions.set(userId, sessionData);
-    }
+  async removeSocketId(userId, deviceId, socketId) {
+    await this.store.removeSocket(userId, deviceId, socketId);
   }
 
   /**
-   * Get users who need session timeout warning
-   * @returns {Array} List of users needing warning
+   * Get device sessions that need a timeout warning
+   * @returns {Promise<Array>} List of device sessions needing warning
    */
-  getUsersNeedingTimeoutWarning() {
-    const warningUsers = [];
+  async getUsersNeedingTimeoutWarning() {
     const warningThresholdMinutes = config.session.timeoutMinutes - 1;
+    const cutoff = moment().subtract(warningThresholdMinutes, 'minutes').toDate();
+    const idleSessions = await this.store.findIdleSince(cutoff);
+
+    return idleSessions
+      .map(sessionData => ({
+        userId: sessionData.userId,
+        deviceId: sessionData.deviceId,
+        socketIds: sessionData.socketIds,
+        minutesInactive: moment().diff(moment(sessionData.lastActivity), 'minutes')
+      }))
+      .filter(session => session.minutesInactive < config.session.timeoutMinutes)
+      .map(session => ({
+        ...session,
+        minutesUntilTimeout: config.session.timeoutMinutes - session.minutesInactive
+      }));
+  }
 
-    for (const [userId, sessionData] of this.activeSessions.entries()) {
-      const minutesInactive = moment().diff(moment(sessionData.lastActivity), 'minutes');
-      
-      if (minutesInactive >= warningThresholdMinutes && 
-          minutesInactive < config.session.timeoutMinutes) {
-        warningUsers.push({
-          userId,
-          socketId: sessionData.socketId,
-          minutesInactive,
-          minutesUntilTimeout: config.session.timeoutMinutes - minutesInactive
-        });
-      }
+  /**
+   * Get device sessions that have timed out
+   * Sessions already waiting for PIN re-entry are not returned again.
+   * @returns {Promise<Array>} List of timed out device sessions
+   */
+  async getTimedOutUsers() {
+    const cutoff = moment().subtract(config.session.timeoutMinutes, 'minutes').toDate();
+    const idleSessions = await this.store.findIdleSince(cutoff);
+
+    return idleSessions.map(sessionData => ({
+      userId: sessionData.userId,
+      deviceId: sessionData.deviceId,
+      socketIds: sessionData.socketIds,
+      minutesInactive: moment().diff(moment(sessionData.lastActivity), 'minutes')
+    }));
+  }
+
+  /**
+   * Check whether any of a user's devices has an active session
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>}
+   */
+  async hasActiveDevice(userId) {
+    const sessions = await this.store.listByUser(userId);
+    return sessions.some(session => this.isSessionActive(session));
+  }
+
+  /**
+   * Count a request against a per-user rate limit
+   * Counters live in the session store so every instance shares them.
+   * @param {string} key - Limiter and user key
+   * @param {number} windowMs - Window length
+   * @returns {Promise<Object>} { count, resetTime }
+   */
+  async countRequest(key, windowMs) {
+    return this.store.hit(key, windowMs);
+  }
+
+  /**
+   * Revoke an access token before it expires
+   * The token stays on the denylist until its own expiry.
+   * @param {Object} decoded - Decoded access token
+   * @returns {Promise<void>}
+   */
+  async revokeAccessToken(decoded) {
+    if (!decoded?.jti || !decoded.exp) {
+      return;
     }
 
-    return warningUsers;
+    try {
+      await this.store.denyToken(decoded.jti, new Date(decoded.exp * 1000));
+
+      logger.info('Access token revoked', {
+        userId: decoded.sub,
+        deviceId: decoded.did,
+        jti: decoded.jti
+      });
+    } catch (error) {
+      logger.error('Error revoking access token:', error, { userId: decoded.sub, jti: decoded.jti });
+      throw error;
+    }
   }
 
   /**
-   * Get users whose sessions have timed out
-   * @returns {Array} List of timed out users
+   * Check whether an access token has been revoked
+   * @param {string} jti - Token ID; tokens issued without one cannot be revoked
+   * @returns {Promise<boolean>}
    */
-  getTimedOutUsers() {
-    const timedOutUsers = [];
-
-    for (const [userId, sessionData] of this.activeSessions.entries()) {
-      const minutesInactive = moment().diff(moment(sessionData.lastActivity), 'minutes');
-      
-      if (minutesInactive >= config.session.timeoutMinutes) {
-        timedOutUsers.push({
-          userId,
-          socketId: sessionData.socketId,
-          minutesInactive
-        });
-      }
+  async isTokenRevoked(jti) {
+    if (!jti) {
+      return false;
+    }
+
+    return this.store.isTokenDenied(jti);
+  }
+
+  /**
+   * Check whether a session is neither timed out nor waiting for PIN re-entry
+   * @param {Object} sessionData - Session data
+   * @returns {boolean}
+   * @private
+   */
+  isSessionActive(sessionData) {
+    const minutesInactive = moment().diff(moment(sessionData.lastActivity), 'minutes');
+    return !sessionData.pinRequired && minutesInactive < config.session.timeoutMinutes;
+  }
+
+  /**
+   * Check whether a device without a stored session must re-enter its PIN
+   * It must if it was locked, or if it has been idle past the timeout.
+   * @param {string} userId - User ID
+   * @param {string} deviceId - Device ID
+   * @returns {Promise<boolean>}
+   * @private
+   */
+  async isDeviceLocked(userId, deviceId) {
+    const device = await Device.findOne({ userId, deviceId }).select('pinRequired lastActiveAt').lean();
+    if (!device) {
+      return true;
     }
 
-    return timedOutUsers;
+    const minutesInactive = moment().diff(moment(device.lastActiveAt), 'minutes');
+    return device.pinRequired || minutesInactive >= config.session.timeoutMinutes;
+  }
+
+  /**
+   * Get how long the store keeps a session
+   * @param {Object} sessionData - Session data
+   * @returns {number} TTL in milliseconds
+   * @private
+   */
+  getSessionTtl(sessionData) {
+    return sessionData.pinRequired ? this.pinRequiredTtlMs : this.sessionTtlMs;
   }
 
   /**
@@ -415,24 +685,20 @@ class SessionService {
    */
   async cleanupInactiveSessions() {
     try {
-      const now = moment();
-      const sessionsToRemove = [];
-
       // Find sessions that have been inactive for more than timeout + 5 minutes
+      // (the store's TTL usually removes them first)
       const extendedTimeoutMinutes = config.session.timeoutMinutes + 5;
+      const cutoff = moment().subtract(extendedTimeoutMinutes, 'minutes').toDate();
+      const sessionsToRemove = await this.store.findIdleSince(cutoff);
+
+      // Remove inactive sessions
+      for (const { userId, deviceId } of sessionsToRemove) {
+        await this.store.delete(userId, deviceId);
 
-      for (const [userId, sessionData] of this.activeSessions.entries()) {
-        const minutesInactive = now.diff(moment(sessionData.lastActivity), 'minutes');
-        
-        if (minutesInactive > extendedTimeoutMinutes) {
-          sessionsToRemove.push(userId);
+        if (await this.hasActiveDevice(userId)) {
+          continue;
         }
-      }
 
-      // Remove inactive sessions
-      for (const userId of sessionsToRemove) {
-        this.activeSessions.delete(userId);
-        
         // Also update user status in database
         try {
           const user = await User.findById(userId);
@@ -446,8 +712,7 @@ class SessionService {
 
       if (sessionsToRemove.length > 0) {
         logger.info('Inactive sessions cleaned up', {
-          cleanedCount: sessionsToRemove.length,
-          remainingActiveSessions: this.activeSessions.size
+          cleanedCount: sessionsToRemove.length
         });
       }
 
@@ -461,14 +726,19 @@ class SessionService {
 
   /**
    * Force cleanup all sessions (for shutdown)
+   * A persistent store is left alone so sessions survive the restart and
+   * other instances keep theirs.
    * @returns {Promise<void>}
    */
   async forceCleanupAllSessions() {
     try {
-      const userIds = Array.from(this.activeSessions.keys());
-      
+      if (this.store.persistent) {
+        logger.info('Sessions kept in persistent store', { store: this.store.name });
+        return;
+      }
+
       // Clear in-memory sessions
-      this.activeSessions.clear();
+      const userIds = await this.store.clear();
 
       // Update all users to offline status
       if (userIds.length > 0) {
@@ -0,0 +1,39 @@
+/**
+ * Session Stores
+ * Factory for the device session and rate-limit backend
+ *
+ * @description A store implements get, save, addSocket, removeSocket,
+ * delete, deleteUser, listByUser, list, findIdleSince and clear for device
+ * sessions, hit(key, windowMs) for rate-limit counters and
+ * denyToken(jti, expiresAt)/isTokenDenied(jti) for revoked access tokens.
+ * The store is selected with SESSION_STORE.
+ * @author Chat App Team
+ * @version 1.0.0
+ */
+
+const MemorySessionStore = require('./memorySessionStore');
+const MongoSessionStore = require('./mongoSessionStore');
+
+const SESSION_STORES = {
+  memory: MemorySessionStore,
+  mongodb: MongoSessionStore
+};
+
+/**
+ * Create a session store
+ * @param {string} name - Store name
+ * @param {Object} options - Store options
+ * @returns {Object} Session store instance
+ */
+const createSessionStore = (name, options = {}) => {
+  const Store = SESSION_STORES[name];
+  if (!Store) {
+    throw new Error(`Unknown session store: ${name}`);
+  }
+  return new Store(options);
+};
+
+module.exports = {
+  SESSION_STORES,
+  createSessionStore
+};
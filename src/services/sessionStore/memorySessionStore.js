@@ -0,0 +1,279 @@
+/**
+ * Memory Session Store
+ * Keeps device sessions and rate-limit counters in process memory
+ *
+ * @description Suitable for a single instance and for development. State is
+ * lost on restart and is not shared between processes.
+ * @author Chat App Team
+ * @version 1.0.0
+ */
+
+class MemorySessionStore {
+  constructor() {
+    this.name = 'memory';
+    this.persistent = false;
+    this.sessions = new Map(); // userId -> Map(deviceId -> session)
+    this.counters = new Map(); // key -> { count, resetTime }
+    this.deniedTokens = new Map(); // jti -> expiry time (ms)
+  }
+
+  /**
+   * Get a device session
+   * @param {string} userId - User ID
+   * @param {string} deviceId - Device ID
+   * @returns {Promise<Object|null>} Session or null when missing or expired
+   */
+  async get(userId, deviceId) {
+    const session = this.sessions.get(userId)?.get(deviceId);
+    if (!session) {
+      return null;
+    }
+
+    if (this.isExpired(session)) {
+      this.remove(userId, deviceId);
+      return null;
+    }
+
+    return this.copy(session);
+  }
+
+  /**
+   * Create or update a device session
+   * Socket IDs are kept; use addSocket/removeSocket to change them.
+   * @param {Object} session - Session fields
+   * @param {number} ttlMs - Time until the session expires
+   * @returns {Promise<void>}
+   */
+  async save(session, ttlMs) {
+    const { userId, deviceId } = session;
+    const existing = this.sessions.get(userId)?.get(deviceId);
+
+    if (!this.sessions.has(userId)) {
+      this.sessions.set(userId, new Map());
+    }
+
+    this.sessions.get(userId).set(deviceId, {
+      ...session,
+      socketIds: existing && !this.isExpired(existing) ? existing.socketIds : [],
+      expiresAt: new Date(Date.now() + ttlMs)
+    });
+  }
+
+  /**
+   * Attach a socket to a device session
+   * @param {string} userId - User ID
+   * @param {string} deviceId - Device ID
+   * @param {string} socketId - Socket ID
+   * @returns {Promise<void>}
+   */
+  async addSocket(userId, deviceId, socketId) {
+    const session = this.sessions.get(userId)?.get(deviceId);
+    if (session && !session.socketIds.includes(socketId)) {
+      session.socketIds = [...session.socketIds, socketId];
+    }
+  }
+
+  /**
+   * Detach a socket from a device session
+   * @param {string} userId - User ID
+   * @param {string} deviceId - Device ID
+   * @param {string} socketId - Socket ID
+   * @returns {Promise<void>}
+   */
+  async removeSocket(userId, deviceId, socketId) {
+    const session = this.sessions.get(userId)?.get(deviceId);
+    if (session) {
+      session.socketIds = session.socketIds.filter(id => id !== socketId);
+    }
+  }
+
+  /**
+   * Delete a device session
+   * @param {string} userId - User ID
+   * @param {string} deviceId - Device ID
+   * @returns {Promise<void>}
+   */
+  async delete(userId, deviceId) {
+    this.remove(userId, deviceId);
+  }
+
+  /**
+   * Delete all of a user's sessions
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async deleteUser(userId) {
+    this.sessions.delete(userId);
+  }
+
+  /**
+   * Get all of a user's sessions
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<Object>>} Sessions
+   */
+  async listByUser(userId) {
+    const deviceSessions = this.sessions.get(userId);
+    if (!deviceSessions) {
+      return [];
+    }
+
+    return this.collect([...deviceSessions.values()]);
+  }
+
+  /**
+   * Get every session
+   * @returns {Promise<Array<Object>>} Sessions
+   */
+  async list() {
+    const sessions = [];
+    for (const deviceSessions of this.sessions.values()) {
+      sessions.push(...deviceSessions.values());
+    }
+
+    return this.collect(sessions);
+  }
+
+  /**
+   * Get sessions with no activity since a point in time
+   * Sessions waiting for PIN re-entry are left out.
+   * @param {Date} cutoff - Last activity at or before this time
+   * @returns {Promise<Array<Object>>} Sessions
+   */
+  async findIdleSince(cutoff) {
+    const sessions = await this.list();
+    return sessions.filter(session => !session.pinRequired && session.lastActivity <= cutoff);
+  }
+
+  /**
+   * Delete every session
+   * @returns {Promise<Array<string>>} IDs of users that had sessions
+   */
+  async clear() {
+    const userIds = [...this.sessions.keys()];
+    this.sessions.clear();
+    return userIds;
+  }
+
+  /**
+   * Count a request in a fixed rate-limit window
+   * @param {string} key - Counter key
+   * @param {number} windowMs - Window length
+   * @returns {Promise<Object>} { count, resetTime }
+   */
+  async hit(key, windowMs) {
+    const now = Date.now();
+    let counter = this.counters.get(key);
+
+    if (!counter || now > counter.resetTime) {
+      counter = { count: 0, resetTime: now + windowMs };
+      this.counters.set(key, counter);
+    }
+
+    counter.count++;
+
+    // Drop finished windows now and then so idle keys do not pile up
+    if (this.counters.size > 10000) {
+      for (const [counterKey, { resetTime }] of this.counters) {
+        if (now > resetTime) {
+          this.counters.delete(counterKey);
+        }
+      }
+    }
+
+    return { ...counter };
+  }
+
+  /**
+   * Deny a token until it expires
+   * @param {string} jti - Token ID
+   * @param {Date} expiresAt - Token expiry
+   * @returns {Promise<void>}
+   */
+  async denyToken(jti, expiresAt) {
+    const now = Date.now();
+    this.deniedTokens.set(jti, expiresAt.getTime());
+
+    // Drop expired entries now and then; they can no longer be presented
+    if (this.deniedTokens.size > 10000) {
+      for (const [deniedJti, expiry] of this.deniedTokens) {
+        if (now >= expiry) {
+          this.deniedTokens.delete(deniedJti);
+        }
+      }
+    }
+  }
+
+  /**
+   * Check whether a token is denied
+   * @param {string} jti - Token ID
+   * @returns {Promise<boolean>}
+   */
+  async isTokenDenied(jti) {
+    const expiry = this.deniedTokens.get(jti);
+    if (expiry === undefined) {
+      return false;
+    }
+
+    if (Date.now() >= expiry) {
+      this.deniedTokens.delete(jti);
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Copy live sessions, dropping expired ones
+   * @param {Array<Object>} sessions - Stored sessions
+   * @returns {Array<Object>} Session copies
+   * @private
+   */
+  collect(sessions) {
+    const live = [];
+    for (const session of sessions) {
+      if (this.isExpired(session)) {
+        this.remove(session.userId, session.deviceId);
+      } else {
+        live.push(this.copy(session));
+      }
+    }
+    return live;
+  }
+
+  /**
+   * @param {string} userId - User ID
+   * @param {string} deviceId - Device ID
+   * @private
+   */
+  remove(userId, deviceId) {
+    const deviceSessions = this.sessions.get(userId);
+    if (!deviceSessions) {
+      return;
+    }
+
+    deviceSessions.delete(deviceId);
+    if (deviceSessions.size === 0) {
+      this.sessions.delete(userId);
+    }
+  }
+
+  /**
+   * @param {Object} session - Stored session
+   * @returns {boolean}
+   * @private
+   */
+  isExpired(session) {
+    return session.expiresAt <= new Date();
+  }
+
+  /**
+   * @param {Object} session - Stored session
+   * @returns {Object} Copy callers may modify
+   * @private
+   */
+  copy(session) {
+    return { ...session, socketIds: [...session.socketIds] };
+  }
+}
+
+module.exports = MemorySessionStore;
@@ -0,0 +1,222 @@
+/**
+ * MongoDB Session Store
+ * Keeps device sessions and rate-limit counters in MongoDB
+ *
+ * @description Default store. Sessions survive restarts and are shared by
+ * every server instance; TTL indexes remove expired sessions, finished
+ * rate-limit windows and denied tokens that have expired.
+ * @author Chat App Team
+ * @version 1.0.0
+ */
+
+const Session = require('../../models/sessionModel');
+const RateLimit = require('../../models/rateLimitModel');
+const RevokedToken = require('../../models/revokedTokenModel');
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+class MongoSessionStore {
+  constructor() {
+    this.name = 'mongodb';
+    this.persistent = true;
+    this.sessionFields = 'userId deviceId lastActivity platform userAgent ipAddress socketIds pinRequired expiresAt';
+  }
+
+  /**
+   * Get a device session
+   * @param {string} userId - User ID
+   * @param {string} deviceId - Device ID
+   * @returns {Promise<Object|null>} Session or null when missing or expired
+   */
+  async get(userId, deviceId) {
+    return Session.findOne({ userId, deviceId, expiresAt: { $gt: new Date() } })
+      .select(this.sessionFields)
+      .lean();
+  }
+
+  /**
+   * Create or update a device session
+   * Socket IDs are kept; use addSocket/removeSocket to change them.
+   * @param {Object} session - Session fields
+   * @param {number} ttlMs - Time until the session expires
+   * @returns {Promise<void>}
+   */
+  async save(session, ttlMs) {
+    const { userId, deviceId, lastActivity, platform, userAgent, ipAddress, pinRequired } = session;
+
+    await this.withUpsertRetry(() => Session.updateOne(
+      { userId, deviceId },
+      {
+        $set: {
+          lastActivity,
+          platform,
+          userAgent,
+          ipAddress,
+          pinRequired: !!pinRequired,
+          expiresAt: new Date(Date.now() + ttlMs)
+        },
+        $setOnInsert: { socketIds: [] }
+      },
+      { upsert: true }
+    ));
+  }
+
+  /**
+   * Attach a socket to a device session
+   * @param {string} userId - User ID
+   * @param {string} deviceId - Device ID
+   * @param {string} socketId - Socket ID
+   * @returns {Promise<void>}
+   */
+  async addSocket(userId, deviceId, socketId) {
+    await Session.updateOne({ userId, deviceId }, { $addToSet: { socketIds: socketId } });
+  }
+
+  /**
+   * Detach a socket from a device session
+   * @param {string} userId - User ID
+   * @param {string} deviceId - Device ID
+   * @param {string} socketId - Socket ID
+   * @returns {Promise<void>}
+   */
+  async removeSocket(userId, deviceId, socketId) {
+    await Session.updateOne({ userId, deviceId }, { $pull: { socketIds: socketId } });
+  }
+
+  /**
+   * Delete a device session
+   * @param {string} userId - User ID
+   * @param {string} deviceId - Device ID
+   * @returns {Promise<void>}
+   */
+  async delete(userId, deviceId) {
+    await Session.deleteOne({ userId, deviceId });
+  }
+
+  /**
+   * Delete all of a user's sessions
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async deleteUser(userId) {
+    await Session.deleteMany({ userId });
+  }
+
+  /**
+   * Get all of a user's sessions
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<Object>>} Sessions
+   */
+  async listByUser(userId) {
+    return Session.find({ userId, expiresAt: { $gt: new Date() } })
+      .select(this.sessionFields)
+      .lean();
+  }
+
+  /**
+   * Get every session
+   * @returns {Promise<Array<Object>>} Sessions
+   */
+  async list() {
+    return Session.find({ expiresAt: { $gt: new Date() } })
+      .select(this.sessionFields)
+      .lean();
+  }
+
+  /**
+   * Get sessions with no activity since a point in time
+   * Sessions waiting for PIN re-entry are left out.
+   * @param {Date} cutoff - Last activity at or before this time
+   * @returns {Promise<Array<Object>>} Sessions
+   */
+  async findIdleSince(cutoff) {
+    return Session.find({
+      lastActivity: { $lte: cutoff },
+      pinRequired: false,
+      expiresAt: { $gt: new Date() }
+    })
+      .select(this.sessionFields)
+      .lean();
+  }
+
+  /**
+   * Delete every session
+   * @returns {Promise<Array<string>>} IDs of users that had sessions
+   */
+  async clear() {
+    const userIds = await Session.distinct('userId');
+    await Session.deleteMany({});
+    return userIds;
+  }
+
+  /**
+   * Count a request in a fixed rate-limit window
+   * A single pipeline update either increments the current window or starts
+   * a new one, so concurrent instances never lose counts.
+   * @param {string} key - Counter key
+   * @param {number} windowMs - Window length
+   * @returns {Promise<Object>} { count, resetTime }
+   */
+  async hit(key, windowMs) {
+    const now = new Date();
+    const windowOpen = { $gt: ['$expiresAt', now] };
+
+    const counter = await this.withUpsertRetry(() => RateLimit.findOneAndUpdate(
+      { key },
+      [{
+        $set: {
+          count: { $cond: [windowOpen, { $add: ['$count', 1] }, 1] },
+          expiresAt: { $cond: [windowOpen, '$expiresAt', new Date(now.getTime() + windowMs)] }
+        }
+      }],
+      { upsert: true, new: true }
+    ).lean());
+
+    return {
+      count: counter.count,
+      resetTime: counter.expiresAt.getTime()
+    };
+  }
+
+  /**
+   * Deny a token until it expires
+   * @param {string} jti - Token ID
+   * @param {Date} expiresAt - Token expiry
+   * @returns {Promise<void>}
+   */
+  async denyToken(jti, expiresAt) {
+    await this.withUpsertRetry(() => RevokedToken.updateOne(
+      { jti },
+      { $setOnInsert: { expiresAt } },
+      { upsert: true }
+    ));
+  }
+
+  /**
+   * Check whether a token is denied
+   * @param {string} jti - Token ID
+   * @returns {Promise<boolean>}
+   */
+  async isTokenDenied(jti) {
+    return !!(await RevokedToken.exists({ jti, expiresAt: { $gt: new Date() } }));
+  }
+
+  /**
+   * Run an upsert, retrying once if a concurrent upsert inserted first
+   * @param {Function} operation - Upsert to run
+   * @returns {Promise<*>} Operation result
+   * @private
+   */
+  async withUpsertRetry(operation) {
+    try {
+      return await operation();
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY_ERROR) {
+        throw error;
+      }
+      return operation();
+    }
+  }
+}
+
+module.exports = MongoSessionStore;
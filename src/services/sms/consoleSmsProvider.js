@@ -0,0 +1,39 @@
+/**
+ * Console SMS Provider
+ * Writes outgoing SMS messages to the application log
+ *
+ * @description Development provider; nothing is sent to the phone network.
+ * Digits are masked unless revealCodes is set, so codes never reach
+ * production logs.
+ * @author Chat App Team
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+
+class ConsoleSmsProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {boolean} options.revealCodes - Log message text unmasked
+   */
+  constructor(options = {}) {
+    this.name = 'console';
+    this.revealCodes = !!options.revealCodes;
+  }
+
+  /**
+   * Log an SMS message
+   * @param {string} to - Recipient phone number
+   * @param {string} body - Message text
+   * @returns {Promise<Object>} { messageId }
+   */
+  async send(to, body) {
+    const messageId = crypto.randomUUID();
+    const text = this.revealCodes ? body : body.replace(/\d/g, '*');
+    logger.info('SMS message (console provider)', { messageId, to, body: text });
+    return { messageId };
+  }
+}
+
+module.exports = ConsoleSmsProvider;
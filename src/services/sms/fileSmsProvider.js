@@ -0,0 +1,42 @@
+/**
+ * File SMS Provider
+ * Appends outgoing SMS messages to a file
+ *
+ * @description Development and test provider. Each message is one JSON line
+ * ({ messageId, to, body, sentAt }), so tests can read the latest code.
+ * @author Chat App Team
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+class FileSmsProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.filePath - File receiving the messages
+   */
+  constructor(options = {}) {
+    this.name = 'file';
+    this.filePath = path.resolve(options.filePath || 'logs/sms.log');
+  }
+
+  /**
+   * Append an SMS message to the file
+   * @param {string} to - Recipient phone number
+   * @param {string} body - Message text
+   * @returns {Promise<Object>} { messageId }
+   */
+  async send(to, body) {
+    const messageId = crypto.randomUUID();
+    const line = JSON.stringify({ messageId, to, body, sentAt: new Date().toISOString() });
+
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.appendFile(this.filePath, `${line}\n`);
+
+    return { messageId };
+  }
+}
+
+module.exports = FileSmsProvider;
@@ -0,0 +1,36 @@
+/**
+ * SMS Providers
+ * Factory for the SMS delivery backend
+ *
+ * @description A provider implements send(to, body) and resolves with
+ * { messageId }. The provider is selected with SMS_PROVIDER.
+ * @author Chat App Team
+ * @version 1.0.0
+ */
+
+const ConsoleSmsProvider = require('./consoleSmsProvider');
+const FileSmsProvider = require('./fileSmsProvider');
+
+const SMS_PROVIDERS = {
+  console: ConsoleSmsProvider,
+  file: FileSmsProvider
+};
+
+/**
+ * Create an SMS provider
+ * @param {string} name - Provider name
+ * @param {Object} options - Provider options
+ * @returns {Object} SMS provider instance
+ */
+const createSmsProvider = (name, options = {}) => {
+  const Provider = SMS_PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown SMS provider: ${name}`);
+  }
+  return new Provider(options);
+};
+
+module.exports = {
+  SMS_PROVIDERS,
+  createSmsProvider
+};
@@ -0,0 +1,34 @@
+/**
+ * Storage Drivers
+ * Factory for the attachment storage backend
+ *
+ * @description A driver implements save(key, stream), createReadStream(key)
+ * and delete(key). The driver is selected with UPLOAD_STORAGE_DRIVER.
+ * @author Chat App Team
+ * @version 1.0.0
+ */
+
+const LocalStorageDriver = require('./localStorageDriver');
+
+const STORAGE_DRIVERS = {
+  local: LocalStorageDriver
+};
+
+/**
+ * Create a storage driver
+ * @param {string} name - Driver name
+ * @param {Object} options - Driver options
+ * @returns {Object} Storage driver instance
+ */
+const createStorageDriver = (name, options = {}) => {
+  const Driver = STORAGE_DRIVERS[name];
+  if (!Driver) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  return new Driver(options);
+};
+
+module.exports = {
+  STORAGE_DRIVERS,
+  createStorageDriver
+};
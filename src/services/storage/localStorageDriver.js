@@ -0,0 +1,81 @@
+/**
+ * Local Storage Driver
+ * Stores uploaded files on the local filesystem
+ *
+ * @description Default storage driver; keys map to paths below a root directory
+ * @author Chat App Team
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+class LocalStorageDriver {
+  /**
+   * @param {Object} options - Driver options
+   * @param {string} options.localDir - Root directory for stored files
+   */
+  constructor(options = {}) {
+    this.name = 'local';
+    this.rootDir = path.resolve(options.localDir || 'uploads');
+  }
+
+  /**
+   * Store a stream under a key
+   * Partially written files are removed if the stream fails.
+   * @param {string} key - Storage key
+   * @param {stream.Readable} source - File contents
+   * @returns {Promise<Object>} { key, size }
+   */
+  async save(key, source) {
+    const filePath = this.resolvePath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    try {
+      await pipeline(source, fs.createWriteStream(filePath, { flags: 'wx' }));
+    } catch (error) {
+      await fs.promises.rm(filePath, { force: true });
+      throw error;
+    }
+
+    const { size } = await fs.promises.stat(filePath);
+    return { key, size };
+  }
+
+  /**
+   * Open a stored file for reading
+   * @param {string} key - Storage key
+   * @returns {Promise<stream.Readable>} File stream
+   */
+  async createReadStream(key) {
+    const filePath = this.resolvePath(key);
+    await fs.promises.access(filePath, fs.constants.R_OK);
+    return fs.createReadStream(filePath);
+  }
+
+  /**
+   * Delete a stored file (missing files are ignored)
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    await fs.promises.rm(this.resolvePath(key), { force: true });
+  }
+
+  /**
+   * Map a key to a path inside the root directory
+   * @param {string} key - Storage key
+   * @returns {string} Absolute file path
+   * @private
+   */
+  resolvePath(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  }
+}
+
+module.exports = LocalStorageDriver;
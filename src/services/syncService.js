@@ -0,0 +1,245 @@
+/**
+ * Sync Service
+ * Delta synchronization for reconnecting clients
+ *
+ * @description Service layer returning every message and conversation change
+ * a user missed since an opaque sync token
+ * @author Chat App Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const Message = require('../models/messageModel');
+const Group = require('../models/groupModel');
+const userService = require('./userService');
+const { createError } = require('../middleware/errorHandler');
+
+class SyncService {
+  constructor() {
+    this.defaultLimit = 500;
+    this.maxLimit = 1000;
+    this.clockSkewMs = 5 * 1000; // Re-scan window for writes committed out of order
+    this.maxTokenAgeMs = 30 * 24 * 60 * 60 * 1000; // Older tokens require a full resync
+    this.conversationLimit = 50;
+  }
+
+  /**
+   * Get all changes visible to a user since a sync token
+   * Without a token only a fresh token and current conversations are
+   * returned. Changes may repeat across syncs, so clients should apply them
+   * idempotently by message _id.
+   * @param {string} userId - User ID
+   * @param {string} since - Sync token from a previous sync (optional)
+   * @param {Object} options - { limit }
+   * @returns {Promise<Object>} Changes and the next sync token
+   */
+  async getChangesSince(userId, since = null, options = {}) {
+    try {
+      if (!userId) {
+        throw createError.badRequest('User ID is required');
+      }
+
+      const limit = Math.min(options.limit || this.defaultLimit, this.maxLimit);
+      const startedAt = Date.now();
+      const position = since ? this.decodeToken(since) : null;
+      const memberships = await Group.getUserMemberships(userId);
+      const groupIds = memberships.map(membership => membership.groupId);
+
+      // No usable token: the client has to load history normally
+      if (!position || startedAt - position.t > this.maxTokenAgeMs) {
+        const conversations = await Message.getRecentConversations(userId, this.conversationLimit, {
+          groups: memberships
+        });
+        await this.applyConversationPrivacy(userId, conversations);
+
+        return {
+          success: true,
+          data: {
+            fullResyncRequired: true,
+            messages: [],
+            deletedMessageIds: [],
+            conversations,
+            groups: {
+              updated: [],
+              memberOf: groupIds
+            },
+            hasMore: false,
+            syncToken: this.encodeToken({ t: startedAt - this.clockSkewMs })
+          }
+        };
+      }
+
+      const changes = await Message.find({
+        $and: [
+          {
+            $or: [
+              { senderId: userId },
+              { receiverId: userId },
+              { groupId: { $in: groupIds } }
+            ]
+          },
+          Message.visibleTo(userId),
+          this.buildPositionCondition(position)
+        ]
+      })
+        .populate('senderId', 'phoneNumber profile.displayName profile.avatar')
+        .populate('receiverId', 'phoneNumber profile.displayName profile.avatar')
+        .sort({ 'metadata.updatedAt': 1, _id: 1 })
+        .limit(limit + 1);
+
+      const hasMore = changes.length > limit;
+      const page = changes.slice(0, limit);
+
+      const messages = [];
+      const deletedMessageIds = [];
+      const partnerIds = new Set();
+      const changedGroupIds = new Set();
+
+      page.forEach((message) => {
+        if (message.flags.isDeleted) {
+          deletedMessageIds.push(message._id);
+        } else {
+          messages.push(message);
+        }
+
+        if (message.groupId) {
+          changedGroupIds.add(message.groupId.toString());
+        } else if (message.senderId && message.receiverId) {
+          const senderId = (message.senderId._id || message.senderId).toString();
+          const receiverId = (message.receiverId._id || message.receiverId).toString();
+          partnerIds.add(senderId === userId.toString() ? receiverId : senderId);
+        }
+      });
+
+      const sinceDate = new Date(position.t);
+      const changedMemberships = memberships.filter(membership => changedGroupIds.has(membership.groupId.toString()));
+      const conversationCount = partnerIds.size + changedMemberships.length;
+      const [conversations, updatedGroups] = await Promise.all([
+        conversationCount > 0
+          ? Message.getRecentConversations(userId, conversationCount, {
+            withUserIds: [...partnerIds],
+            groups: changedMemberships
+          })
+          : [],
+        Group.find({
+          _id: { $in: groupIds },
+          'metadata.updatedAt': { $gte: sinceDate }
+        }).select('name description avatar owner members metadata')
+      ]);
+
+      await this.applyConversationPrivacy(userId, conversations);
+
+      // Continue from the last returned change, or from now once caught up
+      const last = page[page.length - 1];
+      const syncToken = hasMore
+        ? this.encodeToken({ t: last.metadata.updatedAt.getTime(), id: last._id.toString() })
+        : this.encodeToken({ t: startedAt - this.clockSkewMs });
+
+      logger.info('Delta sync completed', {
+        userId,
+        since: sinceDate,
+        messagesCount: messages.length,
+        deletedCount: deletedMessageIds.length,
+        conversationsCount: conversations.length,
+        groupsCount: updatedGroups.length,
+        hasMore
+      });
+
+      return {
+        success: true,
+        data: {
+          fullResyncRequired: false,
+          messages: messages.map(message => ({
+            ...message.toJSON(),
+            reactionSummary: Message.summarizeReactions(message.reactions, userId),
+            ...(message.groupId ? { receiptSummary: Message.summarizeReceipts(message, userId) } : {})
+          })),
+          deletedMessageIds,
+          conversations,
+          groups: {
+            updated: updatedGroups,
+            memberOf: groupIds
+          },
+          hasMore,
+          syncToken
+        }
+      };
+
+    } catch (error) {
+      logger.error('Error getting sync changes:', error, { userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Hide conversation partners' presence the user may not see
+   * @param {string} userId - Syncing user ID
+   * @param {Array<Object>} conversations - Conversations from Message.getRecentConversations
+   * @returns {Promise<void>}
+   * @private
+   */
+  async applyConversationPrivacy(userId, conversations) {
+    await userService.applyPresencePrivacy(
+      userId,
+      conversations.map(conversation => conversation.otherUser).filter(Boolean)
+    );
+  }
+
+  /**
+   * Build the query condition selecting changes after a token position
+   * @param {Object} position - Decoded token { t, id }
+   * @returns {Object} MongoDB query condition
+   * @private
+   */
+  buildPositionCondition(position) {
+    const updatedAt = new Date(position.t);
+
+    if (!position.id) {
+      return { 'metadata.updatedAt': { $gte: updatedAt } };
+    }
+
+    return {
+      $or: [
+        { 'metadata.updatedAt': { $gt: updatedAt } },
+        { 'metadata.updatedAt': updatedAt, _id: { $gt: new mongoose.Types.ObjectId(position.id) } }
+      ]
+    };
+  }
+
+  /**
+   * Encode a sync position as an opaque token
+   * @param {Object} position - { t, id? }
+   * @returns {string} Sync token
+   * @private
+   */
+  encodeToken(position) {
+    return Buffer.from(JSON.stringify({ v: 1, ...position })).toString('base64url');
+  }
+
+  /**
+   * Decode a sync token
+   * @param {string} token - Sync token
+   * @returns {Object} { t, id? }
+   * @throws {AppError} 400 if the token is malformed
+   * @private
+   */
+  decodeToken(token) {
+    try {
+      const { v, t, id } = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+
+      if (v !== 1 || !Number.isFinite(t) || (id !== undefined && !mongoose.Types.ObjectId.isValid(id))) {
+        throw new Error('Invalid sync token payload');
+      }
+
+      return { t, id };
+    } catch (error) {
+      throw createError.badRequest('Invalid sync token');
+    }
+  }
+}
+
+// Create singleton instance
+const syncService = new SyncService();
+
+module.exports = syncService;
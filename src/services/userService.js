@@ -0,0 +1,817 @@
+/**
+ * User Service
+ * Profile management and the user directory
+ *
+ * @description Service layer for profile updates, avatar processing and
+ * privacy-aware profile lookups
+ * @author Chat App Team
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const busboy = require('busboy');
+const sharp = require('sharp');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const User = require('../models/userModel');
+const Message = require('../models/messageModel');
+const Group = require('../models/groupModel');
+const Contact = require('../models/contactModel');
+const { ATTACHMENT_CATEGORIES, resolveMimeType } = require('../utils/mimeSniffer');
+const { schemas } = require('../utils/validator');
+const { createError } = require('../middleware/errorHandler');
+const { createStorageDriver } = require('./storage');
+
+const { PRIVACY_AUDIENCES } = User;
+
+/**
+ * Square avatar renditions generated for every upload (edge length in pixels)
+ */
+const AVATAR_SIZES = {
+  small: 64,
+  medium: 256,
+  large: 512
+};
+
+class UserService {
+  constructor() {
+    this.storage = createStorageDriver(config.uploads.driver, config.uploads);
+    this.maxAvatarSize = config.uploads.maxAvatarSize;
+    this.maxAvatarPixels = 40 * 1000 * 1000; // Guards against decompression bombs
+  }
+
+  /**
+   * Update the current user's display name and bio
+   * @param {string} userId - User ID
+   * @param {Object} updates - { displayName, bio }
+   * @returns {Promise<Object>} Updated profile
+   */
+  async updateProfile(userId, updates = {}) {
+    try {
+      const { error, value } = schemas.updateProfile.validate(updates, { stripUnknown: true });
+      if (error) {
+        throw createError.badRequest(error.details[0].message);
+      }
+
+      const user = await this.getActiveUser(userId);
+
+      Object.entries(value).forEach(([field, fieldValue]) => {
+        user.profile[field] = fieldValue;
+      });
+      await user.save();
+
+      logger.info('Profile updated', {
+        userId,
+        fields: Object.keys(value)
+      });
+
+      return {
+        success: true,
+        message: 'Profile updated successfully',
+        data: this.buildProfile(user, { includePrivate: true })
+      };
+
+    } catch (error) {
+      logger.error('Error updating profile:', error, { userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Update the current user's privacy settings
+   * @param {string} userId - User ID
+   * @param {Object} updates - { hideFromSearch, lastSeen, online, readReceipts }
+   * @returns {Promise<Object>} Updated privacy settings
+   */
+  async updatePrivacy(userId, updates = {}) {
+    try {
+      const { error, value } = schemas.updatePrivacy.validate(updates, { stripUnknown: true });
+      if (error) {
+        throw createError.badRequest(error.details[0].message);
+      }
+
+      const user = await this.getActiveUser(userId);
+
+      Object.entries(value).forEach(([field, fieldValue]) => {
+        user.privacy[field] = fieldValue;
+      });
+      await user.save();
+
+      logger.info('Privacy settings updated', {
+        userId,
+        fields: Object.keys(value)
+      });
+
+      return {
+        success: true,
+        message: 'Privacy settings updated successfully',
+        data: {
+          privacy: user.privacy
+        }
+      };
+
+    } catch (error) {
+      logger.error('Error updating privacy settings:', error, { userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Build a check for who a user's privacy setting shares information with
+   * @param {string} ownerId - User whose setting applies
+   * @param {string} setting - lastSeen, online or readReceipts
+   * @returns {Promise<Function>} (viewerId) => boolean
+   */
+  async getAudienceCheck(ownerId, setting) {
+    const [owner, contactIds, hiddenIds] = await Promise.all([
+      User.findById(ownerId).select('privacy').lean(),
+      Contact.getContactIds(ownerId),
+      this.getHiddenUserIds(ownerId)
+    ]);
+
+    const audience = owner?.privacy?.[setting];
+    const contacts = new Set(contactIds);
+    const hidden = new Set(hiddenIds);
+
+    return (viewerId) => {
+      const id = viewerId.toString();
+      return id === ownerId.toString() || this.isInAudience(audience, {
+        isContact: contacts.has(id),
+        isHidden: hidden.has(id)
+      });
+    };
+  }
+
+  /**
+   * Remove online status and last seen from users a viewer may not see them for
+   * Works on plain user objects (toJSON output or lean documents) in place.
+   * @param {string} viewerId - Viewing user ID
+   * @param {Array<Object>} users - User objects with _id, status and lastSeen
+   * @returns {Promise<Array<Object>>} The same user objects
+   */
+  async applyPresencePrivacy(viewerId, users) {
+    const viewer = viewerId.toString();
+    const others = users.filter(user => user && user._id && user._id.toString() !== viewer);
+    if (others.length === 0) {
+      return users;
+    }
+
+    const canSee = await this.getVisibilityCheck(viewerId, others.map(user => user._id));
+
+    others.forEach((user) => {
+      const ownerId = user._id.toString();
+
+      if (!canSee(ownerId, 'online')) {
+        delete user.status;
+        delete user.isOnline;
+      }
+
+      if (!canSee(ownerId, 'lastSeen')) {
+        delete user.lastSeen;
+      }
+    });
+
+    return users;
+  }
+
+  /**
+   * Keep only the users whose privacy setting includes a viewer
+   * @param {string} viewerId - Viewing user ID
+   * @param {Array<string>} userIds - Candidate user IDs
+   * @param {string} setting - lastSeen, online or readReceipts
+   * @returns {Promise<Array<string>>} Visible user IDs
+   */
+  async filterVisibleUserIds(viewerId, userIds, setting) {
+    const ids = [...new Set(userIds.map(id => id.toString()))]
+      .filter(id => id !== viewerId.toString());
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const canSee = await this.getVisibilityCheck(viewerId, ids);
+    return ids.filter(id => canSee(id, setting));
+  }
+
+  /**
+   * Replace the current user's avatar with an uploaded image
+   * The image is resized into every size in AVATAR_SIZES; the previous
+   * avatar files are removed once the new ones are stored.
+   * @param {string} userId - User ID
+   * @param {Object} req - Express request (unparsed multipart body, field "avatar")
+   * @returns {Promise<Object>} Updated profile
+   */
+  async updateAvatar(userId, req) {
+    try {
+      const user = await this.getActiveUser(userId);
+      const image = await this.receiveAvatar(req);
+      const version = crypto.randomBytes(8).toString('hex');
+
+      const renditions = await this.renderAvatar(image);
+      const keys = [];
+
+      try {
+        for (const [size, buffer] of Object.entries(renditions)) {
+          const key = this.getAvatarKey(userId, version, size);
+          await this.storage.save(key, Readable.from(buffer));
+          keys.push(key);
+        }
+      } catch (error) {
+        await Promise.all(keys.map(key => this.storage.delete(key).catch(() => {})));
+        throw error;
+      }
+
+      const previousVersion = user.profile.avatarVersion;
+      user.profile.avatarVersion = version;
+      user.profile.avatar = this.getAvatarUrl(userId, version, 'medium');
+      await user.save();
+
+      if (previousVersion) {
+        await this.deleteAvatarFiles(userId, previousVersion);
+      }
+
+      logger.info('Avatar updated', { userId, version });
+
+      return {
+        success: true,
+        message: 'Avatar updated successfully',
+        data: this.buildProfile(user, { includePrivate: true })
+      };
+
+    } catch (error) {
+      logger.error('Error updating avatar:', error, { userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove the current user's avatar
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Updated profile
+   */
+  async removeAvatar(userId) {
+    try {
+      const user = await this.getActiveUser(userId);
+      const previousVersion = user.profile.avatarVersion;
+
+      user.profile.avatar = null;
+      user.profile.avatarVersion = null;
+      await user.save();
+
+      if (previousVersion) {
+        await this.deleteAvatarFiles(userId, previousVersion);
+      }
+
+      logger.info('Avatar removed', { userId });
+
+      return {
+        success: true,
+        message: 'Avatar removed successfully',
+        data: this.buildProfile(user, { includePrivate: true })
+      };
+
+    } catch (error) {
+      logger.error('Error removing avatar:', error, { userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Open an avatar rendition for download
+   * @param {string} userId - Avatar owner ID
+   * @param {string} size - small, medium or large
+   * @returns {Promise<Object>} { stream, version }
+   */
+  async getAvatarStream(userId, size) {
+    if (!AVATAR_SIZES[size]) {
+      throw createError.badRequest(`Avatar size must be one of: ${Object.keys(AVATAR_SIZES).join(', ')}`);
+    }
+
+    const user = await this.getActiveUser(userId);
+    const version = user.profile.avatarVersion;
+    if (!version) {
+      throw createError.notFound('User has no avatar');
+    }
+
+    try {
+      const stream = await this.storage.createReadStream(this.getAvatarKey(userId, version, size));
+      return { stream, version };
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      logger.error('Stored avatar is unavailable:', error, { userId, version, size });
+      throw createError.notFound('Avatar not found');
+    }
+  }
+
+  /**
+   * Get another user's profile as seen by the viewer
+   * The phone number is only shown to people who already share a
+   * conversation or group with the user, or saved them as a contact by
+   * their number.
+   * Online status and last seen follow the user's privacy settings.
+   * @param {string} userId - Profile owner ID
+   * @param {string} viewerId - Requesting user ID
+   * @returns {Promise<Object>} Filtered profile
+   */
+  async getUserProfile(userId, viewerId) {
+    try {
+      if (userId.toString() === viewerId.toString()) {
+        const self = await this.getActiveUser(userId);
+        return {
+          success: true,
+          data: this.buildProfile(self, { includePrivate: true })
+        };
+      }
+
+      const user = await this.getActiveUser(userId);
+      const [relationships, contact] = await Promise.all([
+        this.getRelationships(viewerId),
+        Contact.findOne({ ownerId: viewerId, contactUserId: userId }).select('nickname knowsPhoneNumber').lean()
+      ]);
+
+      const profile = this.buildProfile(user, {
+        includePrivate: false,
+        relationship: relationships.get(userId.toString()) || null,
+        contact
+      });
+      await this.applyPresencePrivacy(viewerId, [profile]);
+
+      return {
+        success: true,
+        data: profile
+      };
+
+    } catch (error) {
+      logger.error('Error getting user profile:', error, { userId, viewerId });
+      throw error;
+    }
+  }
+
+  /**
+   * Block a user
+   * @param {string} userId - Blocking user ID
+   * @param {string} targetId - User to block
+   * @returns {Promise<Object>} Result
+   */
+  async blockUser(userId, targetId) {
+    try {
+      await this.ensureOtherUser(userId, targetId);
+
+      const result = await User.updateOne(
+        { _id: userId, 'blockedUsers.userId': { $ne: targetId } },
+        { $push: { blockedUsers: { userId: targetId, blockedAt: new Date() } } }
+      );
+
+      logger.info('User blocked', { userId, targetId, changed: result.modifiedCount > 0 });
+
+      return {
+        success: true,
+        message: 'User blocked successfully',
+        data: {
+          userId: targetId,
+          blocked: true,
+          changed: result.modifiedCount > 0
+        }
+      };
+
+    } catch (error) {
+      logger.error('Error blocking user:', error, { userId, targetId });
+      throw error;
+    }
+  }
+
+  /**
+   * Unblock a user
+   * @param {string} userId - Blocking user ID
+   * @param {string} targetId - User to unblock
+   * @returns {Promise<Object>} Result
+   */
+  async unblockUser(userId, targetId) {
+    try {
+      const result = await User.updateOne(
+        { _id: userId },
+        { $pull: { blockedUsers: { userId: targetId } } }
+      );
+
+      logger.info('User unblocked', { userId, targetId, changed: result.modifiedCount > 0 });
+
+      return {
+        success: true,
+        message: 'User unblocked successfully',
+        data: {
+          userId: targetId,
+          blocked: false,
+          changed: result.modifiedCount > 0
+        }
+      };
+
+    } catch (error) {
+      logger.error('Error unblocking user:', error, { userId, targetId });
+      throw error;
+    }
+  }
+
+  /**
+   * Mute a user's messages
+   * Muted messages are still delivered but flagged so clients do not notify.
+   * @param {string} userId - Muting user ID
+   * @param {string} targetId - User to mute
+   * @param {Date} mutedUntil - When the mute ends (null = until unmuted)
+   * @returns {Promise<Object>} Result
+   */
+  async muteUser(userId, targetId, mutedUntil = null) {
+    try {
+      await this.ensureOtherUser(userId, targetId);
+
+      if (mutedUntil && new Date(mutedUntil) <= new Date()) {
+        throw createError.badRequest('Mute end must be in the future');
+      }
+
+      // Replace any existing mute so the end time can be changed
+      await User.updateOne({ _id: userId }, { $pull: { mutedUsers: { userId: targetId } } });
+      await User.updateOne(
+        { _id: userId },
+        { $push: { mutedUsers: { userId: targetId, mutedAt: new Date(), mutedUntil: mutedUntil || null } } }
+      );
+
+      logger.info('User muted', { userId, targetId, mutedUntil });
+
+      return {
+        success: true,
+        message: 'User muted successfully',
+        data: {
+          userId: targetId,
+          muted: true,
+          mutedUntil: mutedUntil || null
+        }
+      };
+
+    } catch (error) {
+      logger.error('Error muting user:', error, { userId, targetId });
+      throw error;
+    }
+  }
+
+  /**
+   * Unmute a user
+   * @param {string} userId - Muting user ID
+   * @param {string} targetId - User to unmute
+   * @returns {Promise<Object>} Result
+   */
+  async unmuteUser(userId, targetId) {
+    try {
+      await User.updateOne({ _id: userId }, { $pull: { mutedUsers: { userId: targetId } } });
+
+      logger.info('User unmuted', { userId, targetId });
+
+      return {
+        success: true,
+        message: 'User unmuted successfully',
+        data: {
+          userId: targetId,
+          muted: false
+        }
+      };
+
+    } catch (error) {
+      logger.error('Error unmuting user:', error, { userId, targetId });
+      throw error;
+    }
+  }
+
+  /**
+   * List blocked and muted users
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { blocked, muted }
+   */
+  async getBlockedAndMuted(userId) {
+    try {
+      const user = await User.findById(userId)
+        .select('blockedUsers mutedUsers')
+        .populate('blockedUsers.userId', 'phoneNumber profile.displayName profile.avatar')
+        .populate('mutedUsers.userId', 'phoneNumber profile.displayName profile.avatar');
+
+      if (!user) {
+        throw createError.notFound('User not found');
+      }
+
+      const now = new Date();
+
+      return {
+        success: true,
+        data: {
+          blocked: user.blockedUsers
+            .filter(entry => entry.userId)
+            .map(entry => ({ user: entry.userId, blockedAt: entry.blockedAt })),
+          muted: user.mutedUsers
+            .filter(entry => entry.userId && (!entry.mutedUntil || entry.mutedUntil > now))
+            .map(entry => ({ user: entry.userId, mutedAt: entry.mutedAt, mutedUntil: entry.mutedUntil }))
+        }
+      };
+
+    } catch (error) {
+      logger.error('Error getting blocked and muted users:', error, { userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Get users who must not see each other's presence or search results
+   * Covers users this user blocked and users who blocked this user.
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<string>>} User IDs
+   */
+  async getHiddenUserIds(userId) {
+    const [user, blockerIds] = await Promise.all([
+      User.findById(userId).select('blockedUsers').lean(),
+      User.getBlockerIds(userId)
+    ]);
+
+    const hidden = new Set(blockerIds);
+    (user?.blockedUsers || []).forEach(entry => hidden.add(entry.userId.toString()));
+
+    return [...hidden];
+  }
+
+  /**
+   * Get the users someone has an existing relationship with
+   * Conversation partners are listed first (most recent first), then
+   * members of shared groups.
+   * @param {string} userId - User ID
+   * @returns {Promise<Map<string, string>>} userId -> "conversation" | "group"
+   */
+  async getRelationships(userId) {
+    const [partnerIds, coMemberIds] = await Promise.all([
+      Message.getConversationPartnerIds(userId),
+      Group.getCoMemberIds(userId)
+    ]);
+
+    const relationships = new Map();
+    partnerIds.forEach(id => relationships.set(id, 'conversation'));
+    coMemberIds.forEach(id => !relationships.has(id) && relationships.set(id, 'group'));
+    relationships.delete(userId.toString());
+
+    return relationships;
+  }
+
+  /**
+   * Build the profile representation of a user
+   * @param {Object} user - User document
+   * @param {Object} options
+   * @param {boolean} options.includePrivate - Include fields only the owner sees
+   * @param {string} options.relationship - Viewer's relationship to the user
+   * @param {Object} options.contact - Viewer's contact entry for the user (reveals the number only if knowsPhoneNumber)
+   * @returns {Object} Profile
+   * @private
+   */
+  buildProfile(user, { includePrivate = false, relationship = null, contact = null } = {}) {
+    const userId = user._id.toString();
+    const version = user.profile.avatarVersion;
+
+    const profile = {
+      _id: user._id,
+      profile: {
+        displayName: user.profile.displayName || null,
+        bio: user.profile.bio || '',
+        avatar: user.profile.avatar || null,
+        avatarUrls: version
+          ? Object.keys(AVATAR_SIZES).reduce((urls, size) => ({
+            ...urls,
+            [size]: this.getAvatarUrl(userId, version, size)
+          }), {})
+          : null
+      },
+      status: user.status,
+      lastSeen: user.lastSeen
+    };
+
+    if (includePrivate || relationship || contact?.knowsPhoneNumber) {
+      profile.phoneNumber = user.phoneNumber;
+    }
+
+    if (includePrivate) {
+      profile.privacy = user.privacy;
+    } else {
+      profile.relationship = relationship;
+      profile.isContact = !!contact;
+      profile.nickname = contact?.nickname || null;
+    }
+
+    return profile;
+  }
+
+  /**
+   * Load an active user or fail with 404
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} User document
+   * @private
+   */
+  async getActiveUser(userId) {
+    if (!userId || schemas.objectId.validate(userId.toString()).error) {
+      throw createError.badRequest('Invalid user ID format');
+    }
+
+    const user = await User.findById(userId);
+    if (!user || !user.isActive) {
+      throw createError.notFound('User not found');
+    }
+
+    return user;
+  }
+
+  /**
+   * Load what a viewer may see of several users
+   * @param {string} viewerId - Viewing user ID
+   * @param {Array<string>} ownerIds - Users whose settings apply
+   * @returns {Promise<Function>} (ownerId, setting) => boolean
+   * @private
+   */
+  async getVisibilityCheck(viewerId, ownerIds) {
+    const ids = [...new Set(ownerIds.map(id => id.toString()))];
+    const [owners, contactOf, hiddenIds] = await Promise.all([
+      User.find({ _id: { $in: ids } }).select('privacy').lean(),
+      Contact.find({ ownerId: { $in: ids }, contactUserId: viewerId }).select('ownerId').lean(),
+      this.getHiddenUserIds(viewerId)
+    ]);
+
+    const privacy = new Map(owners.map(owner => [owner._id.toString(), owner.privacy || {}]));
+    const viewerIsContactOf = new Set(contactOf.map(contact => contact.ownerId.toString()));
+    const hidden = new Set(hiddenIds);
+
+    return (ownerId, setting) => this.isInAudience((privacy.get(ownerId) || {})[setting], {
+      isContact: viewerIsContactOf.has(ownerId),
+      isHidden: hidden.has(ownerId)
+    });
+  }
+
+  /**
+   * Check whether a privacy audience includes a viewer
+   * Users separated by a block never share anything.
+   * @param {string} audience - everyone, contacts or nobody (unset = everyone)
+   * @param {Object} relation
+   * @param {boolean} relation.isContact - Viewer is in the owner's contact list
+   * @param {boolean} relation.isHidden - Owner and viewer are separated by a block
+   * @returns {boolean}
+   * @private
+   */
+  isInAudience(audience = PRIVACY_AUDIENCES.EVERYONE, { isContact, isHidden }) {
+    if (isHidden || audience === PRIVACY_AUDIENCES.NOBODY) {
+      return false;
+    }
+
+    return audience !== PRIVACY_AUDIENCES.CONTACTS || isContact;
+  }
+
+  /**
+   * Ensure a target user exists and is not the acting user
+   * @param {string} userId - Acting user ID
+   * @param {string} targetId - Target user ID
+   * @returns {Promise<Object>} Target user document
+   * @private
+   */
+  async ensureOtherUser(userId, targetId) {
+    if (userId.toString() === targetId.toString()) {
+      throw createError.badRequest('You cannot do this to yourself');
+    }
+
+    return this.getActiveUser(targetId);
+  }
+
+  /**
+   * Buffer the "avatar" field of a multipart request
+   * @param {Object} req - Express request
+   * @returns {Promise<Buffer>} Image contents
+   * @private
+   */
+  receiveAvatar(req) {
+    return new Promise((resolve, reject) => {
+      let parser;
+      try {
+        parser = busboy({
+          headers: req.headers,
+          limits: { files: 1, fields: 0, fileSize: this.maxAvatarSize }
+        });
+      } catch (error) {
+        req.resume();
+        reject(createError.badRequest('Request must be multipart/form-data'));
+        return;
+      }
+
+      let image = null;
+      let settled = false;
+
+      const finish = (error, value) => {
+        if (settled) return;
+        settled = true;
+        if (error) {
+          req.unpipe(parser);
+          req.resume();
+          reject(error);
+        } else {
+          resolve(value);
+        }
+      };
+
+      parser.on('file', (fieldName, file, info) => {
+        if (fieldName !== 'avatar' || image) {
+          file.resume();
+          return;
+        }
+
+        const chunks = [];
+        image = { declaredType: info.mimeType, chunks };
+
+        file.on('data', chunk => chunks.push(chunk));
+        file.on('limit', () => finish(createError.payloadTooLarge(`Avatar exceeds maximum size of ${this.maxAvatarSize} bytes`)));
+      });
+
+      parser.on('error', () => finish(createError.badRequest('Malformed multipart body')));
+
+      parser.on('close', () => {
+        if (!image) {
+          finish(createError.badRequest('Image is required in the "avatar" field'));
+          return;
+        }
+
+        const buffer = Buffer.concat(image.chunks);
+        if (buffer.length === 0) {
+          finish(createError.badRequest('Uploaded file is empty'));
+          return;
+        }
+
+        const detected = resolveMimeType(buffer, image.declaredType);
+        if (!detected || detected.category !== ATTACHMENT_CATEGORIES.IMAGE) {
+          finish(createError.unsupportedMediaType('Avatar must be a JPEG, PNG, GIF or WebP image'));
+          return;
+        }
+
+        finish(null, buffer);
+      });
+
+      req.pipe(parser);
+    });
+  }
+
+  /**
+   * Resize an image into every avatar size
+   * @param {Buffer} image - Source image
+   * @returns {Promise<Object>} size -> WebP buffer
+   * @private
+   */
+  async renderAvatar(image) {
+    try {
+      const source = sharp(image, { limitInputPixels: this.maxAvatarPixels }).rotate();
+      const renditions = {};
+
+      for (const [size, edge] of Object.entries(AVATAR_SIZES)) {
+        renditions[size] = await source.clone()
+          .resize(edge, edge, { fit: 'cover', position: 'attention' })
+          .webp({ quality: 80 })
+          .toBuffer();
+      }
+
+      return renditions;
+    } catch (error) {
+      logger.warn('Avatar image could not be processed', { error: error.message });
+      throw createError.unsupportedMediaType('Avatar image could not be processed');
+    }
+  }
+
+  /**
+   * Delete every rendition of an avatar version
+   * @param {string} userId - Avatar owner ID
+   * @param {string} version - Avatar version
+   * @returns {Promise<void>}
+   * @private
+   */
+  async deleteAvatarFiles(userId, version) {
+    await Promise.all(Object.keys(AVATAR_SIZES).map(size => (
+      this.storage.delete(this.getAvatarKey(userId, version, size)).catch((error) => {
+        logger.warn('Failed to delete old avatar file', { userId, version, size, error: error.message });
+      })
+    )));
+  }
+
+  /**
+   * Storage key of an avatar rendition
+   * @private
+   */
+  getAvatarKey(userId, version, size) {
+    return `avatars/${userId}/${version}/${size}.webp`;
+  }
+
+  /**
+   * Public URL of an avatar rendition (the version busts client caches)
+   * @private
+   */
+  getAvatarUrl(userId, version, size) {
+    return `/api/users/${userId}/avatar/${size}?v=${version}`;
+  }
+}
+
+// Create singleton instance
+const userService = new UserService();
+
+module.exports = userService;
@@ -0,0 +1,98 @@
+/**
+ * Pagination Cursor Utility
+ * Opaque cursors for keyset pagination over (metadata.createdAt, _id)
+ *
+ * @description Encodes a message position as a URL-safe token so clients
+ * can page through history without skip offsets
+ * @author Chat App Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const { createError } = require('../middleware/errorHandler');
+
+/**
+ * Paging directions relative to a cursor
+ */
+const CURSOR_DIRECTIONS = {
+  OLDER: 'older',
+  NEWER: 'newer'
+};
+
+/**
+ * Encode a document position as a cursor
+ * @param {Object} doc - Document with metadata.createdAt and _id
+ * @returns {string|null} Cursor or null if there is no document
+ */
+const encodeCursor = (doc) => {
+  if (!doc) {
+    return null;
+  }
+
+  const payload = JSON.stringify({
+    t: new Date(doc.metadata.createdAt).getTime(),
+    id: doc._id.toString()
+  });
+
+  return Buffer.from(payload).toString('base64url');
+};
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Cursor from the client
+ * @returns {Object} { createdAt, _id }
+ * @throws {AppError} 400 if the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const createdAt = new Date(t);
+
+    if (!Number.isFinite(t) || Number.isNaN(createdAt.getTime()) || !mongoose.Types.ObjectId.isValid(id)) {
+      throw new Error('Invalid cursor payload');
+    }
+
+    return {
+      createdAt,
+      _id: new mongoose.Types.ObjectId(id)
+    };
+  } catch (error) {
+    throw createError.badRequest('Invalid pagination cursor');
+  }
+};
+
+/**
+ * Build the query condition selecting documents past a cursor
+ * Ties on createdAt are broken by _id so no row is returned twice or skipped.
+ * @param {Object} cursor - Decoded cursor
+ * @param {string} direction - older or newer
+ * @returns {Object} MongoDB query condition
+ */
+const buildCursorCondition = (cursor, direction = CURSOR_DIRECTIONS.OLDER) => {
+  const op = direction === CURSOR_DIRECTIONS.NEWER ? '$gt' : '$lt';
+
+  return {
+    $or: [
+      { 'metadata.createdAt': { [op]: cursor.createdAt } },
+      { 'metadata.createdAt': cursor.createdAt, _id: { [op]: cursor._id } }
+    ]
+  };
+};
+
+/**
+ * Sort order matching a paging direction
+ * @param {string} direction - older or newer
+ * @returns {Object} MongoDB sort specification
+ */
+const getCursorSort = (direction = CURSOR_DIRECTIONS.OLDER) => {
+  const order = direction === CURSOR_DIRECTIONS.NEWER ? 1 : -1;
+  return { 'metadata.createdAt': order, _id: order };
+};
+
+module.exports = {
+  CURSOR_DIRECTIONS,
+  encodeCursor,
+  decodeCursor,
+  buildCursorCondition,
+  getCursorSort
+};
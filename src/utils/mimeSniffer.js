@@ -0,0 +1,145 @@
+/**
+ * MIME Sniffer
+ * Content-based file type detection for uploads
+ *
+ * @description Detects file types from leading bytes instead of trusting the
+ * client-declared Content-Type, and maps them to attachment categories
+ * @author Chat App Team
+ * @version 1.0.0
+ */
+
+/**
+ * Number of leading bytes needed to identify every supported type
+ */
+const SNIFF_BYTES = 512;
+
+/**
+ * Attachment categories used for size limits and message types
+ */
+const ATTACHMENT_CATEGORIES = {
+  IMAGE: 'image',
+  FILE: 'file'
+};
+
+/**
+ * Supported MIME types and their attachment category
+ */
+const SUPPORTED_TYPES = {
+  'image/jpeg': ATTACHMENT_CATEGORIES.IMAGE,
+  'image/png': ATTACHMENT_CATEGORIES.IMAGE,
+  'image/gif': ATTACHMENT_CATEGORIES.IMAGE,
+  'image/webp': ATTACHMENT_CATEGORIES.IMAGE,
+  'application/pdf': ATTACHMENT_CATEGORIES.FILE,
+  'application/zip': ATTACHMENT_CATEGORIES.FILE,
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ATTACHMENT_CATEGORIES.FILE,
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ATTACHMENT_CATEGORIES.FILE,
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': ATTACHMENT_CATEGORIES.FILE,
+  'audio/mpeg': ATTACHMENT_CATEGORIES.FILE,
+  'video/mp4': ATTACHMENT_CATEGORIES.FILE,
+  'text/plain': ATTACHMENT_CATEGORIES.FILE,
+  'text/csv': ATTACHMENT_CATEGORIES.FILE
+};
+
+/**
+ * Declared types that may refine a sniffed container type
+ * Office documents are ZIP archives and CSV is plain text, so the declared
+ * type is kept when it is consistent with what the bytes show.
+ */
+const REFINABLE_TYPES = {
+  'application/zip': [
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+  ],
+  'text/plain': ['text/csv']
+};
+
+/**
+ * Check whether a buffer starts with the given bytes at an offset
+ * @param {Buffer} buffer - Data to inspect
+ * @param {number[]} bytes - Expected bytes
+ * @param {number} offset - Start offset
+ * @returns {boolean}
+ */
+const matches = (buffer, bytes, offset = 0) => {
+  if (buffer.length < offset + bytes.length) {
+    return false;
+  }
+  return bytes.every((byte, index) => buffer[offset + index] === byte);
+};
+
+/**
+ * Check whether a buffer looks like UTF-8 text
+ * The sample may end in the middle of a multi-byte character, so a
+ * truncated trailing sequence is tolerated.
+ * @param {Buffer} buffer - Data to inspect
+ * @returns {boolean}
+ */
+const isText = (buffer) => {
+  if (buffer.length === 0 || buffer.includes(0)) {
+    return false;
+  }
+
+  for (let end = buffer.length; end > Math.max(0, buffer.length - 4); end--) {
+    try {
+      new TextDecoder('utf-8', { fatal: true }).decode(buffer.subarray(0, end));
+      return true;
+    } catch (error) {
+      // Try again without the possibly truncated trailing bytes
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Detect the MIME type of a file from its leading bytes
+ * @param {Buffer} buffer - Leading bytes of the file
+ * @returns {string|null} Detected MIME type or null if unsupported
+ */
+const sniffMimeType = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    return null;
+  }
+
+  if (matches(buffer, [0xff, 0xd8, 0xff])) return 'image/jpeg';
+  if (matches(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png';
+  if (matches(buffer, [0x47, 0x49, 0x46, 0x38])) return 'image/gif';
+  if (matches(buffer, [0x52, 0x49, 0x46, 0x46]) && matches(buffer, [0x57, 0x45, 0x42, 0x50], 8)) return 'image/webp';
+  if (matches(buffer, [0x25, 0x50, 0x44, 0x46, 0x2d])) return 'application/pdf';
+  if (matches(buffer, [0x50, 0x4b, 0x03, 0x04])) return 'application/zip';
+  if (matches(buffer, [0x49, 0x44, 0x33]) || matches(buffer, [0xff, 0xfb])) return 'audio/mpeg';
+  if (matches(buffer, [0x66, 0x74, 0x79, 0x70], 4)) return 'video/mp4';
+  if (isText(buffer)) return 'text/plain';
+
+  return null;
+};
+
+/**
+ * Resolve the MIME type to store for an upload
+ * @param {Buffer} buffer - Leading bytes of the file
+ * @param {string} declaredType - Client-declared MIME type
+ * @returns {Object|null} { mimeType, category } or null if unsupported
+ */
+const resolveMimeType = (buffer, declaredType = '') => {
+  const sniffed = sniffMimeType(buffer);
+  if (!sniffed) {
+    return null;
+  }
+
+  const declared = declaredType.split(';')[0].trim().toLowerCase();
+  const mimeType = (REFINABLE_TYPES[sniffed] || []).includes(declared) ? declared : sniffed;
+
+  return {
+    mimeType,
+    category: SUPPORTED_TYPES[mimeType]
+  };
+};
+
+module.exports = {
+  SNIFF_BYTES,
+  ATTACHMENT_CATEGORIES,
+  SUPPORTED_TYPES,
+  sniffMimeType,
+  resolveMimeType
+};
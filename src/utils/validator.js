@@ -51,6 +51,25 @@ const customJoi = joi.extend({
   }
 });
 
+/**
+ * Device ID kept by clients across logins
+ */
+const deviceIdSchema = joi.string()
+  .max(64)
+  .pattern(/^[A-Za-z0-9_-]+$/)
+  .messages({
+    'string.pattern.base': 'Invalid device ID format'
+  });
+
+/**
+ * SMS verification code
+ */
+const otpCodeSchema = joi.string()
+  .pattern(/^\d{4,8}$/)
+  .messages({
+    'string.pattern.base': 'Verification code must be 4-8 digits'
+  });
+
 /**
  * Validation schemas
  */
@@ -68,7 +87,9 @@ const schemas = {
       .messages({
         'string.pattern.base': 'PIN must be exactly 4 digits',
         'any.required': 'PIN is required'
-      })
+      }),
+    otp: otpCodeSchema,
+    deviceId: deviceIdSchema
   }),
 
   // User Login
@@ -80,6 +101,47 @@ const schemas = {
       .messages({
         'string.pattern.base': 'PIN must be exactly 4 digits',
         'any.required': 'PIN is required'
+      }),
+    otp: otpCodeSchema,
+    deviceId: deviceIdSchema
+  }),
+
+  // Verification code request
+  otpRequest: joi.object({
+    phoneNumber: customJoi.phoneNumber().format().required(),
+    purpose: joi.string().valid('registration', 'verification', 'pin_reset').default('registration')
+  }),
+
+  // PIN change (signed in)
+  pinChange: joi.object({
+    currentPin: joi.string()
+      .pattern(/^\d{4}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'PIN must be exactly 4 digits',
+        'any.required': 'Current PIN is required'
+      }),
+    newPin: joi.string()
+      .pattern(/^\d{4}$/)
+      .invalid(joi.ref('currentPin'))
+      .required()
+      .messages({
+        'string.pattern.base': 'PIN must be exactly 4 digits',
+        'any.invalid': 'New PIN must be different from the current PIN',
+        'any.required': 'New PIN is required'
+      })
+  }),
+
+  // Forgotten PIN reset
+  pinReset: joi.object({
+    phoneNumber: customJoi.phoneNumber().format().required(),
+    otp: otpCodeSchema.required(),
+    newPin: joi.string()
+      .pattern(/^\d{4}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'PIN must be exactly 4 digits',
+        'any.required': 'New PIN is required'
       })
   }),
 
@@ -110,9 +172,12 @@ const schemas = {
       }),
     content: joi.string()
       .trim()
-      .min(1)
       .max(1000)
-      .required()
+      .when('attachmentIds', {
+        is: joi.array().min(1).required(),
+        then: joi.allow('').default(''),
+        otherwise: joi.required()
+      })
       .messages({
         'string.empty': 'Message content cannot be empty',
         'string.max': 'Message cannot exceed 1000 characters',
@@ -123,6 +188,30 @@ const schemas = {
       .default('text')
       .messages({
         'any.only': 'Message type must be text, image, or file'
+      }),
+    replyToMessageId: joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Invalid reply message ID format'
+      }),
+    clientMessageId: joi.string()
+      .max(64)
+      .pattern(/^[A-Za-z0-9._:-]+$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Client message ID may only contain letters, digits and . _ : -',
+        'string.max': 'Client message ID cannot exceed 64 characters'
+      }),
+    attachmentIds: joi.array()
+      .items(joi.string().pattern(/^[0-9a-fA-F]{24}$/).messages({
+        'string.pattern.base': 'Invalid attachment ID format'
+      }))
+      .max(10)
+      .unique()
+      .optional()
+      .messages({
+        'array.max': 'A message can have at most 10 attachments'
       })
   }).custom((value, helpers) => {
     // Custom validation to ensure either receiverId or groupId is present
@@ -135,6 +224,42 @@ const schemas = {
     return value;
   }),
 
+  // Edit Message
+  editMessage: joi.object({
+    content: joi.string()
+      .trim()
+      .min(1)
+      .max(1000)
+      .required()
+      .messages({
+        'string.empty': 'Message content cannot be empty',
+        'string.max': 'Message cannot exceed 1000 characters',
+        'any.required': 'Message content is required'
+      }),
+    editReason: joi.string()
+      .trim()
+      .max(200)
+      .allow('')
+      .default('')
+      .messages({
+        'string.max': 'Edit reason cannot exceed 200 characters'
+      })
+  }),
+
+  // Message Reaction
+  reaction: joi.object({
+    emoji: joi.string()
+      .trim()
+      .max(32)
+      .pattern(/^(?=.*(?:\p{Extended_Pictographic}|\p{Regional_Indicator}))(?:\p{Extended_Pictographic}|\p{Emoji_Component}|\u200d|\ufe0f)+$/u)
+      .required()
+      .messages({
+        'string.pattern.base': 'Reaction must be an emoji',
+        'string.max': 'Reaction cannot exceed 32 characters',
+        'any.required': 'Emoji is required'
+      })
+  }),
+
   // Get Chat History
   getChatHistory: joi.object({
     userId: joi.string()
@@ -187,6 +312,199 @@ const schemas = {
       })
   }),
 
+  // Create Group
+  createGroup: joi.object({
+    name: joi.string()
+      .trim()
+      .min(1)
+      .max(100)
+      .required()
+      .messages({
+        'string.empty': 'Group name cannot be empty',
+        'string.max': 'Group name cannot exceed 100 characters',
+        'any.required': 'Group name is required'
+      }),
+    description: joi.string()
+      .trim()
+      .max(500)
+      .allow('')
+      .optional(),
+    avatar: joi.string()
+      .uri()
+      .allow(null)
+      .optional(),
+    memberIds: joi.array()
+      .items(joi.string().pattern(/^[0-9a-fA-F]{24}$/).messages({
+        'string.pattern.base': 'Invalid member ID format'
+      }))
+      .max(255)
+      .unique()
+      .default([])
+  }),
+
+  // Update Group
+  updateGroup: joi.object({
+    name: joi.string()
+      .trim()
+      .min(1)
+      .max(100)
+      .messages({
+        'string.empty': 'Group name cannot be empty',
+        'string.max': 'Group name cannot exceed 100 characters'
+      }),
+    description: joi.string()
+      .trim()
+      .max(500)
+      .allow(''),
+    avatar: joi.string()
+      .uri()
+      .allow(null)
+  }).min(1).messages({
+    'object.min': 'At least one of name, description or avatar is required'
+  }),
+
+  // Update Profile
+  updateProfile: joi.object({
+    displayName: joi.string()
+      .trim()
+      .min(1)
+      .max(50)
+      .messages({
+        'string.empty': 'Display name cannot be empty',
+        'string.max': 'Display name cannot exceed 50 characters'
+      }),
+    bio: joi.string()
+      .trim()
+      .max(200)
+      .allow('')
+      .messages({
+        'string.max': 'Bio cannot exceed 200 characters'
+      })
+  }).min(1).messages({
+    'object.min': 'At least one of displayName or bio is required'
+  }),
+
+  // Update Privacy Settings
+  updatePrivacy: joi.object({
+    hideFromSearch: joi.boolean(),
+    lastSeen: joi.string()
+      .valid('everyone', 'contacts', 'nobody'),
+    online: joi.string()
+      .valid('everyone', 'contacts', 'nobody'),
+    readReceipts: joi.string()
+      .valid('everyone', 'contacts', 'nobody')
+  }).min(1).messages({
+    'any.only': '{#label} must be one of everyone, contacts or nobody',
+    'object.min': 'At least one privacy setting is required'
+  }),
+
+  // Presence Subscription
+  presenceSubscription: joi.object({
+    userIds: joi.array()
+      .items(joi.string().pattern(/^[0-9a-fA-F]{24}$/))
+      .min(1)
+      .max(500)
+      .unique()
+      .required()
+      .messages({
+        'string.pattern.base': 'Invalid user ID format',
+        'array.max': 'Cannot change more than 500 subscriptions at once',
+        'any.required': 'User IDs are required'
+      })
+  }),
+
+  // Mute User
+  muteUser: joi.object({
+    durationMinutes: joi.number()
+      .integer()
+      .min(1)
+      .max(525600)
+      .messages({
+        'number.min': 'Mute duration must be at least 1 minute',
+        'number.max': 'Mute duration cannot exceed one year'
+      })
+  }),
+
+  // Phone-book Sync
+  contactSync: joi.object({
+    hashes: joi.array()
+      .items(joi.string().lowercase().pattern(/^[a-f0-9]{64}$/))
+      .min(1)
+      .max(1000)
+      .unique()
+      .required()
+      .messages({
+        'string.pattern.base': 'Phone hashes must be SHA-256 hex digests',
+        'array.max': 'Cannot sync more than 1000 numbers at once',
+        'array.unique': 'Phone hashes must be unique',
+        'any.required': 'Phone hashes are required'
+      }),
+    save: joi.boolean().default(false)
+  }),
+
+  // Add Contact
+  addContact: joi.object({
+    userId: joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .messages({
+        'string.pattern.base': 'Invalid user ID format'
+      }),
+    phoneNumber: customJoi.phoneNumber().format()
+      .messages({
+        'phoneNumber.invalid': 'Phone number must be 10-15 digits'
+      }),
+    nickname: joi.string()
+      .trim()
+      .max(50)
+      .allow('', null)
+      .messages({
+        'string.max': 'Nickname cannot exceed 50 characters'
+      })
+  }).xor('userId', 'phoneNumber').messages({
+    'object.missing': 'Either userId or phoneNumber is required',
+    'object.xor': 'Provide either userId or phoneNumber, not both'
+  }),
+
+  // Update Contact
+  updateContact: joi.object({
+    nickname: joi.string()
+      .trim()
+      .max(50)
+      .allow('', null)
+      .required()
+      .messages({
+        'string.max': 'Nickname cannot exceed 50 characters',
+        'any.required': 'Nickname is required'
+      })
+  }),
+
+  // Add Group Members
+  addGroupMembers: joi.object({
+    memberIds: joi.array()
+      .items(joi.string().pattern(/^[0-9a-fA-F]{24}$/).messages({
+        'string.pattern.base': 'Invalid member ID format'
+      }))
+      .min(1)
+      .max(255)
+      .unique()
+      .required()
+      .messages({
+        'array.min': 'At least one member ID is required',
+        'any.required': 'Member IDs are required'
+      })
+  }),
+
+  // Update Group Member Role
+  updateGroupMemberRole: joi.object({
+    role: joi.string()
+      .valid('admin', 'member')
+      .required()
+      .messages({
+        'any.only': 'Role must be admin or member',
+        'any.required': 'Role is required'
+      })
+  }),
+
   // WebSocket Events
   joinRoom: joi.object({
     roomId: joi.string()
@@ -195,6 +513,130 @@ const schemas = {
       .messages({
         'string.pattern.base': 'Invalid room ID format',
         'any.required': 'Room ID is required'
+      }),
+    roomType: joi.string()
+      .valid('user', 'group', 'conversation')
+      .default('user')
+      .messages({
+        'any.only': 'Room type must be user, group, or conversation'
+      })
+  }),
+
+  // Chat History Query
+  chatHistoryQuery: joi.object({
+    page: joi.number()
+      .integer()
+      .min(1)
+      .default(1)
+      .messages({
+        'number.min': 'Page must be at least 1'
+      }),
+    limit: joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .default(20)
+      .messages({
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit cannot exceed 100'
+      }),
+    before: joi.date()
+      .iso()
+      .optional(),
+    cursor: joi.string()
+      .max(200)
+      .pattern(/^[A-Za-z0-9_-]+$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Invalid pagination cursor'
+      }),
+    direction: joi.string()
+      .valid('older', 'newer')
+      .default('older')
+      .messages({
+        'any.only': 'Direction must be older or newer'
+      }),
+    includeTotal: joi.boolean()
+      .default(true)
+  }),
+
+  // Message Search Query
+  messageSearchQuery: joi.object({
+    q: joi.string()
+      .trim()
+      .min(1)
+      .max(100)
+      .required()
+      .messages({
+        'string.empty': 'Search query is required',
+        'string.max': 'Search query cannot exceed 100 characters',
+        'any.required': 'Search query is required'
+      }),
+    withUserId: joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .messages({
+        'string.pattern.base': 'Invalid user ID format'
+      }),
+    groupId: joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .messages({
+        'string.pattern.base': 'Invalid group ID format'
+      }),
+    senderId: joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .messages({
+        'string.pattern.base': 'Invalid sender ID format'
+      }),
+    from: joi.date()
+      .iso()
+      .optional(),
+    to: joi.date()
+      .iso()
+      .min(joi.ref('from'))
+      .optional()
+      .messages({
+        'date.min': 'End date must not be before start date'
+      }),
+    messageType: joi.string()
+      .valid('text', 'image', 'file', 'system')
+      .optional(),
+    hasAttachments: joi.boolean()
+      .optional(),
+    limit: joi.number()
+      .integer()
+      .min(1)
+      .max(50)
+      .default(20)
+      .messages({
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit cannot exceed 50'
+      }),
+    cursor: joi.string()
+      .max(200)
+      .pattern(/^[A-Za-z0-9_-]+$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Invalid pagination cursor'
+      })
+  }).oxor('withUserId', 'groupId'),
+
+  // Delta Sync Query
+  syncQuery: joi.object({
+    since: joi.string()
+      .max(200)
+      .pattern(/^[A-Za-z0-9_-]+$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Invalid sync token'
+      }),
+    limit: joi.number()
+      .integer()
+      .min(1)
+      .max(1000)
+      .default(500)
+      .messages({
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit cannot exceed 1000'
       })
   }),
 
@@ -211,6 +653,17 @@ const schemas = {
       .default(20)
   }),
 
+  // Client-generated message ID
+  clientMessageId: joi.string()
+    .max(64)
+    .pattern(/^[A-Za-z0-9._:-]+$/)
+    .messages({
+      'string.pattern.base': 'Invalid client message ID format'
+    }),
+
+  // Device ID
+  deviceId: deviceIdSchema,
+
   // MongoDB ObjectId
   objectId: joi.string()
     .pattern(/^[0-9a-fA-F]{24}$/)
@@ -309,6 +762,15 @@ class ValidationMiddleware {
     return sanitized;
   }
 
+  /**
+   * Escape a string for literal use inside a regular expression
+   * @param {string} text - Text to match literally
+   * @returns {string} Text with regex metacharacters escaped
+   */
+  static escapeRegex(text) {
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
   /**
    * Custom validation for phone number
    * @param {string} phoneNumber 
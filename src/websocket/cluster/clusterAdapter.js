@@ -0,0 +1,65 @@
+/**
+ * Cluster Adapter
+ * Socket.IO adapter that shares room operations through a bus
+ *
+ * @description Builds on socket.io-adapter's ClusterAdapterWithHeartbeat, so
+ * broadcasts, socketsJoin/socketsLeave, disconnectSockets, fetchSockets and
+ * serverSideEmit reach sockets on every instance. The bus only has to carry
+ * messages to all instances and responses to one of them.
+ * @author Chat App Team
+ * @version 1.0.0
+ */
+
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+
+/**
+ * Create an adapter constructor bound to a bus
+ * A bus implements publish(nsp, message), publishResponse(nsp, targetUid,
+ * response) and subscribe(nsp, uid, handlers).
+ * @param {Object} bus - Cluster bus
+ * @param {Object} options - { heartbeatInterval, heartbeatTimeout }
+ * @returns {Function} Adapter constructor for the Socket.IO adapter option
+ */
+const createClusterAdapter = (bus, options = {}) => {
+  class ClusterAdapter extends ClusterAdapterWithHeartbeat {
+    constructor(nsp) {
+      super(nsp, options);
+
+      this.unsubscribe = bus.subscribe(nsp.name, this.uid, {
+        onMessage: (message, offset) => this.onMessage(message, offset),
+        onResponse: response => this.onResponse(response)
+      });
+
+      // Socket.IO 4.8 does not call init(); announce this instance ourselves
+      this.init();
+    }
+
+    /**
+     * @param {Object} message - Adapter message
+     * @returns {Promise<string>} Offset of the published message
+     */
+    doPublish(message) {
+      return bus.publish(this.nsp.name, message);
+    }
+
+    /**
+     * @param {string} requesterUid - UID of the requesting instance
+     * @param {Object} response - Adapter response
+     * @returns {Promise<void>}
+     */
+    doPublishResponse(requesterUid, response) {
+      return bus.publishResponse(this.nsp.name, requesterUid, response);
+    }
+
+    close() {
+      super.close();
+      this.unsubscribe();
+    }
+  }
+
+  return ClusterAdapter;
+};
+
+module.exports = {
+  createClusterAdapter
+};
@@ -0,0 +1,52 @@
+/**
+ * Socket Cluster
+ * Factory for the Socket.IO adapter and presence registry
+ *
+ * @description A cluster driver pairs a bus that carries adapter messages
+ * between instances with a registry of connected sockets. The driver is
+ * selected with WS_ADAPTER:
+ * - local: Socket.IO's built-in adapter, a single instance
+ * - memory: several Socket.IO servers in one process (e.g. tests)
+ * - mongodb: several instances sharing MongoDB (needs a replica set)
+ * @author Chat App Team
+ * @version 1.0.0
+ */
+
+const { createClusterAdapter } = require('./clusterAdapter');
+const MemoryBus = require('./memoryBus');
+const MongoBus = require('./mongoBus');
+const MemoryPresenceRegistry = require('./memoryPresenceRegistry');
+const MongoPresenceRegistry = require('./mongoPresenceRegistry');
+
+const CLUSTER_DRIVERS = {
+  local: { Bus: null, Registry: MemoryPresenceRegistry },
+  memory: { Bus: MemoryBus, Registry: MemoryPresenceRegistry },
+  mongodb: { Bus: MongoBus, Registry: MongoPresenceRegistry }
+};
+
+/**
+ * Create a socket cluster
+ * @param {string} name - Driver name
+ * @param {Object} options - { heartbeatInterval, heartbeatTimeout } for the adapter
+ * @returns {Object} { name, bus, adapter, registry }; adapter is undefined for local
+ */
+const createSocketCluster = (name, options = {}) => {
+  const driver = CLUSTER_DRIVERS[name];
+  if (!driver) {
+    throw new Error(`Unknown socket cluster driver: ${name}`);
+  }
+
+  const bus = driver.Bus ? new driver.Bus(options) : null;
+
+  return {
+    name,
+    bus,
+    adapter: bus ? createClusterAdapter(bus, options) : undefined,
+    registry: new driver.Registry(options)
+  };
+};
+
+module.exports = {
+  CLUSTER_DRIVERS,
+  createSocketCluster
+};
@@ -0,0 +1,70 @@
+/**
+ * Memory Cluster Bus
+ * Delivers adapter messages between Socket.IO servers in one process
+ *
+ * @description Lets several Socket.IO servers started in the same process
+ * (e.g. in tests) behave like separate instances without Redis or MongoDB.
+ * Delivery is asynchronous, as it would be over a network.
+ * @author Chat App Team
+ * @version 1.0.0
+ */
+
+const { EventEmitter } = require('events');
+
+// Shared by every server in this process
+const channel = new EventEmitter();
+channel.setMaxListeners(0);
+let lastOffset = 0;
+
+class MemoryBus {
+  constructor() {
+    this.name = 'memory';
+  }
+
+  /**
+   * Publish a message to every instance
+   * @param {string} nsp - Namespace
+   * @param {Object} message - Adapter message
+   * @returns {Promise<string>} Offset of the message
+   */
+  async publish(nsp, message) {
+    const offset = String(++lastOffset);
+    setImmediate(() => channel.emit(`message:${nsp}`, message, offset));
+    return offset;
+  }
+
+  /**
+   * Publish a response to one instance
+   * @param {string} nsp - Namespace
+   * @param {string} targetUid - Adapter UID of the requesting instance
+   * @param {Object} response - Adapter response
+   * @returns {Promise<void>}
+   */
+  async publishResponse(nsp, targetUid, response) {
+    setImmediate(() => channel.emit(`response:${nsp}:${targetUid}`, response));
+  }
+
+  /**
+   * Receive messages for a namespace
+   * @param {string} nsp - Namespace
+   * @param {string} uid - Adapter UID of the subscriber
+   * @param {Object} handlers - { onMessage(message, offset), onResponse(response) }
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(nsp, uid, { onMessage, onResponse }) {
+    channel.on(`message:${nsp}`, onMessage);
+    channel.on(`response:${nsp}:${uid}`, onResponse);
+
+    return () => {
+      channel.off(`message:${nsp}`, onMessage);
+      channel.off(`response:${nsp}:${uid}`, onResponse);
+    };
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async close() {}
+}
+
+module.exports = MemoryBus;
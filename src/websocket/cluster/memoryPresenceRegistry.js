@@ -0,0 +1,85 @@
+/**
+ * Memory Presence Registry
+ * Tracks connected sockets in process memory
+ *
+ * @description Shared by every Socket.IO server in the process, so it is
+ * correct for a single instance and for in-process clusters. Not shared
+ * between processes.
+ * @author Chat App Team
+ * @version 1.0.0
+ */
+
+// Shared by every server in this process
+const connections = new Map(); // socketId -> { userId, deviceId }
+const userConnections = new Map(); // userId -> Set of socketIds
+
+class MemoryPresenceRegistry {
+  constructor() {
+    this.name = 'memory';
+  }
+
+  /**
+   * Record a connected socket
+   * @param {Object} connection - { userId, deviceId, socketId }
+   * @returns {Promise<number>} The user's connected sockets, including this one
+   */
+  async add({ userId, deviceId, socketId }) {
+    connections.set(socketId, { userId, deviceId });
+
+    if (!userConnections.has(userId)) {
+      userConnections.set(userId, new Set());
+    }
+    userConnections.get(userId).add(socketId);
+
+    return userConnections.get(userId).size;
+  }
+
+  /**
+   * Forget a disconnected socket
+   * @param {string} userId - User ID
+   * @param {string} socketId - Socket ID
+   * @returns {Promise<number>} The user's remaining connected sockets
+   */
+  async remove(userId, socketId) {
+    connections.delete(socketId);
+
+    const sockets = userConnections.get(userId);
+    if (!sockets) {
+      return 0;
+    }
+
+    sockets.delete(socketId);
+    if (sockets.size === 0) {
+      userConnections.delete(userId);
+    }
+
+    return sockets.size;
+  }
+
+  /**
+   * Count a user's connected sockets
+   * @param {string} userId - User ID
+   * @returns {Promise<number>}
+   */
+  async count(userId) {
+    return userConnections.get(userId)?.size || 0;
+  }
+
+  /**
+   * Get registry statistics
+   * @returns {Promise<Object>} { connections, users }
+   */
+  async getStatistics() {
+    return {
+      connections: connections.size,
+      users: userConnections.size
+    };
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async close() {}
+}
+
+module.exports = MemoryPresenceRegistry;
@@ -0,0 +1,164 @@
+/**
+ * MongoDB Cluster Bus
+ * Delivers adapter messages between instances through a change stream
+ *
+ * @description Messages are inserted into the socket_events collection and
+ * every instance reads them back from one shared change stream. Change
+ * streams need a replica set (a single-node replica set is enough).
+ * @author Chat App Team
+ * @version 1.0.0
+ */
+
+const SocketEvent = require('../../models/socketEventModel');
+const logger = require('../../utils/logger');
+
+class MongoBus {
+  constructor(options = {}) {
+    this.name = 'mongodb';
+    this.stream = null;
+    this.reopenTimer = null;
+    this.closed = false;
+    this.subscribers = new Map(); // nsp -> Map(uid -> handlers)
+
+    this.reopenDelayMs = options.reopenDelayMs || 5000;
+  }
+
+  /**
+   * Publish a message to every instance
+   * @param {string} nsp - Namespace
+   * @param {Object} message - Adapter message
+   * @returns {Promise<string>} Offset of the message
+   */
+  async publish(nsp, message) {
+    const { insertedId } = await SocketEvent.collection.insertOne({
+      kind: 'message',
+      nsp,
+      target: null,
+      message,
+      createdAt: new Date()
+    });
+
+    return insertedId.toString();
+  }
+
+  /**
+   * Publish a response to one instance
+   * @param {string} nsp - Namespace
+   * @param {string} targetUid - Adapter UID of the requesting instance
+   * @param {Object} response - Adapter response
+   * @returns {Promise<void>}
+   */
+  async publishResponse(nsp, targetUid, response) {
+    await SocketEvent.collection.insertOne({
+      kind: 'response',
+      nsp,
+      target: targetUid,
+      message: response,
+      createdAt: new Date()
+    });
+  }
+
+  /**
+   * Receive messages for a namespace
+   * @param {string} nsp - Namespace
+   * @param {string} uid - Adapter UID of the subscriber
+   * @param {Object} handlers - { onMessage(message, offset), onResponse(response) }
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(nsp, uid, handlers) {
+    if (!this.subscribers.has(nsp)) {
+      this.subscribers.set(nsp, new Map());
+    }
+    this.subscribers.get(nsp).set(uid, handlers);
+    this.open();
+
+    return () => {
+      const namespaceSubscribers = this.subscribers.get(nsp);
+      if (!namespaceSubscribers) {
+        return;
+      }
+
+      namespaceSubscribers.delete(uid);
+      if (namespaceSubscribers.size === 0) {
+        this.subscribers.delete(nsp);
+      }
+    };
+  }
+
+  /**
+   * Stop reading the change stream
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.closed = true;
+    clearTimeout(this.reopenTimer);
+
+    if (this.stream) {
+      const stream = this.stream;
+      this.stream = null;
+      await stream.close();
+    }
+  }
+
+  /**
+   * Open the change stream unless it is already open
+   * @private
+   */
+  open() {
+    if (this.stream || this.closed) {
+      return;
+    }
+
+    this.stream = SocketEvent.watch([{ $match: { operationType: 'insert' } }]);
+    this.stream.on('change', change => this.dispatch(change.fullDocument));
+    this.stream.on('error', (error) => {
+      logger.error('Socket cluster change stream failed (MongoDB must run as a replica set):', error);
+      this.reopen();
+    });
+  }
+
+  /**
+   * Replace a failed change stream after a delay
+   * Messages published while the stream is down are not replayed.
+   * @private
+   */
+  reopen() {
+    const stream = this.stream;
+    this.stream = null;
+    if (stream) {
+      stream.close().catch(() => {});
+    }
+
+    if (this.closed || this.reopenTimer) {
+      return;
+    }
+
+    this.reopenTimer = setTimeout(() => {
+      this.reopenTimer = null;
+      this.open();
+    }, this.reopenDelayMs);
+    this.reopenTimer.unref();
+  }
+
+  /**
+   * Hand an inserted event to the adapters it is meant for
+   * @param {Object} event - socket_events document
+   * @private
+   */
+  dispatch(event) {
+    const namespaceSubscribers = event && this.subscribers.get(event.nsp);
+    if (!namespaceSubscribers) {
+      return;
+    }
+
+    if (event.kind === 'response') {
+      namespaceSubscribers.get(event.target)?.onResponse(event.message);
+      return;
+    }
+
+    const offset = event._id.toString();
+    namespaceSubscribers.forEach(handlers => handlers.onMessage(event.message, offset));
+  }
+}
+
+module.exports = MongoBus;
@@ -0,0 +1,122 @@
+/**
+ * MongoDB Presence Registry
+ * Tracks connected sockets of every instance in MongoDB
+ *
+ * @description Each instance refreshes the heartbeat of its own sockets.
+ * Sockets whose heartbeat is older than three intervals are ignored, and a
+ * TTL index deletes them, so a crashed instance does not keep users online.
+ * @author Chat App Team
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const SocketConnection = require('../../models/socketConnectionModel');
+const logger = require('../../utils/logger');
+
+class MongoPresenceRegistry {
+  constructor(options = {}) {
+    this.name = 'mongodb';
+    this.serverId = options.serverId || crypto.randomUUID();
+    this.heartbeatIntervalMs = options.heartbeatIntervalMs || 30 * 1000;
+    this.staleAfterMs = this.heartbeatIntervalMs * 3;
+
+    this.heartbeatTimer = setInterval(() => {
+      this.heartbeat();
+    }, this.heartbeatIntervalMs);
+    this.heartbeatTimer.unref();
+  }
+
+  /**
+   * Record a connected socket
+   * @param {Object} connection - { userId, deviceId, socketId }
+   * @returns {Promise<number>} The user's connected sockets, including this one
+   */
+  async add({ userId, deviceId, socketId }) {
+    const now = new Date();
+
+    await SocketConnection.updateOne(
+      { socketId },
+      {
+        $set: { userId, deviceId, serverId: this.serverId, heartbeatAt: now },
+        $setOnInsert: { connectedAt: now }
+      },
+      { upsert: true }
+    );
+
+    return this.count(userId);
+  }
+
+  /**
+   * Forget a disconnected socket
+   * @param {string} userId - User ID
+   * @param {string} socketId - Socket ID
+   * @returns {Promise<number>} The user's remaining connected sockets
+   */
+  async remove(userId, socketId) {
+    await SocketConnection.deleteOne({ socketId });
+    return this.count(userId);
+  }
+
+  /**
+   * Count a user's connected sockets on all instances
+   * @param {string} userId - User ID
+   * @returns {Promise<number>}
+   */
+  async count(userId) {
+    return SocketConnection.countDocuments({
+      userId,
+      heartbeatAt: { $gt: this.getStaleCutoff() }
+    });
+  }
+
+  /**
+   * Get registry statistics across all instances
+   * @returns {Promise<Object>} { connections, users }
+   */
+  async getStatistics() {
+    const [totals] = await SocketConnection.aggregate([
+      { $match: { heartbeatAt: { $gt: this.getStaleCutoff() } } },
+      { $group: { _id: '$userId', connections: { $sum: 1 } } },
+      { $group: { _id: null, users: { $sum: 1 }, connections: { $sum: '$connections' } } }
+    ]);
+
+    return {
+      connections: totals?.connections || 0,
+      users: totals?.users || 0
+    };
+  }
+
+  /**
+   * Stop the heartbeat and remove this instance's sockets
+   * @returns {Promise<void>}
+   */
+  async close() {
+    clearInterval(this.heartbeatTimer);
+    await SocketConnection.deleteMany({ serverId: this.serverId });
+  }
+
+  /**
+   * Refresh the heartbeat of this instance's sockets
+   * @private
+   */
+  async heartbeat() {
+    try {
+      await SocketConnection.updateMany(
+        { serverId: this.serverId },
+        { $set: { heartbeatAt: new Date() } }
+      );
+    } catch (error) {
+      logger.error('Error refreshing socket heartbeats:', error, { serverId: this.serverId });
+    }
+  }
+
+  /**
+   * @returns {Date} Heartbeats at or before this time are stale
+   * @private
+   */
+  getStaleCutoff() {
+    return new Date(Date.now() - this.staleAfterMs);
+  }
+}
+
+module.exports = MongoPresenceRegistry;
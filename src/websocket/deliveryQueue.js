@@ -0,0 +1,268 @@
+/**
+ * Delivery Queue
+ * At-least-once delivery of messages to recipients' sockets
+ *
+ * @description Keeps a per-recipient queue of messages awaiting a Socket.IO
+ * acknowledgement and retries with exponential backoff across all of the
+ * recipient's sockets. Messages are only held while the recipient is online;
+ * a recipient who is offline or stops acknowledging gets them from the
+ * database (undelivered messages and delta sync) on reconnect.
+ * @author Chat App Team
+ * @version 1.0.0
+ */
+
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+class DeliveryQueue {
+  constructor() {
+    this.io = null;
+    this.event = null;
+    this.onDelivered = null;
+    this.pending = new Map(); // recipientId -> Map(messageKey -> entry)
+
+    this.ackTimeoutMs = config.websocket.deliveryAckTimeout;
+    this.maxAttempts = config.websocket.deliveryMaxAttempts;
+    this.baseRetryDelayMs = 1000;
+    this.maxRetryDelayMs = 30 * 1000;
+    this.maxPendingPerRecipient = 500;
+  }
+
+  /**
+   * Attach the queue to the Socket.IO server
+   * @param {Object} io - Socket.IO server
+   * @param {Object} options
+   * @param {string} options.event - Event used to deliver messages
+   * @param {Function} options.onDelivered - Async callback (recipientId, message) run once acknowledged
+   */
+  initialize(io, { event, onDelivered }) {
+    this.io = io;
+    this.event = event;
+    this.onDelivered = onDelivered;
+  }
+
+  /**
+   * Queue a message for a recipient and try to deliver it right away
+   * @param {string} recipientId - Recipient user ID
+   * @param {Object} message - Message JSON
+   * @param {Object} payload - Event payload sent to the recipient
+   */
+  enqueue(recipientId, message, payload) {
+    const recipientKey = recipientId.toString();
+    const key = message._id.toString();
+
+    if (!this.pending.has(recipientKey)) {
+      this.pending.set(recipientKey, new Map());
+    }
+    const queue = this.pending.get(recipientKey);
+
+    if (queue.has(key)) {
+      return;
+    }
+
+    // Drop the oldest entry when the queue is full; sync on reconnect covers it
+    if (queue.size >= this.maxPendingPerRecipient) {
+      const [oldestKey] = queue.keys();
+      this.remove(recipientKey, oldestKey);
+      logger.warn('Delivery queue full, dropped oldest message', { recipientId: recipientKey, messageId: oldestKey });
+    }
+
+    queue.set(key, {
+      key,
+      message,
+      payload,
+      attempts: 0,
+      inFlight: false,
+      timer: null
+    });
+
+    this.attempt(recipientKey, key);
+  }
+
+  /**
+   * Retry every queued message of a recipient immediately
+   * Called when the recipient connects a socket.
+   * @param {string} recipientId - Recipient user ID
+   */
+  flush(recipientId) {
+    const recipientKey = recipientId.toString();
+    const queue = this.pending.get(recipientKey);
+    if (!queue) {
+      return;
+    }
+
+    for (const entry of [...queue.values()]) {
+      if (entry.inFlight) {
+        continue;
+      }
+
+      clearTimeout(entry.timer);
+      entry.timer = null;
+      entry.attempts = 0;
+      this.attempt(recipientKey, entry.key);
+    }
+  }
+
+  /**
+   * Remove a message confirmed by other means (e.g. a message-delivered event)
+   * @param {string} recipientId - Recipient user ID
+   * @param {string} messageId - Message _id or messageId
+   * @returns {boolean} True if the message was pending
+   */
+  acknowledge(recipientId, messageId) {
+    const recipientKey = recipientId.toString();
+    const queue = this.pending.get(recipientKey);
+    if (!queue) {
+      return false;
+    }
+
+    const entry = queue.get(messageId)
+      || [...queue.values()].find(candidate => candidate.message.messageId === messageId);
+
+    if (!entry) {
+      return false;
+    }
+
+    this.remove(recipientKey, entry.key);
+    return true;
+  }
+
+  /**
+   * Check whether a message is queued for a recipient
+   * @param {string} recipientId - Recipient user ID
+   * @param {string} messageKey - Message _id
+   * @returns {boolean}
+   */
+  isPending(recipientId, messageKey) {
+    const queue = this.pending.get(recipientId.toString());
+    return !!queue && queue.has(messageKey.toString());
+  }
+
+  /**
+   * Get queue statistics
+   * @returns {Object} { recipients, messages }
+   */
+  getStatistics() {
+    let messages = 0;
+    this.pending.forEach((queue) => {
+      messages += queue.size;
+    });
+
+    return {
+      recipients: this.pending.size,
+      messages
+    };
+  }
+
+  /**
+   * Emit a queued message to all sockets of the recipient
+   * The first acknowledgement from any socket completes delivery.
+   * @param {string} recipientId - Recipient user ID
+   * @param {string} key - Message _id
+   * @private
+   */
+  async attempt(recipientId, key) {
+    const entry = this.pending.get(recipientId)?.get(key);
+    if (!entry || entry.inFlight || !this.io) {
+      return;
+    }
+
+    // Claim the entry before awaiting so a flush and a retry cannot both send it
+    entry.inFlight = true;
+
+    try {
+      const sockets = await this.io.in(`user:${recipientId}`).fetchSockets();
+
+      // Offline: drop it; the recipient reads it from the database on reconnect
+      if (sockets.length === 0) {
+        entry.inFlight = false;
+        this.remove(recipientId, key);
+        return;
+      }
+
+      entry.attempts += 1;
+
+      const acknowledged = await Promise.any(
+        sockets.map(socket => socket.timeout(this.ackTimeoutMs).emitWithAck(this.event, entry.payload))
+      ).then(() => true, () => false);
+
+      entry.inFlight = false;
+
+      // Removed while waiting (acknowledged by other means)
+      if (!this.isPending(recipientId, key)) {
+        return;
+      }
+
+      if (acknowledged) {
+        this.remove(recipientId, key);
+        await this.onDelivered(recipientId, entry.message).catch((error) => {
+          logger.error('Error recording message delivery:', error, { recipientId, messageId: key });
+        });
+        return;
+      }
+
+      this.scheduleRetry(recipientId, entry);
+
+    } catch (error) {
+      entry.inFlight = false;
+      logger.error('Error delivering message:', error, { recipientId, messageId: key });
+      this.scheduleRetry(recipientId, entry);
+    }
+  }
+
+  /**
+   * Schedule the next attempt with exponential backoff and jitter
+   * After the last attempt the entry is dropped and left to reconnect sync.
+   * @param {string} recipientId - Recipient user ID
+   * @param {Object} entry - Queue entry
+   * @private
+   */
+  scheduleRetry(recipientId, entry) {
+    if (entry.attempts >= this.maxAttempts) {
+      logger.warn('Message delivery attempts exhausted', {
+        recipientId,
+        messageId: entry.key,
+        attempts: entry.attempts
+      });
+      this.remove(recipientId, entry.key);
+      return;
+    }
+
+    const backoff = Math.min(this.baseRetryDelayMs * 2 ** (entry.attempts - 1), this.maxRetryDelayMs);
+    const delay = backoff / 2 + Math.random() * (backoff / 2);
+
+    entry.timer = setTimeout(() => {
+      entry.timer = null;
+      this.attempt(recipientId, entry.key);
+    }, delay);
+    entry.timer.unref();
+  }
+
+  /**
+   * Remove an entry and clear its retry timer
+   * @param {string} recipientId - Recipient user ID
+   * @param {string} key - Message _id
+   * @private
+   */
+  remove(recipientId, key) {
+    const queue = this.pending.get(recipientId);
+    if (!queue) {
+      return;
+    }
+
+    const entry = queue.get(key);
+    if (entry) {
+      clearTimeout(entry.timer);
+      queue.delete(key);
+    }
+
+    if (queue.size === 0) {
+      this.pending.delete(recipientId);
+    }
+  }
+}
+
+// Create singleton instance
+const deliveryQueue = new DeliveryQueue();
+
+module.exports = deliveryQueue;
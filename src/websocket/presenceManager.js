@@ -0,0 +1,211 @@
+/**
+ * Presence Manager
+ * Presence subscriptions and debounced offline transitions
+ *
+ * @description Keeps per-user presence rooms that sockets subscribe to, so
+ * presence changes only reach interested sockets, and delays offline
+ * transitions so quick reconnects do not flap a user's status
+ * @author Chat App Team
+ * @version 1.0.0
+ */
+
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+class PresenceManager {
+  constructor() {
+    this.io = null;
+    this.pendingOffline = new Map(); // userId -> timer
+
+    this.offlineDelayMs = config.websocket.presenceOfflineDelay;
+    this.maxSubscriptionsPerSocket = 1000;
+  }
+
+  /**
+   * Attach the manager to the Socket.IO server
+   * @param {Object} io - Socket.IO server
+   */
+  initialize(io) {
+    this.io = io;
+  }
+
+  /**
+   * Get the room that carries a user's presence changes
+   * @param {string} userId - User ID
+   * @returns {string} Room name
+   */
+  getRoom(userId) {
+    return `presence:${userId}`;
+  }
+
+  /**
+   * Subscribe a socket to the presence of users
+   * Callers are responsible for checking the users' privacy settings.
+   * @param {Object} socket - Socket.IO socket
+   * @param {Array<string>} userIds - Users to watch
+   * @returns {Array<string>} User IDs actually subscribed (limited per socket)
+   */
+  subscribe(socket, userIds) {
+    const subscribed = new Set(this.getSubscriptions(socket));
+    const candidates = [...new Set(userIds.map(id => id.toString()))]
+      .filter(id => id !== socket.userId && !subscribed.has(id));
+    const available = Math.max(0, this.maxSubscriptionsPerSocket - subscribed.size);
+    const added = candidates.slice(0, available);
+
+    if (added.length > 0) {
+      socket.join(added.map(id => this.getRoom(id)));
+    }
+
+    if (added.length < candidates.length) {
+      logger.warn('Presence subscription limit reached', {
+        socketId: socket.id,
+        userId: socket.userId,
+        limit: this.maxSubscriptionsPerSocket
+      });
+    }
+
+    return added;
+  }
+
+  /**
+   * Unsubscribe a socket from the presence of users
+   * @param {Object} socket - Socket.IO socket
+   * @param {Array<string>} userIds - Users to stop watching
+   */
+  unsubscribe(socket, userIds) {
+    userIds.forEach(id => socket.leave(this.getRoom(id)));
+  }
+
+  /**
+   * Get the users a socket is subscribed to
+   * @param {Object} socket - Socket.IO socket
+   * @returns {Array<string>} User IDs
+   */
+  getSubscriptions(socket) {
+    const prefix = this.getRoom('');
+    return [...socket.rooms]
+      .filter(room => room.startsWith(prefix))
+      .map(room => room.slice(prefix.length));
+  }
+
+  /**
+   * Subscribe every socket of a viewer to users' presence
+   * @param {string} viewerId - Viewing user ID
+   * @param {Array<string>} userIds - Users to watch
+   */
+  subscribeUser(viewerId, userIds) {
+    if (!this.io || userIds.length === 0) {
+      return;
+    }
+
+    this.io.in(`user:${viewerId}`).socketsJoin(userIds.map(id => this.getRoom(id)));
+  }
+
+  /**
+   * Add every socket of some viewers to a user's presence room
+   * @param {string} userId - Watched user ID
+   * @param {Array<string>} viewerIds - Viewers gaining access
+   */
+  addSubscribers(userId, viewerIds) {
+    if (!this.io || viewerIds.length === 0) {
+      return;
+    }
+
+    this.io.in(viewerIds.map(id => `user:${id}`)).socketsJoin(this.getRoom(userId));
+  }
+
+  /**
+   * Remove every socket of some viewers from a user's presence room
+   * Used when a block or privacy change revokes access.
+   * @param {string} userId - Watched user ID
+   * @param {Array<string>} viewerIds - Viewers losing access
+   */
+  evict(userId, viewerIds) {
+    if (!this.io || viewerIds.length === 0) {
+      return;
+    }
+
+    this.io.in(viewerIds.map(id => `user:${id}`)).socketsLeave(this.getRoom(userId));
+  }
+
+  /**
+   * Get the IDs of users with at least one socket watching a user
+   * @param {string} userId - Watched user ID
+   * @returns {Promise<Array<string>>} Viewer user IDs
+   */
+  async getSubscriberIds(userId) {
+    if (!this.io) {
+      return [];
+    }
+
+    const sockets = await this.io.in(this.getRoom(userId)).fetchSockets();
+    return [...new Set(sockets.map(socket => socket.data.userId).filter(Boolean))];
+  }
+
+  /**
+   * Send a presence event to the sockets watching a user
+   * @param {string} userId - User whose presence changed
+   * @param {string} event - Presence event
+   * @param {Object} data - Event payload
+   */
+  publish(userId, event, data) {
+    if (!this.io) {
+      return;
+    }
+
+    this.io.to(this.getRoom(userId)).emit(event, data);
+  }
+
+  /**
+   * Run an offline transition after the debounce delay
+   * A reconnect within the delay cancels it (see cancelOffline).
+   * @param {string} userId - User whose last socket disconnected
+   * @param {Function} goOffline - Async callback performing the transition
+   */
+  scheduleOffline(userId, goOffline) {
+    this.cancelOffline(userId);
+
+    const timer = setTimeout(() => {
+      this.pendingOffline.delete(userId);
+      Promise.resolve()
+        .then(goOffline)
+        .catch((error) => {
+          logger.error('Error completing offline transition:', error, { userId });
+        });
+    }, this.offlineDelayMs);
+    timer.unref();
+
+    this.pendingOffline.set(userId, timer);
+  }
+
+  /**
+   * Cancel a pending offline transition
+   * @param {string} userId - User who reconnected
+   * @returns {boolean} True if the user was about to go offline
+   */
+  cancelOffline(userId) {
+    const timer = this.pendingOffline.get(userId);
+    if (!timer) {
+      return false;
+    }
+
+    clearTimeout(timer);
+    this.pendingOffline.delete(userId);
+    return true;
+  }
+
+  /**
+   * Get presence statistics
+   * @returns {Object} { pendingOffline }
+   */
+  getStatistics() {
+    return {
+      pendingOffline: this.pendingOffline.size
+    };
+  }
+}
+
+// Create singleton instance
+const presenceManager = new PresenceManager();
+
+module.exports = presenceManager;
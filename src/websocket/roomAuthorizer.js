@@ -0,0 +1,144 @@
+/**
+ * Room Authorizer
+ * Membership checks for Socket.IO room joins
+ *
+ * @description Resolves client-requested rooms to canonical room names and
+ * verifies the requesting user is allowed to receive events from them
+ * @author Chat App Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const User = require('../models/userModel');
+const Group = require('../models/groupModel');
+
+const ROOM_TYPES = {
+  USER: 'user',
+  GROUP: 'group',
+  CONVERSATION: 'conversation'
+};
+
+const DENIAL_CODES = {
+  INVALID_ROOM: 'INVALID_ROOM',
+  ROOM_ACCESS_DENIED: 'ROOM_ACCESS_DENIED',
+  ROOM_NOT_FOUND: 'ROOM_NOT_FOUND'
+};
+
+class RoomAuthorizer {
+  constructor() {
+    this.ROOM_TYPES = ROOM_TYPES;
+    this.DENIAL_CODES = DENIAL_CODES;
+  }
+
+  /**
+   * Build the canonical room ID for a one-to-one conversation
+   * Both participants resolve to the same room regardless of who joins first.
+   * @param {string} userIdA - First participant
+   * @param {string} userIdB - Second participant
+   * @returns {string} Conversation room ID
+   */
+  getConversationRoomId(userIdA, userIdB) {
+    return [userIdA.toString(), userIdB.toString()].sort().join('_');
+  }
+
+  /**
+   * Resolve the room name a client refers to, without checking access
+   * For conversations, roomId is the other participant's user ID.
+   * @param {string} userId - Requesting user ID
+   * @param {string} roomType - Room type
+   * @param {string} roomId - Room ID from the client
+   * @returns {string|null} Room name or null if the type is unknown
+   */
+  resolveRoomName(userId, roomType, roomId) {
+    switch (roomType) {
+      case ROOM_TYPES.USER:
+        return `${ROOM_TYPES.USER}:${roomId}`;
+      case ROOM_TYPES.GROUP:
+        return `${ROOM_TYPES.GROUP}:${roomId}`;
+      case ROOM_TYPES.CONVERSATION:
+        return `${ROOM_TYPES.CONVERSATION}:${this.getConversationRoomId(userId, roomId)}`;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Check whether a user may join a room
+   * @param {string} userId - Requesting user ID
+   * @param {string} roomType - Room type (user, group, conversation)
+   * @param {string} roomId - Room ID from the client
+   * @returns {Promise<Object>} { allowed, roomName, code, reason }
+   */
+  async authorize(userId, roomType, roomId) {
+    try {
+      const roomName = this.resolveRoomName(userId, roomType, roomId);
+
+      if (!roomName || !mongoose.Types.ObjectId.isValid(roomId)) {
+        return this.deny(DENIAL_CODES.INVALID_ROOM, 'Invalid room type or room ID');
+      }
+
+      switch (roomType) {
+        case ROOM_TYPES.USER:
+          // Personal rooms carry private events; only the owner may join
+          if (roomId !== userId) {
+            return this.deny(DENIAL_CODES.ROOM_ACCESS_DENIED, 'Cannot join another user\'s room');
+          }
+          break;
+
+        case ROOM_TYPES.GROUP: {
+          const isMember = await Group.isActiveMember(roomId, userId);
+          if (!isMember) {
+            return this.deny(DENIAL_CODES.ROOM_ACCESS_DENIED, 'You are not a member of this group');
+          }
+          break;
+        }
+
+        case ROOM_TYPES.CONVERSATION: {
+          if (roomId === userId) {
+            return this.deny(DENIAL_CODES.INVALID_ROOM, 'Cannot open a conversation with yourself');
+          }
+
+          const otherUser = await User.exists({ _id: roomId, isActive: true });
+          if (!otherUser) {
+            return this.deny(DENIAL_CODES.ROOM_NOT_FOUND, 'Conversation participant not found');
+          }
+          break;
+        }
+
+        default:
+          return this.deny(DENIAL_CODES.INVALID_ROOM, 'Invalid room type');
+      }
+
+      return {
+        allowed: true,
+        roomName
+      };
+
+    } catch (error) {
+      logger.error('Error authorizing room join:', error, { userId, roomType, roomId });
+      return this.deny(DENIAL_CODES.ROOM_ACCESS_DENIED, 'Unable to verify room access');
+    }
+  }
+
+  /**
+   * Build a denial result
+   * @param {string} code - Denial code
+   * @param {string} reason - Human readable reason
+   * @returns {Object} Denial result
+   * @private
+   */
+  deny(code, reason) {
+    return {
+      allowed: false,
+      roomName: null,
+      code,
+      reason
+    };
+  }
+}
+
+// Create singleton instance
+const roomAuthorizer = new RoomAuthorizer();
+
+module.exports = roomAuthorizer;
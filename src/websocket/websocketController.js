@@ -13,15 +13,24 @@ const config = require('../config/config');
 const logger = require('../utils/logger');
 const authService = require('../services/authService');
 const chatService = require('../services/chatService');
+const syncService = require('../services/syncService');
 const sessionService = require('../services/sessionService');
+const userService = require('../services/userService');
+const contactService = require('../services/contactService');
+const roomAuthorizer = require('./roomAuthorizer');
+const deliveryQueue = require('./deliveryQueue');
+const presenceManager = require('./presenceManager');
+const { createSocketCluster } = require('./cluster');
 const User = require('../models/userModel');
+const Group = require('../models/groupModel');
+const Contact = require('../models/contactModel');
+const { schemas } = require('../utils/validator');
 
 class WebSocketController {
   constructor() {
     this.io = null;
-    this.connectedUsers = new Map(); // userId -> socket data
-    this.userSockets = new Map(); // userId -> Set of socketIds
-    this.socketUsers = new Map(); // socketId -> userId
+    this.cluster = null; // Adapter and presence registry shared by all instances
+    this.connectedUsers = new Map(); // socketId -> socket data (this instance only)
     
     // Event types
     this.EVENTS = {
@@ -33,14 +42,28 @@ class WebSocketController {
       MESSAGE_RECEIVED: 'message-received',
       MESSAGE_DELIVERED: 'message-delivered',
       MESSAGE_READ: 'message-read',
+      MARK_GROUP_READ: 'mark-group-read',
+      GROUP_READ: 'group-read',
+      EDIT_MESSAGE: 'edit-message',
+      MESSAGE_EDITED: 'message-edited',
+      ADD_REACTION: 'add-reaction',
+      REMOVE_REACTION: 'remove-reaction',
+      REACTION_UPDATED: 'reaction-updated',
       TYPING_START: 'typing-start',
       TYPING_STOP: 'typing-stop',
       USER_STATUS: 'user-status',
       USER_ONLINE: 'user-online',
       USER_OFFLINE: 'user-offline',
+      PRESENCE_SUBSCRIBE: 'presence-subscribe',
+      PRESENCE_UNSUBSCRIBE: 'presence-unsubscribe',
+      PRESENCE_STATE: 'presence-state',
       SESSION_WARNING: 'session-warning',
       SESSION_TIMEOUT: 'session-timeout',
       FORCE_LOGOUT: 'force-logout',
+      SECURITY_ALERT: 'security-alert',
+      GROUP_UPDATED: 'group-updated',
+      PROFILE_UPDATED: 'profile-updated',
+      SYNC: 'sync',
       ERROR: 'error'
     };
   }
@@ -51,6 +74,8 @@ class WebSocketController {
    * @returns {Object} Socket.IO instance
    */
   initialize(server) {
+    this.cluster = createSocketCluster(config.websocket.adapter);
+
     this.io = socketIO(server, {
       cors: {
         origin: config.websocket.corsOrigin,
@@ -59,7 +84,8 @@ class WebSocketController {
       },
       pingTimeout: config.websocket.pingTimeout,
       pingInterval: config.websocket.pingInterval,
-      transports: ['websocket', 'polling']
+      transports: ['websocket', 'polling'],
+      adapter: this.cluster.adapter
     });
 
     // Authentication middleware
@@ -68,10 +94,20 @@ class WebSocketController {
     // Connection handler
     this.io.on(this.EVENTS.CONNECTION, this.handleConnection.bind(this));
 
+    // Acknowledged message delivery
+    deliveryQueue.initialize(this.io, {
+      event: this.EVENTS.MESSAGE_RECEIVED,
+      onDelivered: this.handleDeliveryAcknowledged.bind(this)
+    });
+
+    // Presence subscriptions and offline debouncing
+    presenceManager.initialize(this.io);
+
     // Start session monitoring
     this.startSessionMonitoring();
 
     logger.info('WebSocket server initialized', {
+      adapter: this.cluster.name,
       corsOrigin: config.websocket.corsOrigin,
       pingTimeout: config.websocket.pingTimeout,
       pingInterval: config.websocket.pingInterval
@@ -101,10 +137,17 @@ class WebSocketController {
         return next(new Error('Account is not accessible'));
       }
 
+      if (await sessionService.isTokenRevoked(decoded.jti)) {
+        return next(new Error('Access token has been revoked'));
+      }
+
       // Attach user data to socket
       socket.userId = user._id.toString();
+      socket.deviceId = decoded.did;
       socket.user = user;
       socket.decodedToken = decoded;
+      socket.data.userId = socket.userId; // Visible through fetchSockets()
+      socket.data.deviceId = socket.deviceId;
 
       logger.info('Socket authenticated', {
         socketId: socket.id,
@@ -133,8 +176,12 @@ class WebSocketController {
     const user = socket.user;
 
     try {
+      // A reconnect within the offline delay keeps the user online for everyone
+      const wasGoingOffline = presenceManager.cancelOffline(userId);
+
       // Track connection
-      await this.trackUserConnection(userId, socket);
+      const connectionCount = await this.trackUserConnection(userId, socket);
+      const isFirstConnection = connectionCount === 1;
 
       // Set user online
       await user.setOnline({
@@ -146,36 +193,45 @@ class WebSocketController {
       // Update session activity
       await sessionService.trackActivity(userId, {
         socketId: socket.id,
+        deviceId: socket.deviceId,
         userAgent: socket.handshake.headers['user-agent'],
         ipAddress: socket.handshake.address,
         platform: socket.handshake.query.platform || 'web'
       });
 
-      // Join personal room
-      socket.join(`user:${userId}`);
+      // Join personal and device rooms
+      socket.join([`user:${userId}`, this.getDeviceRoom(userId, socket.deviceId)]);
 
-      // Notify other users that this user is online
-      socket.broadcast.emit(this.EVENTS.USER_ONLINE, {
-        userId,
-        phoneNumber: user.phoneNumber,
-        profile: user.profile,
-        timestamp: new Date().toISOString()
-      });
+      // Watch contacts' presence and receive their current state
+      await this.subscribeToContacts(socket);
 
-      // Send online users list to newly connected user
-      const onlineUsers = await chatService.getOnlineUsers(userId);
-      socket.emit('online-users', onlineUsers.data);
+      // Tell subscribers, unless they never saw this user go offline
+      if (isFirstConnection && !wasGoingOffline) {
+        this.emitPresence(userId, this.EVENTS.USER_ONLINE, {
+          userId,
+          phoneNumber: user.phoneNumber,
+          profile: user.profile,
+          timestamp: new Date().toISOString()
+        });
+      }
 
       logger.info('User connected via WebSocket', {
         socketId: socket.id,
         userId,
         phoneNumber: user.phoneNumber,
-        totalConnections: this.connectedUsers.size
+        userConnections: connectionCount,
+        localConnections: this.connectedUsers.size
       });
 
       // Set up event handlers
       this.setupEventHandlers(socket);
 
+      // Send everything missed while offline
+      await this.sendSyncChanges(socket);
+
+      // Retry messages still waiting for this user's acknowledgement
+      await this.flushPendingDeliveries(userId);
+
     } catch (error) {
       logger.error('Error handling WebSocket connection:', error, {
         socketId: socket.id,
@@ -206,8 +262,8 @@ class WebSocketController {
     });
 
     // Send message
-    socket.on(this.EVENTS.SEND_MESSAGE, async (data) => {
-      await this.handleSendMessage(socket, data);
+    socket.on(this.EVENTS.SEND_MESSAGE, async (data, ack) => {
+      await this.handleSendMessage(socket, data, ack);
     });
 
     // Message delivered
@@ -220,13 +276,32 @@ class WebSocketController {
       await this.handleMessageRead(socket, data);
     });
 
+    // Group messages read
+    socket.on(this.EVENTS.MARK_GROUP_READ, async (data) => {
+      await this.handleMarkGroupRead(socket, data);
+    });
+
+    // Edit message
+    socket.on(this.EVENTS.EDIT_MESSAGE, async (data) => {
+      await this.handleEditMessage(socket, data);
+    });
+
+    // Reactions
+    socket.on(this.EVENTS.ADD_REACTION, async (data) => {
+      await this.handleReaction(socket, data, 'add');
+    });
+
+    socket.on(this.EVENTS.REMOVE_REACTION, async (data) => {
+      await this.handleReaction(socket, data, 'remove');
+    });
+
     // Typing indicators
-    socket.on(this.EVENTS.TYPING_START, (data) => {
-      this.handleTypingStart(socket, data);
+    socket.on(this.EVENTS.TYPING_START, async (data) => {
+      await this.handleTypingStart(socket, data);
     });
 
-    socket.on(this.EVENTS.TYPING_STOP, (data) => {
-      this.handleTypingStop(socket, data);
+    socket.on(this.EVENTS.TYPING_STOP, async (data) => {
+      await this.handleTypingStop(socket, data);
     });
 
     // User status update
@@ -234,6 +309,15 @@ class WebSocketController {
       await this.handleUserStatus(socket, data);
     });
 
+    // Presence subscriptions
+    socket.on(this.EVENTS.PRESENCE_SUBSCRIBE, async (data, ack) => {
+      await this.handlePresenceSubscribe(socket, data, ack);
+    });
+
+    socket.on(this.EVENTS.PRESENCE_UNSUBSCRIBE, (data, ack) => {
+      this.handlePresenceUnsubscribe(socket, data, ack);
+    });
+
     // Disconnect handler
     socket.on(this.EVENTS.DISCONNECT, async (reason) => {
       await this.handleDisconnection(socket, reason);
@@ -255,22 +339,48 @@ class WebSocketController {
    */
   async handleJoinRoom(socket, data) {
     try {
-      const { roomId, roomType = 'user' } = data;
+      const { error, value } = schemas.joinRoom.validate(data || {}, { stripUnknown: true });
       const userId = socket.userId;
 
-      if (!roomId) {
+      if (error) {
         socket.emit(this.EVENTS.ERROR, {
-          message: 'Room ID is required',
+          message: error.message,
+          code: roomAuthorizer.DENIAL_CODES.INVALID_ROOM,
+          event: this.EVENTS.JOIN_ROOM,
           timestamp: new Date().toISOString()
         });
         return;
       }
 
-      const roomName = `${roomType}:${roomId}`;
-      socket.join(roomName);
+      const { roomId, roomType } = value;
+
+      // Verify the user is allowed to receive this room's events
+      const authorization = await roomAuthorizer.authorize(userId, roomType, roomId);
+
+      if (!authorization.allowed) {
+        logger.warn('Room join denied', {
+          socketId: socket.id,
+          userId,
+          roomId,
+          roomType,
+          code: authorization.code
+        });
+
+        socket.emit(this.EVENTS.ERROR, {
+          message: authorization.reason,
+          code: authorization.code,
+          event: this.EVENTS.JOIN_ROOM,
+          roomId,
+          roomType,
+          timestamp: new Date().toISOString()
+        });
+        return;
+      }
+
+      socket.join(authorization.roomName);
 
       // Track activity
-      await sessionService.trackActivity(userId, { socketId: socket.id });
+      await sessionService.trackActivity(userId, { socketId: socket.id, deviceId: socket.deviceId });
 
       logger.debug('User joined room', {
         socketId: socket.id,
@@ -304,7 +414,7 @@ class WebSocketController {
    */
   async handleLeaveRoom(socket, data) {
     try {
-      const { roomId, roomType = 'user' } = data;
+      const { roomId, roomType = 'user' } = data || {};
       const userId = socket.userId;
 
       if (!roomId) {
@@ -315,8 +425,10 @@ class WebSocketController {
         return;
       }
 
-      const roomName = `${roomType}:${roomId}`;
-      socket.leave(roomName);
+      const roomName = roomAuthorizer.resolveRoomName(userId, roomType, roomId);
+      if (roomName) {
+        socket.leave(roomName);
+      }
 
       logger.debug('User left room', {
         socketId: socket.id,
@@ -341,16 +453,31 @@ class WebSocketController {
 
   /**
    * Handle send message via WebSocket
+   * The optional acknowledgement callback receives
+   * { success, clientMessageId, duplicate, message } so clients can reconcile
+   * optimistic entries; a retried clientMessageId is acknowledged with the
+   * original message and not broadcast again.
    * @param {Object} socket - Socket.IO socket
    * @param {Object} data - Message data
+   * @param {Function} ack - Acknowledgement callback (optional)
    */
-  async handleSendMessage(socket, data) {
+  async handleSendMessage(socket, data, ack) {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    const clientMessageId = data?.clientMessageId || null;
+
     try {
-      const { receiverId, groupId, content, messageType = 'text' } = data;
+      const {
+        receiverId,
+        groupId,
+        content,
+        messageType = 'text',
+        replyToMessageId,
+        attachmentIds
+      } = data;
       const senderId = socket.userId;
 
       // Track activity
-      await sessionService.trackActivity(senderId, { socketId: socket.id });
+      await sessionService.trackActivity(senderId, { socketId: socket.id, deviceId: socket.deviceId });
 
       // Send message using chat service
       const result = await chatService.sendMessage(
@@ -363,11 +490,23 @@ class WebSocketController {
           platform: 'websocket',
           userAgent: socket.handshake.headers['user-agent'],
           ipAddress: socket.handshake.address
-        }
+        },
+        { replyToMessageId, attachmentIds, clientMessageId }
       );
 
       const message = result.data;
 
+      respond({
+        success: true,
+        clientMessageId,
+        duplicate: result.duplicate,
+        message
+      });
+
+      if (result.duplicate) {
+        return;
+      }
+
       // Emit to sender
       socket.emit(this.EVENTS.MESSAGE_RECEIVED, {
         message,
@@ -375,21 +514,9 @@ class WebSocketController {
         timestamp: new Date().toISOString()
       });
 
-      // Emit to receiver or group
-      if (receiverId) {
-        // One-to-one message
-        this.io.to(`user:${receiverId}`).emit(this.EVENTS.MESSAGE_RECEIVED, {
-          message,
-          status: 'delivered',
-          timestamp: new Date().toISOString()
-        });
-      } else if (groupId) {
-        // Group message
-        socket.to(`group:${groupId}`).emit(this.EVENTS.MESSAGE_RECEIVED, {
-          message,
-          status: 'delivered',
-          timestamp: new Date().toISOString()
-        });
+      // Queue for the receiver or group members until acknowledged
+      if (!result.suppressed) {
+        await this.dispatchMessage(message);
       }
 
       logger.info('Message sent via WebSocket', {
@@ -397,7 +524,7 @@ class WebSocketController {
         senderId,
         receiverId,
         groupId,
-        contentLength: content.length
+        contentLength: message.content.length
       });
 
     } catch (error) {
@@ -405,9 +532,15 @@ class WebSocketController {
         socketId: socket.id,
         userId: socket.userId
       });
+      respond({
+        success: false,
+        clientMessageId,
+        error: error.message
+      });
       socket.emit(this.EVENTS.ERROR, {
         message: 'Failed to send message',
         error: error.message,
+        clientMessageId,
         timestamp: new Date().toISOString()
       });
     }
@@ -428,7 +561,11 @@ class WebSocketController {
       }
 
       // Track activity
-      await sessionService.trackActivity(userId, { socketId: socket.id });
+      await sessionService.trackActivity(userId, { socketId: socket.id, deviceId: socket.deviceId });
+
+      // Stop retrying and persist the delivered status
+      deliveryQueue.acknowledge(userId, messageId);
+      await chatService.markMessageDelivered(messageId, userId);
 
       // Notify sender that message was delivered
       this.io.to(`user:${senderId}`).emit(this.EVENTS.MESSAGE_DELIVERED, {
@@ -463,17 +600,19 @@ class WebSocketController {
       }
 
       // Track activity
-      await sessionService.trackActivity(receiverId, { socketId: socket.id });
+      await sessionService.trackActivity(receiverId, { socketId: socket.id, deviceId: socket.deviceId });
 
       // Mark messages as read
       const result = await chatService.markMessagesAsRead(senderId, receiverId);
 
-      // Notify sender that messages were read
-      this.io.to(`user:${senderId}`).emit(this.EVENTS.MESSAGE_READ, {
-        readBy: receiverId,
-        markedCount: result.markedCount,
-        timestamp: new Date().toISOString()
-      });
+      // Notify sender that messages were read, unless the reader withholds receipts
+      if (result.receiptSent) {
+        this.io.to(`user:${senderId}`).emit(this.EVENTS.MESSAGE_READ, {
+          readBy: receiverId,
+          markedCount: result.markedCount,
+          timestamp: new Date().toISOString()
+        });
+      }
 
       logger.debug('Messages marked as read via WebSocket', {
         senderId,
@@ -485,18 +624,199 @@ class WebSocketController {
       logger.error('Error handling message read:', error);
     }
   }
+  /**
+   * Handle a member reading group messages
+   * @param {Object} socket - Socket.IO socket
+   * @param {Object} data - { groupId, upToMessageId? }
+   */
+  async handleMarkGroupRead(socket, data) {
+    const userId = socket.userId;
+
+    try {
+      const { groupId, upToMessageId } = data || {};
+
+      if (!groupId) {
+        return;
+      }
+
+      // Track activity
+      await sessionService.trackActivity(userId, { socketId: socket.id, deviceId: socket.deviceId });
+
+      const result = await chatService.markGroupMessagesAsRead(groupId, userId, upToMessageId);
+      this.emitGroupRead(result.data);
+
+      logger.debug('Group messages marked as read via WebSocket', {
+        groupId,
+        readBy: userId,
+        markedCount: result.markedCount
+      });
+
+    } catch (error) {
+      logger.error('Error handling group read:', error, { userId });
+      socket.emit(this.EVENTS.ERROR, {
+        message: error.statusCode && error.statusCode < 500 ? error.message : 'Failed to mark group messages as read',
+        event: this.EVENTS.MARK_GROUP_READ,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Notify senders that a member read their group messages
+   * Each sender receives only their own message IDs, and none whose receipt
+   * the reader withholds; the reader's other sockets receive all of them to
+   * update unread counts.
+   * @param {Object} read - Result data from chatService.markGroupMessagesAsRead
+   */
+  emitGroupRead(read) {
+    if (!this.io || read.messages.length === 0) {
+      return;
+    }
+
+    const groupId = read.groupId.toString();
+    const readBy = read.readBy.toString();
+    const bySender = new Map();
+
+    read.messages.filter(message => !message.receiptHidden).forEach((message) => {
+      const senderId = message.senderId.toString();
+      if (!bySender.has(senderId)) {
+        bySender.set(senderId, []);
+      }
+      bySender.get(senderId).push(message.messageId);
+    });
+
+    const emitRead = (userId, messageIds) => {
+      this.io.to(`user:${userId}`).emit(this.EVENTS.GROUP_READ, {
+        groupId,
+        readBy,
+        messageIds,
+        readAt: read.readAt,
+        timestamp: new Date().toISOString()
+      });
+    };
+
+    bySender.forEach((messageIds, senderId) => emitRead(senderId, messageIds));
+    emitRead(readBy, read.messages.map(message => message.messageId));
+  }
+
+
+  /**
+   * Handle edit message via WebSocket
+   * @param {Object} socket - Socket.IO socket
+   * @param {Object} data - Edit data (messageId, content, editReason)
+   */
+  async handleEditMessage(socket, data) {
+    try {
+      const { messageId, ...editData } = data || {};
+      const userId = socket.userId;
+
+      const { error: idError } = schemas.objectId.required().validate(messageId);
+      const { error, value } = schemas.editMessage.validate(editData, { stripUnknown: true });
+
+      if (idError || error) {
+        socket.emit(this.EVENTS.ERROR, {
+          message: idError ? 'Invalid message ID' : error.message,
+          event: this.EVENTS.EDIT_MESSAGE,
+          timestamp: new Date().toISOString()
+        });
+        return;
+      }
+
+      // Track activity
+      await sessionService.trackActivity(userId, { socketId: socket.id, deviceId: socket.deviceId });
+
+      const result = await chatService.editMessage(messageId, userId, value.content, value.editReason);
+
+      this.emitToMessageParticipants(result.data, this.EVENTS.MESSAGE_EDITED, {
+        message: result.data
+      }, { senderOnly: result.suppressed });
+
+      logger.info('Message edited via WebSocket', {
+        messageId,
+        userId
+      });
+
+    } catch (error) {
+      logger.error('Error editing message via WebSocket:', error, {
+        socketId: socket.id,
+        userId: socket.userId
+      });
+      socket.emit(this.EVENTS.ERROR, {
+        message: 'Failed to edit message',
+        error: error.message,
+        event: this.EVENTS.EDIT_MESSAGE,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Handle add/remove reaction via WebSocket
+   * @param {Object} socket - Socket.IO socket
+   * @param {Object} data - Reaction data (messageId, emoji)
+   * @param {string} action - 'add' or 'remove'
+   */
+  async handleReaction(socket, data, action) {
+    const event = action === 'add' ? this.EVENTS.ADD_REACTION : this.EVENTS.REMOVE_REACTION;
+
+    try {
+      const { messageId, emoji } = data || {};
+      const userId = socket.userId;
+
+      const { error: idError } = schemas.objectId.required().validate(messageId);
+      const { error, value } = schemas.reaction.validate({ emoji });
+
+      if (idError || error) {
+        socket.emit(this.EVENTS.ERROR, {
+          message: idError ? 'Invalid message ID' : error.message,
+          event,
+          timestamp: new Date().toISOString()
+        });
+        return;
+      }
+
+      // Track activity
+      await sessionService.trackActivity(userId, { socketId: socket.id, deviceId: socket.deviceId });
+
+      const result = action === 'add'
+        ? await chatService.addReaction(messageId, userId, value.emoji)
+        : await chatService.removeReaction(messageId, userId, value.emoji);
+
+      if (result.data.changed) {
+        this.emitReactionUpdate(result.data, { senderOnly: result.suppressed });
+      }
+
+    } catch (error) {
+      logger.error('Error handling reaction via WebSocket:', error, {
+        socketId: socket.id,
+        userId: socket.userId,
+        action
+      });
+      socket.emit(this.EVENTS.ERROR, {
+        message: 'Failed to update reaction',
+        error: error.message,
+        event,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
 
   /**
    * Handle typing start
    * @param {Object} socket - Socket.IO socket
    * @param {Object} data - Typing data
    */
-  handleTypingStart(socket, data) {
+  async handleTypingStart(socket, data) {
     try {
-      const { receiverId, groupId } = data;
+      const { receiverId, groupId } = data || {};
       const userId = socket.userId;
       const user = socket.user;
 
+      const target = await this.authorizeTyping(socket, this.EVENTS.TYPING_START, data);
+      if (!target) {
+        return;
+      }
+
       const typingData = {
         userId,
         phoneNumber: user.phoneNumber,
@@ -504,13 +824,7 @@ class WebSocketController {
         timestamp: new Date().toISOString()
       };
 
-      if (receiverId) {
-        // One-to-one typing
-        this.io.to(`user:${receiverId}`).emit(this.EVENTS.TYPING_START, typingData);
-      } else if (groupId) {
-        // Group typing
-        socket.to(`group:${groupId}`).emit(this.EVENTS.TYPING_START, typingData);
-      }
+      target.emit(this.EVENTS.TYPING_START, typingData);
 
       logger.debug('Typing started', { userId, receiverId, groupId });
 
@@ -524,23 +838,22 @@ class WebSocketController {
    * @param {Object} socket - Socket.IO socket
    * @param {Object} data - Typing data
    */
-  handleTypingStop(socket, data) {
+  async handleTypingStop(socket, data) {
     try {
-      const { receiverId, groupId } = data;
+      const { receiverId, groupId } = data || {};
       const userId = socket.userId;
 
+      const target = await this.authorizeTyping(socket, this.EVENTS.TYPING_STOP, data);
+      if (!target) {
+        return;
+      }
+
       const typingData = {
         userId,
         timestamp: new Date().toISOString()
       };
 
-      if (receiverId) {
-        // One-to-one typing
-        this.io.to(`user:${receiverId}`).emit(this.EVENTS.TYPING_STOP, typingData);
-      } else if (groupId) {
-        // Group typing
-        socket.to(`group:${groupId}`).emit(this.EVENTS.TYPING_STOP, typingData);
-      }
+      target.emit(this.EVENTS.TYPING_STOP, typingData);
 
       logger.debug('Typing stopped', { userId, receiverId, groupId });
 
@@ -549,6 +862,46 @@ class WebSocketController {
     }
   }
 
+  /**
+   * Resolve where a typing event may be sent
+   * Checked like a room join: group typing requires membership and one-to-one
+   * typing an active receiver.
+   * @param {Object} socket - Socket.IO socket
+   * @param {string} event - Typing event
+   * @param {Object} data - Typing data ({ receiverId } or { groupId })
+   * @returns {Promise<Object|null>} Broadcast target, or null if denied
+   * @private
+   */
+  async authorizeTyping(socket, event, data) {
+    const { receiverId, groupId } = data || {};
+    const userId = socket.userId;
+    const roomType = receiverId ? roomAuthorizer.ROOM_TYPES.CONVERSATION : roomAuthorizer.ROOM_TYPES.GROUP;
+    const roomId = receiverId || groupId;
+
+    const authorization = await roomAuthorizer.authorize(userId, roomType, roomId);
+
+    if (!authorization.allowed) {
+      logger.warn('Typing event denied', {
+        socketId: socket.id,
+        userId,
+        roomId,
+        roomType,
+        code: authorization.code
+      });
+
+      socket.emit(this.EVENTS.ERROR, {
+        message: authorization.reason,
+        code: authorization.code,
+        event,
+        timestamp: new Date().toISOString()
+      });
+      return null;
+    }
+
+    // One-to-one typing goes to the receiver's devices, not the shared conversation room
+    return receiverId ? this.io.to(`user:${receiverId}`) : socket.to(authorization.roomName);
+  }
+
   /**
    * Handle user status update
    * @param {Object} socket - Socket.IO socket
@@ -568,7 +921,7 @@ class WebSocketController {
       }
 
       // Track activity
-      await sessionService.trackActivity(userId, { socketId: socket.id });
+      await sessionService.trackActivity(userId, { socketId: socket.id, deviceId: socket.deviceId });
 
       // Update status
       await chatService.updateUserStatus(userId, status, {
@@ -576,8 +929,8 @@ class WebSocketController {
         platform: 'websocket'
       });
 
-      // Broadcast status change
-      socket.broadcast.emit(this.EVENTS.USER_STATUS, {
+      // Notify subscribers
+      this.emitPresence(userId, this.EVENTS.USER_STATUS, {
         userId,
         status,
         timestamp: new Date().toISOString()
@@ -597,6 +950,250 @@ class WebSocketController {
     }
   }
 
+  /**
+   * Handle presence subscription
+   * Only users who share their online status with the caller are subscribed;
+   * the ack carries their current state.
+   * @param {Object} socket - Socket.IO socket
+   * @param {Object} data - { userIds }
+   * @param {Function} ack - Acknowledgement callback
+   */
+  async handlePresenceSubscribe(socket, data, ack) {
+    const respond = typeof ack === 'function' ? ack : () => {};
+
+    try {
+      const { error, value } = schemas.presenceSubscription.validate(data || {});
+      if (error) {
+        respond({ success: false, message: error.details[0].message });
+        return;
+      }
+
+      const userId = socket.userId;
+      const visibleIds = await userService.filterVisibleUserIds(userId, value.userIds, 'online');
+      const subscribed = presenceManager.subscribe(socket, visibleIds);
+      const users = await this.getPresenceSnapshot(userId, visibleIds);
+
+      respond({
+        success: true,
+        subscribed,
+        users,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      logger.error('Error subscribing to presence:', error, { userId: socket.userId });
+      respond({ success: false, message: 'Failed to subscribe to presence' });
+      socket.emit(this.EVENTS.ERROR, {
+        message: 'Failed to subscribe to presence',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Handle presence unsubscription
+   * @param {Object} socket - Socket.IO socket
+   * @param {Object} data - { userIds }
+   * @param {Function} ack - Acknowledgement callback
+   */
+  handlePresenceUnsubscribe(socket, data, ack) {
+    const respond = typeof ack === 'function' ? ack : () => {};
+
+    const { error, value } = schemas.presenceSubscription.validate(data || {});
+    if (error) {
+      respond({ success: false, message: error.details[0].message });
+      return;
+    }
+
+    presenceManager.unsubscribe(socket, value.userIds);
+    respond({ success: true, unsubscribed: value.userIds });
+  }
+
+  /**
+   * Subscribe a new socket to its user's contacts and send their state
+   * @param {Object} socket - Socket.IO socket
+   * @private
+   */
+  async subscribeToContacts(socket) {
+    const userId = socket.userId;
+    const contactIds = await Contact.getContactIds(userId);
+    const visibleIds = await userService.filterVisibleUserIds(userId, contactIds, 'online');
+
+    presenceManager.subscribe(socket, visibleIds);
+
+    socket.emit(this.EVENTS.PRESENCE_STATE, {
+      users: await this.getPresenceSnapshot(userId, visibleIds),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Get the current presence of users as seen by a viewer
+   * @param {string} viewerId - Viewing user ID
+   * @param {Array<string>} userIds - Users to describe
+   * @returns {Promise<Array<Object>>} { userId, status, lastSeen } entries
+   * @private
+   */
+  async getPresenceSnapshot(viewerId, userIds) {
+    if (userIds.length === 0) {
+      return [];
+    }
+
+    const users = await User.find({ _id: { $in: userIds }, isActive: true })
+      .select('status lastSeen')
+      .lean();
+    await userService.applyPresencePrivacy(viewerId, users);
+
+    return users.map(user => ({
+      userId: user._id.toString(),
+      status: user.status || 'offline',
+      lastSeen: user.lastSeen || null
+    }));
+  }
+
+  /**
+   * Queue a new message for delivery to its recipients
+   * Recipients acknowledge the message-received event; unacknowledged
+   * messages are retried and flushed again when the recipient reconnects.
+   * @param {Object} message - Message JSON from chatService
+   */
+  async dispatchMessage(message) {
+    if (!this.io) {
+      return;
+    }
+
+    const toId = (ref) => (ref && ref._id ? ref._id : ref).toString();
+    const senderId = toId(message.senderId);
+
+    try {
+      let recipientIds;
+
+      if (message.groupId) {
+        const group = await Group.findActiveById(toId(message.groupId));
+        if (!group) {
+          return;
+        }
+
+        recipientIds = group.getMemberIds().filter(memberId => memberId !== senderId);
+      } else {
+        recipientIds = [toId(message.receiverId)];
+      }
+
+      // Recipients muting the sender still get the message, flagged so clients stay quiet
+      const mutingIds = new Set(await User.getUsersMuting(recipientIds, senderId));
+
+      recipientIds.forEach(recipientId => deliveryQueue.enqueue(
+        recipientId,
+        message,
+        this.buildDeliveryPayload(message, mutingIds.has(recipientId))
+      ));
+
+    } catch (error) {
+      logger.error('Error dispatching message:', error, { messageId: message.messageId });
+    }
+  }
+
+  /**
+   * Build the message-received payload for a recipient
+   * @param {Object} message - Message JSON
+   * @param {boolean} muted - Whether the recipient muted the sender
+   * @returns {Object} Event payload
+   */
+  buildDeliveryPayload(message, muted = false) {
+    return {
+      message,
+      status: 'delivered',
+      ...(muted ? { muted: true } : {}),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Record a delivery acknowledged through the delivery queue
+   * @param {string} recipientId - User who acknowledged
+   * @param {Object} message - Message JSON
+   */
+  async handleDeliveryAcknowledged(recipientId, message) {
+    const result = message.groupId
+      ? await chatService.markGroupMessageDelivered(message._id, recipientId)
+      : await chatService.markMessageDelivered(message._id, recipientId);
+
+    if (!result.data.changed) {
+      return;
+    }
+
+    const senderId = (message.senderId._id || message.senderId).toString();
+    this.io.to(`user:${senderId}`).emit(this.EVENTS.MESSAGE_DELIVERED, {
+      messageId: message.messageId,
+      ...(message.groupId ? { groupId: (message.groupId._id || message.groupId).toString() } : {}),
+      deliveredBy: recipientId,
+      timestamp: new Date().toISOString()
+    });
+
+    logger.debug('Message delivery acknowledged', {
+      messageId: message.messageId,
+      senderId,
+      deliveredBy: recipientId
+    });
+  }
+
+  /**
+   * Retry queued deliveries for a user who just connected
+   * Undelivered messages without a queue entry (the user was offline, the
+   * attempts ran out or the server restarted) are picked up from the database.
+   * @param {string} userId - User ID
+   */
+  async flushPendingDeliveries(userId) {
+    try {
+      deliveryQueue.flush(userId);
+
+      const undelivered = await chatService.getUndeliveredMessages(userId);
+      const messages = undelivered.data.filter(message => !deliveryQueue.isPending(userId, message._id));
+      if (messages.length === 0) {
+        return;
+      }
+
+      const user = await User.findById(userId).select('mutedUsers');
+      messages.forEach(message => deliveryQueue.enqueue(
+        userId,
+        message,
+        this.buildDeliveryPayload(message, !!user && user.isMuting((message.senderId._id || message.senderId).toString()))
+      ));
+
+    } catch (error) {
+      logger.error('Error flushing pending deliveries:', error, { userId });
+    }
+  }
+
+  /**
+   * Send changes missed since the client's last sync token
+   * The token is read from the handshake (auth.syncToken or query.syncToken).
+   * When the result has more pages the client continues with GET /api/chat/sync.
+   * @param {Object} socket - Socket.IO socket
+   */
+  async sendSyncChanges(socket) {
+    const userId = socket.userId;
+
+    try {
+      const since = socket.handshake.auth?.syncToken || socket.handshake.query.syncToken || null;
+      const result = await syncService.getChangesSince(userId, since);
+
+      socket.emit(this.EVENTS.SYNC, {
+        ...result.data,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      logger.error('Error sending sync changes:', error, { userId, socketId: socket.id });
+      socket.emit(this.EVENTS.ERROR, {
+        message: error.statusCode === 400 ? error.message : 'Failed to sync changes',
+        code: 'SYNC_FAILED',
+        event: this.EVENTS.SYNC,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
   /**
    * Handle user disconnection
    * @param {Object} socket - Socket.IO socket
@@ -607,28 +1204,16 @@ class WebSocketController {
     const user = socket.user;
 
     try {
-      // Remove from tracking
-      await this.removeUserConnection(userId, socket.id);
+      // Remove from tracking; other connections may be on other instances
+      const remainingConnections = await this.removeUserConnection(userId, socket.id);
+      const hasOtherConnections = remainingConnections > 0;
 
-      // Check if user has other active connections
-      const userSockets = this.userSockets.get(userId);
-      const hasOtherConnections = userSockets && userSockets.size > 0;
+      // End this device's session if it has no other sockets
+      await sessionService.releaseDeviceSession(userId, socket.deviceId);
 
+      // Go offline only if the user does not reconnect within the delay
       if (!hasOtherConnections) {
-        // Set user offline if no other connections
-        if (user) {
-          await user.setOffline();
-        }
-
-        // End session
-        await sessionService.endSession(userId, 'disconnect');
-
-        // Notify other users
-        socket.broadcast.emit(this.EVENTS.USER_OFFLINE, {
-          userId,
-          phoneNumber: user?.phoneNumber,
-          timestamp: new Date().toISOString()
-        });
+        presenceManager.scheduleOffline(userId, () => this.completeOffline(userId, user));
       }
 
       logger.info('User disconnected from WebSocket', {
@@ -637,7 +1222,7 @@ class WebSocketController {
         phoneNumber: user?.phoneNumber,
         reason,
         hasOtherConnections,
-        totalConnections: this.connectedUsers.size
+        localConnections: this.connectedUsers.size
       });
 
     } catch (error) {
@@ -649,58 +1234,93 @@ class WebSocketController {
     }
   }
 
+  /**
+   * Take a user offline once the offline delay has passed
+   * Does nothing if the user reconnected in the meantime. Device sessions are
+   * not touched; each ends when its own sockets disconnect.
+   * @param {string} userId - User ID
+   * @param {Object} user - User document from the last socket
+   * @private
+   */
+  async completeOffline(userId, user) {
+    if (await this.cluster.registry.count(userId) > 0) {
+      return;
+    }
+
+    if (user) {
+      await user.setOffline();
+    }
+
+    // Notify subscribers
+    this.emitPresence(userId, this.EVENTS.USER_OFFLINE, {
+      userId,
+      phoneNumber: user?.phoneNumber,
+      timestamp: new Date().toISOString()
+    });
+  }
+
   /**
    * Track user connection
    * @param {string} userId - User ID
    * @param {Object} socket - Socket.IO socket
+   * @returns {Promise<number>} The user's connected sockets on all instances
    * @private
    */
   async trackUserConnection(userId, socket) {
     // Add to connected users
     this.connectedUsers.set(socket.id, {
       userId,
+      deviceId: socket.deviceId,
       socketId: socket.id,
       connectedAt: new Date(),
       lastActivity: new Date()
     });
 
-    // Track user sockets
-    if (!this.userSockets.has(userId)) {
-      this.userSockets.set(userId, new Set());
-    }
-    this.userSockets.get(userId).add(socket.id);
-
-    // Track socket users
-    this.socketUsers.set(socket.id, userId);
+    // Register with the shared presence registry
+    const connectionCount = await this.cluster.registry.add({
+      userId,
+      deviceId: socket.deviceId,
+      socketId: socket.id
+    });
 
     // Update session service
-    sessionService.updateSocketId(userId, socket.id);
+    await sessionService.updateSocketId(userId, socket.deviceId, socket.id);
+
+    return connectionCount;
   }
 
   /**
    * Remove user connection
    * @param {string} userId - User ID
    * @param {string} socketId - Socket ID
+   * @returns {Promise<number>} The user's remaining sockets on all instances
    * @private
    */
   async removeUserConnection(userId, socketId) {
     // Remove from connected users
+    const connection = this.connectedUsers.get(socketId);
     this.connectedUsers.delete(socketId);
 
-    // Remove from user sockets
-    const userSockets = this.userSockets.get(userId);
-    if (userSockets) {
-      userSockets.delete(socketId);
-      if (userSockets.size === 0) {
-        this.userSockets.delete(userId);
-      }
+    // Remove from the shared presence registry
+    const remainingConnections = await this.cluster.registry.remove(userId, socketId);
+
+    // Update session service
+    if (connection) {
+      await sessionService.removeSocketId(userId, connection.deviceId, socketId);
     }
 
-    // Remove from socket users
-    this.socketUsers.delete(socketId);
+    return remainingConnections;
+  }
 
-    // Update session service
-    sessionService.removeSocketId(userId);
+  /**
+   * Get the room joined by every socket of one device
+   * @param {string} userId - User ID
+   * @param {string} deviceId - Device ID
+   * @returns {string} Room name
+   * @private
+   */
+  getDeviceRoom(userId, deviceId) {
+    return `device:${userId}:${deviceId}`;
   }
 
   /**
@@ -717,33 +1337,34 @@ class WebSocketController {
 
   /**
    * Check for session timeouts and warnings
+   * Every instance runs this check and only notifies its own sockets.
    * @private
    */
   async checkSessionTimeouts() {
     try {
-      // Check for users needing timeout warning
-      const warningUsers = sessionService.getUsersNeedingTimeoutWarning();
+      // Check for device sessions needing timeout warning
+      const warningUsers = await sessionService.getUsersNeedingTimeoutWarning();
       for (const userInfo of warningUsers) {
-        if (userInfo.socketId) {
-          this.io.to(userInfo.socketId).emit(this.EVENTS.SESSION_WARNING, {
+        if (userInfo.socketIds.length > 0) {
+          this.io.local.to(userInfo.socketIds).emit(this.EVENTS.SESSION_WARNING, {
             minutesUntilTimeout: userInfo.minutesUntilTimeout,
             timestamp: new Date().toISOString()
           });
         }
       }
 
-      // Check for timed out users
-      const timedOutUsers = sessionService.getTimedOutUsers();
+      // Check for timed out device sessions
+      const timedOutUsers = await sessionService.getTimedOutUsers();
       for (const userInfo of timedOutUsers) {
-        if (userInfo.socketId) {
-          this.io.to(userInfo.socketId).emit(this.EVENTS.SESSION_TIMEOUT, {
+        if (userInfo.socketIds.length > 0) {
+          this.io.local.to(userInfo.socketIds).emit(this.EVENTS.SESSION_TIMEOUT, {
             message: 'Your session has expired due to inactivity',
             timestamp: new Date().toISOString()
           });
         }
-        
+
         // Handle session timeout
-        await sessionService.handleSessionTimeout(userInfo.userId);
+        await sessionService.handleSessionTimeout(userInfo.userId, userInfo.deviceId);
       }
 
     } catch (error) {
@@ -753,14 +1374,20 @@ class WebSocketController {
 
   /**
    * Get WebSocket statistics
-   * @returns {Object} WebSocket statistics
+   * Connection totals cover all instances; localConnections only this one.
+   * @returns {Promise<Object>} WebSocket statistics
    */
-  getStatistics() {
+  async getStatistics() {
+    const { connections, users } = await this.cluster.registry.getStatistics();
+
     return {
-      totalConnections: this.connectedUsers.size,
-      uniqueUsers: this.userSockets.size,
-      averageConnectionsPerUser: this.userSockets.size > 0 ? 
-        this.connectedUsers.size / this.userSockets.size : 0,
+      adapter: this.cluster.name,
+      totalConnections: connections,
+      uniqueUsers: users,
+      averageConnectionsPerUser: users > 0 ? connections / users : 0,
+      localConnections: this.connectedUsers.size,
+      pendingDeliveries: deliveryQueue.getStatistics(),
+      presence: presenceManager.getStatistics(),
       timestamp: new Date().toISOString()
     };
   }
@@ -785,27 +1412,325 @@ class WebSocketController {
   }
 
   /**
-   * Force logout user (disconnect all sockets)
-   * @param {string} userId - User ID
-   * @param {string} reason - Logout reason
+   * Emit an event to everyone who can see a message
+   * One-to-one messages go to both participants' personal rooms (covering the
+   * sender's other devices); group messages go to the group room.
+   * @param {Object} message - Message document or plain object
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   * @param {Object} options
+   * @param {boolean} options.senderOnly - Leave out the receiver (suppressed messages)
    */
-  async forceLogoutUser(userId, reason = 'admin_action') {
-    const userSockets = this.userSockets.get(userId);
-    if (userSockets) {
-      for (const socketId of userSockets) {
-        const socket = this.io.sockets.sockets.get(socketId);
-        if (socket) {
-          socket.emit(this.EVENTS.FORCE_LOGOUT, {
-            reason,
+  emitToMessageParticipants(message, event, data, { senderOnly = false } = {}) {
+    if (!this.io) {
+      return;
+    }
+
+    const toId = (ref) => (ref && ref._id ? ref._id : ref).toString();
+    const payload = {
+      ...data,
+      timestamp: new Date().toISOString()
+    };
+
+    if (message.groupId) {
+      this.io.to(`group:${toId(message.groupId)}`)
+        .to(`user:${toId(message.senderId)}`)
+        .emit(event, payload);
+    } else {
+      const rooms = this.io.to(`user:${toId(message.senderId)}`);
+      (senderOnly ? rooms : rooms.to(`user:${toId(message.receiverId)}`)).emit(event, payload);
+    }
+  }
+
+  /**
+   * Notify a user's contacts (and the user's other devices) of a profile change
+   * @param {string} userId - User whose profile changed
+   * @param {Object} profile - Public profile fields
+   * @param {Array<string>} recipientIds - Users to notify
+   */
+  emitProfileUpdate(userId, profile, recipientIds = []) {
+    if (!this.io) {
+      return;
+    }
+
+    const rooms = [userId, ...recipientIds].map(id => `user:${id}`);
+    this.io.to(rooms).emit(this.EVENTS.PROFILE_UPDATED, {
+      userId,
+      profile,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Send a presence event to the sockets subscribed to a user's presence
+   * @param {string} userId - User whose presence changed
+   * @param {string} event - Presence event
+   * @param {Object} data - Event payload
+   */
+  emitPresence(userId, event, data) {
+    presenceManager.publish(userId, event, data);
+  }
+
+  /**
+   * Subscribe all of a user's sockets to new contacts' presence
+   * Contacts who do not share their online status are skipped.
+   * @param {string} userId - Contact list owner
+   * @param {Array<string>} contactIds - Newly saved contacts
+   */
+  async watchContacts(userId, contactIds) {
+    if (!this.io || contactIds.length === 0) {
+      return;
+    }
+
+    try {
+      const visibleIds = await userService.filterVisibleUserIds(userId, contactIds, 'online');
+      presenceManager.subscribeUser(userId, visibleIds);
+    } catch (error) {
+      logger.warn('Failed to subscribe to contact presence', { userId, error: error.message });
+    }
+  }
+
+  /**
+   * Stop sending a removed contact's presence to a user
+   * @param {string} userId - Contact list owner
+   * @param {string} contactId - Removed contact
+   */
+  unwatchContact(userId, contactId) {
+    presenceManager.evict(contactId, [userId]);
+  }
+
+  /**
+   * Re-evaluate a user's presence subscribers after a privacy change
+   * Subscribers who lost access see the user go offline and are removed;
+   * contacts who gained access are subscribed and get the current status.
+   * @param {string} userId - User whose privacy settings changed
+   */
+  async refreshPresence(userId) {
+    if (!this.io) {
+      return;
+    }
+
+    try {
+      const [user, subscriberIds, allowedContactIds, sharesOnline] = await Promise.all([
+        User.findById(userId).select('phoneNumber profile status'),
+        presenceManager.getSubscriberIds(userId),
+        contactService.getPresenceWatcherIds(userId),
+        userService.getAudienceCheck(userId, 'online')
+      ]);
+
+      const deniedIds = subscriberIds.filter(id => !sharesOnline(id));
+      const timestamp = new Date().toISOString();
+
+      if (deniedIds.length > 0) {
+        this.io.to(deniedIds.map(id => `user:${id}`)).emit(this.EVENTS.USER_OFFLINE, { userId, timestamp });
+        presenceManager.evict(userId, deniedIds);
+      }
+
+      presenceManager.addSubscribers(userId, allowedContactIds);
+
+      if (user && user.status !== 'offline') {
+        this.emitPresence(userId, this.EVENTS.USER_ONLINE, {
+          userId,
+          phoneNumber: user.phoneNumber,
+          profile: user.profile,
+          timestamp
+        });
+      }
+
+    } catch (error) {
+      logger.warn('Failed to refresh presence after privacy change', { userId, error: error.message });
+    }
+  }
+
+  /**
+   * Make two users appear offline to each other after a block
+   * Both users' sockets also stop receiving each other's presence.
+   * @param {string} userId - Blocking user ID
+   * @param {string} targetId - Blocked user ID
+   */
+  emitPresenceHidden(userId, targetId) {
+    if (!this.io) {
+      return;
+    }
+
+    const timestamp = new Date().toISOString();
+    this.io.to(`user:${targetId}`).emit(this.EVENTS.USER_OFFLINE, { userId, timestamp });
+    this.io.to(`user:${userId}`).emit(this.EVENTS.USER_OFFLINE, { userId: targetId, timestamp });
+
+    presenceManager.evict(userId, [targetId]);
+    presenceManager.evict(targetId, [userId]);
+  }
+
+  /**
+   * Show two users' presence to each other again after an unblock
+   * Nothing is sent while either user still blocks the other. A user is
+   * subscribed again only if they have the other as a contact and may see
+   * the other's online status.
+   * @param {string} userId - Unblocking user ID
+   * @param {string} targetId - Unblocked user ID
+   */
+  async emitPresenceRestored(userId, targetId) {
+    if (!this.io) {
+      return;
+    }
+
+    try {
+      const hiddenIds = await userService.getHiddenUserIds(userId);
+      if (hiddenIds.includes(targetId.toString())) {
+        return;
+      }
+
+      const users = await User.find({ _id: { $in: [userId, targetId] } })
+        .select('phoneNumber profile status');
+
+      for (const user of users) {
+        const id = user._id.toString();
+        const otherId = (id === userId.toString() ? targetId : userId).toString();
+
+        const watcherIds = await contactService.getPresenceWatcherIds(id);
+        if (!watcherIds.includes(otherId)) {
+          continue;
+        }
+
+        presenceManager.addSubscribers(id, [otherId]);
+
+        if (user.status !== 'offline') {
+          this.io.to(`user:${otherId}`).emit(this.EVENTS.USER_ONLINE, {
+            userId: id,
+            phoneNumber: user.phoneNumber,
+            profile: user.profile,
             timestamp: new Date().toISOString()
           });
-          socket.disconnect(true);
         }
       }
+
+    } catch (error) {
+      logger.warn('Failed to restore presence after unblock', { userId, targetId, error: error.message });
+    }
+  }
+
+  /**
+   * Broadcast a reaction change to the conversation
+   * @param {Object} update - Reaction update from chatService
+   * @param {Object} options - See emitToMessageParticipants
+   */
+  emitReactionUpdate(update, options = {}) {
+    const { senderId, receiverId, groupId, ...data } = update;
+
+    this.emitToMessageParticipants(
+      { senderId, receiverId, groupId },
+      this.EVENTS.REACTION_UPDATED,
+      data,
+      options
+    );
+  }
+
+  /**
+   * Notify group members about a group change
+   * Users who are no longer members are removed from the group room.
+   * @param {string} groupId - Group ID
+   * @param {Array<string>} memberIds - Users to notify
+   * @param {Object} data - Event data
+   * @param {Array<string>} removedUserIds - Users who lost access to the group
+   */
+  notifyGroupUpdate(groupId, memberIds, data, removedUserIds = []) {
+    if (!this.io) {
+      return;
+    }
+
+    const payload = {
+      groupId,
+      ...data,
+      timestamp: new Date().toISOString()
+    };
+
+    for (const userId of removedUserIds) {
+      this.io.in(`user:${userId}`).socketsLeave(`group:${groupId}`);
+    }
+
+    for (const userId of new Set([...memberIds, ...removedUserIds])) {
+      this.sendToUser(userId, this.EVENTS.GROUP_UPDATED, payload);
+    }
+  }
+
+  /**
+   * Warn all of a user's devices about a security event
+   * @param {string} userId - User ID
+   * @param {Object} alert - { type, ...details }
+   */
+  notifySecurityAlert(userId, alert) {
+    if (!this.io) {
+      return;
     }
 
+    this.sendToUser(userId, this.EVENTS.SECURITY_ALERT, {
+      ...alert,
+      timestamp: new Date().toISOString()
+    });
+
+    logger.warn('Security alert sent', { userId, type: alert.type });
+  }
+
+  /**
+   * Force logout user (disconnect all sockets on every instance)
+   * @param {string} userId - User ID
+   * @param {string} reason - Logout reason
+   */
+  async forceLogoutUser(userId, reason = 'admin_action') {
+    this.disconnectRoom(`user:${userId}`, reason);
+
     logger.info('User force logged out', { userId, reason });
   }
+
+  /**
+   * Force logout one device (disconnect its sockets on every instance)
+   * @param {string} userId - User ID
+   * @param {string} deviceId - Device ID
+   * @param {string} reason - Logout reason
+   */
+  forceLogoutDevice(userId, deviceId, reason = 'device_revoked') {
+    this.disconnectRoom(this.getDeviceRoom(userId, deviceId), reason);
+
+    logger.info('Device force logged out', { userId, deviceId, reason });
+  }
+
+  /**
+   * Send force-logout to the sockets in a room, then disconnect them
+   * @param {string} room - Room name
+   * @param {string} reason - Logout reason
+   * @private
+   */
+  disconnectRoom(room, reason) {
+    if (!this.io) {
+      return;
+    }
+
+    this.io.to(room).emit(this.EVENTS.FORCE_LOGOUT, {
+      reason,
+      timestamp: new Date().toISOString()
+    });
+    this.io.in(room).disconnectSockets(true);
+  }
+
+  /**
+   * Release cluster resources during shutdown
+   * Removes this instance's sockets from the shared presence registry.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (!this.cluster) {
+      return;
+    }
+
+    try {
+      await this.cluster.registry.close();
+      if (this.cluster.bus) {
+        await this.cluster.bus.close();
+      }
+    } catch (error) {
+      logger.error('Error closing socket cluster:', error);
+    }
+  }
 }
 
 // Create singleton instance
@@ -0,0 +1,136 @@
+/**
+ * Memory Model
+ * In-memory stand-in for the Mongoose model methods used by services
+ *
+ * @description Replaces findOne, exists, create, updateOne,
+ * findOneAndUpdate and deleteOne on a model with jest spies backed by an
+ * array of plain documents. Filters match (dotted) paths by equality or with
+ * $lt/$gt; updates support $set and $inc.
+ * @author Chat App Team
+ * @version 1.0.0
+ */
+
+const getPath = (doc, path) => path.split('.')
+  .reduce((value, key) => (value === null || value === undefined ? value : value[key]), doc);
+
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((parent, key) => {
+    if (parent[key] === null || typeof parent[key] !== 'object') {
+      parent[key] = {};
+    }
+    return parent[key];
+  }, doc);
+  target[last] = value;
+};
+
+const isOperator = condition => condition !== null
+  && typeof condition === 'object'
+  && !(condition instanceof Date)
+  && Object.keys(condition).some(key => key.startsWith('$'));
+
+const equals = (value, expected) => {
+  if (expected === null || expected === undefined) {
+    return value === null || value === undefined;
+  }
+  if (value instanceof Date || expected instanceof Date) {
+    return value !== null && value !== undefined && +value === +expected;
+  }
+  return value !== null && value !== undefined && String(value) === String(expected);
+};
+
+const matches = (doc, filter) => Object.entries(filter).every(([path, condition]) => {
+  const value = getPath(doc, path);
+
+  if (isOperator(condition)) {
+    return Object.entries(condition).every(([operator, operand]) => {
+      if (operator === '$lt') return value !== null && value !== undefined && value < operand;
+      if (operator === '$gt') return value !== null && value !== undefined && value > operand;
+      throw new Error(`Unsupported operator ${operator}`);
+    });
+  }
+
+  return equals(value, condition);
+});
+
+const applyUpdate = (doc, update) => {
+  Object.entries(update.$set || {}).forEach(([path, value]) => setPath(doc, path, value));
+  Object.entries(update.$inc || {}).forEach(([path, amount]) => {
+    setPath(doc, path, (getPath(doc, path) || 0) + amount);
+  });
+};
+
+/**
+ * Query-like result supporting select(), lean() and await
+ * @param {*} result - Value the query resolves with
+ * @returns {Object} Chainable query
+ */
+const query = result => ({
+  select() {
+    return this;
+  },
+  lean() {
+    return Promise.resolve(result);
+  },
+  then(resolve, reject) {
+    return Promise.resolve(result).then(resolve, reject);
+  }
+});
+
+/**
+ * Back a model with an array of documents
+ * @param {Object} Model - Mongoose model
+ * @param {Array<Object>} docs - Initial documents (copied)
+ * @returns {Array<Object>} Live document array
+ */
+const useMemoryModel = (Model, docs = []) => {
+  const store = docs.map(doc => structuredClone(doc));
+  let nextId = 1;
+
+  const find = filter => store.find(doc => matches(doc, filter));
+  const copy = doc => (doc ? structuredClone(doc) : null);
+
+  jest.spyOn(Model, 'findOne').mockImplementation(filter => query(copy(find(filter))));
+
+  jest.spyOn(Model, 'exists').mockImplementation(async (filter) => {
+    const doc = find(filter);
+    return doc ? { _id: doc._id } : null;
+  });
+
+  jest.spyOn(Model, 'create').mockImplementation(async (fields) => {
+    const doc = { _id: `${Model.modelName.toLowerCase()}-${nextId++}`, ...structuredClone(fields) };
+    store.push(doc);
+    return copy(doc);
+  });
+
+  jest.spyOn(Model, 'updateOne').mockImplementation(async (filter, update) => {
+    const doc = find(filter);
+    if (doc) {
+      applyUpdate(doc, update);
+    }
+    return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+  });
+
+  jest.spyOn(Model, 'findOneAndUpdate').mockImplementation((filter, update) => {
+    const doc = find(filter);
+    if (doc) {
+      applyUpdate(doc, update);
+    }
+    return query(copy(doc));
+  });
+
+  jest.spyOn(Model, 'deleteOne').mockImplementation(async (filter) => {
+    const index = store.findIndex(doc => matches(doc, filter));
+    if (index !== -1) {
+      store.splice(index, 1);
+    }
+    return { deletedCount: index === -1 ? 0 : 1 };
+  });
+
+  return store;
+};
+
+module.exports = {
+  useMemoryModel
+};
@@ -0,0 +1,74 @@
+/**
+ * Auth Service Tests
+ * Refresh token rotation and reuse detection
+ */
+
+const User = require('../../src/models/userModel');
+const Device = require('../../src/models/deviceModel');
+const authService = require('../../src/services/authService');
+const { useMemoryModel } = require('../helpers/memoryModel');
+
+const deviceId = 'device-1';
+
+describe('authService.refreshToken', () => {
+  let devices;
+  let user;
+
+  beforeEach(() => {
+    devices = useMemoryModel(Device, [{ _id: 'device-doc-1', userId: 'user-1', deviceId }]);
+
+    user = {
+      _id: 'user-1',
+      phoneNumber: '+15550000001',
+      isActive: true,
+      sessionData: { refreshTokenVersion: 0 },
+      updateActivity: jest.fn().mockResolvedValue()
+    };
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('issues a new refresh token for the current one', async () => {
+    const { refreshToken } = await authService.issueTokens(user, deviceId);
+
+    const result = await authService.refreshToken(refreshToken);
+
+    expect(result.tokens.refreshToken).not.toBe(refreshToken);
+    expect(devices[0].refreshToken.tokenHash).toBe(authService.hashToken(result.tokens.refreshToken));
+  });
+
+  it('keeps rotating while each new token is used once', async () => {
+    const { refreshToken } = await authService.issueTokens(user, deviceId);
+
+    const first = await authService.refreshToken(refreshToken);
+    const second = await authService.refreshToken(first.tokens.refreshToken);
+
+    expect(devices[0].refreshToken.tokenHash).toBe(authService.hashToken(second.tokens.refreshToken));
+  });
+
+  it('signs the device out when a spent refresh token is replayed', async () => {
+    const { refreshToken } = await authService.issueTokens(user, deviceId);
+    const { tokens } = await authService.refreshToken(refreshToken);
+
+    const error = await authService.refreshToken(refreshToken).catch(err => err);
+
+    expect(error.statusCode).toBe(401);
+    expect(error.details).toEqual({ reason: 'REFRESH_TOKEN_REUSED' });
+    expect(error.revokedDevice).toEqual({ userId: 'user-1', deviceId });
+    expect(devices).toHaveLength(0);
+
+    // The token the legitimate client holds stops working as well
+    await expect(authService.refreshToken(tokens.refreshToken)).rejects.toThrow('Invalid refresh token');
+  });
+
+  it('rejects a token of a replaced family without signing the device out', async () => {
+    const { refreshToken } = await authService.issueTokens(user, deviceId);
+    await authService.issueTokens(user, deviceId);
+
+    await expect(authService.refreshToken(refreshToken)).rejects.toThrow('Invalid refresh token');
+    expect(devices).toHaveLength(1);
+  });
+});
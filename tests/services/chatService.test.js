@@ -0,0 +1,175 @@
+/**
+ * Chat Service Tests
+ * User directory search ranking and messages to a blocking receiver
+ */
+
+const mongoose = require('mongoose');
+const User = require('../../src/models/userModel');
+const Message = require('../../src/models/messageModel');
+const Contact = require('../../src/models/contactModel');
+const userService = require('../../src/services/userService');
+const attachmentService = require('../../src/services/attachmentService');
+const chatService = require('../../src/services/chatService');
+
+const newId = () => new mongoose.Types.ObjectId().toString();
+
+const query = result => ({
+  select() {
+    return this;
+  },
+  sort() {
+    return this;
+  },
+  limit() {
+    return this;
+  },
+  lean() {
+    return Promise.resolve(result);
+  },
+  then(resolve, reject) {
+    return Promise.resolve(result).then(resolve, reject);
+  }
+});
+
+describe('chatService.searchUsers', () => {
+  const currentUserId = newId();
+  const ids = {
+    stranger: newId(),
+    groupMember: newId(),
+    partner: newId(),
+    contact: newId(),
+    contactPartner: newId()
+  };
+
+  beforeEach(() => {
+    const users = Object.entries(ids).map(([name, _id]) => new User({
+      _id,
+      phoneNumber: `+1555000${Object.keys(ids).indexOf(name)}000`,
+      profile: { displayName: `Alex ${name}` }
+    }));
+    const asStrings = values => (values || []).map(String);
+
+    jest.spyOn(User, 'find').mockImplementation((filter) => {
+      if (filter._id.$in) {
+        // Unordered, like the database
+        return query(users.filter(user => asStrings(filter._id.$in).includes(user._id.toString())).reverse());
+      }
+      return query(users.filter(user => !asStrings(filter._id.$nin).includes(user._id.toString())));
+    });
+
+    jest.spyOn(userService, 'getRelationships').mockResolvedValue(new Map([
+      [ids.partner, 'conversation'],
+      [ids.contactPartner, 'conversation'],
+      [ids.groupMember, 'group']
+    ]));
+    jest.spyOn(userService, 'getHiddenUserIds').mockResolvedValue([]);
+    jest.spyOn(userService, 'applyPresencePrivacy').mockImplementation(async (viewerId, users) => users);
+    jest.spyOn(Contact, 'getContactIds').mockResolvedValue([ids.contact, ids.contactPartner]);
+    jest.spyOn(Contact, 'find').mockReturnValue(query([
+      { contactUserId: ids.contact, nickname: 'Lex', knowsPhoneNumber: false },
+      { contactUserId: ids.contactPartner, nickname: null, knowsPhoneNumber: true }
+    ]));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('ranks contacts first, then conversation partners, group members and everyone else', async () => {
+    const { data } = await chatService.searchUsers('alex', currentUserId);
+
+    expect(data.users.map(user => user._id.toString())).toEqual([
+      ids.contactPartner,
+      ids.contact,
+      ids.partner,
+      ids.groupMember,
+      ids.stranger
+    ]);
+    expect(data.users[1]).toMatchObject({ isContact: true, nickname: 'Lex', relationship: null });
+  });
+
+  it('shows phone numbers only to people who share a conversation or group, or saved the number', async () => {
+    const { data } = await chatService.searchUsers('alex', currentUserId);
+    const byId = new Map(data.users.map(user => [user._id.toString(), user]));
+
+    expect(byId.get(ids.contactPartner).phoneNumber).toBeDefined();
+    expect(byId.get(ids.partner).phoneNumber).toBeDefined();
+    expect(byId.get(ids.groupMember).phoneNumber).toBeDefined();
+    expect(byId.get(ids.contact).phoneNumber).toBeUndefined();
+    expect(byId.get(ids.stranger).phoneNumber).toBeUndefined();
+  });
+});
+
+describe('chatService.sendMessage to a receiver who blocked the sender', () => {
+  let sender;
+  let receiver;
+  let saved;
+
+  beforeEach(() => {
+    sender = new User({ _id: newId(), phoneNumber: '+15550001000' });
+    receiver = new User({ _id: newId(), phoneNumber: '+15550002000', blockedUsers: [{ userId: sender._id }] });
+    jest.spyOn(sender, 'updateActivity').mockResolvedValue();
+
+    const users = new Map([[sender._id.toString(), sender], [receiver._id.toString(), receiver]]);
+    jest.spyOn(User, 'findById').mockImplementation(async id => users.get(id.toString()) || null);
+    jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue(null);
+
+    saved = [];
+    jest.spyOn(Message.prototype, 'save').mockImplementation(async function() {
+      saved.push(this);
+      return this;
+    });
+    jest.spyOn(Message.prototype, 'populate').mockImplementation(async function() {
+      return this;
+    });
+
+    jest.spyOn(attachmentService, 'claimAttachments').mockImplementation(async ids => ids.map(id => ({
+      category: 'image',
+      toMessageAttachment: () => ({ attachmentId: id, fileName: 'photo.jpg', mimeType: 'image/jpeg', fileSize: 10 })
+    })));
+    jest.spyOn(attachmentService, 'deleteMessageAttachments').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const send = () => chatService.sendMessage(
+    sender._id.toString(),
+    receiver._id.toString(),
+    null,
+    'hello',
+    'text',
+    {},
+    { attachmentIds: [newId()] }
+  );
+
+  it('stores the message for the sender and keeps its attachments', async () => {
+    const result = await send();
+
+    expect(result.suppressed).toBe(true);
+    expect(saved).toHaveLength(1);
+    expect(saved[0].flags.isSuppressed).toBe(true);
+    expect(saved[0].attachments).toHaveLength(1);
+    expect(attachmentService.deleteMessageAttachments).not.toHaveBeenCalled();
+    expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('answers like a normal send', async () => {
+    const { data, message } = await send();
+
+    expect(message).toBe('Message sent successfully');
+    expect(data).toMatchObject({ status: 'sent', content: 'hello' });
+    expect(data.flags).not.toHaveProperty('isSuppressed');
+  });
+
+  it('hides the message from its receiver only', async () => {
+    await send();
+    jest.spyOn(Message, 'findById').mockResolvedValue(saved[0]);
+
+    await expect(chatService.getAccessibleMessage(saved[0]._id.toString(), receiver._id.toString()))
+      .rejects.toMatchObject({ statusCode: 404 });
+    await expect(chatService.getAccessibleMessage(saved[0]._id.toString(), sender._id.toString()))
+      .resolves.toBe(saved[0]);
+  });
+});
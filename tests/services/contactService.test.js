@@ -0,0 +1,83 @@
+/**
+ * Contact Service Tests
+ * Phone number visibility of saved contacts
+ */
+
+const mongoose = require('mongoose');
+const User = require('../../src/models/userModel');
+const Contact = require('../../src/models/contactModel');
+const userService = require('../../src/services/userService');
+const contactService = require('../../src/services/contactService');
+
+const ownerId = new mongoose.Types.ObjectId().toString();
+
+describe('contact phone number visibility', () => {
+  let target;
+  let relationships;
+
+  beforeEach(() => {
+    target = new User({
+      _id: new mongoose.Types.ObjectId(),
+      phoneNumber: '+15550001111',
+      profile: { displayName: 'Sam' }
+    });
+    relationships = new Map();
+
+    jest.spyOn(User, 'findOne').mockResolvedValue(target);
+    jest.spyOn(User, 'findById').mockResolvedValue(target);
+    jest.spyOn(userService, 'getRelationships').mockImplementation(async () => relationships);
+    jest.spyOn(userService, 'applyPresencePrivacy').mockImplementation(async (viewerId, users) => users);
+
+    // Saved contact as the database would return it after the upsert
+    jest.spyOn(Contact, 'findOneAndUpdate').mockImplementation((filter, update) => ({
+      populate: async () => ({
+        contactUserId: target,
+        nickname: null,
+        source: Contact.CONTACT_SOURCES.MANUAL,
+        knowsPhoneNumber: !!update.$set.knowsPhoneNumber,
+        metadata: { createdAt: new Date() }
+      })
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const viewProfile = (contact) => {
+    jest.spyOn(Contact, 'findOne').mockReturnValue({
+      select: () => ({ lean: async () => contact })
+    });
+    return userService.getUserProfile(target._id.toString(), ownerId);
+  };
+
+  it('does not reveal the number of a contact added by user ID', async () => {
+    const { data } = await contactService.addContact(ownerId, { userId: target._id.toString() });
+
+    expect(data.user.phoneNumber).toBeUndefined();
+    expect(Contact.findOneAndUpdate.mock.calls[0][1].$set).not.toHaveProperty('knowsPhoneNumber');
+  });
+
+  it('returns the number of a contact added by phone number', async () => {
+    const { data } = await contactService.addContact(ownerId, { phoneNumber: target.phoneNumber });
+
+    expect(data.user.phoneNumber).toBe(target.phoneNumber);
+  });
+
+  it('returns the number of a contact added by ID when the users share a conversation', async () => {
+    relationships.set(target._id.toString(), 'conversation');
+
+    const { data } = await contactService.addContact(ownerId, { userId: target._id.toString() });
+
+    expect(data.user.phoneNumber).toBe(target.phoneNumber);
+  });
+
+  it('shows the number on the profile only when the viewer knew it', async () => {
+    const byId = await viewProfile({ nickname: null, knowsPhoneNumber: false });
+    expect(byId.data).toMatchObject({ isContact: true });
+    expect(byId.data.phoneNumber).toBeUndefined();
+
+    const byNumber = await viewProfile({ nickname: null, knowsPhoneNumber: true });
+    expect(byNumber.data.phoneNumber).toBe(target.phoneNumber);
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * OTP Service Tests
+ * Single use and the limit on incorrect codes
+ */
+
+const Otp = require('../../src/models/otpModel');
+const otpService = require('../../src/services/otpService');
+const { useMemoryModel } = require('../helpers/memoryModel');
+
+const phoneNumber = '+15550000001';
+const purpose = 'verification';
+
+describe('otpService.verifyCode', () => {
+  let otps;
+  let code;
+
+  beforeEach(async () => {
+    otps = useMemoryModel(Otp);
+
+    jest.spyOn(otpService.sms, 'send').mockImplementation(async (to, body) => {
+      [code] = body.match(/\d{4,}/);
+      return { messageId: 'message-1' };
+    });
+
+    await otpService.sendCode(phoneNumber, purpose);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const wrongCode = () => (code === '0'.repeat(code.length) ? '1' : '0').repeat(code.length);
+
+  it('accepts the code once', async () => {
+    await expect(otpService.verifyCode(phoneNumber, purpose, code)).resolves.toBeUndefined();
+
+    await expect(otpService.verifyCode(phoneNumber, purpose, code))
+      .rejects.toMatchObject({ statusCode: 400, message: expect.stringMatching(/expired/) });
+  });
+
+  it('counts down the remaining attempts on incorrect codes', async () => {
+    const remaining = otpService.maxAttempts - 1;
+
+    await expect(otpService.verifyCode(phoneNumber, purpose, wrongCode())).rejects.toMatchObject({
+      statusCode: 400,
+      message: `Invalid verification code. ${remaining} attempts remaining.`
+    });
+    expect(otps[0].attempts).toBe(1);
+
+    await expect(otpService.verifyCode(phoneNumber, purpose, code)).resolves.toBeUndefined();
+  });
+
+  it('discards the code after too many incorrect attempts', async () => {
+    for (let attempt = 1; attempt < otpService.maxAttempts; attempt++) {
+      await expect(otpService.verifyCode(phoneNumber, purpose, wrongCode())).rejects.toMatchObject({ statusCode: 400 });
+    }
+
+    await expect(otpService.verifyCode(phoneNumber, purpose, wrongCode())).rejects.toMatchObject({ statusCode: 429 });
+    expect(otps[0].codeHash).toBeNull();
+
+    await expect(otpService.verifyCode(phoneNumber, purpose, code))
+      .rejects.toMatchObject({ statusCode: 400, message: expect.stringMatching(/expired/) });
+  });
+
+  it('rejects an expired code', async () => {
+    otps[0].codeExpiresAt = new Date(Date.now() - 1000);
+
+    await expect(otpService.verifyCode(phoneNumber, purpose, code)).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Session Service Tests
+ * PIN lock across disconnects and session removal
+ */
+
+// The service starts its cleanup interval on require
+jest.useFakeTimers();
+
+const User = require('../../src/models/userModel');
+const Device = require('../../src/models/deviceModel');
+const sessionService = require('../../src/services/sessionService');
+const { useMemoryModel } = require('../helpers/memoryModel');
+
+const userId = 'user-1';
+const deviceId = 'device-1';
+
+describe('sessionService', () => {
+  let devices;
+  let user;
+
+  beforeEach(async () => {
+    await sessionService.store.deleteUser(userId);
+
+    devices = useMemoryModel(Device, [{
+      _id: 'device-doc-1',
+      userId,
+      deviceId,
+      pinRequired: false,
+      lastActiveAt: new Date(),
+      metadata: { createdAt: new Date() }
+    }]);
+
+    user = {
+      _id: userId,
+      isActive: true,
+      sessionData: {},
+      updateActivity: jest.fn().mockResolvedValue(),
+      setOffline: jest.fn().mockResolvedValue(),
+      save: jest.fn().mockResolvedValue()
+    };
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const status = () => sessionService.checkSessionStatus(userId, deviceId);
+
+  it('keeps a timed-out device locked after its last socket disconnects', async () => {
+    await sessionService.trackActivity(userId, { deviceId, socketId: 'socket-1' });
+    await sessionService.handleSessionTimeout(userId, deviceId);
+
+    await sessionService.removeSocketId(userId, deviceId, 'socket-1');
+    await expect(sessionService.releaseDeviceSession(userId, deviceId)).resolves.toBe(false);
+
+    await sessionService.trackActivity(userId, { deviceId, socketId: 'socket-2' });
+    expect(await status()).toMatchObject({ isActive: false, requiresPinEntry: true, reason: 'PIN required' });
+  });
+
+  it('keeps the lock when the device session is removed from the store', async () => {
+    await sessionService.trackActivity(userId, { deviceId });
+    await sessionService.handleSessionTimeout(userId, deviceId);
+
+    await sessionService.endSession(userId, 'logout', deviceId);
+    expect(await sessionService.store.get(userId, deviceId)).toBeNull();
+    expect(await status()).toMatchObject({ requiresPinEntry: true, reason: 'PIN required' });
+
+    await sessionService.trackActivity(userId, { deviceId });
+    expect(await status()).toMatchObject({ requiresPinEntry: true, reason: 'PIN required' });
+    expect(devices[0].pinRequired).toBe(true);
+  });
+
+  it('locks a device that went idle past the timeout without a session', async () => {
+    devices[0].lastActiveAt = new Date(Date.now() - 60 * 60 * 1000);
+
+    await sessionService.trackActivity(userId, { deviceId });
+
+    expect(await status()).toMatchObject({ requiresPinEntry: true, reason: 'PIN required' });
+  });
+
+  it('unlocks the device once its PIN is verified', async () => {
+    await sessionService.trackActivity(userId, { deviceId, socketId: 'socket-1' });
+    await sessionService.handleSessionTimeout(userId, deviceId);
+
+    await sessionService.trackActivity(userId, { deviceId, pinVerified: true });
+
+    expect(await status()).toMatchObject({ isActive: true, requiresPinEntry: false, reason: 'Active' });
+    expect(devices[0].pinRequired).toBe(false);
+  });
+
+  it('releases an unlocked session only after its last socket disconnects', async () => {
+    await sessionService.trackActivity(userId, { deviceId, socketId: 'socket-1' });
+    await sessionService.trackActivity(userId, { deviceId, socketId: 'socket-2' });
+
+    await sessionService.removeSocketId(userId, deviceId, 'socket-1');
+    await expect(sessionService.releaseDeviceSession(userId, deviceId)).resolves.toBe(false);
+
+    await sessionService.removeSocketId(userId, deviceId, 'socket-2');
+    await expect(sessionService.releaseDeviceSession(userId, deviceId)).resolves.toBe(true);
+    expect(await sessionService.store.get(userId, deviceId)).toBeNull();
+    expect(user.setOffline).not.toHaveBeenCalled();
+  });
+});
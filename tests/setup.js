@@ -0,0 +1,26 @@
+/**
+ * Jest Setup
+ * Environment required by the configuration loader
+ *
+ * @description Tests run without a database; models are stubbed per test.
+ * Values already set in the environment take precedence.
+ * @author Chat App Team
+ * @version 1.0.0
+ */
+
+const defaults = {
+  NODE_ENV: 'test',
+  MONGODB_URI: 'mongodb://localhost:27017/chat_application',
+  MONGODB_TEST_URI: 'mongodb://localhost:27017/chat_application_test',
+  JWT_SECRET: 'test-jwt-secret-with-at-least-32-characters',
+  JWT_REFRESH_SECRET: 'test-refresh-secret-with-at-least-32-characters',
+  COOKIE_SECRET: 'test-cookie-secret-with-at-least-32-characters',
+  SESSION_STORE: 'memory',
+  LOG_LEVEL: 'error'
+};
+
+Object.entries(defaults).forEach(([name, value]) => {
+  if (process.env[name] === undefined) {
+    process.env[name] = value;
+  }
+});
@@ -0,0 +1,44 @@
+/**
+ * Delivery Queue Tests
+ * One delivery in flight per message
+ */
+
+const deliveryQueue = require('../../src/websocket/deliveryQueue');
+
+const recipientId = 'user-2';
+const message = { _id: 'message-1', messageId: 'msg-1' };
+
+describe('deliveryQueue', () => {
+  let emits;
+  let onDelivered;
+
+  beforeEach(() => {
+    emits = 0;
+    onDelivered = jest.fn().mockResolvedValue();
+
+    const socket = {
+      timeout: () => socket,
+      emitWithAck: async () => {
+        emits += 1;
+      }
+    };
+
+    deliveryQueue.pending.clear();
+    deliveryQueue.initialize({
+      in: () => ({ fetchSockets: async () => [socket] })
+    }, { event: 'new-message', onDelivered });
+  });
+
+  it('does not send a message again while it is being delivered', async () => {
+    deliveryQueue.enqueue(recipientId, message, { message });
+
+    // A reconnect flush while the first attempt is still looking up sockets
+    deliveryQueue.flush(recipientId);
+    await deliveryQueue.attempt(recipientId, message._id);
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(emits).toBe(1);
+    expect(onDelivered).toHaveBeenCalledTimes(1);
+    expect(deliveryQueue.isPending(recipientId, message._id)).toBe(false);
+  });
+});